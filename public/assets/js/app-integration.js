@@ -15,6 +15,14 @@ class AppIntegration {
         this.pageInitializer = null;
         this.currentPage = this.detectCurrentPage();
         this.isInitialized = false;
+        this.ticketFilters = { status: 'all', assignment: 'all', query: '', sortBy: 'newest' };
+        this.searchDebounceTimer = null;
+        this.ticketViewMode = 'grid';
+        this.ticketBoard = null;
+        this.pendingImport = null;
+        this.ticketSelection = typeof TicketSelection !== 'undefined' ? new TicketSelection() : null;
+        this.visibleTicketIds = [];
+        this.editingTicket = null;
     }
 
     /**
@@ -29,6 +37,9 @@ class AppIntegration {
             // Initialize core systems
             await this.initializeCoreModules();
             
+            // Cache the app shell for offline use
+            this.registerServiceWorker();
+            
             // Wire authentication to all pages
             this.wireAuthenticationSystem();
             
@@ -75,6 +86,14 @@ class AppIntegration {
         // Initialize ticket manager
         if (typeof TicketManager !== 'undefined') {
             this.ticketManager = new TicketManager();
+            await this.ticketManager.loadTickets();
+            // Hear about tickets saved in other tabs ('ticketsChangedElsewhere')
+            this.ticketManager.watchExternalChanges();
+            // ...and, with server storage, about tickets changed by teammates
+            if (typeof TicketEventStream !== 'undefined') {
+                this.ticketEvents = new TicketEventStream(this.ticketManager);
+                this.ticketEvents.start();
+            }
             window.appTickets = this.ticketManager; // Make globally available
         }
 
@@ -90,9 +109,10 @@ class AppIntegration {
     wireAuthenticationSystem() {
         if (!this.authManager) return;
 
-        // Enhanced login form handling
+        // Enhanced login form handling, unless AuthFormHandler already submits the form:
+        // each extra submission would count as another failed attempt towards the login lockout
         const loginForm = document.getElementById('loginForm');
-        if (loginForm) {
+        if (loginForm && typeof AuthFormHandler === 'undefined') {
             this.setupLoginFormIntegration(loginForm);
         }
 
@@ -115,6 +135,9 @@ class AppIntegration {
     wireTicketManagement() {
         if (!this.ticketManager || this.currentPage !== 'tickets') return;
 
+        // Build status filters and selects from the workflow
+        this.renderWorkflowControls();
+
         // Wire create ticket functionality
         this.wireCreateTicketForm();
         
@@ -124,9 +147,27 @@ class AppIntegration {
         // Wire delete ticket functionality
         this.wireDeleteTicketConfirmation();
         
+        // Wire ticket detail and comments
+        this.wireTicketDetail();
+        
         // Wire ticket filtering and sorting
         this.wireTicketFiltering();
         
+        // Wire grid/board view switching
+        this.wireTicketViewToggle();
+        
+        // Wire CSV/JSON import and export
+        this.wireTicketImportExport();
+        
+        // Wire multi-select and bulk actions
+        this.wireBulkActions();
+        
+        // Wire the trash (restore and permanent deletion)
+        this.wireTrash();
+        
+        // Wire sending changes made offline
+        this.wireOfflineSync();
+        
         // Wire ticket display updates
         this.wireTicketDisplayUpdates();
     }
@@ -268,11 +309,7 @@ class AppIntegration {
             this.setFormLoadingState(form, true);
 
             try {
-                // For demo purposes, use login with email
-                const result = await this.authManager.login({
-                    username: userData.email,
-                    password: userData.password
-                });
+                const result = await this.authManager.register(userData);
                 
                 if (result.success) {
                     this.toastSystem?.showSuccess('Account created successfully! Redirecting...');
@@ -281,7 +318,7 @@ class AppIntegration {
                         window.location.href = '/dashboard';
                     }, 1000);
                 } else {
-                    this.toastSystem?.showError('Registration failed. Please try again.');
+                    this.toastSystem?.showError(result.error || 'Registration failed. Please try again.');
                     this.setFormLoadingState(form, false);
                 }
             } catch (error) {
@@ -307,134 +344,1093 @@ class AppIntegration {
     }
 
     /**
-     * Handle logout process
+     * Handle logout process
+     */
+    async handleLogout() {
+        if (confirm('Are you sure you want to logout?')) {
+            const result = await this.authManager.logout();
+            
+            if (result.success) {
+                this.toastSystem?.showSuccess('Logged out successfully');
+                
+                setTimeout(() => {
+                    window.location.href = '/';
+                }, 500);
+            } else {
+                this.toastSystem?.showError('Logout failed');
+            }
+        }
+    }
+
+    /**
+     * Setup authentication state monitoring
+     */
+    async setupAuthStateMonitoring() {
+        // In server mode the stored session is only a copy, so check it with the server first
+        const isAuthenticated = await this.authManager.syncSession();
+
+        // Check authentication on page load for protected pages
+        const protectedPages = ['dashboard', 'tickets', 'account'];
+        
+        if (protectedPages.includes(this.currentPage)) {
+            if (!isAuthenticated) {
+                this.toastSystem?.showWarning('Please log in to access this page');
+                this.authManager.redirectIfNotAuth(window.location.href);
+                return;
+            }
+        }
+
+        // Redirect authenticated users away from auth pages
+        const authPages = ['login', 'signup'];
+        if (authPages.includes(this.currentPage) && isAuthenticated) {
+            window.location.href = '/dashboard';
+            return;
+        }
+
+        this.updateNavigationUser();
+        window.addEventListener('userProfileUpdated', () => this.updateNavigationUser());
+
+        this.setupSessionMonitoring();
+    }
+
+    /**
+     * Show the navigation links for the current session, with the user's name and avatar on the account menu
+     */
+    updateNavigationUser() {
+        const user = this.authManager.isAuthenticated() ? this.authManager.getCurrentUser() : null;
+
+        document.querySelectorAll('[data-nav-auth]').forEach(item => {
+            item.hidden = (item.getAttribute('data-nav-auth') === 'signed-in') !== Boolean(user);
+        });
+
+        if (!user || typeof UserProfile === 'undefined') return;
+
+        document.querySelectorAll('[data-nav-user-name]').forEach(element => {
+            element.textContent = UserProfile.getDisplayName(user);
+        });
+        document.querySelectorAll('[data-nav-user-avatar]').forEach(element => {
+            element.innerHTML = UserProfile.createAvatarHTML(user);
+        });
+    }
+
+    /**
+     * Keep the session alive while the user is active, warn before the idle timeout and
+     * follow sign-ins and sign-outs made in other tabs
+     */
+    setupSessionMonitoring() {
+        if (typeof SessionMonitor === 'undefined') return;
+
+        this.sessionMonitor = new SessionMonitor(this.authManager, {
+            onWarning: (secondsLeft) => this.showIdleWarning(secondsLeft),
+            onActive: () => this.hideIdleWarning(),
+            onLogout: (reason) => this.handleSessionEnded(reason),
+            onLogin: () => this.handleSessionStarted()
+        });
+        this.sessionMonitor.start();
+    }
+
+    /**
+     * Show (or update) the idle timeout warning
+     * @param {number} secondsLeft - Seconds until the user is signed out
+     */
+    showIdleWarning(secondsLeft) {
+        const modal = this.getIdleWarningModal();
+        const countdown = modal.querySelector('#idleCountdown');
+        countdown.textContent = `${secondsLeft} ${secondsLeft === 1 ? 'second' : 'seconds'}`;
+
+        if (modal.classList.contains('hidden')) {
+            this.showModal(modal);
+            modal.querySelector('#staySignedInBtn').focus();
+        }
+    }
+
+    /**
+     * Hide the idle timeout warning
+     */
+    hideIdleWarning() {
+        const modal = document.getElementById('idleWarningModal');
+        if (modal && !modal.classList.contains('hidden')) {
+            this.hideModal(modal);
+        }
+    }
+
+    /**
+     * Get the idle timeout warning, creating it on first use
+     * @returns {HTMLElement} Modal overlay
+     */
+    getIdleWarningModal() {
+        let modal = document.getElementById('idleWarningModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'idleWarningModal';
+        modal.className = 'modal-overlay idle-warning hidden';
+        modal.setAttribute('role', 'alertdialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'idleWarningTitle');
+        modal.setAttribute('aria-describedby', 'idleWarningMessage');
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2 id="idleWarningTitle" class="modal-title">Are you still there?</h2>
+                </div>
+                <div class="modal-body">
+                    <p id="idleWarningMessage">
+                        For your security you will be signed out in <strong id="idleCountdown" class="idle-countdown"></strong> because of inactivity.
+                    </p>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" id="idleLogoutBtn" class="btn btn-secondary">Sign out now</button>
+                    <button type="button" id="staySignedInBtn" class="btn btn-primary">Stay signed in</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.querySelector('#staySignedInBtn').addEventListener('click', () => {
+            this.sessionMonitor?.stayActive();
+        });
+        modal.querySelector('#idleLogoutBtn').addEventListener('click', async () => {
+            this.sessionMonitor?.stop();
+            this.hideModal(modal);
+            await this.authManager.logout();
+            window.location.href = '/';
+        });
+        modal.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                this.sessionMonitor?.stayActive();
+            }
+        });
+
+        return modal;
+    }
+
+    /**
+     * Leave protected pages once the session has ended
+     * @param {string} reason - 'idle', 'expired' or 'other-tab'
+     */
+    handleSessionEnded(reason) {
+        this.hideIdleWarning();
+
+        const messages = {
+            idle: 'You were signed out after a period of inactivity',
+            expired: 'Your session has expired. Please log in again',
+            'other-tab': 'You signed out in another tab'
+        };
+        const message = messages[reason] || messages.expired;
+        this.toastSystem?.showWarning(message);
+        this.updateNavigationUser();
+
+        const protectedPages = ['dashboard', 'tickets', 'account'];
+        if (protectedPages.includes(this.currentPage)) {
+            this.authManager.redirectIfNotAuth(window.location.href, message);
+        }
+    }
+
+    /**
+     * Follow a sign-in made in another tab
+     */
+    handleSessionStarted() {
+        const authPages = ['login', 'signup'];
+        if (authPages.includes(this.currentPage)) {
+            const redirectUrl = sessionStorage.getItem('auth_redirect') || '/dashboard';
+            sessionStorage.removeItem('auth_redirect');
+            window.location.href = redirectUrl;
+        } else {
+            // Another user signed in, so nothing on this page can be trusted to be theirs
+            window.location.reload();
+        }
+    }
+
+    // Ticket Management Integration Methods
+
+    /**
+     * Wire create ticket form
+     */
+    wireCreateTicketForm() {
+        const createBtn = document.getElementById('createTicketBtn');
+        const createFirstBtn = document.getElementById('createFirstTicketBtn');
+        const modal = document.getElementById('createTicketModal');
+        const form = document.getElementById('createTicketForm');
+
+        // Show create modal
+        [createBtn, createFirstBtn].forEach(btn => {
+            if (btn) {
+                btn.addEventListener('click', () => {
+                    this.showModal(modal);
+                    this.resetForm(form);
+                    this.populateAssigneeField(form, '');
+                });
+            }
+        });
+
+        // Handle form submission
+        if (form) {
+            form.addEventListener('submit', async (event) => {
+                event.preventDefault();
+                await this.handleCreateTicket(form, modal);
+            });
+        }
+
+        // Handle modal close
+        this.setupModalClose(modal);
+    }
+
+    /**
+     * Wire edit ticket form
+     */
+    wireEditTicketForm() {
+        const modal = document.getElementById('editTicketModal');
+        const form = document.getElementById('editTicketForm');
+
+        // Handle edit button clicks (delegated)
+        document.addEventListener('click', async (event) => {
+            if (event.target.matches('.edit-ticket-btn, .edit-btn')) {
+                const ticketId = event.target.closest('[data-ticket-id]')?.getAttribute('data-ticket-id');
+                if (ticketId) {
+                    await this.showEditTicketModal(ticketId, modal, form);
+                }
+            }
+        });
+
+        // Handle form submission
+        if (form) {
+            form.addEventListener('submit', async (event) => {
+                event.preventDefault();
+                await this.handleEditTicket(form, modal);
+            });
+        }
+
+        // Handle modal close
+        this.setupModalClose(modal);
+    }
+
+    /**
+     * Wire delete ticket confirmation
+     */
+    wireDeleteTicketConfirmation() {
+        const modal = document.getElementById('deleteConfirmModal');
+
+        // Handle delete button clicks (delegated)
+        document.addEventListener('click', (event) => {
+            if (event.target.matches('.delete-ticket-btn, .delete-btn')) {
+                const ticketId = event.target.closest('[data-ticket-id]')?.getAttribute('data-ticket-id');
+                if (ticketId) {
+                    this.showDeleteConfirmation(ticketId, modal);
+                }
+            }
+        });
+
+        // Handle confirmation
+        const confirmBtn = document.getElementById('confirmDeleteTicket');
+        if (confirmBtn) {
+            confirmBtn.addEventListener('click', async () => {
+                await this.handleDeleteTicket(modal);
+            });
+        }
+
+        // Handle modal close
+        this.setupModalClose(modal);
+    }
+
+    /**
+     * Replace the template's status filter buttons and select options with the configured workflow states
+     */
+    renderWorkflowControls() {
+        const workflow = this.ticketManager.workflow;
+
+        const allButton = document.querySelector('.filter-btn[data-status="all"]');
+        if (allButton && allButton.parentNode) {
+            const group = allButton.parentNode;
+            group.querySelectorAll('.filter-btn:not([data-status="all"])').forEach(button => button.remove());
+
+            workflow.states.forEach(state => {
+                const button = document.createElement('button');
+                button.className = 'filter-btn';
+                button.setAttribute('data-status', state.name);
+                button.innerHTML = `<span class="status-indicator ${workflow.getIndicatorClass(state.name)}"></span>${this.escapeHtml(state.name)}`;
+                group.appendChild(button);
+            });
+        }
+
+        const createStatus = document.getElementById('createStatus');
+        if (createStatus) {
+            createStatus.innerHTML = this.ticketManager.createStatusOptionsHTML(workflow.initialState);
+        }
+
+        const bulkStatus = document.getElementById('bulkStatusSelect');
+        if (bulkStatus) {
+            bulkStatus.innerHTML = '<option value="">Change status...</option>' +
+                workflow.getStateNames().map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('');
+        }
+    }
+
+    /**
+     * Wire grid/board view switching
+     */
+    wireTicketViewToggle() {
+        if (typeof TicketBoard === 'undefined') return;
+
+        this.ticketBoard = new TicketBoard(this.ticketManager, {
+            onMove: (result) => {
+                if (result.success) {
+                    this.refreshTicketDisplay();
+                    this.toastSystem?.showSuccess(`Ticket moved to ${result.ticket.status}`);
+                } else {
+                    const message = result.errors ? Object.values(result.errors).join(' ') : (result.error || result.message);
+                    this.toastSystem?.showError(message);
+                }
+            }
+        });
+
+        // Restore the last used view
+        try {
+            const savedView = localStorage.getItem('ticket_view_mode');
+            if (savedView === 'board' || savedView === 'grid') {
+                this.ticketViewMode = savedView;
+            }
+        } catch (error) {
+            console.warn('Could not read saved ticket view:', error);
+        }
+
+        document.querySelectorAll('.view-toggle-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setTicketViewMode(button.getAttribute('data-view'));
+            });
+        });
+
+        this.updateViewToggleState();
+    }
+
+    /**
+     * Switch between the grid and board views
+     * @param {string} mode - 'grid' or 'board'
+     */
+    setTicketViewMode(mode) {
+        if (mode !== 'grid' && mode !== 'board') return;
+
+        this.ticketViewMode = mode;
+        try {
+            localStorage.setItem('ticket_view_mode', mode);
+        } catch (error) {
+            console.warn('Could not save ticket view:', error);
+        }
+
+        this.updateViewToggleState();
+        this.applyTicketView();
+    }
+
+    /**
+     * Reflect the current view on the toggle buttons, containers and status filters
+     */
+    updateViewToggleState() {
+        const isBoard = this.ticketViewMode === 'board';
+
+        document.querySelectorAll('.view-toggle-btn').forEach(button => {
+            const active = button.getAttribute('data-view') === this.ticketViewMode;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+
+        document.getElementById('ticketContainer')?.classList.toggle('hidden', isBoard);
+        document.getElementById('ticketBoard')?.classList.toggle('hidden', !isBoard);
+        document.getElementById('bulkActions')?.classList.toggle('hidden', isBoard);
+
+        // The board already shows every status as a column
+        const filterGroup = document.querySelector('.filter-btn[data-status="all"]')?.parentNode;
+        if (filterGroup) {
+            filterGroup.classList.toggle('hidden', isBoard);
+        }
+    }
+
+    /**
+     * Wire CSV/JSON export of the listed tickets and the import dialog
+     */
+    wireTicketImportExport() {
+        if (!this.ticketManager.importExport) return;
+
+        document.querySelectorAll('.export-tickets-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.handleExportTickets(button.getAttribute('data-format'));
+            });
+        });
+
+        const modal = document.getElementById('importTicketsModal');
+        const importBtn = document.getElementById('importTicketsBtn');
+        const fileInput = document.getElementById('importFile');
+        const previewBtn = document.getElementById('previewImportTickets');
+        const confirmBtn = document.getElementById('confirmImportTickets');
+
+        if (!modal) return;
+
+        importBtn?.addEventListener('click', () => {
+            this.resetImportDialog();
+            this.showModal(modal);
+        });
+
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (file) {
+                await this.handleImportFile(file);
+            }
+        });
+
+        previewBtn?.addEventListener('click', async () => {
+            await this.handleImportTickets(true);
+        });
+
+        confirmBtn?.addEventListener('click', async () => {
+            await this.handleImportTickets(false, modal);
+        });
+
+        this.setupModalClose(modal);
+    }
+
+    /**
+     * Filters behind the ticket list currently on screen (the board shows every status)
+     * @returns {Object} Filters for TicketManager.filterTickets
+     */
+    getActiveTicketFilters() {
+        return this.ticketViewMode === 'board' && this.ticketBoard
+            ? { ...this.ticketFilters, status: 'all' }
+            : { ...this.ticketFilters };
+    }
+
+    /**
+     * Download the listed tickets
+     * @param {string} format - 'csv' or 'json'
+     * @param {Array<string>} ticketIds - Only export these tickets (optional)
+     */
+    handleExportTickets(format, ticketIds = null) {
+        const result = this.ticketManager.exportTickets(format, this.getActiveTicketFilters(), ticketIds);
+        if (!result.success) {
+            this.toastSystem?.showError(result.error || result.message);
+            return;
+        }
+
+        const blob = new Blob([result.content], { type: result.mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        this.toastSystem?.showSuccess(result.message);
+    }
+
+    /**
+     * Clear the import dialog
+     */
+    resetImportDialog() {
+        const fileInput = document.getElementById('importFile');
+        if (fileInput) fileInput.value = '';
+
+        this.resetImportDialogResults();
+        this.setImportError('');
+    }
+
+    /**
+     * Enable or disable the Preview and Import buttons
+     * @param {boolean} canPreview - File parsed
+     * @param {boolean} canImport - Dry run found rows to import
+     */
+    setImportButtonsState(canPreview, canImport) {
+        const previewBtn = document.getElementById('previewImportTickets');
+        const confirmBtn = document.getElementById('confirmImportTickets');
+        if (previewBtn) previewBtn.disabled = !canPreview;
+        if (confirmBtn) confirmBtn.disabled = !canImport;
+    }
+
+    /**
+     * Show or clear the import file error
+     * @param {string} message - Error message (empty to clear)
+     */
+    setImportError(message) {
+        const errorElement = document.getElementById('importFileError');
+        if (!errorElement) return;
+
+        errorElement.textContent = message;
+        errorElement.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Read the chosen file and show the column mapping
+     * @param {File} file - Selected file
+     */
+    async handleImportFile(file) {
+        this.resetImportDialogResults();
+
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            this.setImportError('Could not read the selected file');
+            return;
+        }
+
+        const result = this.ticketManager.parseImportFile(text, file.name);
+        if (!result.success) {
+            this.setImportError(result.error);
+            return;
+        }
+        if (result.records.length === 0) {
+            this.setImportError('The file has no ticket rows');
+            return;
+        }
+
+        this.pendingImport = { records: result.records, headers: result.headers };
+        this.setImportError('');
+        this.renderImportMapping(result.headers, result.mapping);
+        this.setImportButtonsState(true, false);
+    }
+
+    /**
+     * Clear mapping and preview when a new file is chosen
+     */
+    resetImportDialogResults() {
+        this.pendingImport = null;
+        ['importMapping', 'importPreview'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.innerHTML = '';
+                element.classList.add('hidden');
+            }
+        });
+        this.setImportButtonsState(false, false);
+    }
+
+    /**
+     * Render one column selector per ticket field
+     * @param {Array<string>} headers - Source columns
+     * @param {Object} mapping - Suggested mapping
+     */
+    renderImportMapping(headers, mapping) {
+        const container = document.getElementById('importMapping');
+        if (!container) return;
+
+        const labels = {
+            id: 'ID',
+            title: 'Title *',
+            description: 'Description',
+            status: 'Status',
+            priority: 'Priority',
+            assignee: 'Assignee',
+            dueDate: 'Due date',
+            createdAt: 'Created',
+            updatedAt: 'Updated'
+        };
+
+        container.innerHTML = `
+            <h3 class="text-sm font-medium text-gray-700 mb-2">Map columns to ticket fields</h3>
+            <div class="grid grid-cols-2 gap-3">
+                ${TicketImportExport.FIELDS.map(field => `
+                    <label class="text-sm text-gray-600">
+                        ${labels[field]}
+                        <select class="import-mapping-select w-full border border-gray-300 rounded-md px-2 py-1 text-sm" data-field="${field}">
+                            <option value="">(not imported)</option>
+                            ${headers.map(header => `
+                                <option value="${this.escapeHtml(header)}" ${mapping[field] === header ? 'selected' : ''}>${this.escapeHtml(header)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+        container.classList.remove('hidden');
+
+        // A changed mapping needs a fresh preview before importing
+        container.querySelectorAll('.import-mapping-select').forEach(select => {
+            select.addEventListener('change', () => this.setImportButtonsState(true, false));
+        });
+    }
+
+    /**
+     * Read the mapping chosen in the dialog
+     * @returns {Object} Ticket field -> source column
+     */
+    getImportMapping() {
+        const mapping = {};
+        document.querySelectorAll('.import-mapping-select').forEach(select => {
+            if (select.value) {
+                mapping[select.getAttribute('data-field')] = select.value;
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * Run the import as a dry run (preview) or for real
+     * @param {boolean} dryRun - Only validate and show the results
+     * @param {HTMLElement} modal - Import modal, closed after a real import
+     */
+    async handleImportTickets(dryRun, modal = null) {
+        if (!this.pendingImport) return;
+
+        const result = await this.ticketManager.importTickets(this.pendingImport.records, this.getImportMapping(), { dryRun });
+        if (!result.success) {
+            this.setImportError(result.error || result.message);
+            this.setImportButtonsState(true, false);
+            return;
+        }
+
+        this.setImportError('');
+
+        if (dryRun) {
+            this.renderImportPreview(result.preview);
+            this.setImportButtonsState(true, result.preview.summary.create > 0);
+            return;
+        }
+
+        this.hideModal(modal);
+        this.resetImportDialog();
+        this.refreshTicketDisplay();
+        this.showBulkResult(result);
+    }
+
+    /**
+     * Show the dry-run summary and the rows that will be skipped
+     * @param {Object} preview - Preview from TicketManager.importTickets
+     */
+    renderImportPreview(preview) {
+        const container = document.getElementById('importPreview');
+        if (!container) return;
+
+        const { summary } = preview;
+        const problems = preview.rows.filter(row => row.action !== 'create');
+        const shown = problems.slice(0, 50);
+
+        container.innerHTML = `
+            <p class="text-sm text-gray-700 mb-2">
+                <strong>${summary.create}</strong> of ${summary.total} rows will be imported.
+                ${summary.invalid ? `${summary.invalid} invalid.` : ''}
+                ${summary.duplicate ? `${summary.duplicate} duplicate.` : ''}
+            </p>
+            ${shown.length > 0 ? `
+                <table class="import-preview-table w-full text-sm border border-gray-200">
+                    <thead>
+                        <tr class="bg-gray-50 text-left">
+                            <th class="px-2 py-1">Row</th>
+                            <th class="px-2 py-1">Title</th>
+                            <th class="px-2 py-1">Problem</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${shown.map(row => `
+                            <tr class="border-t border-gray-200">
+                                <td class="px-2 py-1">${row.row}</td>
+                                <td class="px-2 py-1">${this.escapeHtml(row.data.title || '')}</td>
+                                <td class="px-2 py-1 text-red-600">${this.escapeHtml(Object.values(row.errors).join(' '))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${problems.length > shown.length ? `<p class="text-xs text-gray-500 mt-1">and ${problems.length - shown.length} more rows with problems</p>` : ''}
+            ` : ''}
+        `;
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Register the service worker that caches the app shell (see /sw.js)
+     * Browsers only allow service workers on HTTPS pages and localhost.
+     */
+    registerServiceWorker() {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
+    /**
+     * Send ticket changes made offline when the connection returns (and on load, if any are waiting)
+     */
+    wireOfflineSync() {
+        window.addEventListener('online', () => this.handleOfflineSync());
+        window.addEventListener('offline', () => this.updateSyncStatus());
+
+        if (this.ticketManager.getPendingChangeCount() > 0 && navigator.onLine !== false) {
+            this.handleOfflineSync();
+        }
+        this.updateSyncStatus();
+    }
+
+    /**
+     * Send the queued changes and report the ones the server's newer version overruled
+     */
+    async handleOfflineSync() {
+        if (this.ticketManager.getPendingChangeCount() === 0) {
+            this.updateSyncStatus();
+            return;
+        }
+
+        const result = await this.ticketManager.syncOfflineChanges();
+
+        if (!result.success) {
+            this.toastSystem?.showError(result.error || result.message);
+        } else if (result.conflicts.length > 0) {
+            const details = result.conflicts.map(conflict => `"${conflict.ticket?.title || 'Untitled'}": ${conflict.error}`);
+            this.toastSystem?.showWarning(`${result.message}. ${details.join('; ')}`, 10000);
+        } else if (result.sent.length > 0) {
+            this.toastSystem?.showSuccess(result.message);
+        }
+
+        this.refreshTicketDisplay();
+    }
+
+    /**
+     * Show how many changes are waiting to be sent to the server
+     */
+    updateSyncStatus() {
+        const status = document.getElementById('syncStatus');
+        if (!status) return;
+
+        const pending = this.ticketManager.getPendingChangeCount();
+        status.textContent = pending > 0
+            ? `${pending} ${pending === 1 ? 'change' : 'changes'} waiting to sync`
+            : (navigator.onLine === false ? 'Offline' : '');
+        status.classList.toggle('hidden', status.textContent === '');
+    }
+
+    /**
+     * Wire card checkboxes (click, shift-click ranges, select all visible) and the bulk action bar
+     */
+    wireBulkActions() {
+        if (!this.ticketSelection) return;
+
+        // Card checkboxes (delegated); the browser has already toggled the box when click fires
+        document.addEventListener('click', (event) => {
+            const checkbox = event.target.closest ? event.target.closest('.ticket-select') : null;
+            if (!checkbox) return;
+
+            this.ticketSelection.toggle(checkbox.getAttribute('data-ticket-id'), checkbox.checked, {
+                range: event.shiftKey,
+                orderedIds: this.visibleTicketIds
+            });
+            this.updateBulkSelectionUI();
+        });
+
+        document.getElementById('selectAllTickets')?.addEventListener('change', (event) => {
+            if (event.target.checked) {
+                this.ticketSelection.selectAll(this.visibleTicketIds);
+            } else {
+                this.ticketSelection.clear();
+            }
+            this.updateBulkSelectionUI();
+        });
+
+        document.getElementById('clearSelectionBtn')?.addEventListener('click', () => {
+            this.ticketSelection.clear();
+            this.updateBulkSelectionUI();
+        });
+
+        document.getElementById('applyBulkStatus')?.addEventListener('click', async () => {
+            const status = document.getElementById('bulkStatusSelect')?.value;
+            if (status) {
+                await this.handleBulkStatusChange(status);
+            }
+        });
+
+        document.querySelectorAll('.bulk-export-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.handleExportTickets(button.getAttribute('data-format'), this.getSelectedTicketIds());
+            });
+        });
+
+        const deleteModal = document.getElementById('bulkDeleteConfirmModal');
+        document.getElementById('bulkDeleteBtn')?.addEventListener('click', async () => {
+            await this.showBulkDeleteConfirmation(deleteModal);
+        });
+        document.getElementById('confirmBulkDelete')?.addEventListener('click', async () => {
+            await this.handleBulkDelete(deleteModal);
+        });
+        this.setupModalClose(deleteModal);
+
+        this.updateBulkSelectionUI();
+    }
+
+    /**
+     * Selected tickets in the order they are listed
+     * @returns {Array<string>} Ticket IDs
+     */
+    getSelectedTicketIds() {
+        return this.ticketSelection ? this.ticketSelection.getSelectedIds(this.visibleTicketIds) : [];
+    }
+
+    /**
+     * Sync checkboxes, card highlighting, the selection count and bulk buttons with the selection
+     */
+    updateBulkSelectionUI() {
+        if (!this.ticketSelection) return;
+
+        const count = this.getSelectedTicketIds().length;
+
+        document.querySelectorAll('.ticket-select').forEach(checkbox => {
+            const selected = this.ticketSelection.isSelected(checkbox.getAttribute('data-ticket-id'));
+            checkbox.checked = selected;
+            checkbox.closest('.ticket-card')?.classList.toggle('selected', selected);
+        });
+
+        const selectAll = document.getElementById('selectAllTickets');
+        if (selectAll) {
+            selectAll.checked = this.ticketSelection.includesAll(this.visibleTicketIds);
+            selectAll.indeterminate = count > 0 && !selectAll.checked;
+            selectAll.disabled = this.visibleTicketIds.length === 0;
+        }
+
+        const countElement = document.getElementById('bulkSelectionCount');
+        if (countElement) {
+            countElement.textContent = `${count} selected`;
+        }
+
+        document.querySelectorAll('#bulkStatusSelect, #applyBulkStatus, #bulkDeleteBtn, #clearSelectionBtn, .bulk-export-btn').forEach(control => {
+            control.disabled = count === 0;
+        });
+    }
+
+    /**
+     * Show one toast for a bulk action, listing why tickets were skipped
+     * @param {Object} result - Bulk result from TicketManager
+     * @param {Array} actions - Toast buttons, e.g. from getUndoActions (kept on screen longer)
+     */
+    showBulkResult(result, actions = []) {
+        if (result.error) {
+            this.toastSystem?.showError(result.error);
+            return;
+        }
+
+        const reasons = [...new Set((result.failed || []).map(failure => failure.error))];
+        if (reasons.length === 0) {
+            this.toastSystem?.showSuccess(result.message, actions.length > 0 ? 8000 : 3000, actions);
+        } else {
+            this.toastSystem?.showWarning(`${result.message} (${reasons.join('; ')})`, actions.length > 0 ? 8000 : 6000, actions);
+        }
+    }
+
+    /**
+     * Toast action that undoes the change just made
+     * @returns {Array} Actions for ToastSystem.show
+     */
+    getUndoActions() {
+        return this.ticketManager.getLastChange() ? [{ label: 'Undo', onClick: () => this.handleUndo() }] : [];
+    }
+
+    /**
+     * Undo the user's most recent ticket change
+     */
+    async handleUndo() {
+        const result = await this.ticketManager.undoLastChange();
+
+        if (result.success) {
+            this.toastSystem?.showSuccess(result.message, 3000, this.getUndoActions());
+        } else {
+            this.toastSystem?.showError(result.error || result.message);
+        }
+
+        this.refreshTicketDisplay();
+    }
+
+    /**
+     * Keep only the tickets a bulk action could not change selected, so they can be retried
+     * @param {Object} result - Bulk result from TicketManager
+     */
+    keepFailedSelection(result) {
+        this.ticketSelection.clear();
+        this.ticketSelection.selectAll((result.failed || []).map(failure => failure.id));
+    }
+
+    /**
+     * Move the selected tickets to a status
+     * @param {string} status - New status
+     */
+    async handleBulkStatusChange(status) {
+        const result = await this.ticketManager.bulkUpdateStatus(this.getSelectedTicketIds(), status);
+
+        if (!result.error) {
+            this.keepFailedSelection(result);
+            const bulkStatus = document.getElementById('bulkStatusSelect');
+            if (bulkStatus) bulkStatus.value = '';
+        }
+
+        this.refreshTicketDisplay();
+        this.showBulkResult(result, result.tickets?.length > 0 ? this.getUndoActions() : []);
+    }
+
+    /**
+     * Ask once before deleting the selected tickets
+     * @param {HTMLElement} modal - Bulk delete confirmation modal
+     */
+    async showBulkDeleteConfirmation(modal) {
+        if (!modal) return;
+
+        const result = await this.ticketManager.bulkDeleteTickets(this.getSelectedTicketIds());
+        if (!result.requiresConfirmation) {
+            this.showBulkResult(result);
+            return;
+        }
+
+        const messageElement = modal.querySelector('#bulkDeleteMessage');
+        if (messageElement) {
+            messageElement.textContent = result.failed.length > 0
+                ? `${result.message} ${result.failed.length} selected ${result.failed.length === 1 ? 'ticket' : 'tickets'} cannot be deleted and will be skipped.`
+                : result.message;
+        }
+
+        const confirmBtn = modal.querySelector('#confirmBulkDelete');
+        if (confirmBtn) confirmBtn.disabled = result.tickets.length === 0;
+
+        this.showModal(modal);
+    }
+
+    /**
+     * Delete the selected tickets after confirmation
+     * @param {HTMLElement} modal - Bulk delete confirmation modal
      */
-    async handleLogout() {
-        if (confirm('Are you sure you want to logout?')) {
-            const result = this.authManager.logout();
-            
-            if (result.success) {
-                this.toastSystem?.showSuccess('Logged out successfully');
-                
-                setTimeout(() => {
-                    window.location.href = '/';
-                }, 500);
-            } else {
-                this.toastSystem?.showError('Logout failed');
-            }
+    async handleBulkDelete(modal) {
+        const result = await this.ticketManager.bulkDeleteTickets(this.getSelectedTicketIds(), true);
+
+        if (!result.error) {
+            this.keepFailedSelection(result);
+            this.hideModal(modal);
         }
+
+        this.refreshTicketDisplay();
+        this.showBulkResult(result, result.tickets?.length > 0 ? this.getUndoActions() : []);
     }
 
     /**
-     * Setup authentication state monitoring
+     * Wire the trash dialog: restore deleted tickets or delete them permanently
      */
-    setupAuthStateMonitoring() {
-        // Check authentication on page load for protected pages
-        const protectedPages = ['dashboard', 'tickets'];
-        
-        if (protectedPages.includes(this.currentPage)) {
-            if (!this.authManager.isAuthenticated()) {
-                this.toastSystem?.showWarning('Please log in to access this page');
-                this.authManager.redirectIfNotAuth(window.location.href);
-                return;
+    wireTrash() {
+        const modal = document.getElementById('trashModal');
+        if (!modal) return;
+
+        document.getElementById('trashBtn')?.addEventListener('click', () => {
+            this.renderTrash();
+            this.showModal(modal);
+        });
+
+        // Restore and purge buttons (delegated)
+        modal.addEventListener('click', async (event) => {
+            const button = event.target.closest ? event.target.closest('.restore-ticket-btn, .purge-ticket-btn') : null;
+            if (!button) return;
+
+            const ticketId = button.closest('[data-ticket-id]')?.getAttribute('data-ticket-id');
+            if (!ticketId) return;
+
+            if (button.classList.contains('restore-ticket-btn')) {
+                await this.handleRestoreTicket(ticketId);
+            } else {
+                await this.handlePurgeTicket(ticketId);
             }
+        });
+
+        this.setupModalClose(modal);
+        this.updateTrashCount();
+    }
+
+    /**
+     * List the deleted tickets with when each will be deleted permanently
+     */
+    renderTrash() {
+        const list = document.getElementById('trashList');
+        const note = document.getElementById('trashRetentionNote');
+        const tickets = this.ticketManager.getTrashedTickets();
+
+        if (note) {
+            note.textContent = `Deleted tickets are deleted permanently after ${this.ticketManager.trashRetentionDays} days.`;
         }
 
-        // Redirect authenticated users away from auth pages
-        const authPages = ['login', 'signup'];
-        if (authPages.includes(this.currentPage) && this.authManager.isAuthenticated()) {
-            window.location.href = '/dashboard';
+        if (list) {
+            list.innerHTML = tickets.length === 0
+                ? '<li class="text-sm text-gray-500">The trash is empty.</li>'
+                : tickets.map(ticket => `
+                    <li class="trash-item" data-ticket-id="${this.escapeHtml(ticket.id)}">
+                        <div class="trash-item-info">
+                            <p class="trash-item-title">${this.escapeHtml(ticket.title)}</p>
+                            <p class="trash-item-meta">
+                                Deleted ${this.escapeHtml(this.formatDate(ticket.deletedAt))} ·
+                                deleted permanently on ${this.escapeHtml(this.formatDate(this.ticketManager.getPurgeDate(ticket)))}
+                            </p>
+                        </div>
+                        <button type="button" class="restore-ticket-btn px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50">Restore</button>
+                        <button type="button" class="purge-ticket-btn px-3 py-1 text-sm bg-red-600 hover:bg-red-700 text-white rounded-md">Delete forever</button>
+                    </li>
+                `).join('');
         }
-    }
 
-    // Ticket Management Integration Methods
+        this.updateTrashCount(tickets.length);
+    }
 
     /**
-     * Wire create ticket form
+     * Show how many tickets are in the trash on the Trash button
+     * @param {number} count - Number of deleted tickets (default: counted from the ticket manager)
      */
-    wireCreateTicketForm() {
-        const createBtn = document.getElementById('createTicketBtn');
-        const createFirstBtn = document.getElementById('createFirstTicketBtn');
-        const modal = document.getElementById('createTicketModal');
-        const form = document.getElementById('createTicketForm');
+    updateTrashCount(count = this.ticketManager.getTrashedTickets().length) {
+        const countElement = document.getElementById('trashCount');
+        if (countElement) {
+            countElement.textContent = count;
+        }
+    }
 
-        // Show create modal
-        [createBtn, createFirstBtn].forEach(btn => {
-            if (btn) {
-                btn.addEventListener('click', () => {
-                    this.showModal(modal);
-                    this.resetForm(form);
-                });
-            }
-        });
+    /**
+     * Restore a ticket from the trash
+     * @param {string} ticketId - Ticket ID
+     */
+    async handleRestoreTicket(ticketId) {
+        const result = await this.ticketManager.restoreTicket(ticketId);
 
-        // Handle form submission
-        if (form) {
-            form.addEventListener('submit', async (event) => {
-                event.preventDefault();
-                await this.handleCreateTicket(form, modal);
-            });
+        if (result.success) {
+            this.toastSystem?.showSuccess(`Restored "${result.ticket.title}"`);
+            this.refreshTicketDisplay();
+        } else {
+            this.toastSystem?.showError(result.error || result.message);
         }
 
-        // Handle modal close
-        this.setupModalClose(modal);
+        this.renderTrash();
     }
 
     /**
-     * Wire edit ticket form
+     * Delete a ticket in the trash permanently, after the browser's confirmation
+     * @param {string} ticketId - Ticket ID
      */
-    wireEditTicketForm() {
-        const modal = document.getElementById('editTicketModal');
-        const form = document.getElementById('editTicketForm');
+    async handlePurgeTicket(ticketId) {
+        const check = await this.ticketManager.purgeTicket(ticketId);
+        if (!check.requiresConfirmation) {
+            this.toastSystem?.showError(check.error || check.message);
+            this.renderTrash();
+            return;
+        }
 
-        // Handle edit button clicks (delegated)
-        document.addEventListener('click', async (event) => {
-            if (event.target.matches('.edit-ticket-btn, .edit-btn')) {
-                const ticketId = event.target.closest('[data-ticket-id]')?.getAttribute('data-ticket-id');
-                if (ticketId) {
-                    await this.showEditTicketModal(ticketId, modal, form);
-                }
-            }
-        });
+        if (!confirm(check.message)) return;
 
-        // Handle form submission
-        if (form) {
-            form.addEventListener('submit', async (event) => {
-                event.preventDefault();
-                await this.handleEditTicket(form, modal);
-            });
+        const result = await this.ticketManager.purgeTicket(ticketId, true);
+        if (result.success) {
+            this.toastSystem?.showSuccess(result.message);
+        } else {
+            this.toastSystem?.showError(result.error || result.message);
         }
 
-        // Handle modal close
-        this.setupModalClose(modal);
+        this.renderTrash();
     }
 
     /**
-     * Wire delete ticket confirmation
+     * Wire ticket detail view (comment threads)
      */
-    wireDeleteTicketConfirmation() {
-        const modal = document.getElementById('deleteConfirmModal');
-
-        // Handle delete button clicks (delegated)
+    wireTicketDetail() {
+        // Handle comments button clicks (delegated)
         document.addEventListener('click', (event) => {
-            if (event.target.matches('.delete-ticket-btn, .delete-btn')) {
-                const ticketId = event.target.closest('[data-ticket-id]')?.getAttribute('data-ticket-id');
+            const button = event.target.closest('.view-comments-btn');
+            if (button) {
+                const ticketId = button.closest('[data-ticket-id]')?.getAttribute('data-ticket-id');
                 if (ticketId) {
-                    this.showDeleteConfirmation(ticketId, modal);
+                    this.ticketManager.showTicketDetail(ticketId);
                 }
             }
         });
-
-        // Handle confirmation
-        const confirmBtn = document.getElementById('confirmDeleteTicket');
-        if (confirmBtn) {
-            confirmBtn.addEventListener('click', async () => {
-                await this.handleDeleteTicket(modal);
-            });
-        }
-
-        // Handle modal close
-        this.setupModalClose(modal);
     }
 
     /**
@@ -448,6 +1444,14 @@ class AppIntegration {
             }
         });
 
+        // Created by me / assigned to me / unassigned
+        const assignmentFilter = document.getElementById('assignmentFilter');
+        if (assignmentFilter) {
+            assignmentFilter.addEventListener('change', () => {
+                this.applyAssignmentFilter(assignmentFilter.value);
+            });
+        }
+
         // Sort dropdown
         const sortSelect = document.getElementById('sortSelect');
         if (sortSelect) {
@@ -455,6 +1459,25 @@ class AppIntegration {
                 this.handleTicketSort(sortSelect.value);
             });
         }
+
+        // Search box (debounced while typing, Escape clears)
+        const searchInput = document.getElementById('ticketSearch');
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchDebounceTimer);
+                this.searchDebounceTimer = setTimeout(() => {
+                    this.applyTicketSearch(searchInput.value);
+                }, 150);
+            });
+
+            searchInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape' && searchInput.value) {
+                    searchInput.value = '';
+                    clearTimeout(this.searchDebounceTimer);
+                    this.applyTicketSearch('');
+                }
+            });
+        }
     }
 
     /**
@@ -464,14 +1487,103 @@ class AppIntegration {
         // Initial load
         this.refreshTicketDisplay();
 
-        // Listen for storage changes (for multi-tab sync)
-        window.addEventListener('storage', (event) => {
-            if (event.key === 'tickets') {
-                this.refreshTicketDisplay();
-            }
+        // Show tickets saved in other tabs as they change
+        window.addEventListener('ticketsChangedElsewhere', (event) => {
+            this.handleExternalTicketChanges(event.detail);
+        });
+    }
+
+    /**
+     * Show tickets saved in another tab: re-render the list without losing the scroll position,
+     * filters or sort order, highlight the changed cards and bring open dialogs up to date
+     * @param {Object} changes - { created, updated, deleted } from TicketManager.watchExternalChanges
+     */
+    handleExternalTicketChanges(changes) {
+        const board = document.querySelector('.board-columns');
+        const scroll = { x: window.scrollX, y: window.scrollY, boardLeft: board ? board.scrollLeft : 0 };
+
+        this.refreshTicketDisplay();
+
+        window.scrollTo(scroll.x, scroll.y);
+        const renderedBoard = document.querySelector('.board-columns');
+        if (renderedBoard) renderedBoard.scrollLeft = scroll.boardLeft;
+
+        this.highlightTicketCards([...changes.created, ...changes.updated].map(ticket => ticket.id));
+        this.updateOpenEditModal(changes);
+        this.updateOpenTicketDetail(changes);
+
+        const trashModal = document.getElementById('trashModal');
+        if (trashModal && !trashModal.classList.contains('hidden')) {
+            this.renderTrash();
+        }
+    }
+
+    /**
+     * Briefly highlight ticket cards, e.g. after they changed in another tab
+     * @param {Array<string>} ticketIds - Ticket IDs
+     */
+    highlightTicketCards(ticketIds) {
+        ticketIds.forEach(ticketId => {
+            document.querySelectorAll(`.ticket-card[data-ticket-id="${ticketId}"], .board-card[data-ticket-id="${ticketId}"]`).forEach(card => {
+                card.classList.add('ticket-card-changed');
+                setTimeout(() => card.classList.remove('ticket-card-changed'), 3000);
+            });
         });
     }
 
+    /**
+     * Keep the edit dialog in step with the ticket it edits after a save in another tab
+     * Without edits the dialog simply shows the new version; with edits the merge dialog is shown
+     * at once, rather than when saving.
+     * @param {Object} changes - { created, updated, deleted }
+     */
+    updateOpenEditModal(changes) {
+        const modal = document.getElementById('editTicketModal');
+        const form = document.getElementById('editTicketForm');
+        if (!modal || !form || modal.classList.contains('hidden') || !this.editingTicket) return;
+
+        const ticketId = this.editingTicket.id;
+        if (changes.deleted.some(ticket => ticket.id === ticketId)) {
+            this.hideModal(modal);
+            this.toastSystem?.showWarning('The ticket you were editing was deleted in another tab');
+            return;
+        }
+
+        const current = changes.updated.find(ticket => ticket.id === ticketId);
+        if (!current) return;
+
+        const edits = this.getEditFormChanges(form);
+        const edited = this.ticketManager.compareWithStoredTicket(edits, this.editingTicket).some(item => item.differs);
+        if (edited) {
+            this.showEditConflict(form, modal, ticketId, this.ticketManager.createConflictResult(current, edits));
+        } else {
+            this.showEditTicketModal(ticketId, modal, form);
+        }
+    }
+
+    /**
+     * Re-render the ticket detail dialog after its ticket changed in another tab, keeping a comment draft
+     * @param {Object} changes - { created, updated, deleted }
+     */
+    updateOpenTicketDetail(changes) {
+        const modal = document.getElementById('ticketDetailModal');
+        const ticketId = this.ticketManager.detailTicketId;
+        if (!modal || modal.classList.contains('hidden') || !ticketId) return;
+
+        if (changes.deleted.some(ticket => ticket.id === ticketId)) {
+            this.ticketManager.hideModal('ticketDetailModal');
+            this.toastSystem?.showWarning('The ticket you were viewing was deleted in another tab');
+            return;
+        }
+
+        if (changes.updated.some(ticket => ticket.id === ticketId)) {
+            const draft = modal.querySelector('#commentBody')?.value || '';
+            this.ticketManager.showTicketDetail(ticketId);
+            const commentBody = modal.querySelector('#commentBody');
+            if (commentBody) commentBody.value = draft;
+        }
+    }
+
     // Dashboard Integration Methods
 
     /**
@@ -494,13 +1606,7 @@ class AppIntegration {
      * Setup statistics auto-refresh
      */
     setupStatsAutoRefresh() {
-        // Listen for ticket changes
-        window.addEventListener('storage', (event) => {
-            if (event.key === 'tickets') {
-                this.loadDashboardStatistics();
-            }
-        });
-
+        // Changes from other tabs are picked up by setupDashboardRealTimeUpdates
         // Periodic refresh
         setInterval(() => {
             this.loadDashboardStatistics();
@@ -667,6 +1773,7 @@ class AppIntegration {
         if (path.includes('/tickets')) return 'tickets';
         if (path.includes('/auth/login')) return 'login';
         if (path.includes('/auth/signup')) return 'signup';
+        if (path.includes('/account') || path.includes('/profile')) return 'account';
         
         // Check body classes or elements
         if (document.body.classList.contains('landing-page-body')) return 'landing';
@@ -910,6 +2017,9 @@ class AppIntegration {
             description: formData.get('description')?.trim(),
             status: formData.get('status')
         };
+        if (formData.has('assignee')) {
+            ticketData.assignee = formData.get('assignee');
+        }
 
         this.setFormLoadingState(form, true);
 
@@ -945,11 +2055,23 @@ class AppIntegration {
             return;
         }
 
-        // Populate form
+        // Populate form, keeping the version the edit is based on to detect changes saved meanwhile
+        this.editingTicket = ticket;
         form.querySelector('#editTicketId').value = ticket.id;
+        const versionInput = form.querySelector('#editTicketVersion');
+        if (versionInput) versionInput.value = this.ticketManager.getTicketVersion(ticket);
+        const conflictContainer = form.querySelector('#editConflict');
+        if (conflictContainer) {
+            conflictContainer.innerHTML = '';
+            conflictContainer.classList.add('hidden');
+        }
         form.querySelector('#editTitle').value = ticket.title;
         form.querySelector('#editDescription').value = ticket.description || '';
-        form.querySelector('#editStatus').value = ticket.status;
+        // Only offer the states the workflow allows from the current one
+        const statusSelect = form.querySelector('#editStatus');
+        statusSelect.innerHTML = this.ticketManager.createStatusOptionsHTML(ticket.status, ticket.status);
+        statusSelect.value = ticket.status;
+        this.populateAssigneeField(form, ticket.assignee || '');
 
         // Update character counters
         this.updateCharacterCounter('editTitle', ticket.title.length);
@@ -961,6 +2083,14 @@ class AppIntegration {
         if (createdDate) createdDate.textContent = this.formatDate(ticket.createdAt);
         if (updatedDate) updatedDate.textContent = this.formatDate(ticket.updatedAt);
 
+        // Render activity timeline
+        const historyContainer = form.querySelector('#editTicketHistory');
+        if (historyContainer) {
+            historyContainer.innerHTML = this.ticketManager.createHistoryTimelineHTML(
+                this.ticketManager.getTicketHistory(ticket.id)
+            );
+        }
+
         this.showModal(modal);
     }
 
@@ -970,21 +2100,51 @@ class AppIntegration {
     async handleEditTicket(form, modal) {
         const formData = new FormData(form);
         const ticketId = formData.get('id');
-        const updates = {
+        const updates = this.getEditFormChanges(form);
+        if (formData.get('version')) {
+            updates.version = formData.get('version');
+        }
+
+        await this.saveTicketEdit(form, modal, ticketId, updates);
+    }
+
+    /**
+     * Read the fields of the edit form
+     * @param {HTMLFormElement} form - Edit form
+     * @returns {Object} Title, description, status and, when shown, assignee
+     */
+    getEditFormChanges(form) {
+        const formData = new FormData(form);
+        const changes = {
             title: formData.get('title')?.trim(),
             description: formData.get('description')?.trim(),
             status: formData.get('status')
         };
+        if (formData.has('assignee')) {
+            changes.assignee = formData.get('assignee');
+        }
+        return changes;
+    }
 
+    /**
+     * Save an edit from the edit modal, showing the merge dialog when the ticket changed meanwhile
+     * @param {HTMLFormElement} form - Edit form
+     * @param {HTMLElement} modal - Edit modal
+     * @param {string} ticketId - Ticket ID
+     * @param {Object} updates - Changes, with the version they are based on
+     */
+    async saveTicketEdit(form, modal, ticketId, updates) {
         this.setFormLoadingState(form, true);
 
         try {
             const result = await this.ticketManager.updateTicket(ticketId, updates);
             
             if (result.success) {
-                this.toastSystem?.showSuccess('Ticket updated successfully!');
+                this.toastSystem?.showSuccess('Ticket updated successfully!', 8000, this.getUndoActions());
                 this.hideModal(modal);
                 this.refreshTicketDisplay();
+            } else if (result.conflict) {
+                this.showEditConflict(form, modal, ticketId, result);
             } else {
                 if (result.errors) {
                     this.displayFormErrors(form, result.errors);
@@ -999,6 +2159,33 @@ class AppIntegration {
         }
     }
 
+    /**
+     * Show the merge dialog for an edit based on an older version of the ticket
+     * @param {HTMLFormElement} form - Edit form
+     * @param {HTMLElement} modal - Edit modal
+     * @param {string} ticketId - Ticket ID
+     * @param {Object} conflict - Conflict result from updateTicket
+     */
+    showEditConflict(form, modal, ticketId, conflict) {
+        const container = form.querySelector('#editConflict');
+        if (!container) {
+            this.toastSystem?.showError(`${conflict.error}. Reopen it to see the changes.`);
+            return;
+        }
+
+        // The list behind the modal may show the old version too
+        this.refreshTicketDisplay();
+
+        this.ticketManager.showConflictMerge(container, conflict, this.editingTicket, {
+            onSave: async (updates) => {
+                this.editingTicket = conflict.ticket;
+                await this.saveTicketEdit(form, modal, ticketId, updates);
+            },
+            // Start over from the stored ticket
+            onDiscard: () => this.showEditTicketModal(ticketId, modal, form)
+        });
+    }
+
     /**
      * Show delete confirmation
      */
@@ -1033,7 +2220,7 @@ class AppIntegration {
             const result = await this.ticketManager.deleteTicket(ticketId, true);
             
             if (result.success) {
-                this.toastSystem?.showSuccess('Ticket deleted successfully!');
+                this.toastSystem?.showSuccess(result.message, 8000, this.getUndoActions());
                 this.hideModal(modal);
                 this.refreshTicketDisplay();
             } else {
@@ -1063,37 +2250,79 @@ class AppIntegration {
      * Apply ticket filter
      */
     applyTicketFilter(status) {
-        let tickets = this.ticketManager.getTickets();
-        
-        if (status !== 'all') {
-            tickets = tickets.filter(ticket => ticket.status === status);
-        }
-        
-        this.renderTickets(tickets);
+        this.ticketFilters.status = status;
+        this.applyTicketView();
+    }
+
+    /**
+     * Apply the created by me / assigned to me / unassigned filter
+     * @param {string} assignment - 'all', 'created', 'assigned' or 'unassigned'
+     */
+    applyAssignmentFilter(assignment) {
+        this.ticketFilters.assignment = assignment || 'all';
+        this.applyTicketView();
+    }
+
+    /**
+     * Fill a ticket form's assignee picker with the known users
+     * The field is hidden, and left out of the submitted data, for users who may not assign tickets.
+     * @param {HTMLElement} form - Create or edit ticket form
+     * @param {string} assignee - Current assignee
+     */
+    populateAssigneeField(form, assignee) {
+        const select = form?.querySelector('select[name="assignee"]');
+        if (!select) return;
+
+        const canAssign = this.ticketManager.canAssignTickets();
+        select.disabled = !canAssign;
+        select.closest('.assignee-field')?.classList.toggle('hidden', !canAssign);
+        select.innerHTML = this.ticketManager.createAssigneeOptionsHTML(assignee);
+    }
+
+    /**
+     * Apply ticket search
+     */
+    applyTicketSearch(query) {
+        this.ticketFilters.query = (query || '').trim();
+        this.applyTicketView();
     }
 
     /**
      * Handle ticket sort
      */
     handleTicketSort(sortBy) {
-        let tickets = this.ticketManager.getTickets();
-        
-        switch (sortBy) {
-            case 'newest':
-                tickets.sort((a, b) => b.createdAt - a.createdAt);
-                break;
-            case 'oldest':
-                tickets.sort((a, b) => a.createdAt - b.createdAt);
-                break;
-            case 'title':
-                tickets.sort((a, b) => a.title.localeCompare(b.title));
-                break;
-            case 'status':
-                tickets.sort((a, b) => a.status.localeCompare(b.status));
-                break;
+        this.ticketFilters.sortBy = sortBy;
+        this.applyTicketView();
+    }
+
+    /**
+     * Render tickets matching the current status filter, search and sort order
+     */
+    applyTicketView() {
+        if (this.ticketViewMode === 'board' && this.ticketBoard) {
+            const tickets = this.ticketManager.filterTickets(this.getActiveTicketFilters());
+            this.ticketBoard.render('ticketBoard', tickets, { highlight: this.ticketFilters.query });
+            document.getElementById('emptyState')?.classList.add('hidden');
+            this.setVisibleTickets([]);
+            return;
         }
-        
+
+        const tickets = this.ticketManager.filterTickets(this.ticketFilters);
         this.renderTickets(tickets);
+        this.setVisibleTickets(tickets);
+    }
+
+    /**
+     * Remember which cards are listed and drop hidden tickets from the selection
+     * @param {Array} tickets - Tickets currently shown in the grid
+     */
+    setVisibleTickets(tickets) {
+        this.visibleTicketIds = tickets.map(ticket => ticket.id);
+
+        if (this.ticketSelection) {
+            this.ticketSelection.retain(this.visibleTicketIds);
+            this.updateBulkSelectionUI();
+        }
     }
 
     /**
@@ -1101,8 +2330,9 @@ class AppIntegration {
      */
     refreshTicketDisplay() {
         if (this.currentPage === 'tickets' && this.ticketManager) {
-            const tickets = this.ticketManager.getTickets();
-            this.renderTickets(tickets);
+            this.applyTicketView();
+            this.updateTrashCount();
+            this.updateSyncStatus();
         }
     }
 
@@ -1120,7 +2350,19 @@ class AppIntegration {
 
         // Show empty state if no tickets
         if (tickets.length === 0) {
-            if (emptyState) {
+            const isFiltered = this.ticketFilters.query || this.ticketFilters.status !== 'all' || this.ticketFilters.assignment !== 'all';
+            
+            if (isFiltered) {
+                // Tickets exist but none match, so don't offer to create the first one
+                if (emptyState) {
+                    emptyState.classList.add('hidden');
+                }
+                container.innerHTML = `
+                    <div class="no-results text-center py-12 text-gray-500" role="status">
+                        No tickets match ${this.ticketFilters.query ? `"${this.escapeHtml(this.ticketFilters.query)}"` : 'this filter'}.
+                    </div>
+                `;
+            } else if (emptyState) {
                 emptyState.classList.remove('hidden');
             }
             return;
@@ -1154,12 +2396,32 @@ class AppIntegration {
         // Set ticket ID
         card.setAttribute('data-ticket-id', ticket.id);
         
-        // Populate content
-        element.querySelector('.ticket-title').textContent = ticket.title;
-        element.querySelector('.ticket-description').textContent = ticket.description || 'No description';
+        // Populate content, highlighting search matches
+        const query = this.ticketFilters.query;
+        if (query) {
+            element.querySelector('.ticket-title').innerHTML = this.ticketManager.highlightText(ticket.title, query);
+            element.querySelector('.ticket-description').innerHTML = ticket.description
+                ? this.ticketManager.highlightText(ticket.description, query)
+                : 'No description';
+        } else {
+            element.querySelector('.ticket-title').textContent = ticket.title;
+            element.querySelector('.ticket-description').textContent = ticket.description || 'No description';
+        }
         element.querySelector('.status-text').textContent = ticket.status;
         element.querySelector('.created-date').textContent = this.formatDate(ticket.createdAt);
         element.querySelector('.updated-date').textContent = this.formatDate(ticket.updatedAt);
+
+        // Show the creator and assignee with their display names and avatars
+        const creatorName = element.querySelector('.creator-name');
+        if (creatorName) creatorName.innerHTML = this.ticketManager.createPersonHTML(this.ticketManager.getTicketCreator(ticket));
+        const assignee = element.querySelector('.ticket-assignee');
+        if (assignee) {
+            if (ticket.assignee) {
+                assignee.querySelector('.assignee-name').innerHTML = this.ticketManager.createPersonHTML(this.ticketManager.getAssigneeUser(ticket), ticket.assignee);
+            } else {
+                assignee.remove();
+            }
+        }
         
         // Set status classes
         const statusBadge = element.querySelector('.ticket-status-badge');
@@ -1173,8 +2435,30 @@ class AppIntegration {
         const editBtn = element.querySelector('.edit-ticket-btn');
         const deleteBtn = element.querySelector('.delete-ticket-btn');
         
-        if (editBtn) editBtn.setAttribute('data-ticket-id', ticket.id);
-        if (deleteBtn) deleteBtn.setAttribute('data-ticket-id', ticket.id);
+        // Only offer the actions the user's role allows
+        if (editBtn) {
+            if (this.ticketManager.canEditTicket(ticket)) {
+                editBtn.setAttribute('data-ticket-id', ticket.id);
+            } else {
+                editBtn.remove();
+            }
+        }
+        if (deleteBtn) {
+            if (this.ticketManager.canDeleteTicket(ticket)) {
+                deleteBtn.setAttribute('data-ticket-id', ticket.id);
+            } else {
+                deleteBtn.remove();
+            }
+        }
+
+        const commentCount = element.querySelector('.comment-count');
+        if (commentCount) commentCount.textContent = this.ticketManager.getCommentCount(ticket.id);
+
+        const selectBox = element.querySelector('.ticket-select');
+        if (selectBox) {
+            selectBox.setAttribute('data-ticket-id', ticket.id);
+            selectBox.setAttribute('aria-label', `Select ticket ${ticket.title}`);
+        }
 
         return element;
     }
@@ -1191,29 +2475,39 @@ class AppIntegration {
             <div class="flex items-start justify-between mb-4">
                 <div class="flex-1">
                     <div class="flex items-center gap-3 mb-2">
-                        <h3 class="text-lg font-semibold text-gray-900 truncate">${this.escapeHtml(ticket.title)}</h3>
+                        <input type="checkbox" class="ticket-select" data-ticket-id="${this.ticketManager.escapeHtml(ticket.id)}" aria-label="Select ticket ${this.ticketManager.escapeHtml(ticket.title)}">
+                        <h3 class="text-lg font-semibold text-gray-900 truncate">${this.ticketManager.highlightText(ticket.title, this.ticketFilters.query)}</h3>
                         <span class="px-3 py-1 rounded-full text-sm font-medium ${this.getStatusClass(ticket.status)}">
                             <span class="w-2 h-2 rounded-full inline-block mr-2 ${this.getStatusIndicatorClass(ticket.status)}"></span>
                             ${ticket.status}
                         </span>
                     </div>
-                    <p class="text-gray-600 text-sm line-clamp-2">${this.escapeHtml(ticket.description || 'No description')}</p>
+                    <p class="text-gray-600 text-sm line-clamp-2">${ticket.description ? this.ticketManager.highlightText(ticket.description, this.ticketFilters.query) : 'No description'}</p>
                 </div>
                 <div class="flex items-center gap-2 ml-4">
-                    <button class="edit-ticket-btn text-gray-400 hover:text-blue-600 transition-colors duration-200" data-ticket-id="${ticket.id}" title="Edit ticket">
+                    ${this.ticketManager.canEditTicket(ticket) ? `
+                    <button class="edit-ticket-btn text-gray-400 hover:text-blue-600 transition-colors duration-200" data-ticket-id="${this.ticketManager.escapeHtml(ticket.id)}" title="Edit ticket">
                         <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path>
                         </svg>
-                    </button>
-                    <button class="delete-ticket-btn text-gray-400 hover:text-red-600 transition-colors duration-200" data-ticket-id="${ticket.id}" title="Delete ticket">
+                    </button>` : ''}
+                    ${this.ticketManager.canDeleteTicket(ticket) ? `
+                    <button class="delete-ticket-btn text-gray-400 hover:text-red-600 transition-colors duration-200" data-ticket-id="${this.ticketManager.escapeHtml(ticket.id)}" title="Delete ticket">
                         <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
                         </svg>
-                    </button>
+                    </button>` : ''}
                 </div>
             </div>
+            <div class="ticket-people flex flex-wrap items-center gap-4 text-sm text-gray-600 mb-3">
+                <span class="ticket-creator ticket-person">Created by ${this.ticketManager.createPersonHTML(this.ticketManager.getTicketCreator(ticket))}</span>
+                ${ticket.assignee ? `<span class="ticket-assignee ticket-person">Assignee: ${this.ticketManager.createPersonHTML(this.ticketManager.getAssigneeUser(ticket), ticket.assignee)}</span>` : ''}
+            </div>
             <div class="flex items-center justify-between text-sm text-gray-500">
                 <span>Created: ${this.formatDate(ticket.createdAt)}</span>
+                <button class="view-comments-btn hover:text-blue-600 transition-colors duration-200" title="View comments">
+                    Comments (<span class="comment-count">${this.ticketManager.getCommentCount(ticket.id)}</span>)
+                </button>
                 <span>Updated: ${this.formatDate(ticket.updatedAt)}</span>
             </div>
         `;
@@ -1337,11 +2631,9 @@ class AppIntegration {
      * Setup dashboard real-time updates
      */
     setupDashboardRealTimeUpdates() {
-        // Listen for ticket changes
-        window.addEventListener('storage', (event) => {
-            if (event.key === 'tickets') {
-                this.loadDashboardStatistics();
-            }
+        // Listen for tickets saved in other tabs
+        window.addEventListener('ticketsChangedElsewhere', () => {
+            this.loadDashboardStatistics();
         });
     }
 
@@ -1509,6 +2801,12 @@ class AppIntegration {
                         event.preventDefault();
                         this.refreshTicketDisplay();
                         break;
+                    case 'z':
+                        // Leave undo in text fields to the browser
+                        if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) break;
+                        event.preventDefault();
+                        this.handleUndo();
+                        break;
                 }
             }
         });
@@ -1697,30 +2995,23 @@ class AppIntegration {
      * Get status class
      */
     getStatusClass(status) {
-        const classes = {
-            'Open': 'bg-green-100 text-green-800',
-            'In Progress': 'bg-amber-100 text-amber-800',
-            'Closed': 'bg-gray-100 text-gray-800'
-        };
-        return classes[status] || 'bg-gray-100 text-gray-800';
+        return this.ticketManager.workflow.getBadgeClasses(status);
     }
 
     /**
      * Get status indicator class
      */
     getStatusIndicatorClass(status) {
-        const classes = {
-            'Open': 'bg-green-500',
-            'In Progress': 'bg-amber-500',
-            'Closed': 'bg-gray-500'
-        };
-        return classes[status] || 'bg-gray-500';
+        return this.ticketManager.workflow.getIndicatorClass(status);
     }
 
     /**
-     * Format date
+     * Format date in the current user's time zone
      */
     formatDate(timestamp) {
+        if (this.ticketManager) {
+            return this.ticketManager.formatDate(timestamp);
+        }
         const date = new Date(timestamp);
         return date.toLocaleDateString('en-US', {
             month: 'short',
@@ -1730,13 +3021,18 @@ class AppIntegration {
     }
 
     /**
-     * Escape HTML
+     * Escape HTML, including quotes so the result is safe inside attribute values
      */
     escapeHtml(text) {
         if (!text) return '';
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, (m) => map[m]);
     }
 }
 
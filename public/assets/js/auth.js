@@ -1,15 +1,814 @@
 /**
- * AuthManager - Handles user authentication using localStorage simulation
- * Provides login, logout, session validation, and route protection
+ * UserRegistry - Stores registered users with salted PBKDF2 password hashes
+ *
+ * Users are kept in localStorage (default key: 'ticketapp_users') as records of the shape
+ * { id, username, email, passwordHash, salt, iterations, createdAt }
+ * Hashes are derived with Web Crypto (PBKDF2-SHA-256) and the iteration count is stored per
+ * record, so it can be raised later without invalidating existing passwords.
+ * Plain passwords are never stored; only toPublicUser() copies leave the registry.
+ * Password reset tokens are kept under a second key (default: 'ticketapp_password_resets')
+ * as { userId, tokenHash, expiresAt }, storing only a SHA-256 hash of each token.
+ */
+class UserRegistry {
+    /**
+     * @param {Object} options - Registry options
+     * @param {string} options.storageKey - localStorage key (default: 'ticketapp_users')
+     * @param {string} options.resetsKey - localStorage key for reset tokens (default: 'ticketapp_password_resets')
+     * @param {number} options.iterations - PBKDF2 iterations for new hashes (default: 100000)
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'ticketapp_users';
+        this.resetsKey = options.resetsKey || 'ticketapp_password_resets';
+        this.iterations = options.iterations || 100000;
+    }
+
+    /**
+     * Demo accounts created by AuthManager.seedDemoUsers() when a page opts in
+     */
+    static get DEMO_USERS() {
+        return [
+            { username: 'demo', email: 'demo@example.com', password: 'password', role: 'requester' },
+            { username: 'admin', email: 'admin@example.com', password: 'admin123', role: 'admin' },
+            { username: 'agent', email: 'agent@example.com', password: 'agent123', role: 'agent' },
+            { username: 'user', email: 'user@example.com', password: 'userpass', role: 'requester' }
+        ];
+    }
+
+    /**
+     * Check whether the page asked for the demo accounts (<meta name="demo-users" content="enabled">)
+     * @returns {boolean} True if demo users should be seeded
+     */
+    static isDemoSeedEnabled() {
+        if (typeof document === 'undefined' || !document.querySelector) {
+            return false;
+        }
+
+        const meta = document.querySelector('meta[name="demo-users"]');
+        return meta ? meta.getAttribute('content') === 'enabled' : false;
+    }
+
+    /**
+     * Register a new user
+     * @param {Object} userData - New user
+     * @param {string} userData.username - Username
+     * @param {string} userData.email - Email address
+     * @param {string} userData.password - Plain password (hashed before storing)
+     * @param {string} userData.id - User ID (optional, generated when missing)
+     * @param {string} userData.role - Role: 'admin', 'agent' or 'requester' (default: 'requester')
+     * @returns {Promise<Object>} Public user data
+     */
+    async register({ username, email, password, id = null, role = 'requester' }) {
+        if (this.findByEmail(email)) {
+            throw this.createFieldError('email', 'An account with this email already exists');
+        }
+        if (this.findByUsername(username)) {
+            throw this.createFieldError('username', 'This username is already taken');
+        }
+
+        const salt = this.generateSalt();
+        const record = {
+            id: id || `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            username: username.trim(),
+            email: email.trim().toLowerCase(),
+            role: role,
+            passwordHash: await this.hashPassword(password, salt, this.iterations),
+            salt: salt,
+            iterations: this.iterations,
+            createdAt: Date.now()
+        };
+
+        const users = this.readAll();
+        users.push(record);
+        this.writeAll(users);
+
+        return this.toPublicUser(record);
+    }
+
+    /**
+     * Change a user's role
+     * @param {string} userId - User ID
+     * @param {string} role - New role
+     * @returns {Object} Public user data
+     */
+    setRole(userId, role) {
+        const users = this.readAll();
+        const record = users.find(user => user.id === userId);
+        if (!record) {
+            throw new Error('User not found');
+        }
+
+        record.role = role;
+        this.writeAll(users);
+        return this.toPublicUser(record);
+    }
+
+    /**
+     * Change a user's profile
+     * @param {string} userId - User ID
+     * @param {Object} profile - Profile fields: displayName, email, timezone and avatar (a data URL, '' for none)
+     * @returns {Object} Public user data
+     */
+    updateProfile(userId, { displayName = '', email, timezone = '', avatar = '' }) {
+        const users = this.readAll();
+        const record = users.find(user => user.id === userId);
+        if (!record) {
+            throw new Error('User not found');
+        }
+
+        const normalizedEmail = String(email || '').trim().toLowerCase();
+        const owner = this.findByEmail(normalizedEmail);
+        if (owner && owner.id !== userId) {
+            throw this.createFieldError('email', 'An account with this email already exists');
+        }
+
+        Object.assign(record, {
+            displayName: String(displayName).trim(),
+            email: normalizedEmail,
+            timezone: timezone,
+            avatar: avatar
+        });
+        this.writeAll(users);
+        return this.toPublicUser(record);
+    }
+
+    /**
+     * Replace a user's password (with a fresh salt and the current iteration count)
+     * @param {string} userId - User ID
+     * @param {string} password - New plain password
+     * @returns {Promise<Object>} Public user data
+     */
+    async setPassword(userId, password) {
+        const salt = this.generateSalt();
+        const passwordHash = await this.hashPassword(password, salt, this.iterations);
+
+        const users = this.readAll();
+        const record = users.find(user => user.id === userId);
+        if (!record) {
+            throw new Error('User not found');
+        }
+
+        Object.assign(record, { passwordHash, salt, iterations: this.iterations });
+        this.writeAll(users);
+        return this.toPublicUser(record);
+    }
+
+    /**
+     * Issue a password reset token for a user, replacing any earlier ones
+     * @param {string} userId - User ID
+     * @param {number} lifetime - Milliseconds the token stays valid
+     * @returns {Promise<string>} Token (only its hash is stored)
+     */
+    async createResetToken(userId, lifetime) {
+        const token = this.toHex(this.getCrypto().getRandomValues(new Uint8Array(32)));
+        const now = Date.now();
+
+        const resets = this.readResets().filter(reset => reset.userId !== userId && reset.expiresAt > now);
+        resets.push({ userId, tokenHash: await this.hashToken(token), expiresAt: now + lifetime });
+        this.writeResets(resets);
+
+        return token;
+    }
+
+    /**
+     * Find the user a password reset token was issued for
+     * @param {string} token - Token from the reset link
+     * @returns {Promise<string|null>} User ID, or null if the token is unknown or expired
+     */
+    async findResetTokenUser(token) {
+        const tokenHash = await this.hashToken(String(token || ''));
+        const now = Date.now();
+        const match = this.readResets().find(reset => this.constantTimeEquals(reset.tokenHash, tokenHash) && reset.expiresAt > now);
+
+        return match ? match.userId : null;
+    }
+
+    /**
+     * Invalidate every outstanding reset token of a user, so a link only works once
+     * Expired tokens of other users are cleared out at the same time
+     * @param {string} userId - User ID
+     */
+    deleteResetTokens(userId) {
+        const now = Date.now();
+        this.writeResets(this.readResets().filter(reset => reset.userId !== userId && reset.expiresAt > now));
+    }
+
+    /**
+     * Create an error tied to a signup form field
+     * @param {string} field - Field name
+     * @param {string} message - Error message
+     * @returns {Error} Error with a `field` property
+     */
+    createFieldError(field, message) {
+        const error = new Error(message);
+        error.field = field;
+        return error;
+    }
+
+    /**
+     * Check a username or email and password against the stored hash
+     * @param {string} login - Username or email
+     * @param {string} password - Plain password
+     * @returns {Promise<Object|null>} Public user data, or null if the credentials do not match
+     */
+    async verify(login, password) {
+        const record = this.findByLogin(login);
+        if (!record) {
+            return null;
+        }
+
+        const hash = await this.hashPassword(password, record.salt, record.iterations);
+        return this.constantTimeEquals(hash, record.passwordHash) ? this.toPublicUser(record) : null;
+    }
+
+    /**
+     * Find a user by ID
+     * @param {string} userId - User ID
+     * @returns {Object|null} Stored record
+     */
+    findById(userId) {
+        return this.readAll().find(user => user.id === userId) || null;
+    }
+
+    /**
+     * Find a user by username or email
+     * @param {string} login - Username or email
+     * @returns {Object|null} Stored record
+     */
+    findByLogin(login) {
+        return String(login).includes('@') ? this.findByEmail(login) : this.findByUsername(login);
+    }
+
+    /**
+     * Find a user by email (case-insensitive)
+     * @param {string} email - Email address
+     * @returns {Object|null} Stored record
+     */
+    findByEmail(email) {
+        const wanted = String(email || '').trim().toLowerCase();
+        return this.readAll().find(user => user.email === wanted) || null;
+    }
+
+    /**
+     * Find a user by username (case-insensitive)
+     * @param {string} username - Username
+     * @returns {Object|null} Stored record
+     */
+    findByUsername(username) {
+        const wanted = String(username || '').trim().toLowerCase();
+        return this.readAll().find(user => user.username.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Strip the password fields from a stored record
+     * @param {Object} record - Stored user record
+     * @returns {Object} Public user data
+     */
+    toPublicUser(record) {
+        return {
+            id: record.id,
+            username: record.username,
+            email: record.email,
+            role: record.role || 'requester',
+            displayName: record.displayName || '',
+            timezone: record.timezone || '',
+            avatar: record.avatar || ''
+        };
+    }
+
+    /**
+     * Derive a PBKDF2-SHA-256 hash
+     * @param {string} password - Plain password
+     * @param {string} salt - Hex-encoded salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<string>} Hex-encoded 256-bit hash
+     */
+    async hashPassword(password, salt, iterations) {
+        const subtle = this.getSubtleCrypto();
+        const encoder = new TextEncoder();
+        const key = await subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await subtle.deriveBits(
+            { name: 'PBKDF2', salt: this.fromHex(salt), iterations: iterations, hash: 'SHA-256' },
+            key,
+            256
+        );
+        return this.toHex(new Uint8Array(bits));
+    }
+
+    /**
+     * Hash a reset token with SHA-256 (tokens are random, so no salt or stretching is needed)
+     * @param {string} token - Token
+     * @returns {Promise<string>} Hex-encoded hash
+     */
+    async hashToken(token) {
+        const digest = await this.getSubtleCrypto().digest('SHA-256', new TextEncoder().encode(token));
+        return this.toHex(new Uint8Array(digest));
+    }
+
+    /**
+     * Generate a random 128-bit salt
+     * @returns {string} Hex-encoded salt
+     */
+    generateSalt() {
+        return this.toHex(this.getCrypto().getRandomValues(new Uint8Array(16)));
+    }
+
+    /**
+     * Compare two hashes without returning early on the first difference
+     * @param {string} a - First hash
+     * @param {string} b - Second hash
+     * @returns {boolean} True if equal
+     */
+    constantTimeEquals(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+            return false;
+        }
+
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    /**
+     * Get the Web Crypto implementation
+     * @returns {Crypto} Crypto object
+     */
+    getCrypto() {
+        if (typeof crypto === 'undefined' || !crypto.getRandomValues) {
+            throw new Error('Secure password hashing is not available in this browser');
+        }
+        return crypto;
+    }
+
+    /**
+     * Get SubtleCrypto (only available on HTTPS pages and localhost)
+     * @returns {SubtleCrypto} SubtleCrypto object
+     */
+    getSubtleCrypto() {
+        const cryptoImpl = this.getCrypto();
+        if (!cryptoImpl.subtle) {
+            throw new Error('Secure password hashing is not available in this browser');
+        }
+        return cryptoImpl.subtle;
+    }
+
+    /**
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Hex string
+     */
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @param {string} hex - Hex string
+     * @returns {Uint8Array} Decoded bytes
+     */
+    fromHex(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Read all user records
+     * @returns {Array} Stored users
+     */
+    readAll() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            const users = stored ? JSON.parse(stored) : [];
+            return Array.isArray(users) ? users : [];
+        } catch (error) {
+            console.error('Error reading users:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Replace all user records
+     * @param {Array} users - Users to store
+     */
+    writeAll(users) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(users));
+        } catch (error) {
+            console.error('Error saving users:', error);
+            throw new Error('Failed to save user account');
+        }
+    }
+
+    /**
+     * Read all password reset records
+     * @returns {Array} Stored resets
+     */
+    readResets() {
+        try {
+            const resets = JSON.parse(localStorage.getItem(this.resetsKey) || '[]');
+            return Array.isArray(resets) ? resets : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Replace all password reset records
+     * @param {Array} resets - Resets to store
+     */
+    writeResets(resets) {
+        localStorage.setItem(this.resetsKey, JSON.stringify(resets));
+    }
+}
+
+/**
+ * LocalOutbox - Keeps the emails the app would send in localStorage instead of sending them
+ *
+ * Used for password reset links in local mode, where there is no mail server. Messages are
+ * stored newest first under 'ticketapp_outbox' and can be read at /dev/outbox in development.
+ */
+class LocalOutbox {
+    /**
+     * @param {Object} options - Outbox options
+     * @param {string} options.storageKey - localStorage key (default: 'ticketapp_outbox')
+     * @param {number} options.limit - Messages to keep (default: 50)
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'ticketapp_outbox';
+        this.limit = options.limit || 50;
+    }
+
+    /**
+     * Store a message
+     * @param {Object} message - Message
+     * @param {string} message.to - Recipient email
+     * @param {string} message.subject - Subject
+     * @param {string} message.body - Plain-text body
+     * @returns {Object} Stored message
+     */
+    send({ to, subject, body }) {
+        const message = {
+            id: `mail_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            to: to,
+            subject: subject,
+            body: body,
+            createdAt: Date.now()
+        };
+
+        localStorage.setItem(this.storageKey, JSON.stringify([message, ...this.getMessages()].slice(0, this.limit)));
+        return message;
+    }
+
+    /**
+     * Get the stored messages, newest first
+     * @returns {Array} Messages
+     */
+    getMessages() {
+        try {
+            const messages = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(messages) ? messages : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Delete every message
+     */
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+/**
+ * LoginThrottle - Slows down and then blocks repeated failed logins for the same account
+ *
+ * Failed attempts are counted per login (username, email or account id) in localStorage. After
+ * freeAttempts failures every further attempt has to wait, the wait doubling each time from
+ * baseDelay; maxAttempts failures lock the login for lockoutDuration. A successful login, the end
+ * of a lockout or a quiet lockoutDuration without failures starts the count again.
+ * The server applies the same limits (App\Models\LoginAttempt) in server mode.
+ */
+class LoginThrottle {
+    /**
+     * @param {Object} options - Throttle options
+     * @param {string} options.storageKey - localStorage key (default: 'ticketapp_login_attempts')
+     * @param {number} options.maxAttempts - Failures that lock the login (default: 5)
+     * @param {number} options.freeAttempts - Failures allowed before attempts have to wait (default: 1)
+     * @param {number} options.baseDelay - First wait in ms, doubled for each further failure (default: 1 second)
+     * @param {number} options.lockoutDuration - How long a lockout lasts in ms (default: 15 minutes)
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'ticketapp_login_attempts';
+        this.maxAttempts = options.maxAttempts || 5;
+        this.freeAttempts = options.freeAttempts !== undefined ? options.freeAttempts : 1;
+        this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 1000;
+        this.lockoutDuration = options.lockoutDuration || 15 * 60 * 1000;
+    }
+
+    /**
+     * Format a wait for messages, rounding up to whole seconds or minutes
+     * @param {number} ms - Wait in milliseconds
+     * @returns {string} e.g. '4 seconds' or '15 minutes'
+     */
+    static formatWait(ms) {
+        const seconds = Math.max(1, Math.ceil(ms / 1000));
+        if (seconds < 60) {
+            return `${seconds} ${seconds === 1 ? 'second' : 'seconds'}`;
+        }
+
+        const minutes = Math.ceil(seconds / 60);
+        return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+    }
+
+    /**
+     * Check whether a login has to wait before the next attempt
+     * @param {string} login - Username, email or account id
+     * @returns {Object|null} { locked, retryAfter (ms), message }, or null when an attempt may be made now
+     */
+    check(login) {
+        const entry = this.getEntry(login);
+        const now = Date.now();
+        if (!entry || !entry.retryAt || entry.retryAt <= now) {
+            return null;
+        }
+
+        const retryAfter = entry.retryAt - now;
+        return {
+            locked: entry.locked,
+            retryAfter: retryAfter,
+            message: entry.locked
+                ? `Too many failed login attempts. Try again in ${LoginThrottle.formatWait(retryAfter)}`
+                : `Please wait ${LoginThrottle.formatWait(retryAfter)} before trying again`
+        };
+    }
+
+    /**
+     * Count a failed attempt
+     * @param {string} login - Username, email or account id
+     * @returns {Object} { attemptsLeft, locked, retryAfter (ms, 0 when the next attempt may be made now), message }
+     */
+    recordFailure(login) {
+        const now = Date.now();
+        const entry = this.getEntry(login) || { failures: 0 };
+
+        entry.failures += 1;
+        entry.lastFailureAt = now;
+        entry.locked = entry.failures >= this.maxAttempts;
+
+        const retryAfter = entry.locked ? this.lockoutDuration : this.getDelay(entry.failures);
+        entry.retryAt = retryAfter > 0 ? now + retryAfter : null;
+        this.setEntry(login, entry);
+
+        const attemptsLeft = Math.max(0, this.maxAttempts - entry.failures);
+        let message = 'Invalid username or password';
+        if (entry.locked) {
+            message = `Too many failed login attempts. Login is locked for ${LoginThrottle.formatWait(retryAfter)}`;
+        } else if (attemptsLeft <= 2) {
+            message += `. ${attemptsLeft} ${attemptsLeft === 1 ? 'attempt' : 'attempts'} left before login is locked for ${LoginThrottle.formatWait(this.lockoutDuration)}`;
+        }
+
+        return { attemptsLeft, locked: entry.locked, retryAfter, message };
+    }
+
+    /**
+     * Make a login wait, e.g. when the server has refused an attempt
+     * @param {string} login - Username, email or account id
+     * @param {number} retryAfter - Wait in ms
+     * @param {boolean} locked - Whether the wait is a lockout
+     */
+    block(login, retryAfter, locked = false) {
+        const now = Date.now();
+        const entry = this.getEntry(login) || { failures: locked ? this.maxAttempts : 0 };
+
+        entry.lastFailureAt = now;
+        entry.locked = Boolean(locked);
+        entry.retryAt = now + retryAfter;
+        this.setEntry(login, entry);
+    }
+
+    /**
+     * Forget the failed attempts of a login after it succeeds
+     * @param {string} login - Username, email or account id
+     */
+    recordSuccess(login) {
+        this.setEntry(login, null);
+    }
+
+    /**
+     * Get the wait after a number of failures (before the lockout)
+     * @param {number} failures - Failed attempts so far
+     * @returns {number} Wait in ms
+     */
+    getDelay(failures) {
+        return failures > this.freeAttempts ? this.baseDelay * Math.pow(2, failures - this.freeAttempts - 1) : 0;
+    }
+
+    /**
+     * Get the stored attempts of a login, ignoring ones that no longer count
+     * @param {string} login - Username, email or account id
+     * @returns {Object|null} { failures, lastFailureAt, retryAt, locked }
+     */
+    getEntry(login) {
+        const entry = this.readEntries()[LoginThrottle.normalize(login)];
+        return entry && !this.isStale(entry, Date.now()) ? entry : null;
+    }
+
+    /**
+     * Store (or with null, delete) the attempts of a login, dropping stale entries of other logins
+     * @param {string} login - Username, email or account id
+     * @param {Object|null} entry - Attempts
+     */
+    setEntry(login, entry) {
+        const now = Date.now();
+        const entries = {};
+        Object.entries(this.readEntries()).forEach(([key, stored]) => {
+            if (!this.isStale(stored, now)) {
+                entries[key] = stored;
+            }
+        });
+
+        if (entry) {
+            entries[LoginThrottle.normalize(login)] = entry;
+        } else {
+            delete entries[LoginThrottle.normalize(login)];
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(entries));
+    }
+
+    /**
+     * Check whether attempts no longer count: the lockout is over, or there were no failures for lockoutDuration
+     * @param {Object} entry - Stored attempts
+     * @param {number} now - Current time in ms
+     * @returns {boolean} True if stale
+     */
+    isStale(entry, now) {
+        return entry.locked ? entry.retryAt <= now : now - entry.lastFailureAt > this.lockoutDuration;
+    }
+
+    /**
+     * @returns {Object} Stored attempts keyed by normalized login
+     */
+    readEntries() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return entries && typeof entries === 'object' && !Array.isArray(entries) ? entries : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Compare logins without case or surrounding spaces
+     * @param {string} login - Username, email or account id
+     * @returns {string} Normalized login
+     */
+    static normalize(login) {
+        return String(login || '').trim().toLowerCase();
+    }
+}
+
+/**
+ * AuthManager - Handles user authentication
+ * Provides signup, login, logout, session validation, and route protection
+ *
+ * In 'local' mode accounts live in the browser's UserRegistry. In 'server' mode signup, login
+ * and logout go to the /api/auth routes, which keep the session in an HttpOnly PHP session
+ * cookie; the signed-in user is mirrored under the same localStorage key so the synchronous
+ * checks (isAuthenticated, getCurrentUser) work in both modes. Call syncSession() on page
+ * load to confirm the mirrored session with the server.
  */
 class AuthManager {
-    constructor() {
+    /**
+     * @param {Object} options - Auth options
+     * @param {string} options.mode - 'local' or 'server' (default: page configuration)
+     * @param {Object} options.users - UserRegistry instance (default: new registry)
+     * @param {boolean} options.demoUsers - Create the demo accounts before logging in (default: page configuration)
+     * @param {string} options.baseUrl - Auth API base URL in server mode (default: '/api/auth')
+     * @param {Function} options.fetch - fetch implementation (default: window.fetch)
+     * @param {number} options.maxAge - Session lifetime after the last activity in ms (default: 24 hours)
+     * @param {number} options.idleTimeout - Sign out after this many ms without activity, 0 to disable (default: page configuration)
+     * @param {number} options.resetTokenLifetime - How long password reset links stay valid in ms (default: 1 hour)
+     * @param {Object} options.outbox - LocalOutbox that receives reset emails in local mode (default: new outbox)
+     * @param {Object} options.throttle - LoginThrottle that limits failed logins (default: new throttle)
+     */
+    constructor(options = {}) {
         this.tokenKey = 'ticketapp_session';
-        this.maxAge = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+        this.maxAge = options.maxAge || 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+        this.idleTimeout = options.idleTimeout !== undefined ? options.idleTimeout : AuthManager.getConfiguredIdleTimeout();
+        this.mode = options.mode || AuthManager.getConfiguredMode();
+        this.users = options.users || new UserRegistry();
+        this.demoUsersEnabled = options.demoUsers !== undefined ? options.demoUsers : UserRegistry.isDemoSeedEnabled();
+        this.baseUrl = (options.baseUrl || '/api/auth').replace(/\/$/, '');
+        this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+        this.resetTokenLifetime = options.resetTokenLifetime || 60 * 60 * 1000;
+        this.outbox = options.outbox || new LocalOutbox();
+        this.throttle = options.throttle || new LoginThrottle();
+    }
+
+    /**
+     * Reply to every reset request, whether or not the email belongs to an account,
+     * so the form cannot be used to find out who has one
+     */
+    static get RESET_REQUESTED_MESSAGE() {
+        return 'If an account exists for that email, a reset link is on its way';
+    }
+
+    /**
+     * Read the auth mode configured by the server-rendered page
+     * @returns {string} Auth mode (default: 'local')
+     */
+    static getConfiguredMode() {
+        if (typeof document === 'undefined' || !document.querySelector) {
+            return 'local';
+        }
+
+        const meta = document.querySelector('meta[name="auth-mode"]');
+        return (meta && meta.getAttribute('content')) || 'local';
+    }
+
+    /**
+     * Read the idle timeout configured by the server-rendered page (given there in minutes)
+     * @returns {number} Idle timeout in milliseconds (default: 30 minutes, 0 when disabled)
+     */
+    static getConfiguredIdleTimeout() {
+        const defaultTimeout = 30 * 60 * 1000;
+        if (typeof document === 'undefined' || !document.querySelector) {
+            return defaultTimeout;
+        }
+
+        const meta = document.querySelector('meta[name="session-idle-timeout"]');
+        const minutes = meta ? parseFloat(meta.getAttribute('content')) : NaN;
+        return Number.isNaN(minutes) || minutes < 0 ? defaultTimeout : minutes * 60 * 1000;
+    }
+
+    /**
+     * Check whether accounts and sessions are handled by the server
+     * @returns {boolean} True in server mode
+     */
+    isServerMode() {
+        return this.mode === 'server';
+    }
+
+    /**
+     * Create an account and log the new user in
+     * @param {Object} userData - Signup data
+     * @param {string} userData.username - Username
+     * @param {string} userData.email - Email address
+     * @param {string} userData.password - Password
+     * @returns {Promise<Object>} Registration result
+     */
+    async register(userData) {
+        try {
+            if (!userData || !userData.username || !userData.email || !userData.password) {
+                throw new Error('Username, email and password are required');
+            }
+
+            let user;
+            if (this.isServerMode()) {
+                const { username, email, password } = userData;
+                const data = await this.request('POST', '/signup', { username, email, password });
+                user = this.createSession(data.user, data.expiresAt).user;
+            } else {
+                if (this.demoUsersEnabled) {
+                    await this.seedDemoUsers();
+                }
+
+                // New accounts always start as requesters; roles are granted afterwards
+                const { username, email, password } = userData;
+                const passwordError = new AuthFormValidator().validatePassword(password, { username, email });
+                if (passwordError) {
+                    throw this.users.createFieldError('password', passwordError);
+                }
+
+                user = await this.users.register({ username, email, password });
+                this.createSession(user);
+            }
+
+            return {
+                success: true,
+                user: user,
+                message: 'Account created successfully'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                ...(error.errors ? { errors: error.errors } : {}),
+                ...(error.field ? { errors: { [error.field]: error.message } } : {}),
+                message: 'Registration failed'
+            };
+        }
     }
 
     /**
      * Authenticate user with credentials and store session token
+     * Repeated failures for the same account are slowed down and then locked out (see LoginThrottle);
+     * a refused attempt's result carries retryAfter (ms) and locked.
      * @param {Object} credentials - User login credentials
      * @param {string} credentials.username - Username or email
      * @param {string} credentials.password - User password
@@ -22,55 +821,290 @@ class AuthManager {
                 throw new Error('Username and password are required');
             }
 
-            // Simulate authentication validation
-            // In a real app, this would be an API call
-            const isValidCredentials = this.validateCredentials(credentials);
-            
-            if (!isValidCredentials) {
-                throw new Error('Invalid username or password');
-            }
-
-            // Create session token with user data
-            const sessionData = {
-                token: this.generateToken(),
-                user: {
-                    id: this.generateUserId(credentials.username),
-                    username: credentials.username,
-                    email: credentials.username.includes('@') ? credentials.username : `${credentials.username}@example.com`
-                },
-                expiresAt: Date.now() + this.maxAge,
-                createdAt: Date.now()
-            };
+            if (!this.isServerMode() && this.demoUsersEnabled) {
+                await this.seedDemoUsers();
+            }
+
+            const throttleKey = this.getThrottleKey(credentials.username);
+            const wait = this.throttle.check(throttleKey);
+            if (wait) {
+                throw this.createThrottleError(wait.message, wait);
+            }
+
+            let sessionData;
+            if (this.isServerMode()) {
+                let data;
+                try {
+                    data = await this.request('POST', '/login', {
+                        username: credentials.username,
+                        password: credentials.password
+                    });
+                } catch (error) {
+                    // Keep the local count in step with the server's, so refused attempts stay in the browser
+                    if (error.status === 429 && error.retryAfter) {
+                        this.throttle.block(throttleKey, error.retryAfter, error.locked);
+                    } else if (error.status === 401) {
+                        this.throttle.recordFailure(throttleKey);
+                    }
+                    throw error;
+                }
+                sessionData = this.createSession(data.user, data.expiresAt);
+            } else {
+                // Check the credentials against the user registry
+                const user = await this.validateCredentials(credentials);
+                
+                if (!user) {
+                    const failure = this.throttle.recordFailure(throttleKey);
+                    throw failure.retryAfter ? this.createThrottleError(failure.message, failure) : new Error(failure.message);
+                }
+
+                sessionData = this.createSession(user);
+            }
+
+            this.throttle.recordSuccess(throttleKey);
+
+            return {
+                success: true,
+                user: sessionData.user,
+                message: 'Login successful'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                ...(error.retryAfter ? { retryAfter: error.retryAfter, locked: Boolean(error.locked) } : {}),
+                message: 'Login failed'
+            };
+        }
+    }
+
+    /**
+     * Get the key failed logins are counted under
+     * In local mode usernames and emails resolve to the account, so switching between them does not reset the count
+     * @param {string} login - Username or email
+     * @returns {string} Throttle key
+     */
+    getThrottleKey(login) {
+        const record = this.isServerMode() ? null : this.users.findByLogin(login);
+        return record ? record.id : login;
+    }
+
+    /**
+     * Create the error for an attempt that has to wait
+     * @param {string} message - Error message
+     * @param {Object} wait - { retryAfter, locked }
+     * @returns {Error} Error with retryAfter and locked
+     */
+    createThrottleError(message, wait) {
+        const error = new Error(message);
+        error.retryAfter = wait.retryAfter;
+        error.locked = wait.locked;
+        return error;
+    }
+
+    /**
+     * Change the signed-in user's password
+     * @param {Object} passwords - Passwords
+     * @param {string} passwords.currentPassword - Current password
+     * @param {string} passwords.newPassword - New password
+     * @returns {Promise<Object>} Result, with field errors keyed by currentPassword / newPassword
+     */
+    async changePassword({ currentPassword, newPassword }) {
+        try {
+            const user = this.getCurrentUser();
+            if (!user) {
+                throw new Error('You must be logged in to change your password');
+            }
+
+            if (this.isServerMode()) {
+                await this.request('POST', '/password', { currentPassword, newPassword });
+            } else {
+                const passwordError = new AuthFormValidator().validatePassword(newPassword, user);
+                if (passwordError) {
+                    throw this.users.createFieldError('newPassword', passwordError);
+                }
+                if (!(await this.users.verify(user.email, currentPassword || ''))) {
+                    throw this.users.createFieldError('currentPassword', 'Current password is incorrect');
+                }
+
+                await this.users.setPassword(user.id, newPassword);
+                this.users.deleteResetTokens(user.id);
+            }
+
+            return {
+                success: true,
+                message: 'Your password has been changed'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                ...(error.errors ? { errors: error.errors } : {}),
+                ...(error.field ? { errors: { [error.field]: error.message } } : {}),
+                message: 'Password change failed'
+            };
+        }
+    }
+
+    /**
+     * Change the signed-in user's display name, email, time zone and avatar
+     * @param {Object} profile - Profile
+     * @param {string} profile.displayName - Name shown instead of the username ('' for none)
+     * @param {string} profile.email - Email address
+     * @param {string} profile.timezone - IANA time zone ('' for the browser's)
+     * @param {string} profile.avatar - Avatar data URL from UserProfile.resizeImage ('' for none)
+     * @returns {Promise<Object>} Result with the updated user, or field errors keyed by profile field
+     */
+    async updateProfile(profile) {
+        try {
+            const user = this.getCurrentUser();
+            if (!user) {
+                throw new Error('You must be logged in to update your profile');
+            }
+
+            const changes = {
+                displayName: String(profile.displayName || '').trim(),
+                email: String(profile.email || '').trim().toLowerCase(),
+                timezone: profile.timezone || '',
+                avatar: profile.avatar || ''
+            };
+
+            let updated;
+            if (this.isServerMode()) {
+                updated = (await this.request('PUT', '/profile', changes)).user;
+            } else {
+                const validation = new AuthFormValidator().validateProfileForm(changes);
+                if (!validation.isValid) {
+                    const error = new Error(Object.values(validation.errors)[0]);
+                    error.errors = validation.errors;
+                    throw error;
+                }
+                updated = this.users.updateProfile(user.id, changes);
+            }
+
+            this.updateStoredSession({ user: { ...user, ...updated } });
+
+            return {
+                success: true,
+                user: this.getCurrentUser(),
+                message: 'Your profile has been saved'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                ...(error.errors ? { errors: error.errors } : {}),
+                ...(error.field ? { errors: { [error.field]: error.message } } : {}),
+                message: 'Profile update failed'
+            };
+        }
+    }
+
+    /**
+     * Send a password reset link to an email address
+     * In local mode the email is delivered to the LocalOutbox
+     * @param {string} email - Account email
+     * @returns {Promise<Object>} Result (successful whether or not the account exists)
+     */
+    async requestPasswordReset(email) {
+        try {
+            if (this.isServerMode()) {
+                await this.request('POST', '/forgot-password', { email });
+            } else {
+                if (this.demoUsersEnabled) {
+                    await this.seedDemoUsers();
+                }
+
+                const record = this.users.findByEmail(email);
+                if (record) {
+                    const token = await this.users.createResetToken(record.id, this.resetTokenLifetime);
+                    const link = `${this.getOrigin()}/auth/reset-password?token=${encodeURIComponent(token)}`;
+
+                    this.outbox.send({
+                        to: record.email,
+                        subject: 'Reset your password',
+                        body: `Hi ${record.username},\n\nUse this link to choose a new password. It expires in ${Math.round(this.resetTokenLifetime / 60000)} minutes:\n\n${link}\n\nIf you did not ask for a password reset you can ignore this email.`
+                    });
+                }
+            }
+
+            return {
+                success: true,
+                message: AuthManager.RESET_REQUESTED_MESSAGE
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                ...(error.errors ? { errors: error.errors } : {}),
+                message: 'Password reset request failed'
+            };
+        }
+    }
+
+    /**
+     * Set a new password using a reset link's token
+     * The user is not logged in; they sign in with the new password afterwards
+     * @param {string} token - Token from the reset link
+     * @param {string} password - New password
+     * @returns {Promise<Object>} Result
+     */
+    async resetPassword(token, password) {
+        try {
+            if (this.isServerMode()) {
+                await this.request('POST', '/reset-password', { token, password });
+            } else {
+                const record = this.users.findById(await this.users.findResetTokenUser(token));
+                if (!record) {
+                    throw new Error('This reset link is invalid or has expired');
+                }
+
+                const passwordError = new AuthFormValidator().validatePassword(password, record);
+                if (passwordError) {
+                    throw this.users.createFieldError('password', passwordError);
+                }
 
-            // Store session in localStorage
-            localStorage.setItem(this.tokenKey, JSON.stringify(sessionData));
+                await this.users.setPassword(record.id, password);
+                this.users.deleteResetTokens(record.id);
+            }
 
             return {
                 success: true,
-                user: sessionData.user,
-                message: 'Login successful'
+                message: 'Your password has been reset'
             };
 
         } catch (error) {
             return {
                 success: false,
                 error: error.message,
-                message: 'Login failed'
+                ...(error.errors ? { errors: error.errors } : {}),
+                ...(error.field ? { errors: { [error.field]: error.message } } : {}),
+                message: 'Password reset failed'
             };
         }
     }
 
     /**
      * Clear user session and logout
-     * @returns {Object} Logout result
+     * In server mode the server session is ended first, so the result is a Promise
+     * @returns {Object|Promise<Object>} Logout result
      */
     logout() {
+        if (this.isServerMode()) {
+            return this.request('POST', '/logout')
+                .then(() => {
+                    this.clearSession();
+                    return { success: true, message: 'Logged out successfully' };
+                })
+                .catch(error => ({ success: false, error: error.message, message: 'Logout failed' }));
+        }
+
         try {
-            // Remove session token from localStorage
-            localStorage.removeItem(this.tokenKey);
-            
-            // Clear any other auth-related data
-            localStorage.removeItem('user_preferences');
+            this.clearSession();
             
             return {
                 success: true,
@@ -99,22 +1133,22 @@ class AuthManager {
 
             const session = JSON.parse(sessionData);
             
-            // Check if session has required properties
-            if (!session.token || !session.expiresAt || !session.user) {
+            // Check if session has required properties (server sessions are held in a cookie instead of a token)
+            if ((!session.token && session.mode !== 'server') || !session.expiresAt || !session.user) {
                 return false;
             }
 
-            // Check if session is expired
-            if (Date.now() > session.expiresAt) {
+            // Check if session is expired or has been idle for too long
+            if (Date.now() > session.expiresAt || this.isIdleExpired(session)) {
                 // Clean up expired session
-                this.logout();
+                this.clearSession();
                 return false;
             }
 
             return true;
         } catch (error) {
             // If there's any error parsing session data, consider not authenticated
-            this.logout();
+            this.clearSession();
             return false;
         }
     }
@@ -170,14 +1204,18 @@ class AuthManager {
     }
 
     /**
-     * Refresh session expiration time
+     * Record user activity: restarts the idle timeout and slides the session expiry forward
      * @returns {boolean} Success status
      */
     refreshSession() {
         try {
             const session = this.getSession();
             if (session) {
-                session.expiresAt = Date.now() + this.maxAge;
+                session.lastActivityAt = Date.now();
+                // The server decides when its own sessions expire (syncSession picks up the new expiry)
+                if (session.mode !== 'server') {
+                    session.expiresAt = session.lastActivityAt + this.maxAge;
+                }
                 localStorage.setItem(this.tokenKey, JSON.stringify(session));
                 return true;
             }
@@ -187,33 +1225,198 @@ class AuthManager {
         }
     }
 
+    /**
+     * Get the time at which the stored session is signed out for inactivity
+     * Reads the session without validating it, so an idle session still reports its deadline
+     * @returns {number|null} Deadline in ms since epoch, or null without a session or idle timeout
+     */
+    getIdleDeadline() {
+        if (!(this.idleTimeout > 0)) {
+            return null;
+        }
+
+        try {
+            const session = JSON.parse(localStorage.getItem(this.tokenKey));
+            return session && session.lastActivityAt ? session.lastActivityAt + this.idleTimeout : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Confirm the stored session with the server (server mode only)
+     * Replaces the mirrored user when the server has a session and clears it when it does not;
+     * if the server cannot be reached the stored session is kept
+     * @returns {Promise<boolean>} Authentication status
+     */
+    async syncSession() {
+        if (!this.isServerMode()) {
+            return this.isAuthenticated();
+        }
+
+        try {
+            const data = await this.request('GET', '/me');
+            const previous = this.getSession();
+            this.createSession(data.user, data.expiresAt);
+            if (previous && previous.lastActivityAt) {
+                // Confirming the session is not activity, so keep the idle clock running
+                this.updateStoredSession({ lastActivityAt: previous.lastActivityAt });
+            }
+        } catch (error) {
+            if (error.status === 401) {
+                this.clearSession();
+            }
+        }
+
+        return this.isAuthenticated();
+    }
+
+    /**
+     * Create the demo accounts that do not exist yet
+     * Demo users keep the IDs they had before registration existed, so their tickets stay theirs.
+     * Demo accounts seeded before roles existed get their demo role.
+     * @returns {Promise<number>} Number of accounts created
+     */
+    async seedDemoUsers() {
+        let created = 0;
+
+        for (const demoUser of UserRegistry.DEMO_USERS) {
+            const existing = this.users.findByEmail(demoUser.email) || this.users.findByUsername(demoUser.username);
+            if (!existing) {
+                await this.users.register({ ...demoUser, id: this.generateUserId(demoUser.username) });
+                created++;
+            } else if (!existing.role && existing.email === demoUser.email) {
+                this.users.setRole(existing.id, demoUser.role);
+            }
+        }
+
+        return created;
+    }
+
     // Private helper methods
 
     /**
-     * Validate user credentials (simulation)
+     * Validate user credentials against the user registry
      * @param {Object} credentials - User credentials
-     * @returns {boolean} Validation result
+     * @returns {Promise<Object|null>} Public user data, or null if invalid
      */
-    validateCredentials(credentials) {
-        // Simulate credential validation
-        // In a real app, this would validate against a backend
+    async validateCredentials(credentials) {
         const { username, password } = credentials;
         
-        // Basic validation rules for demo
+        // Basic validation rules
         if (username.length < 3 || password.length < 6) {
-            return false;
+            return null;
         }
         
-        // Simulate some valid demo users
-        const validUsers = [
-            { username: 'demo', password: 'password' },
-            { username: 'admin', password: 'admin123' },
-            { username: 'user@example.com', password: 'userpass' }
-        ];
-        
-        return validUsers.some(user => 
-            user.username === username && user.password === password
-        ) || (username.includes('@') && password.length >= 6); // Allow any email with 6+ char password
+        return this.users.verify(username, password);
+    }
+
+    /**
+     * Store a new session for a user
+     * @param {Object} user - Public user data
+     * @param {number} expiresAt - Expiry set by the server (server mode only)
+     * @returns {Object} Session data
+     */
+    createSession(user, expiresAt = null) {
+        const now = Date.now();
+        const sessionData = this.isServerMode()
+            ? { mode: 'server', user: { ...user }, expiresAt: expiresAt || now + this.maxAge, createdAt: now, lastActivityAt: now }
+            : { token: this.generateToken(), user: { ...user }, expiresAt: now + this.maxAge, createdAt: now, lastActivityAt: now };
+
+        localStorage.setItem(this.tokenKey, JSON.stringify(sessionData));
+        return sessionData;
+    }
+
+    /**
+     * Merge fields into the stored session
+     * @param {Object} changes - Session fields to overwrite
+     */
+    updateStoredSession(changes) {
+        const session = this.getSession();
+        if (session) {
+            localStorage.setItem(this.tokenKey, JSON.stringify({ ...session, ...changes }));
+        }
+    }
+
+    /**
+     * Check whether a session has gone without activity for longer than the idle timeout
+     * Sessions stored before activity was tracked have no lastActivityAt and never idle out
+     * @param {Object} session - Session data
+     * @returns {boolean} True if idle for too long
+     */
+    isIdleExpired(session) {
+        return this.idleTimeout > 0 && Boolean(session.lastActivityAt) && Date.now() > session.lastActivityAt + this.idleTimeout;
+    }
+
+    /**
+     * Remove the stored session and other auth-related data
+     */
+    clearSession() {
+        localStorage.removeItem(this.tokenKey);
+        localStorage.removeItem('user_preferences');
+    }
+
+    /**
+     * Get the origin used in links sent by email
+     * @returns {string} Origin, e.g. 'https://tickets.example.com' (empty outside a browser)
+     */
+    getOrigin() {
+        return typeof window !== 'undefined' && window.location && window.location.origin ? window.location.origin : '';
+    }
+
+    /**
+     * Send a JSON request to the auth API
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the base URL (e.g. '/login')
+     * @param {Object} body - JSON body (optional)
+     * @returns {Promise<Object>} Parsed response body
+     */
+    async request(method, path, body = undefined) {
+        const options = {
+            method: method,
+            headers: { 'Accept': 'application/json' },
+            credentials: 'same-origin'
+        };
+
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await this.fetchImpl(this.baseUrl + path, options);
+        } catch (error) {
+            throw new Error('Unable to reach the server');
+        }
+
+        const text = await response.text();
+        let data = null;
+        if (text) {
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error('Invalid response from the server');
+            }
+        }
+
+        if (!response.ok) {
+            const fieldErrors = data && data.errors && typeof data.errors === 'object' ? data.errors : null;
+            const message = (data && data.error) || (fieldErrors && Object.values(fieldErrors)[0])
+                || (data && data.message) || `Request failed with status ${response.status}`;
+            const error = new Error(message);
+            error.status = response.status;
+            if (fieldErrors) {
+                error.errors = fieldErrors;
+            }
+            if (data && data.retryAfter) {
+                error.retryAfter = data.retryAfter;
+                error.locked = Boolean(data.locked);
+            }
+            throw error;
+        }
+
+        return data;
     }
 
     /**
@@ -250,36 +1453,341 @@ class AuthManager {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AuthManager;
 }
+
+/**
+ * SessionMonitor - Keeps a page's session in step with the user and with other tabs
+ *
+ * Activity on the page (throttled) calls AuthManager.refreshSession(), which slides the session
+ * expiry and restarts the idle timeout. Shortly before the idle deadline onWarning is called once a
+ * second with the seconds left; stayActive() keeps the user signed in, otherwise the session ends.
+ * The session lives in localStorage, so the storage event tells every other tab of the same origin
+ * about sign-ins, sign-outs and activity - activity in one tab keeps all tabs signed in.
+ */
+class SessionMonitor {
+    /**
+     * DOM events that count as user activity
+     */
+    static get ACTIVITY_EVENTS() {
+        return ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
+    }
+
+    /**
+     * @param {Object} authManager - AuthManager instance
+     * @param {Object} options - Monitor options
+     * @param {number} options.warningTime - Warn this many ms before the idle deadline (default: 60 seconds)
+     * @param {number} options.activityThrottle - Minimum ms between session refreshes (default: 15 seconds)
+     * @param {number} options.syncInterval - Minimum ms between server keep-alives in server mode (default: 5 minutes)
+     * @param {Function} options.onWarning - Called with the seconds left while the idle warning is due
+     * @param {Function} options.onActive - Called when the warning is no longer needed
+     * @param {Function} options.onLogout - Called with the reason the session ended: 'idle', 'expired' or 'other-tab'
+     * @param {Function} options.onLogin - Called with the user when another tab signs in (or switches user)
+     */
+    constructor(authManager, options = {}) {
+        this.authManager = authManager;
+        this.warningTime = options.warningTime !== undefined ? options.warningTime : 60 * 1000;
+        this.activityThrottle = options.activityThrottle !== undefined ? options.activityThrottle : 15 * 1000;
+        this.syncInterval = options.syncInterval !== undefined ? options.syncInterval : 5 * 60 * 1000;
+        this.onWarning = options.onWarning || (() => {});
+        this.onActive = options.onActive || (() => {});
+        this.onLogout = options.onLogout || (() => {});
+        this.onLogin = options.onLogin || (() => {});
+
+        this.userId = null;
+        this.warningShown = false;
+        this.lastRefreshAt = 0;
+        this.lastSyncAt = 0;
+        this.intervalId = null;
+        this.handleActivity = () => this.recordActivity();
+        this.handleStorage = (event) => this.handleStorageChange(event);
+    }
+
+    /**
+     * Start watching activity, the idle deadline and other tabs
+     * Loading the page counts as activity.
+     */
+    start() {
+        const user = this.authManager.getCurrentUser();
+        this.userId = user ? user.id : null;
+        // The page has just confirmed the session with the server
+        this.lastSyncAt = Date.now();
+        this.recordActivity(true);
+
+        SessionMonitor.ACTIVITY_EVENTS.forEach(name => {
+            document.addEventListener(name, this.handleActivity, { passive: true });
+        });
+        window.addEventListener('storage', this.handleStorage);
+        this.intervalId = setInterval(() => this.tick(), 1000);
+    }
+
+    /**
+     * Stop watching
+     */
+    stop() {
+        SessionMonitor.ACTIVITY_EVENTS.forEach(name => {
+            document.removeEventListener(name, this.handleActivity, { passive: true });
+        });
+        window.removeEventListener('storage', this.handleStorage);
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    }
+
+    /**
+     * Refresh the session for user activity, at most once per activityThrottle
+     * While the idle warning is open only stayActive() counts, so moving the mouse does not dismiss it.
+     * @param {boolean} force - Refresh even within the throttle interval
+     */
+    recordActivity(force = false) {
+        if (!this.userId || this.warningShown) {
+            return;
+        }
+
+        const now = Date.now();
+        if (!force && now - this.lastRefreshAt < this.activityThrottle) {
+            return;
+        }
+
+        this.lastRefreshAt = now;
+        this.authManager.refreshSession();
+
+        // Server sessions slide when the server sees the session, so keep it alive while the user is active
+        if (this.authManager.isServerMode() && now - this.lastSyncAt >= this.syncInterval) {
+            this.lastSyncAt = now;
+            this.authManager.syncSession().then(authenticated => {
+                if (!authenticated) {
+                    this.endSession('expired');
+                }
+            });
+        }
+    }
+
+    /**
+     * Keep the user signed in after the idle warning
+     */
+    stayActive() {
+        this.warningShown = false;
+        this.onActive();
+        this.lastSyncAt = 0;
+        this.recordActivity(true);
+    }
+
+    /**
+     * Check the idle deadline and session (called every second once started)
+     */
+    tick() {
+        if (!this.userId) {
+            return;
+        }
+
+        const deadline = this.authManager.getIdleDeadline();
+        const remaining = deadline === null ? Infinity : deadline - Date.now();
+
+        if (remaining <= 0) {
+            this.endSession('idle', true);
+        } else if (!this.authManager.isAuthenticated()) {
+            this.endSession('expired');
+        } else if (remaining <= this.warningTime) {
+            this.warningShown = true;
+            this.onWarning(Math.ceil(remaining / 1000));
+        } else if (this.warningShown) {
+            // Activity in another tab restarted the idle timeout
+            this.warningShown = false;
+            this.onActive();
+        }
+    }
+
+    /**
+     * React to another tab changing the stored session
+     * @param {StorageEvent} event - Storage event (key is null when storage was cleared)
+     */
+    handleStorageChange(event) {
+        if (event.key !== null && event.key !== this.authManager.tokenKey) {
+            return;
+        }
+
+        const user = this.authManager.getCurrentUser();
+        if (!user) {
+            if (this.userId) {
+                this.endSession('other-tab');
+            }
+        } else if (user.id !== this.userId) {
+            this.userId = user.id;
+            this.warningShown = false;
+            this.onLogin(user);
+        } else {
+            this.tick();
+        }
+    }
+
+    /**
+     * End the session on this page
+     * @param {string} reason - 'idle', 'expired' or 'other-tab'
+     * @param {boolean} logout - Also log out (clears the session for every tab and ends a server session)
+     */
+    async endSession(reason, logout = false) {
+        if (!this.userId) {
+            return;
+        }
+
+        this.userId = null;
+        this.warningShown = false;
+        if (logout) {
+            await this.authManager.logout();
+        }
+        this.onLogout(reason);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionMonitor;
+}
 /**
  *
  AuthFormValidator - Handles client-side form validation for authentication
  */
 class AuthFormValidator {
-    constructor() {
+    /**
+     * @param {Object} passwordPolicy - PasswordPolicy for new passwords (default: page configuration, when loaded)
+     */
+    constructor(passwordPolicy = null) {
+        this.errors = {};
+        this.passwordPolicy = passwordPolicy || (typeof PasswordPolicy !== 'undefined' ? PasswordPolicy.getConfigured() : null);
+    }
+
+    /**
+     * Validate login form data
+     * @param {Object} formData - Form data to validate
+     * @returns {Object} Validation result with errors
+     */
+    validateLoginForm(formData) {
+        this.errors = {};
+
+        // Username validation
+        if (!formData.username || formData.username.trim() === '') {
+            this.errors.username = 'Username or email is required';
+        } else if (formData.username.trim().length < 3) {
+            this.errors.username = 'Username must be at least 3 characters long';
+        }
+
+        // Password validation
+        if (!formData.password || formData.password === '') {
+            this.errors.password = 'Password is required';
+        } else if (formData.password.length < 6) {
+            this.errors.password = 'Password must be at least 6 characters long';
+        }
+
+        return {
+            isValid: Object.keys(this.errors).length === 0,
+            errors: this.errors
+        };
+    }
+
+    /**
+     * Validate signup form data
+     * @param {Object} formData - Form data to validate
+     * @returns {Object} Validation result with errors
+     */
+    validateSignupForm(formData) {
+        this.errors = {};
+
+        // Username validation
+        if (!formData.username || formData.username.trim() === '') {
+            this.errors.username = 'Username is required';
+        } else if (formData.username.trim().length < 3) {
+            this.errors.username = 'Username must be at least 3 characters long';
+        } else if (formData.username.trim().length > 20) {
+            this.errors.username = 'Username must be less than 20 characters';
+        } else if (!/^[a-zA-Z0-9_]+$/.test(formData.username.trim())) {
+            this.errors.username = 'Username can only contain letters, numbers, and underscores';
+        }
+
+        // Email validation
+        if (!formData.email || formData.email.trim() === '') {
+            this.errors.email = 'Email is required';
+        } else if (!this.isValidEmail(formData.email.trim())) {
+            this.errors.email = 'Please enter a valid email address';
+        }
+
+        // Password validation
+        const passwordError = this.validatePassword(formData.password, {
+            username: formData.username,
+            email: formData.email
+        });
+        if (passwordError) {
+            this.errors.password = passwordError;
+        }
+
+        // Confirm password validation
+        this.validateConfirmation(formData.password, formData.confirmPassword);
+
+        return {
+            isValid: Object.keys(this.errors).length === 0,
+            errors: this.errors
+        };
+    }
+
+    /**
+     * Validate change password form data
+     * @param {Object} formData - Form data with currentPassword, newPassword and confirmPassword
+     * @param {Object} user - Signed-in user ({ username, email }) for the password policy
+     * @returns {Object} Validation result with errors
+     */
+    validateChangePasswordForm(formData, user = {}) {
+        this.errors = {};
+
+        if (!formData.currentPassword) {
+            this.errors.currentPassword = 'Current password is required';
+        }
+
+        const passwordError = this.validatePassword(formData.newPassword, user || {});
+        if (passwordError) {
+            this.errors.newPassword = passwordError;
+        } else if (formData.newPassword === formData.currentPassword) {
+            this.errors.newPassword = 'New password must be different from your current password';
+        }
+
+        this.validateConfirmation(formData.newPassword, formData.confirmPassword);
+
+        return {
+            isValid: Object.keys(this.errors).length === 0,
+            errors: this.errors
+        };
+    }
+
+    /**
+     * Validate forgot password form data
+     * @param {Object} formData - Form data with email
+     * @returns {Object} Validation result with errors
+     */
+    validateForgotPasswordForm(formData) {
         this.errors = {};
+
+        if (!formData.email || formData.email.trim() === '') {
+            this.errors.email = 'Email is required';
+        } else if (!this.isValidEmail(formData.email.trim())) {
+            this.errors.email = 'Please enter a valid email address';
+        }
+
+        return {
+            isValid: Object.keys(this.errors).length === 0,
+            errors: this.errors
+        };
     }
 
     /**
-     * Validate login form data
-     * @param {Object} formData - Form data to validate
+     * Validate reset password form data
+     * @param {Object} formData - Form data with password and confirmPassword
      * @returns {Object} Validation result with errors
      */
-    validateLoginForm(formData) {
+    validateResetPasswordForm(formData) {
         this.errors = {};
 
-        // Username validation
-        if (!formData.username || formData.username.trim() === '') {
-            this.errors.username = 'Username or email is required';
-        } else if (formData.username.trim().length < 3) {
-            this.errors.username = 'Username must be at least 3 characters long';
+        const passwordError = this.validatePassword(formData.password);
+        if (passwordError) {
+            this.errors.password = passwordError;
         }
 
-        // Password validation
-        if (!formData.password || formData.password === '') {
-            this.errors.password = 'Password is required';
-        } else if (formData.password.length < 6) {
-            this.errors.password = 'Password must be at least 6 characters long';
-        }
+        this.validateConfirmation(formData.password, formData.confirmPassword);
 
         return {
             isValid: Object.keys(this.errors).length === 0,
@@ -288,45 +1796,34 @@ class AuthFormValidator {
     }
 
     /**
-     * Validate signup form data
-     * @param {Object} formData - Form data to validate
+     * Validate profile form data (mirrored by the PHP User::validateProfile)
+     * @param {Object} formData - Form data with displayName, email, timezone and avatar
      * @returns {Object} Validation result with errors
      */
-    validateSignupForm(formData) {
+    validateProfileForm(formData) {
         this.errors = {};
 
-        // Username validation
-        if (!formData.username || formData.username.trim() === '') {
-            this.errors.username = 'Username is required';
-        } else if (formData.username.trim().length < 3) {
-            this.errors.username = 'Username must be at least 3 characters long';
-        } else if (formData.username.trim().length > 20) {
-            this.errors.username = 'Username must be less than 20 characters';
-        } else if (!/^[a-zA-Z0-9_]+$/.test(formData.username.trim())) {
-            this.errors.username = 'Username can only contain letters, numbers, and underscores';
+        if (String(formData.displayName || '').trim().length > 50) {
+            this.errors.displayName = 'Display name must be 50 characters or less';
         }
 
-        // Email validation
         if (!formData.email || formData.email.trim() === '') {
             this.errors.email = 'Email is required';
         } else if (!this.isValidEmail(formData.email.trim())) {
             this.errors.email = 'Please enter a valid email address';
         }
 
-        // Password validation
-        if (!formData.password || formData.password === '') {
-            this.errors.password = 'Password is required';
-        } else if (formData.password.length < 6) {
-            this.errors.password = 'Password must be at least 6 characters long';
-        } else if (formData.password.length > 50) {
-            this.errors.password = 'Password must be less than 50 characters';
-        }
+        // Time zone and avatar checks need user-profile.js
+        if (typeof UserProfile !== 'undefined') {
+            if (formData.timezone && !UserProfile.isValidTimeZone(formData.timezone)) {
+                this.errors.timezone = 'Please choose a time zone from the list';
+            }
 
-        // Confirm password validation
-        if (!formData.confirmPassword || formData.confirmPassword === '') {
-            this.errors.confirmPassword = 'Please confirm your password';
-        } else if (formData.password !== formData.confirmPassword) {
-            this.errors.confirmPassword = 'Passwords do not match';
+            if (formData.avatar && !UserProfile.isAvatarDataUrl(formData.avatar)) {
+                this.errors.avatar = 'Avatar must be a PNG, JPEG, GIF or WebP image';
+            } else if (formData.avatar && formData.avatar.length > UserProfile.MAX_AVATAR_LENGTH) {
+                this.errors.avatar = 'Avatar image is too large';
+            }
         }
 
         return {
@@ -335,6 +1832,43 @@ class AuthFormValidator {
         };
     }
 
+    /**
+     * Check a new password against the password policy (mirrored by the PHP User::validatePassword)
+     * @param {string} password - New password
+     * @param {Object} context - Account the password is for ({ username, email })
+     * @returns {string|null} First rule broken, or null if the password is acceptable
+     */
+    validatePassword(password, context = {}) {
+        if (this.passwordPolicy) {
+            return this.passwordPolicy.validate(password, context).errors[0] || null;
+        }
+
+        // Without password-policy.js only the length is checked
+        if (!password) {
+            return 'Password is required';
+        }
+        if (password.length < 6) {
+            return 'Password must be at least 6 characters long';
+        }
+        if (password.length > 50) {
+            return 'Password must be less than 50 characters';
+        }
+        return null;
+    }
+
+    /**
+     * Check that a password was typed the same way twice (sets errors.confirmPassword)
+     * @param {string} password - New password
+     * @param {string} confirmPassword - Repeated password
+     */
+    validateConfirmation(password, confirmPassword) {
+        if (!confirmPassword) {
+            this.errors.confirmPassword = 'Please confirm your password';
+        } else if (password !== confirmPassword) {
+            this.errors.confirmPassword = 'Passwords do not match';
+        }
+    }
+
     /**
      * Validate email format
      * @param {string} email - Email to validate
@@ -439,6 +1973,21 @@ class AuthErrorHandler {
         }
     }
 
+    /**
+     * Display a confirmation message in the error container's place
+     * @param {string} message - Success message
+     */
+    displaySuccess(message) {
+        if (this.errorContainer) {
+            this.errorContainer.innerHTML = `
+                <div class="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4" role="status">
+                    <span class="block sm:inline">${this.escapeHtml(message)}</span>
+                </div>
+            `;
+            this.errorContainer.style.display = 'block';
+        }
+    }
+
     /**
      * Display network error with retry option
      * @param {string} message - Error message
@@ -557,6 +2106,7 @@ class AuthFormHandler {
     init() {
         this.errorHandler.init();
         this.bindEvents();
+        this.setupPasswordStrengthMeters();
     }
 
     /**
@@ -575,6 +2125,35 @@ class AuthFormHandler {
             signupForm.addEventListener('submit', (e) => this.handleSignupSubmit(e));
         }
 
+        // Handle password forms
+        const changePasswordForm = document.getElementById('changePasswordForm');
+        if (changePasswordForm) {
+            changePasswordForm.addEventListener('submit', (e) => this.handleChangePasswordSubmit(e));
+        }
+
+        const forgotPasswordForm = document.getElementById('forgotPasswordForm');
+        if (forgotPasswordForm) {
+            forgotPasswordForm.addEventListener('submit', (e) => this.handleForgotPasswordSubmit(e));
+        }
+
+        const resetPasswordForm = document.getElementById('resetPasswordForm');
+        if (resetPasswordForm) {
+            resetPasswordForm.addEventListener('submit', (e) => this.handleResetPasswordSubmit(e));
+        }
+
+        // Handle profile form
+        const profileForm = document.getElementById('profileForm');
+        if (profileForm) {
+            this.setupProfileForm(profileForm);
+            profileForm.addEventListener('submit', (e) => this.handleProfileSubmit(e));
+        }
+
+        // Local mode emails on the development outbox page
+        const outboxContainer = document.getElementById('localOutbox');
+        if (outboxContainer) {
+            this.renderOutbox(outboxContainer);
+        }
+
         // Clear errors on input
         document.addEventListener('input', (e) => {
             if (e.target.matches('input[type="text"], input[type="email"], input[type="password"]')) {
@@ -654,16 +2233,260 @@ class AuthFormHandler {
         this.setSubmitButtonState(form, true);
 
         try {
-            // For signup, we'll use the login method with the new credentials
-            const result = await this.authManager.login({
-                username: userData.email,
-                password: userData.password
-            });
+            const result = await this.authManager.register(userData);
             
             if (result.success) {
                 this.handleLoginSuccess(result);
+            } else if (result.errors) {
+                this.errorHandler.displayErrors(result.errors, 'field');
+            } else {
+                this.errorHandler.displayErrors({ message: result.error || 'Registration failed. Please try again.' }, 'general');
+            }
+        } catch (error) {
+            this.errorHandler.displayErrors({ message: 'Network error. Please try again.' }, 'network');
+        } finally {
+            this.isSubmitting = false;
+            this.setSubmitButtonState(form, false);
+        }
+    }
+
+    /**
+     * Handle change password form submission
+     * @param {Event} event - Form submit event
+     */
+    async handleChangePasswordSubmit(event) {
+        event.preventDefault();
+
+        if (this.isSubmitting) return;
+
+        const form = event.target;
+        const formData = new FormData(form);
+        const passwords = {
+            currentPassword: formData.get('currentPassword'),
+            newPassword: formData.get('newPassword'),
+            confirmPassword: formData.get('confirmPassword')
+        };
+
+        const validation = this.validator.validateChangePasswordForm(passwords, this.authManager.getCurrentUser());
+        if (!validation.isValid) {
+            this.errorHandler.displayErrors(validation.errors, 'field');
+            return;
+        }
+
+        this.isSubmitting = true;
+        this.setSubmitButtonState(form, true);
+
+        try {
+            const result = await this.authManager.changePassword(passwords);
+
+            if (result.success) {
+                form.reset();
+                this.errorHandler.clearErrors();
+                this.errorHandler.displaySuccess(result.message);
+            } else if (result.errors) {
+                this.errorHandler.displayErrors(result.errors, 'field');
+            } else {
+                this.errorHandler.displayErrors({ message: result.error || 'Password change failed. Please try again.' }, 'general');
+            }
+        } catch (error) {
+            this.errorHandler.displayErrors({ message: 'Network error. Please try again.' }, 'network');
+        } finally {
+            this.isSubmitting = false;
+            this.setSubmitButtonState(form, false);
+        }
+    }
+
+    /**
+     * Handle forgot password form submission
+     * @param {Event} event - Form submit event
+     */
+    async handleForgotPasswordSubmit(event) {
+        event.preventDefault();
+
+        if (this.isSubmitting) return;
+
+        const form = event.target;
+        const formData = new FormData(form);
+        const email = formData.get('email')?.trim();
+
+        const validation = this.validator.validateForgotPasswordForm({ email });
+        if (!validation.isValid) {
+            this.errorHandler.displayErrors(validation.errors, 'field');
+            return;
+        }
+
+        this.isSubmitting = true;
+        this.setSubmitButtonState(form, true);
+
+        try {
+            const result = await this.authManager.requestPasswordReset(email);
+
+            if (result.success) {
+                form.reset();
+                this.errorHandler.clearErrors();
+                this.errorHandler.displaySuccess(result.message);
+            } else if (result.errors) {
+                this.errorHandler.displayErrors(result.errors, 'field');
+            } else {
+                this.errorHandler.displayErrors({ message: result.error || 'Unable to send reset link. Please try again.' }, 'general');
+            }
+        } catch (error) {
+            this.errorHandler.displayErrors({ message: 'Network error. Please try again.' }, 'network');
+        } finally {
+            this.isSubmitting = false;
+            this.setSubmitButtonState(form, false);
+        }
+    }
+
+    /**
+     * Handle reset password form submission
+     * @param {Event} event - Form submit event
+     */
+    async handleResetPasswordSubmit(event) {
+        event.preventDefault();
+
+        if (this.isSubmitting) return;
+
+        const form = event.target;
+        const formData = new FormData(form);
+        const passwords = {
+            password: formData.get('password'),
+            confirmPassword: formData.get('confirmPassword')
+        };
+
+        const validation = this.validator.validateResetPasswordForm(passwords);
+        if (!validation.isValid) {
+            this.errorHandler.displayErrors(validation.errors, 'field');
+            return;
+        }
+
+        this.isSubmitting = true;
+        this.setSubmitButtonState(form, true);
+
+        try {
+            const result = await this.authManager.resetPassword(formData.get('token'), passwords.password);
+
+            if (result.success) {
+                sessionStorage.setItem('auth_message', 'Your password has been reset. Please log in with your new password');
+                window.location.href = '/auth/login';
+            } else if (result.errors) {
+                this.errorHandler.displayErrors(result.errors, 'field');
+            } else {
+                this.errorHandler.displayErrors({ message: result.error || 'Password reset failed. Please try again.' }, 'general');
+            }
+        } catch (error) {
+            this.errorHandler.displayErrors({ message: 'Network error. Please try again.' }, 'network');
+        } finally {
+            this.isSubmitting = false;
+            this.setSubmitButtonState(form, false);
+        }
+    }
+
+    /**
+     * Fill the profile form with the signed-in user's profile and wire the avatar picker
+     * The chosen image is resized in the browser and kept in the hidden avatar field as a data URL
+     * @param {HTMLFormElement} form - Profile form
+     */
+    setupProfileForm(form) {
+        const user = this.authManager.getCurrentUser();
+        if (!user) return;
+
+        const fields = form.elements;
+        fields.username.value = user.username;
+        fields.displayName.value = user.displayName || '';
+        fields.email.value = user.email || '';
+        fields.avatar.value = user.avatar || '';
+        fields.timezone.value = user.timezone || '';
+        this.updateAvatarPreview(form);
+
+        const avatarInput = document.getElementById('avatar-file');
+        if (avatarInput && typeof UserProfile !== 'undefined') {
+            avatarInput.addEventListener('change', async () => {
+                const file = avatarInput.files && avatarInput.files[0];
+                if (!file) return;
+
+                try {
+                    fields.avatar.value = await UserProfile.resizeImage(file);
+                    this.clearFieldError(avatarInput);
+                } catch (error) {
+                    this.errorHandler.displayErrors({ 'avatar-file': error.message }, 'field');
+                }
+                avatarInput.value = '';
+                this.updateAvatarPreview(form);
+            });
+        }
+
+        const removeButton = document.getElementById('avatar-remove');
+        if (removeButton) {
+            removeButton.addEventListener('click', () => {
+                fields.avatar.value = '';
+                this.updateAvatarPreview(form);
+            });
+        }
+
+        // Initials follow the display name as it is typed
+        fields.displayName.addEventListener('input', () => this.updateAvatarPreview(form));
+    }
+
+    /**
+     * Show the avatar the profile form would save
+     * @param {HTMLFormElement} form - Profile form
+     */
+    updateAvatarPreview(form) {
+        const preview = document.getElementById('avatar-preview');
+        if (!preview || typeof UserProfile === 'undefined') return;
+
+        const fields = form.elements;
+        preview.innerHTML = UserProfile.createAvatarHTML({
+            username: fields.username.value,
+            displayName: fields.displayName.value,
+            avatar: fields.avatar.value
+        }, 'lg');
+
+        const removeButton = document.getElementById('avatar-remove');
+        if (removeButton) {
+            removeButton.hidden = !fields.avatar.value;
+        }
+    }
+
+    /**
+     * Handle profile form submission
+     * @param {Event} event - Form submit event
+     */
+    async handleProfileSubmit(event) {
+        event.preventDefault();
+
+        if (this.isSubmitting) return;
+
+        const form = event.target;
+        const formData = new FormData(form);
+        const profile = {
+            displayName: formData.get('displayName')?.trim(),
+            email: formData.get('email')?.trim(),
+            timezone: formData.get('timezone'),
+            avatar: formData.get('avatar')
+        };
+
+        const validation = this.validator.validateProfileForm(profile);
+        if (!validation.isValid) {
+            this.errorHandler.displayErrors(validation.errors, 'field');
+            return;
+        }
+
+        this.isSubmitting = true;
+        this.setSubmitButtonState(form, true);
+
+        try {
+            const result = await this.authManager.updateProfile(profile);
+
+            if (result.success) {
+                this.errorHandler.clearErrors();
+                this.errorHandler.displaySuccess(result.message);
+                window.dispatchEvent(new CustomEvent('userProfileUpdated', { detail: { user: result.user } }));
+            } else if (result.errors) {
+                this.errorHandler.displayErrors(result.errors, 'field');
             } else {
-                this.errorHandler.displayErrors({ message: 'Registration failed. Please try again.' }, 'general');
+                this.errorHandler.displayErrors({ message: result.error || 'Profile update failed. Please try again.' }, 'general');
             }
         } catch (error) {
             this.errorHandler.displayErrors({ message: 'Network error. Please try again.' }, 'network');
@@ -673,6 +2496,90 @@ class AuthFormHandler {
         }
     }
 
+    /**
+     * Render the emails kept by the LocalOutbox
+     * @param {HTMLElement} container - Element to render into
+     */
+    renderOutbox(container) {
+        const messages = this.authManager.outbox.getMessages();
+
+        if (messages.length === 0) {
+            container.innerHTML = '<p class="outbox-empty">No emails have been sent from this browser.</p>';
+            return;
+        }
+
+        const escape = (text) => this.errorHandler.escapeHtml(String(text));
+        // Make links in the plain-text body clickable
+        const linkify = (text) => escape(text).replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}" class="auth-link">${url}</a>`);
+
+        container.innerHTML = messages.map(message => `
+            <article class="outbox-message">
+                <header class="outbox-message-header">
+                    <h3 class="outbox-subject">${escape(message.subject)}</h3>
+                    <p class="outbox-meta">To ${escape(message.to)} &middot; ${escape(new Date(message.createdAt).toLocaleString())}</p>
+                </header>
+                <pre class="outbox-body">${linkify(message.body)}</pre>
+            </article>
+        `).join('');
+    }
+
+    /**
+     * Show the password rules and a live strength meter on new-password fields
+     * Fields opt in with data-strength-meter="<meter element id>"; hints with data-password-requirements
+     */
+    setupPasswordStrengthMeters() {
+        const policy = this.validator.passwordPolicy;
+        if (!policy) return;
+
+        document.querySelectorAll('[data-password-requirements]').forEach(hint => {
+            hint.textContent = policy.describe();
+        });
+
+        document.querySelectorAll('input[data-strength-meter]').forEach(input => {
+            const meter = document.getElementById(input.dataset.strengthMeter);
+            if (!meter || !input.form) return;
+
+            // Listen on the form: changing the username or email can change the rating too
+            input.form.addEventListener('input', () => {
+                this.updateStrengthMeter(meter, input.value ? policy.getStrength(input.value, this.getPasswordContext(input.form)) : null);
+            });
+        });
+    }
+
+    /**
+     * Get the account a new password is for, from the form or the signed-in user
+     * @param {HTMLFormElement} form - Form with the password field
+     * @returns {Object} { username, email }
+     */
+    getPasswordContext(form) {
+        const user = this.authManager.getCurrentUser() || {};
+        return {
+            username: (form.elements.username && form.elements.username.value) || user.username || '',
+            email: (form.elements.email && form.elements.email.value) || user.email || ''
+        };
+    }
+
+    /**
+     * Update a strength meter
+     * @param {HTMLElement} meter - Meter element
+     * @param {Object|null} strength - Result of PasswordPolicy.getStrength, or null to hide the meter
+     */
+    updateStrengthMeter(meter, strength) {
+        meter.hidden = !strength;
+        if (!strength) return;
+
+        meter.dataset.score = String(strength.score);
+        const bar = meter.querySelector('.password-strength-bar');
+        if (bar) {
+            bar.setAttribute('aria-valuenow', String(strength.score));
+            bar.setAttribute('aria-valuetext', strength.label);
+        }
+        const label = meter.querySelector('.password-strength-label');
+        if (label) {
+            label.textContent = strength.label;
+        }
+    }
+
     /**
      * Handle successful login/signup
      * @param {Object} result - Login result
@@ -734,7 +2641,11 @@ if (typeof document !== 'undefined') {
 // Export classes for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        UserRegistry,
+        LocalOutbox,
+        LoginThrottle,
         AuthManager,
+        SessionMonitor,
         AuthFormValidator,
         AuthErrorHandler,
         AuthFormHandler
@@ -11,6 +11,7 @@ class PageInitializer {
         this.currentPage = this.detectCurrentPage();
         this.features = new FeatureDetection();
         this.isInitialized = false;
+        this.ticketFilters = { status: 'all', query: '', sortBy: 'newest' };
     }
 
     /**
@@ -132,7 +133,7 @@ class PageInitializer {
         if (typeof AuthManager !== 'undefined') {
             const authManager = new AuthManager();
             
-            if (!authManager.isAuthenticated()) {
+            if (!(await authManager.syncSession())) {
                 authManager.redirectIfNotAuth(window.location.href, 'Please log in to access the dashboard');
                 return;
             }
@@ -164,7 +165,7 @@ class PageInitializer {
         if (typeof AuthManager !== 'undefined') {
             const authManager = new AuthManager();
             
-            if (!authManager.isAuthenticated()) {
+            if (!(await authManager.syncSession())) {
                 authManager.redirectIfNotAuth(window.location.href, 'Please log in to manage tickets');
                 return;
             }
@@ -173,6 +174,7 @@ class PageInitializer {
         // Initialize ticket manager if available
         if (typeof TicketManager !== 'undefined') {
             const ticketManager = new TicketManager();
+            await ticketManager.loadTickets();
             
             // Initialize ticket display
             this.initTicketDisplay(ticketManager);
@@ -200,7 +202,7 @@ class PageInitializer {
         if (typeof AuthManager !== 'undefined') {
             const authManager = new AuthManager();
             
-            if (authManager.isAuthenticated()) {
+            if (await authManager.syncSession()) {
                 // Redirect to dashboard if already logged in
                 window.location.href = '/dashboard';
                 return;
@@ -373,9 +375,9 @@ class PageInitializer {
         if (logoutBtn && typeof AuthManager !== 'undefined') {
             const authManager = new AuthManager();
             
-            logoutBtn.addEventListener('click', () => {
+            logoutBtn.addEventListener('click', async () => {
                 if (confirm('Are you sure you want to logout?')) {
-                    const result = authManager.logout();
+                    const result = await authManager.logout();
                     if (result.success) {
                         window.location.href = '/';
                     }
@@ -487,43 +489,50 @@ class PageInitializer {
                 this.applySorting(ticketManager, sortSelect.value);
             });
         }
+
+        // Search box
+        const searchInput = document.getElementById('ticketSearch');
+        if (searchInput) {
+            let debounceTimer = null;
+            searchInput.addEventListener('input', () => {
+                clearTimeout(debounceTimer);
+                debounceTimer = setTimeout(() => {
+                    this.applyTicketSearch(ticketManager, searchInput.value);
+                }, 150);
+            });
+        }
     }
 
     /**
      * Apply ticket filter
      */
     applyTicketFilter(ticketManager, status) {
-        let tickets = ticketManager.getTickets();
-        
-        if (status !== 'all') {
-            tickets = tickets.filter(ticket => ticket.status === status);
-        }
-        
-        ticketManager.renderTickets('ticketContainer', tickets);
+        this.ticketFilters.status = status;
+        this.renderFilteredTickets(ticketManager);
+    }
+
+    /**
+     * Apply ticket search
+     */
+    applyTicketSearch(ticketManager, query) {
+        this.ticketFilters.query = (query || '').trim();
+        this.renderFilteredTickets(ticketManager);
+    }
+
+    /**
+     * Render tickets matching the current status filter, search and sort order
+     */
+    renderFilteredTickets(ticketManager) {
+        const tickets = ticketManager.filterTickets(this.ticketFilters);
+        ticketManager.renderTickets('ticketContainer', tickets, { highlight: this.ticketFilters.query });
     }
 
     /**
      * Apply sorting to tickets
      */
     applySorting(ticketManager, sortBy) {
-        let tickets = ticketManager.getTickets();
-        
-        switch (sortBy) {
-            case 'newest':
-                tickets.sort((a, b) => b.createdAt - a.createdAt);
-                break;
-            case 'oldest':
-                tickets.sort((a, b) => a.createdAt - b.createdAt);
-                break;
-            case 'title':
-                tickets.sort((a, b) => a.title.localeCompare(b.title));
-                break;
-            case 'status':
-                tickets.sort((a, b) => a.status.localeCompare(b.status));
-                break;
-        }
-        
-        ticketManager.renderTickets('ticketContainer', tickets);
+        this.ticketFilters.sortBy = sortBy;
+        this.renderFilteredTickets(ticketManager);
     }
 
     /**
@@ -1016,8 +1025,9 @@ if (typeof module !== 'undefined' && module.exports) {
         PageInitializer,
         FeatureDetection
     };
-}/
-/ Enhanced Navigation Bar Functionality
+}
+
+// Enhanced Navigation Bar Functionality
 document.addEventListener('DOMContentLoaded', function() {
     const navbar = document.querySelector('.navbar');
     const navLinks = document.querySelectorAll('.nav-link');
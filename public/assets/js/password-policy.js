@@ -0,0 +1,221 @@
+/**
+ * Password Policy
+ * Configurable rules for new passwords and a strength estimate for the signup meter
+ */
+
+/**
+ * PasswordPolicy - Decides whether a new password is acceptable and how strong it is
+ *
+ * A policy has the shape
+ * {
+ *   minLength: 8,
+ *   maxLength: 64,
+ *   minCharacterClasses: 2,      // of lowercase, uppercase, numbers and symbols
+ *   bannedPasswords: ['password', ...],
+ *   disallowPersonalInfo: true   // no username or email name inside the password
+ * }
+ * The server renders its policy (App\PasswordPolicy, configured with PASSWORD_POLICY) as JSON in
+ * <script type="application/json" id="password-policy">, so both sides apply the same rules.
+ * Rules apply to new passwords only; existing passwords keep working at login.
+ */
+class PasswordPolicy {
+    /**
+     * Default policy (mirrored by App\PasswordPolicy::DEFAULTS)
+     */
+    static get DEFAULT_POLICY() {
+        return {
+            minLength: 8,
+            maxLength: 64,
+            minCharacterClasses: 2,
+            bannedPasswords: [
+                '123456', '1234567', '12345678', '123456789', '1234567890', '12345678910', '111111', '000000',
+                '123123', '654321', '666666', '121212', '112233', '987654321', 'qwerty', 'qwerty123', 'qwertyuiop',
+                '1q2w3e4r', '1qaz2wsx', 'asdfgh', 'asdfghjkl', 'zxcvbnm', 'abc123', 'abcd1234', 'password',
+                'password1', 'password12', 'password123', 'passw0rd', 'p@ssw0rd', 'letmein', 'letmein1', 'welcome',
+                'welcome1', 'welcome123', 'admin', 'admin123', 'administrator', 'root', 'login', 'iloveyou',
+                'monkey', 'dragon', 'football', 'baseball', 'sunshine', 'princess', 'starwars', 'whatever',
+                'trustno1', 'master', 'shadow', 'superman', 'secret', 'secret123', 'changeme', 'test1234'
+            ],
+            disallowPersonalInfo: true
+        };
+    }
+
+    /**
+     * Character classes counted by minCharacterClasses
+     */
+    static get CHARACTER_CLASSES() {
+        return [
+            { label: 'lowercase letters', pattern: /[a-z]/ },
+            { label: 'uppercase letters', pattern: /[A-Z]/ },
+            { label: 'numbers', pattern: /[0-9]/ },
+            { label: 'symbols', pattern: /[^A-Za-z0-9]/ }
+        ];
+    }
+
+    /**
+     * Labels for the strength scores 0-4
+     */
+    static get STRENGTH_LABELS() {
+        return ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+    }
+
+    /**
+     * @param {Object} policy - Policy settings; missing ones use PasswordPolicy.DEFAULT_POLICY
+     */
+    constructor(policy = {}) {
+        const settings = { ...PasswordPolicy.DEFAULT_POLICY, ...policy };
+
+        this.minLength = Math.max(1, parseInt(settings.minLength, 10) || 1);
+        this.maxLength = Math.max(this.minLength, parseInt(settings.maxLength, 10) || this.minLength);
+        this.minCharacterClasses = Math.min(4, Math.max(0, parseInt(settings.minCharacterClasses, 10) || 0));
+        this.bannedPasswords = new Set((settings.bannedPasswords || []).map(password => String(password).toLowerCase()));
+        this.disallowPersonalInfo = settings.disallowPersonalInfo !== false;
+    }
+
+    /**
+     * Create the policy configured by the page, falling back to the default
+     * @returns {PasswordPolicy} Policy
+     */
+    static getConfigured() {
+        if (typeof document !== 'undefined' && document.getElementById) {
+            const element = document.getElementById('password-policy');
+            if (element && element.textContent) {
+                try {
+                    return new PasswordPolicy(JSON.parse(element.textContent));
+                } catch (error) {
+                    console.error('Invalid password policy configuration:', error);
+                }
+            }
+        }
+
+        return new PasswordPolicy();
+    }
+
+    /**
+     * Check a new password against every rule
+     * @param {string} password - New password
+     * @param {Object} context - Account the password is for
+     * @param {string} context.username - Username
+     * @param {string} context.email - Email address
+     * @returns {Object} { isValid, errors: [message, ...] } with the most basic problem first
+     */
+    validate(password, context = {}) {
+        const errors = [];
+        const value = typeof password === 'string' ? password : '';
+
+        if (value === '') {
+            errors.push('Password is required');
+            return { isValid: false, errors };
+        }
+
+        if (value.length < this.minLength) {
+            errors.push(`Password must be at least ${this.minLength} characters long`);
+        } else if (value.length > this.maxLength) {
+            errors.push(`Password must be at most ${this.maxLength} characters long`);
+        }
+
+        if (this.countCharacterClasses(value) < this.minCharacterClasses) {
+            errors.push(`Password must include at least ${this.minCharacterClasses} of: ${PasswordPolicy.CHARACTER_CLASSES.map(characterClass => characterClass.label).join(', ')}`);
+        }
+
+        if (this.isBanned(value)) {
+            errors.push('This password is too common. Please choose a less guessable one');
+        }
+
+        if (this.disallowPersonalInfo && this.containsPersonalInfo(value, context)) {
+            errors.push('Password must not contain your username or email');
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    /**
+     * Estimate how hard a password is to guess, for the strength meter
+     * Passwords the policy rejects as common or personal never score above Weak.
+     * @param {string} password - Password
+     * @param {Object} context - Account the password is for ({ username, email })
+     * @returns {Object} { score: 0-4, label }
+     */
+    getStrength(password, context = {}) {
+        const value = typeof password === 'string' ? password : '';
+        let score = 0;
+
+        if (value.length >= this.minLength) score++;
+        if (value.length >= this.minLength + 4) score++;
+        if (this.countCharacterClasses(value) >= 3) score++;
+        if (this.countCharacterClasses(value) === 4 || value.length >= Math.max(16, this.minLength + 8)) score++;
+
+        if (value === '' || this.isBanned(value)) {
+            score = 0;
+        } else if (!this.validate(value, context).isValid) {
+            score = Math.min(score, 1);
+        }
+
+        return { score, label: PasswordPolicy.STRENGTH_LABELS[score] };
+    }
+
+    /**
+     * Describe the rules for a form hint
+     * @returns {string} Requirements text
+     */
+    describe() {
+        const parts = [`At least ${this.minLength} characters`];
+        if (this.minCharacterClasses > 0) {
+            parts.push(`with ${this.minCharacterClasses} or more of lowercase letters, uppercase letters, numbers and symbols`);
+        }
+        return `${parts.join(', ')}. Avoid common passwords${this.disallowPersonalInfo ? ' and your username or email' : ''}.`;
+    }
+
+    /**
+     * Count the character classes used in a password
+     * @param {string} password - Password
+     * @returns {number} 0-4
+     */
+    countCharacterClasses(password) {
+        return PasswordPolicy.CHARACTER_CLASSES.filter(characterClass => characterClass.pattern.test(password)).length;
+    }
+
+    /**
+     * Check a password against the banned list (ignoring case)
+     * @param {string} password - Password
+     * @returns {boolean} True if banned
+     */
+    isBanned(password) {
+        return this.bannedPasswords.has(password.toLowerCase());
+    }
+
+    /**
+     * Check whether a password contains the username or the name part of the email address
+     * Parts shorter than 3 characters are ignored, since they match too much by chance.
+     * @param {string} password - Password
+     * @param {Object} context - { username, email }
+     * @returns {boolean} True if personal information was found
+     */
+    containsPersonalInfo(password, context = {}) {
+        const lowered = password.toLowerCase();
+        const parts = [context.username, String(context.email || '').split('@')[0]]
+            .map(part => String(part || '').trim().toLowerCase())
+            .filter(part => part.length >= 3);
+
+        return parts.some(part => lowered.includes(part));
+    }
+
+    /**
+     * Get the settings, e.g. to render them into a page
+     * @returns {Object} Policy settings
+     */
+    toJSON() {
+        return {
+            minLength: this.minLength,
+            maxLength: this.maxLength,
+            minCharacterClasses: this.minCharacterClasses,
+            bannedPasswords: Array.from(this.bannedPasswords),
+            disallowPersonalInfo: this.disallowPersonalInfo
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PasswordPolicy;
+}
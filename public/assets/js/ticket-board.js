@@ -0,0 +1,316 @@
+/**
+ * Ticket Board
+ * Kanban view of tickets with one column per workflow state
+ */
+
+/**
+ * TicketBoard - Renders tickets as a board and moves them between columns
+ *
+ * Cards can be dragged to another column or, when focused, moved with the Left and
+ * Right arrow keys. Every move goes through TicketManager.updateTicket, so workflow
+ * transitions and ownership rules apply exactly as they do in the edit form.
+ * Column counts come from TicketStatisticsCalculator when it is loaded.
+ */
+class TicketBoard {
+    /**
+     * @param {Object} ticketManager - TicketManager instance
+     * @param {Object} options - Board options
+     * @param {Object} options.statsCalculator - TicketStatisticsCalculator used for column counts
+     * @param {Function} options.onMove - Called with (result, ticketId, status) after every move attempt
+     */
+    constructor(ticketManager, options = {}) {
+        this.ticketManager = ticketManager;
+        this.workflow = ticketManager.workflow;
+        this.statsCalculator = options.statsCalculator || (typeof TicketStatisticsCalculator !== 'undefined'
+            ? new TicketStatisticsCalculator(this.workflow)
+            : null);
+        this.onMove = options.onMove || null;
+        this.container = null;
+        this.draggedTicketId = null;
+        this.focusTicketId = null;
+    }
+
+    /**
+     * Render the board
+     * @param {string} containerId - ID of container element
+     * @param {Array} tickets - Tickets to show
+     * @param {Object} options - Render options
+     * @param {string} options.highlight - Search query to highlight in titles
+     */
+    render(containerId, tickets, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            console.error(`Container with ID '${containerId}' not found`);
+            return;
+        }
+
+        if (this.container !== container) {
+            this.container = container;
+            this.bindEvents(container);
+        }
+
+        const columns = this.groupByStatus(tickets);
+        const counts = this.getColumnCounts(tickets);
+
+        container.innerHTML = `
+            <div class="ticket-board" role="region" aria-label="Ticket board">
+                <p id="boardInstructions" class="sr-only">
+                    Press the Left or Right arrow key to move the focused ticket to another column, and Up or Down to move between tickets.
+                </p>
+                <div class="board-columns">
+                    ${this.workflow.states.map(state => this.createColumnHTML(state, columns[state.name], counts[state.key] || 0, options.highlight)).join('')}
+                </div>
+                <div class="board-status sr-only" role="status" aria-live="polite"></div>
+            </div>
+        `;
+
+        // Keep keyboard focus on a card that was just moved
+        if (this.focusTicketId) {
+            const card = container.querySelector(`.board-card[data-ticket-id="${this.focusTicketId}"]`);
+            if (card) card.focus();
+            this.focusTicketId = null;
+        }
+    }
+
+    /**
+     * Create HTML for one column
+     * @param {Object} state - Workflow state
+     * @param {Array} tickets - Tickets in this state
+     * @param {number} count - Ticket count for the header
+     * @param {string} query - Search query to highlight
+     * @returns {string} Column HTML
+     */
+    createColumnHTML(state, tickets, count, query = '') {
+        const headingId = `board-column-${state.key}`;
+
+        return `
+            <section class="board-column" data-status="${this.ticketManager.escapeHtml(state.name)}" aria-labelledby="${headingId}">
+                <header class="board-column-header">
+                    <span class="status-indicator ${this.workflow.getIndicatorClass(state.name)}"></span>
+                    <h3 id="${headingId}" class="board-column-title">${this.ticketManager.escapeHtml(state.name)}</h3>
+                    <span class="board-column-count" aria-label="${count} ${count === 1 ? 'ticket' : 'tickets'}">${count}</span>
+                </header>
+                <ul class="board-column-list" role="list">
+                    ${tickets.length === 0
+                        ? '<li class="board-empty">No tickets</li>'
+                        : tickets.map(ticket => this.createCardHTML(ticket, query)).join('')}
+                </ul>
+            </section>
+        `;
+    }
+
+    /**
+     * Create HTML for one card
+     * @param {Object} ticket - Ticket data
+     * @param {string} query - Search query to highlight
+     * @returns {string} Card HTML
+     */
+    createCardHTML(ticket, query = '') {
+        const priority = ticket.priority || 'medium';
+        const overdue = this.ticketManager.isOverdue(ticket);
+        const canMove = this.ticketManager.canEditTicket(ticket);
+
+        return `
+            <li class="board-card" draggable="${canMove}" tabindex="0" data-ticket-id="${this.ticketManager.escapeHtml(ticket.id)}" aria-describedby="boardInstructions">
+                <h4 class="board-card-title">${this.ticketManager.highlightText(ticket.title, query)}</h4>
+                <div class="board-card-meta">
+                    <span class="ticket-priority px-2 py-1 rounded-full ${this.ticketManager.getPriorityClasses(priority)}">${this.ticketManager.getPriorityLabel(priority)}</span>
+                    ${ticket.assignee ? `<span class="board-card-assignee ticket-person">${this.ticketManager.createPersonHTML(this.ticketManager.getAssigneeUser(ticket), ticket.assignee)}</span>` : ''}
+                    ${ticket.dueDate ? `<span class="${overdue ? 'text-red-600 font-medium' : ''}">Due ${this.ticketManager.formatDueDate(ticket.dueDate)}</span>` : ''}
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Group tickets by status, one (possibly empty) list per workflow state
+     * @param {Array} tickets - Tickets to group
+     * @returns {Object} Tickets keyed by state name
+     */
+    groupByStatus(tickets) {
+        const columns = {};
+        this.workflow.getStateNames().forEach(name => {
+            columns[name] = [];
+        });
+
+        tickets.forEach(ticket => {
+            if (columns[ticket.status]) {
+                columns[ticket.status].push(ticket);
+            }
+        });
+
+        return columns;
+    }
+
+    /**
+     * Count tickets per column
+     * @param {Array} tickets - Tickets on the board
+     * @returns {Object} Statistics keyed by workflow state key
+     */
+    getColumnCounts(tickets) {
+        return this.statsCalculator
+            ? this.statsCalculator.countTickets(tickets)
+            : this.workflow.countByState(tickets);
+    }
+
+    /**
+     * Find the nearest column in a direction that the ticket is allowed to move to
+     * @param {string} status - Current status
+     * @param {number} direction - -1 for left, 1 for right
+     * @returns {string|null} Target status or null if there is none
+     */
+    getAdjacentState(status, direction) {
+        const names = this.workflow.getStateNames();
+        let index = names.indexOf(status);
+        if (index === -1) return null;
+
+        for (index += direction; index >= 0 && index < names.length; index += direction) {
+            if (this.workflow.canTransition(status, names[index])) {
+                return names[index];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Move a ticket to another column
+     * @param {string} ticketId - Ticket ID
+     * @param {string} status - Target status
+     * @returns {Object} Update result from TicketManager.updateTicket
+     */
+    async moveTicket(ticketId, status) {
+        const ticket = this.ticketManager.getTicketById(ticketId);
+        if (ticket && ticket.status === status) {
+            return { success: true, ticket: ticket, message: 'Ticket not moved' };
+        }
+
+        const result = await this.ticketManager.updateTicket(ticketId, { status });
+
+        if (result.success) {
+            this.announce(`Moved "${result.ticket.title}" to ${status}`);
+        } else {
+            this.announce(result.errors ? Object.values(result.errors).join(' ') : (result.error || result.message));
+        }
+
+        if (this.onMove) {
+            this.onMove(result, ticketId, status);
+        }
+
+        return result;
+    }
+
+    /**
+     * Announce a message to screen readers
+     * @param {string} message - Message to announce
+     */
+    announce(message) {
+        const region = this.container ? this.container.querySelector('.board-status') : null;
+        if (region) {
+            region.textContent = message;
+        }
+    }
+
+    /**
+     * Bind delegated drag-and-drop and keyboard events to the board container
+     * @param {HTMLElement} container - Board container
+     */
+    bindEvents(container) {
+        container.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.board-card');
+            if (!card) return;
+
+            this.draggedTicketId = card.getAttribute('data-ticket-id');
+            card.classList.add('dragging');
+            if (e.dataTransfer) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', this.draggedTicketId);
+            }
+        });
+
+        container.addEventListener('dragend', (e) => {
+            const card = e.target.closest('.board-card');
+            if (card) card.classList.remove('dragging');
+            this.draggedTicketId = null;
+            container.querySelectorAll('.board-column.drop-target').forEach(column => column.classList.remove('drop-target'));
+        });
+
+        container.addEventListener('dragover', (e) => {
+            const column = e.target.closest('.board-column');
+            if (!column || !this.canDropOn(column)) return;
+
+            // Allowing the drop is done by cancelling dragover
+            e.preventDefault();
+            column.classList.add('drop-target');
+        });
+
+        container.addEventListener('dragleave', (e) => {
+            const column = e.target.closest('.board-column');
+            if (column && !column.contains(e.relatedTarget)) {
+                column.classList.remove('drop-target');
+            }
+        });
+
+        container.addEventListener('drop', async (e) => {
+            const column = e.target.closest('.board-column');
+            if (!column) return;
+
+            e.preventDefault();
+            column.classList.remove('drop-target');
+
+            const ticketId = this.draggedTicketId || (e.dataTransfer && e.dataTransfer.getData('text/plain'));
+            this.draggedTicketId = null;
+            if (ticketId) {
+                await this.moveTicket(ticketId, column.getAttribute('data-status'));
+            }
+        });
+
+        container.addEventListener('keydown', async (e) => {
+            const card = e.target.closest('.board-card');
+            if (!card || e.altKey || e.ctrlKey || e.metaKey) return;
+
+            const ticketId = card.getAttribute('data-ticket-id');
+
+            switch (e.key) {
+                case 'ArrowLeft':
+                case 'ArrowRight': {
+                    e.preventDefault();
+                    const ticket = this.ticketManager.getTicketById(ticketId);
+                    const target = ticket ? this.getAdjacentState(ticket.status, e.key === 'ArrowLeft' ? -1 : 1) : null;
+                    if (!target) {
+                        this.announce('This ticket cannot move further in that direction');
+                        return;
+                    }
+                    // The board re-renders when the update event fires, so restore focus from render()
+                    this.focusTicketId = ticketId;
+                    await this.moveTicket(ticketId, target);
+                    this.focusTicketId = null;
+                    break;
+                }
+                case 'ArrowUp':
+                case 'ArrowDown': {
+                    e.preventDefault();
+                    const sibling = e.key === 'ArrowUp' ? card.previousElementSibling : card.nextElementSibling;
+                    if (sibling && sibling.classList.contains('board-card')) {
+                        sibling.focus();
+                    }
+                    break;
+                }
+            }
+        });
+    }
+
+    /**
+     * Check whether the card being dragged may be dropped on a column
+     * @param {HTMLElement} column - Column element
+     * @returns {boolean} True if the workflow allows the move
+     */
+    canDropOn(column) {
+        const ticket = this.draggedTicketId ? this.ticketManager.getTicketById(this.draggedTicketId) : null;
+        return ticket ? this.workflow.canTransition(ticket.status, column.getAttribute('data-status')) : false;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TicketBoard;
+}
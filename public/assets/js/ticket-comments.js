@@ -0,0 +1,270 @@
+/**
+ * Ticket Comments
+ * Comment threads attached to tickets
+ */
+
+/**
+ * TicketComments - Stores comment threads keyed by ticket ID
+ *
+ * Comments are kept as { [ticketId]: [comment, ...] } with the shape
+ * { id, ticketId, body, userId, userName, createdAt, updatedAt }. With a ticket storage adapter
+ * they are stored alongside the tickets as 'comments' records (on the server with the 'http'
+ * storage, which checks the same rules); without one they stay in the browser under their own key
+ * (default: 'ticket_comments'). Authorization is left to TicketManager, which owns the ticket
+ * ownership rules
+ */
+class TicketComments {
+    /**
+     * @param {Object} options - Comment store options
+     * @param {Object} options.storage - Ticket storage adapter with readRecords/saveRecord/removeRecords (optional)
+     * @param {string} options.storageKey - localStorage key without an adapter (default: 'ticket_comments')
+     * @param {boolean} options.persistent - Whether to persist to localStorage without an adapter (default: true)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.storageKey = options.storageKey || 'ticket_comments';
+        this.persistent = options.persistent !== false;
+        this.maxLength = 1000;
+        this.memoryThreads = {};
+        this.storedThreads = { raw: null, threads: {} };
+    }
+
+    /**
+     * Validate a comment body
+     * @param {string} body - Comment text
+     * @returns {Object} Validation result
+     */
+    validate(body) {
+        const errors = {};
+
+        if (typeof body !== 'string' || body.trim() === '') {
+            errors.body = 'Comment cannot be empty';
+        } else if (body.trim().length > this.maxLength) {
+            errors.body = `Comment must be less than ${this.maxLength} characters`;
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Get the comments on a ticket, oldest first
+     * @param {string} ticketId - Ticket ID
+     * @returns {Array} Comments
+     */
+    getComments(ticketId) {
+        const threads = this.readAll();
+        return (threads[ticketId] || []).map(comment => ({ ...comment }));
+    }
+
+    /**
+     * Get a single comment
+     * @param {string} ticketId - Ticket ID
+     * @param {string} commentId - Comment ID
+     * @returns {Object|null} Comment or null if not found
+     */
+    getComment(ticketId, commentId) {
+        return this.getComments(ticketId).find(comment => comment.id === commentId) || null;
+    }
+
+    /**
+     * Count the comments on a ticket
+     * @param {string} ticketId - Ticket ID
+     * @returns {number} Comment count
+     */
+    count(ticketId) {
+        const threads = this.readThreads();
+        return (threads[ticketId] || []).length;
+    }
+
+    /**
+     * Add a comment to a ticket
+     * @param {string} ticketId - Ticket ID
+     * @param {string} body - Comment text
+     * @param {Object} user - Author
+     * @returns {Promise<Object>} Stored comment
+     */
+    async add(ticketId, body, user) {
+        const now = Date.now();
+        const comment = {
+            id: `comment_${now}_${Math.random().toString(36).substr(2, 9)}`,
+            ticketId: ticketId,
+            body: body.trim(),
+            userId: user.id,
+            userName: user.username || user.email || null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        if (this.storage) {
+            return { ...(await this.storage.saveRecord('comments', comment)) };
+        }
+
+        const threads = this.readAll();
+        threads[ticketId] = [...(threads[ticketId] || []), comment];
+        this.writeAll(threads);
+
+        return { ...comment };
+    }
+
+    /**
+     * Change the text of a comment
+     * @param {string} ticketId - Ticket ID
+     * @param {string} commentId - Comment ID
+     * @param {string} body - New comment text
+     * @returns {Promise<Object>} Stored comment
+     */
+    async update(ticketId, commentId, body) {
+        const current = this.getComment(ticketId, commentId);
+        if (!current) {
+            throw new Error('Comment not found');
+        }
+
+        const comment = {
+            ...current,
+            body: body.trim(),
+            updatedAt: Date.now()
+        };
+
+        if (this.storage) {
+            return { ...(await this.storage.saveRecord('comments', comment)) };
+        }
+
+        const threads = this.readAll();
+        threads[ticketId] = threads[ticketId].map(item => (item.id === commentId ? comment : item));
+        this.writeAll(threads);
+
+        return { ...comment };
+    }
+
+    /**
+     * Delete a comment
+     * @param {string} ticketId - Ticket ID
+     * @param {string} commentId - Comment ID
+     * @returns {Promise<boolean>} Whether a comment was removed
+     */
+    async remove(ticketId, commentId) {
+        if (this.storage) {
+            return this.storage.removeRecords('comments', ticketId, commentId);
+        }
+
+        const threads = this.readAll();
+        const thread = threads[ticketId] || [];
+        const remaining = thread.filter(comment => comment.id !== commentId);
+
+        if (remaining.length === thread.length) {
+            return false;
+        }
+
+        if (remaining.length === 0) {
+            delete threads[ticketId];
+        } else {
+            threads[ticketId] = remaining;
+        }
+        this.writeAll(threads);
+        return true;
+    }
+
+    /**
+     * Delete every comment on a ticket
+     * @param {string} ticketId - Ticket ID
+     */
+    async removeThread(ticketId) {
+        if (this.storage) {
+            await this.storage.removeRecords('comments', ticketId);
+            return;
+        }
+
+        const threads = this.readAll();
+        if (threads[ticketId]) {
+            delete threads[ticketId];
+            this.writeAll(threads);
+        }
+    }
+
+    /**
+     * Move the comments on a ticket to a new ticket ID (tickets created offline get theirs from the server)
+     * @param {string} fromId - Old ticket ID
+     * @param {string} toId - New ticket ID
+     */
+    move(fromId, toId) {
+        const thread = this.readThreads()[fromId];
+        if (!thread) {
+            return;
+        }
+
+        if (this.storage) {
+            Promise.all(thread.map(comment => this.storage.saveRecord('comments', { ...comment, ticketId: toId })))
+                .then(() => this.storage.removeRecords('comments', fromId))
+                .catch(error => console.error('Error moving ticket comments:', error));
+            return;
+        }
+
+        const threads = this.readAll();
+        threads[toId] = thread.map(comment => ({ ...comment, ticketId: toId }));
+        delete threads[fromId];
+        this.writeAll(threads);
+    }
+
+    /**
+     * Read all comment threads
+     * @returns {Object} Comments keyed by ticket ID
+     */
+    readAll() {
+        return JSON.parse(JSON.stringify(this.readThreads()));
+    }
+
+    /**
+     * Read all comment threads without copying them, so counting the comments of every card
+     * parses the stored threads once; callers must not modify the result
+     * @returns {Object} Comments keyed by ticket ID
+     */
+    readThreads() {
+        if (this.storage) {
+            return this.storage.readRecords('comments');
+        }
+        if (!this.persistent) {
+            return this.memoryThreads;
+        }
+
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored !== this.storedThreads.raw) {
+                const threads = stored ? JSON.parse(stored) : {};
+                this.storedThreads = {
+                    raw: stored,
+                    threads: threads && typeof threads === 'object' && !Array.isArray(threads) ? threads : {}
+                };
+            }
+            return this.storedThreads.threads;
+        } catch (error) {
+            console.error('Error reading ticket comments:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Replace all comment threads
+     * @param {Object} threads - Comments keyed by ticket ID
+     */
+    writeAll(threads) {
+        if (!this.persistent) {
+            this.memoryThreads = JSON.parse(JSON.stringify(threads));
+            return;
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(threads));
+        } catch (error) {
+            console.error('Error saving ticket comments:', error);
+            throw new Error('Failed to save comments to storage');
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TicketComments;
+}
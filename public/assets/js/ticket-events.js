@@ -0,0 +1,88 @@
+/**
+ * Ticket Events
+ * Live ticket changes from the server, for deployments where teammates share tickets
+ */
+
+/**
+ * TicketEventStream - Subscribes to the server's ticket event stream (/api/tickets/events)
+ *
+ * The stream sends server-sent events named after the TicketManager events ('ticketCreated',
+ * 'ticketUpdated', 'ticketDeleted', 'ticketRestored', 'ticketPurged') with data
+ * { ticket, purged }, for the tickets the signed-in user may see. Each one is handed to
+ * TicketManager.applyRemoteChange, which dispatches it like a local change. Only the server storage
+ * ('http') has a stream. The server closes each stream after a short while so it does not hold a PHP
+ * worker for long; EventSource reconnects after the retry delay the stream sets and resumes from the
+ * last event it saw (Last-Event-ID).
+ */
+class TicketEventStream {
+    /**
+     * Server-sent event names the stream carries
+     */
+    static get EVENT_TYPES() {
+        return ['ticketCreated', 'ticketUpdated', 'ticketDeleted', 'ticketRestored', 'ticketPurged'];
+    }
+
+    /**
+     * @param {TicketManager} ticketManager - Manager that takes in the changes
+     * @param {Object} options - Stream options
+     * @param {string} options.url - Event stream URL (default: '/api/tickets/events')
+     * @param {Function} options.EventSource - EventSource implementation (default: window.EventSource)
+     */
+    constructor(ticketManager, options = {}) {
+        this.ticketManager = ticketManager;
+        this.url = options.url || '/api/tickets/events';
+        this.EventSource = options.EventSource || (typeof EventSource !== 'undefined' ? EventSource : null);
+        this.source = null;
+    }
+
+    /**
+     * Open the stream
+     * @returns {boolean} Whether the stream was opened (not for local storage or without EventSource)
+     */
+    start() {
+        const storage = this.ticketManager ? this.ticketManager.storage : null;
+        if (this.source || !this.EventSource || !storage || typeof storage.applyRemoteChange !== 'function') {
+            return false;
+        }
+
+        this.source = new this.EventSource(this.url);
+        TicketEventStream.EVENT_TYPES.forEach(type => {
+            this.source.addEventListener(type, (event) => this.handleEvent(type, event));
+        });
+        return true;
+    }
+
+    /**
+     * Pass one server-sent event to TicketManager
+     * @param {string} type - Event name
+     * @param {MessageEvent} event - Event with JSON data { ticket, purged }
+     * @returns {boolean} Whether the change was new to this browser
+     */
+    handleEvent(type, event) {
+        try {
+            const data = JSON.parse(event.data);
+            if (!data || !data.ticket) {
+                return false;
+            }
+            return this.ticketManager.applyRemoteChange(type, data.ticket, Boolean(data.purged));
+        } catch (error) {
+            console.error(`Error handling ${type} event from the server:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Close the stream
+     */
+    stop() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TicketEventStream;
+}
@@ -0,0 +1,194 @@
+/**
+ * Ticket History
+ * Per-ticket audit trail of field-level changes (who changed what, and when)
+ */
+
+/**
+ * TicketHistory - Records and reads ticket activity entries
+ *
+ * Entries are kept as { [ticketId]: [entry, ...] } so a deleted ticket keeps its trail. With a
+ * ticket storage adapter they are stored alongside the tickets as 'history' records (on the server
+ * with the 'http' storage, so teammates see them); without one they stay in the browser under
+ * their own key (default: 'ticket_history'). Each entry has the shape
+ * { id, ticketId, action, changes: [{ field, oldValue, newValue }], userId, userName, timestamp }
+ */
+class TicketHistory {
+    /**
+     * @param {Object} options - History options
+     * @param {Object} options.storage - Ticket storage adapter with readRecords/saveRecord/removeRecords (optional)
+     * @param {string} options.storageKey - localStorage key without an adapter (default: 'ticket_history')
+     * @param {boolean} options.persistent - Whether to persist to localStorage without an adapter (default: true)
+     * @param {number} options.maxEntriesPerTicket - Oldest entries beyond this are dropped (default: 200)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.storageKey = options.storageKey || 'ticket_history';
+        this.persistent = options.persistent !== false;
+        this.maxEntriesPerTicket = options.maxEntriesPerTicket || 200;
+        this.trackedFields = ['title', 'description', 'status', 'priority', 'assignee', 'dueDate'];
+        this.memoryLog = {};
+    }
+
+    /**
+     * Compare two versions of a ticket
+     * @param {Object} before - Previous ticket (empty object for a new ticket)
+     * @param {Object} after - New ticket (empty object for a deleted ticket)
+     * @returns {Array} Changes as { field, oldValue, newValue }
+     */
+    diff(before, after) {
+        const changes = [];
+
+        this.trackedFields.forEach(field => {
+            const oldValue = this.normalizeValue(before[field]);
+            const newValue = this.normalizeValue(after[field]);
+
+            if (oldValue !== newValue) {
+                changes.push({ field, oldValue, newValue });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Record an activity entry for a ticket
+     * @param {string} ticketId - Ticket ID
+     * @param {string} action - 'created', 'updated', 'assigned', 'deleted', 'restored' or 'purged'
+     * @param {Array} changes - Field changes from diff()
+     * @param {Object} user - User who made the change
+     * @returns {Object} Recorded entry
+     */
+    record(ticketId, action, changes, user = null) {
+        const entry = {
+            id: `history_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            ticketId: ticketId,
+            action: action,
+            changes: changes,
+            userId: user ? user.id : null,
+            userName: user ? (user.username || user.email || null) : null,
+            timestamp: Date.now()
+        };
+
+        // Adapters may save in the background; a failed save is logged like other history failures
+        if (this.storage) {
+            this.storage.saveRecord('history', entry, this.maxEntriesPerTicket)
+                .catch(error => console.error('Error saving ticket history:', error));
+            return entry;
+        }
+
+        const log = this.readAll();
+        const entries = log[ticketId] || [];
+        entries.push(entry);
+        log[ticketId] = entries.slice(-this.maxEntriesPerTicket);
+        this.writeAll(log);
+
+        return entry;
+    }
+
+    /**
+     * Get the history of a ticket, oldest first
+     * @param {string} ticketId - Ticket ID
+     * @returns {Array} History entries
+     */
+    getHistory(ticketId) {
+        const log = this.readAll();
+        return (log[ticketId] || []).map(entry => ({ ...entry, changes: entry.changes.map(change => ({ ...change })) }));
+    }
+
+    /**
+     * Remove the history of a ticket
+     * @param {string} ticketId - Ticket ID
+     */
+    clear(ticketId) {
+        if (this.storage) {
+            this.storage.removeRecords('history', ticketId)
+                .catch(error => console.error('Error removing ticket history:', error));
+            return;
+        }
+
+        const log = this.readAll();
+        delete log[ticketId];
+        this.writeAll(log);
+    }
+
+    /**
+     * Move the history of a ticket to a new ticket ID (tickets created offline get theirs from the server)
+     * @param {string} fromId - Old ticket ID
+     * @param {string} toId - New ticket ID
+     */
+    move(fromId, toId) {
+        const entries = this.readAll()[fromId];
+        if (!entries) {
+            return;
+        }
+
+        if (this.storage) {
+            Promise.all(entries.map(entry => this.storage.saveRecord('history', { ...entry, ticketId: toId })))
+                .then(() => this.storage.removeRecords('history', fromId))
+                .catch(error => console.error('Error moving ticket history:', error));
+            return;
+        }
+
+        const log = this.readAll();
+        log[toId] = entries.map(entry => ({ ...entry, ticketId: toId }));
+        delete log[fromId];
+        this.writeAll(log);
+    }
+
+    /**
+     * Read the whole history log
+     * @returns {Object} Entries keyed by ticket ID
+     */
+    readAll() {
+        if (this.storage) {
+            return { ...this.storage.readRecords('history') };
+        }
+        if (!this.persistent) {
+            return JSON.parse(JSON.stringify(this.memoryLog));
+        }
+
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            const log = stored ? JSON.parse(stored) : {};
+            return log && typeof log === 'object' && !Array.isArray(log) ? log : {};
+        } catch (error) {
+            console.error('Error reading ticket history:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Replace the whole history log
+     * @param {Object} log - Entries keyed by ticket ID
+     */
+    writeAll(log) {
+        if (!this.persistent) {
+            this.memoryLog = JSON.parse(JSON.stringify(log));
+            return;
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(log));
+        } catch (error) {
+            console.error('Error saving ticket history:', error);
+            throw new Error('Failed to save ticket history');
+        }
+    }
+
+    /**
+     * Treat missing and empty values alike so '' -> undefined is not a change
+     * @param {*} value - Field value
+     * @returns {*} Normalised value
+     */
+    normalizeValue(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        return value;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TicketHistory;
+}
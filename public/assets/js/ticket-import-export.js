@@ -0,0 +1,365 @@
+/**
+ * Ticket Import/Export
+ * CSV and JSON serialisation of tickets, column mapping and import validation
+ */
+
+/**
+ * TicketImportExport - Converts tickets to and from CSV/JSON
+ *
+ * Export writes one row/object per ticket with the fields in TicketImportExport.FIELDS.
+ * Import is a two-step process: parse() reads the file into records keyed by source column,
+ * then preview() maps each record onto ticket fields, validates it with TicketValidator, rejects
+ * ids in an unexpected format and flags ids that already exist (or repeat within the file) as duplicates. Nothing is stored here;
+ * TicketManager.importTickets() persists the rows that preview() marks as 'create'.
+ */
+class TicketImportExport {
+    /**
+     * Ticket fields that are exported and can be mapped on import
+     */
+    static get FIELDS() {
+        return ['id', 'title', 'description', 'status', 'priority', 'assignee', 'dueDate', 'createdAt', 'updatedAt'];
+    }
+
+    /**
+     * Alternative column names recognised when suggesting a mapping (compared without case, spaces or punctuation)
+     */
+    static get FIELD_ALIASES() {
+        return {
+            id: ['id', 'ticketid', 'key'],
+            title: ['title', 'summary', 'subject', 'name'],
+            description: ['description', 'details', 'body', 'notes'],
+            status: ['status', 'state'],
+            priority: ['priority', 'severity'],
+            assignee: ['assignee', 'assignedto', 'owner'],
+            dueDate: ['duedate', 'due', 'deadline'],
+            createdAt: ['createdat', 'created', 'createddate'],
+            updatedAt: ['updatedat', 'updated', 'lastupdated', 'modified']
+        };
+    }
+
+    /**
+     * Imported ids must look like the app's own: generated ids (ticket_<time>_<random>) and server ids
+     * only use letters, digits, '_' and '-', so an id is also safe to put in HTML attributes and selectors
+     */
+    static get ID_PATTERN() {
+        return /^[A-Za-z0-9_-]{1,64}$/;
+    }
+
+    /**
+     * @param {Object} options - Import/export options
+     * @param {Object} options.workflow - TicketWorkflow used to match status names
+     * @param {Object} options.validator - TicketValidator used to check imported rows
+     */
+    constructor(options = {}) {
+        this.workflow = options.workflow;
+        this.validator = options.validator;
+    }
+
+    /**
+     * Serialise tickets to CSV (header row plus one row per ticket)
+     * @param {Array} tickets - Tickets to export
+     * @returns {string} CSV text
+     */
+    toCSV(tickets) {
+        const fields = TicketImportExport.FIELDS;
+        const rows = tickets.map(ticket => fields.map(field =>
+            TicketImportExport.neutraliseFormula(this.formatExportValue(field, ticket[field]))
+        ));
+
+        return [fields, ...rows]
+            .map(row => row.map(value => TicketImportExport.escapeCSVValue(value)).join(','))
+            .join('\r\n');
+    }
+
+    /**
+     * Serialise tickets to a JSON array
+     * @param {Array} tickets - Tickets to export
+     * @returns {string} JSON text
+     */
+    toJSON(tickets) {
+        const fields = TicketImportExport.FIELDS;
+        const records = tickets.map(ticket => {
+            const record = {};
+            fields.forEach(field => {
+                record[field] = this.formatExportValue(field, ticket[field]);
+            });
+            return record;
+        });
+
+        return JSON.stringify(records, null, 2);
+    }
+
+    /**
+     * Format a field for export (timestamps become ISO 8601 strings)
+     * @param {string} field - Field name
+     * @param {*} value - Field value
+     * @returns {string} Exported value
+     */
+    formatExportValue(field, value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        if ((field === 'createdAt' || field === 'updatedAt') && typeof value === 'number') {
+            return new Date(value).toISOString();
+        }
+        return String(value);
+    }
+
+    /**
+     * Stop a spreadsheet from running a value as a formula (CSV injection) by prefixing a quote
+     * to values starting with =, +, -, @, a tab or a carriage return
+     * @param {string} value - Exported value
+     * @returns {string} Value that spreadsheets show as text
+     */
+    static neutraliseFormula(value) {
+        const text = String(value);
+        return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    }
+
+    /**
+     * Drop the quote neutraliseFormula() added, so exported files import unchanged
+     * @param {string} value - Imported CSV value
+     * @returns {string} Original value
+     */
+    static restoreFormula(value) {
+        return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+    }
+
+    /**
+     * Quote a CSV value when it contains a separator, quote or line break
+     * @param {string} value - Value to escape
+     * @returns {string} CSV-safe value
+     */
+    static escapeCSVValue(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Split CSV text into rows of values (RFC 4180: quoted values may contain commas, quotes and line breaks)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let inQuotes = false;
+        const source = String(text).replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('CSV file has an unterminated quoted value');
+        }
+
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+
+        // Ignore blank lines
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    /**
+     * Detect the format of a file from its name or content
+     * @param {string} fileName - File name (may be empty)
+     * @param {string} text - File content
+     * @returns {string} 'csv' or 'json'
+     */
+    static detectFormat(fileName, text) {
+        if (/\.json$/i.test(fileName || '')) return 'json';
+        if (/\.csv$/i.test(fileName || '')) return 'csv';
+        return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+    }
+
+    /**
+     * Parse an import file into records keyed by source column
+     * @param {string} text - File content
+     * @param {string} format - 'csv' or 'json'
+     * @returns {Object} { headers, records }
+     */
+    parse(text, format) {
+        if (format === 'json') {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error('File is not valid JSON');
+            }
+
+            const records = Array.isArray(data) ? data : (data && Array.isArray(data.tickets) ? data.tickets : null);
+            if (!records || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+                throw new Error('JSON file must contain an array of ticket objects');
+            }
+
+            const headers = [];
+            records.forEach(record => {
+                Object.keys(record).forEach(key => {
+                    if (!headers.includes(key)) headers.push(key);
+                });
+            });
+
+            return { headers, records };
+        }
+
+        const rows = TicketImportExport.parseCSV(text);
+        if (rows.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        const records = rows.slice(1).map(cells => {
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = cells[index] !== undefined ? TicketImportExport.restoreFormula(cells[index]) : '';
+            });
+            return record;
+        });
+
+        return { headers, records };
+    }
+
+    /**
+     * Suggest which source column feeds each ticket field
+     * @param {Array<string>} headers - Source column names
+     * @returns {Object} Mapping of ticket field -> source column (unmatched fields are omitted)
+     */
+    suggestMapping(headers) {
+        const normalize = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const mapping = {};
+
+        Object.entries(TicketImportExport.FIELD_ALIASES).forEach(([field, aliases]) => {
+            const header = headers.find(candidate => aliases.includes(normalize(candidate)));
+            if (header !== undefined) {
+                mapping[field] = header;
+            }
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Map, normalise, validate and de-duplicate records without storing anything (dry run)
+     * @param {Array} records - Records from parse()
+     * @param {Object} mapping - Ticket field -> source column
+     * @param {Array} existingTickets - Stored tickets used for duplicate detection
+     * @param {Object} options - Preview options
+     * @param {boolean} options.canAssign - Whether the importing user may set assignees (default: true)
+     * @returns {Object} { rows: [{ row, data, errors, action }], summary: { total, create, invalid, duplicate } }
+     */
+    preview(records, mapping, existingTickets = [], options = {}) {
+        const knownIds = new Set(existingTickets.map(ticket => String(ticket.id)));
+        const seenIds = new Set();
+
+        const rows = records.map((record, index) => {
+            const data = this.mapRecord(record, mapping);
+            const validation = this.validator.validateCreateTicket(data);
+            const errors = { ...validation.errors };
+            if (data.assignee && options.canAssign === false && !errors.assignee) {
+                errors.assignee = 'Not authorized to assign tickets';
+            }
+            let action = Object.keys(errors).length === 0 ? 'create' : 'invalid';
+
+            if (data.id) {
+                if (!TicketImportExport.ID_PATTERN.test(data.id)) {
+                    errors.id = 'ID may only contain letters, numbers, hyphens and underscores (up to 64 characters)';
+                    action = 'invalid';
+                } else if (knownIds.has(data.id)) {
+                    errors.id = `A ticket with ID ${data.id} already exists`;
+                    action = 'duplicate';
+                } else if (seenIds.has(data.id)) {
+                    errors.id = `ID ${data.id} appears more than once in this file`;
+                    action = 'duplicate';
+                }
+                seenIds.add(data.id);
+            }
+
+            // Rows are numbered from 1, not counting the CSV header
+            return { row: index + 1, data, errors, action };
+        });
+
+        return {
+            rows: rows,
+            summary: {
+                total: rows.length,
+                create: rows.filter(row => row.action === 'create').length,
+                invalid: rows.filter(row => row.action === 'invalid').length,
+                duplicate: rows.filter(row => row.action === 'duplicate').length
+            }
+        };
+    }
+
+    /**
+     * Build ticket data from a record using the mapping
+     * Status and priority are matched without case and missing ones fall back to the defaults
+     * @param {Object} record - Source record
+     * @param {Object} mapping - Ticket field -> source column
+     * @returns {Object} Ticket data
+     */
+    mapRecord(record, mapping) {
+        const read = (field) => {
+            const column = mapping[field];
+            if (!column || record[column] === undefined || record[column] === null) return '';
+            return String(record[column]).trim();
+        };
+
+        const status = read('status');
+        const matchedStatus = this.workflow.getStateNames().find(name => name.toLowerCase() === status.toLowerCase());
+
+        return {
+            id: read('id') || null,
+            title: read('title'),
+            description: read('description'),
+            status: status ? (matchedStatus || status) : this.workflow.initialState,
+            priority: read('priority').toLowerCase() || 'medium',
+            assignee: read('assignee'),
+            dueDate: read('dueDate') || null,
+            createdAt: TicketImportExport.parseTimestamp(read('createdAt')),
+            updatedAt: TicketImportExport.parseTimestamp(read('updatedAt'))
+        };
+    }
+
+    /**
+     * Read an exported timestamp (ISO 8601 string or milliseconds)
+     * @param {string} value - Timestamp text
+     * @returns {number|null} Milliseconds since epoch, or null if missing or unreadable
+     */
+    static parseTimestamp(value) {
+        if (!value) return null;
+        const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+        return Number.isNaN(time) ? null : time;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TicketImportExport;
+}
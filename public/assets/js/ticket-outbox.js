@@ -0,0 +1,149 @@
+/**
+ * Ticket Outbox
+ * Ticket changes made while the ticket server cannot be reached, waiting to be sent
+ */
+
+/**
+ * TicketOutbox - Persistent queue of ticket writes for HttpTicketAdapter
+ *
+ * Entries are kept in localStorage (default key: 'ticket_outbox') so they survive reloads, with
+ * the shape { id, type: 'insert' | 'update' | 'remove', ticketId, ticket, baseVersion, queuedAt }.
+ * baseVersion is the server's version of the ticket when it was first changed offline; when the
+ * entry is replayed, a different version on the server means someone else changed the ticket
+ * meanwhile. Each ticket has at most one entry: later changes are folded into it.
+ */
+class TicketOutbox {
+    /**
+     * @param {Object} options - Outbox options
+     * @param {string} options.storageKey - localStorage key (default: 'ticket_outbox')
+     * @param {boolean} options.persistent - Whether to persist to localStorage (default: true)
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'ticket_outbox';
+        this.persistent = options.persistent !== false;
+        this.memoryEntries = [];
+    }
+
+    /**
+     * Queue a change
+     * @param {string} type - 'insert', 'update' or 'remove'
+     * @param {Object} ticket - Ticket as changed (for 'remove', the ticket being deleted)
+     * @param {Object} base - Ticket as last seen on the server (null for new tickets)
+     * @returns {Object|null} Queued entry, or null when the change cancelled a queued insert
+     */
+    enqueue(type, ticket, base = null) {
+        const entries = this.readAll();
+        const pending = entries.find(entry => entry.ticketId === ticket.id);
+
+        if (pending) {
+            if (type === 'remove' && pending.type === 'insert') {
+                // The server never saw the ticket, so there is nothing left to send
+                this.writeAll(entries.filter(entry => entry !== pending));
+                return null;
+            }
+            pending.type = type === 'remove' ? 'remove' : pending.type;
+            pending.ticket = { ...ticket };
+            this.writeAll(entries);
+            return pending;
+        }
+
+        const entry = {
+            id: `outbox_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type: type,
+            ticketId: ticket.id,
+            ticket: { ...ticket },
+            baseVersion: base ? Number(base.version) || 1 : null,
+            queuedAt: Date.now()
+        };
+
+        entries.push(entry);
+        this.writeAll(entries);
+        return entry;
+    }
+
+    /**
+     * Apply the queued changes to a list of tickets, e.g. the server's tickets after a reload
+     * @param {Array} tickets - Tickets
+     * @returns {Array} Tickets with the queued changes
+     */
+    applyTo(tickets) {
+        return this.readAll().reduce((result, entry) => {
+            const others = result.filter(ticket => ticket.id !== entry.ticketId);
+            return entry.type === 'remove' ? others : [...others, { ...entry.ticket }];
+        }, tickets.map(ticket => ({ ...ticket })));
+    }
+
+    /**
+     * Point queued changes at the ID the server gave a ticket created offline
+     * @param {string} oldId - ID the ticket was created with
+     * @param {string} newId - ID assigned by the server
+     */
+    replaceTicketId(oldId, newId) {
+        const entries = this.readAll();
+        entries.forEach(entry => {
+            if (entry.ticketId === oldId) {
+                entry.ticketId = newId;
+                entry.ticket = { ...entry.ticket, id: newId };
+            }
+        });
+        this.writeAll(entries);
+    }
+
+    /**
+     * Forget a change, once it has been sent or reported as a conflict
+     * @param {string} entryId - Entry ID
+     */
+    remove(entryId) {
+        this.writeAll(this.readAll().filter(entry => entry.id !== entryId));
+    }
+
+    /**
+     * Count the queued changes
+     * @returns {number} Number of entries
+     */
+    size() {
+        return this.readAll().length;
+    }
+
+    /**
+     * Read every entry, oldest first
+     * @returns {Array} Entries
+     */
+    readAll() {
+        if (!this.persistent) {
+            return JSON.parse(JSON.stringify(this.memoryEntries));
+        }
+
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            const entries = stored ? JSON.parse(stored) : [];
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.error('Error reading the ticket outbox:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Replace every entry
+     * @param {Array} entries - Entries, oldest first
+     */
+    writeAll(entries) {
+        if (!this.persistent) {
+            this.memoryEntries = JSON.parse(JSON.stringify(entries));
+            return;
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(entries));
+        } catch (error) {
+            console.error('Error saving the ticket outbox:', error);
+            throw new Error('Unable to save the change for later');
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TicketOutbox;
+}
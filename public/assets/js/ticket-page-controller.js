@@ -48,8 +48,10 @@ class TicketPageController {
             // Get current user session
             const session = this.authManager.getSession();
             
-            // Extract username with fallback
-            const username = session?.user?.username || 'User';
+            // Prefer the display name from the user's profile
+            const username = typeof UserProfile !== 'undefined'
+                ? UserProfile.getDisplayName(session?.user)
+                : session?.user?.username || 'User';
             
             // Update username in the DOM
             const usernameElement = document.getElementById('username');
@@ -97,12 +99,18 @@ class TicketPageController {
     /**
      * Execute the actual statistics refresh
      * @param {boolean} forceRefresh - Force recalculation even if cached
+     * @returns {Promise<void>} Resolves once the counts are shown
      * @private
      */
-    executeStatisticsRefresh(forceRefresh) {
+    async executeStatisticsRefresh(forceRefresh) {
         try {
-            // Calculate statistics from localStorage
-            const stats = this.statsCalculator.calculateStatistics(forceRefresh);
+            // Once AppIntegration has loaded TicketManager, count the tickets it holds (e.g. from the server)
+            if (!this.statsCalculator.storage && typeof window !== 'undefined' && window.appTickets) {
+                this.statsCalculator.storage = window.appTickets.storage;
+            }
+
+            // Calculate statistics from ticket storage (from its indexes, for IndexedDB)
+            const stats = await this.statsCalculator.calculateStatisticsAsync(forceRefresh);
             
             // Update statistics display in DOM with smooth transition
             this.statsCalculator.updateStatisticsDisplay(stats);
@@ -192,6 +200,29 @@ class TicketPageController {
             this.refreshStatisticsPublic(true);
         });
         
+        // Listen for tickets restored from the trash
+        window.addEventListener('ticketRestored', () => {
+            this.refreshStatisticsPublic(true);
+        });
+        
+        // Listen for bulk imports
+        window.addEventListener('ticketsImported', () => {
+            this.refreshStatisticsPublic(true);
+        });
+        
+        // Listen for changes made offline reaching the server
+        window.addEventListener('ticketsSynced', () => {
+            this.refreshStatisticsPublic(true);
+        });
+        
+        // Listen for TicketManager loading its storage (e.g. IndexedDB) and for saves in other tabs
+        window.addEventListener('ticketsLoaded', () => {
+            this.refreshStatisticsPublic(true);
+        });
+        window.addEventListener('ticketsChangedElsewhere', () => {
+            this.refreshStatisticsPublic(true);
+        });
+        
         // Listen for storage changes from other tabs/windows
         window.addEventListener('storage', (event) => {
             if (event.key === 'tickets') {
@@ -0,0 +1,135 @@
+/**
+ * Ticket Permissions
+ * Role-based access rules for viewing, editing, deleting and assigning tickets
+ */
+
+/**
+ * TicketPermissions - Decides what a user may do with a ticket
+ *
+ * Every user may view, edit and delete the tickets they created, and view and edit the tickets
+ * assigned to them. Beyond that a user's role
+ * (user.role, default 'requester') grants permissions:
+ *   view-all   - see every user's tickets
+ *   edit-any   - edit (and comment on) any ticket
+ *   delete-any - delete any ticket
+ *   assign     - set or change a ticket's assignee, including on tickets they own
+ * TicketManager enforces these rules; the UI uses the same checks to hide actions.
+ */
+class TicketPermissions {
+    /**
+     * Permissions granted by each built-in role
+     */
+    static get DEFAULT_ROLES() {
+        return {
+            admin: ['view-all', 'edit-any', 'delete-any', 'assign'],
+            agent: ['view-all', 'edit-any', 'assign'],
+            requester: []
+        };
+    }
+
+    /**
+     * Role used for users without a (known) role
+     */
+    static get DEFAULT_ROLE() {
+        return 'requester';
+    }
+
+    /**
+     * @param {Object} roles - Permissions keyed by role name (default: TicketPermissions.DEFAULT_ROLES)
+     */
+    constructor(roles = TicketPermissions.DEFAULT_ROLES) {
+        this.roles = {};
+        Object.entries(roles).forEach(([role, permissions]) => {
+            this.roles[role] = Array.isArray(permissions) ? permissions.slice() : [];
+        });
+    }
+
+    /**
+     * Get a user's role, falling back to the default for unknown roles
+     * @param {Object} user - User (may be null)
+     * @returns {string} Role name
+     */
+    getRole(user) {
+        return user && this.roles[user.role] ? user.role : TicketPermissions.DEFAULT_ROLE;
+    }
+
+    /**
+     * Check whether a user's role grants a permission
+     * @param {Object} user - User
+     * @param {string} permission - Permission name, e.g. 'view-all'
+     * @returns {boolean} True if granted
+     */
+    can(user, permission) {
+        if (!user) {
+            return false;
+        }
+        return (this.roles[this.getRole(user)] || []).includes(permission);
+    }
+
+    /**
+     * Check whether a user created a ticket
+     * @param {Object} user - User
+     * @param {Object} ticket - Ticket
+     * @returns {boolean} True if the user owns the ticket
+     */
+    isOwner(user, ticket) {
+        return Boolean(user && ticket && ticket.userId === user.id);
+    }
+
+    /**
+     * Check whether a ticket is assigned to a user
+     * Assignees are stored by username or email; display names are not matched, since anyone
+     * can pick any display name.
+     * @param {Object} user - User
+     * @param {Object} ticket - Ticket
+     * @returns {boolean} True if the user is the ticket's assignee
+     */
+    isAssignee(user, ticket) {
+        if (!user || !ticket) {
+            return false;
+        }
+
+        const assignee = String(ticket.assignee || '').trim().toLowerCase();
+        return assignee !== '' && [user.username, user.email].some(value => value && value.toLowerCase() === assignee);
+    }
+
+    /**
+     * @param {Object} user - User
+     * @param {Object} ticket - Ticket
+     * @returns {boolean} True if the user may see the ticket
+     */
+    canView(user, ticket) {
+        return this.isOwner(user, ticket) || this.isAssignee(user, ticket) || this.can(user, 'view-all');
+    }
+
+    /**
+     * @param {Object} user - User
+     * @param {Object} ticket - Ticket
+     * @returns {boolean} True if the user may edit the ticket
+     */
+    canEdit(user, ticket) {
+        return this.isOwner(user, ticket) || this.isAssignee(user, ticket) || this.can(user, 'edit-any');
+    }
+
+    /**
+     * @param {Object} user - User
+     * @param {Object} ticket - Ticket
+     * @returns {boolean} True if the user may delete the ticket
+     */
+    canDelete(user, ticket) {
+        return this.isOwner(user, ticket) || this.can(user, 'delete-any');
+    }
+
+    /**
+     * @param {Object} user - User
+     * @returns {boolean} True if the user may set or change assignees
+     */
+    canAssign(user) {
+        return this.can(user, 'assign');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TicketPermissions;
+}
@@ -0,0 +1,200 @@
+/**
+ * Ticket Search
+ * Tokenized, case-insensitive and accent-insensitive full-text search over ticket titles and descriptions
+ */
+
+/**
+ * TicketSearchIndex - Matches tickets against a search query and highlights the matches
+ * Normalised ticket text is cached per ticket and only rebuilt when the ticket changes,
+ * so repeated searches over thousands of tickets only do substring checks
+ */
+class TicketSearchIndex {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Fold text for comparison: lowercase and strip accents ("Café" -> "cafe")
+     * @param {string} text - Text to normalise
+     * @returns {string} Normalised text
+     */
+    static normalize(text) {
+        if (!text) return '';
+        return String(text)
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Split a query into unique normalised tokens
+     * @param {string} query - Search query
+     * @returns {Array<string>} Tokens
+     */
+    static tokenize(query) {
+        const tokens = TicketSearchIndex.normalize(query)
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(token => token.length > 0);
+        return [...new Set(tokens)];
+    }
+
+    /**
+     * Escape text and wrap every occurrence of the query tokens in <mark>
+     * @param {string} text - Text to highlight
+     * @param {string} query - Search query
+     * @returns {string} Escaped HTML
+     */
+    static highlight(text, query) {
+        const source = text ? String(text) : '';
+        const tokens = TicketSearchIndex.tokenize(query);
+
+        if (!source || tokens.length === 0) {
+            return TicketSearchIndex.escapeHtml(source);
+        }
+
+        // Normalise character by character, remembering where each folded character came from
+        let folded = '';
+        const offsets = [];
+        let position = 0;
+        for (const char of source) {
+            const normalizedChar = TicketSearchIndex.normalize(char);
+            for (let i = 0; i < normalizedChar.length; i++) {
+                offsets.push(position);
+            }
+            folded += normalizedChar;
+            position += char.length;
+        }
+
+        const ranges = [];
+        tokens.forEach(token => {
+            let index = folded.indexOf(token);
+            while (index !== -1) {
+                const start = offsets[index];
+                const last = offsets[index + token.length - 1];
+                let end = last + (source.codePointAt(last) > 0xffff ? 2 : 1);
+
+                // Keep trailing combining accents inside the highlight
+                while (end < source.length && /[\u0300-\u036f]/.test(source[end])) {
+                    end++;
+                }
+
+                ranges.push([start, end]);
+                index = folded.indexOf(token, index + token.length);
+            }
+        });
+
+        if (ranges.length === 0) {
+            return TicketSearchIndex.escapeHtml(source);
+        }
+
+        // Merge overlapping ranges so nested tokens produce a single mark
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [ranges[0]];
+        for (let i = 1; i < ranges.length; i++) {
+            const previous = merged[merged.length - 1];
+            if (ranges[i][0] <= previous[1]) {
+                previous[1] = Math.max(previous[1], ranges[i][1]);
+            } else {
+                merged.push(ranges[i]);
+            }
+        }
+
+        let html = '';
+        let cursor = 0;
+        merged.forEach(([start, end]) => {
+            html += TicketSearchIndex.escapeHtml(source.slice(cursor, start));
+            html += `<mark class="search-highlight">${TicketSearchIndex.escapeHtml(source.slice(start, end))}</mark>`;
+            cursor = end;
+        });
+        html += TicketSearchIndex.escapeHtml(source.slice(cursor));
+
+        return html;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(text) {
+        if (!text) return '';
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return text.replace(/[&<>"']/g, (m) => map[m]);
+    }
+
+    /**
+     * Return the tickets whose title or description contains every query token
+     * @param {Array} tickets - Tickets to search
+     * @param {string} query - Search query
+     * @returns {Array} Matching tickets in their original order
+     */
+    search(tickets, query) {
+        const tokens = TicketSearchIndex.tokenize(query);
+        if (tokens.length === 0) {
+            return tickets.slice();
+        }
+
+        const results = tickets.filter(ticket => {
+            const text = this.getSearchText(ticket);
+            return tokens.every(token => text.includes(token));
+        });
+
+        this.prune(tickets);
+        return results;
+    }
+
+    /**
+     * Get the cached normalised text for a ticket, rebuilding it when the ticket has changed
+     * @param {Object} ticket - Ticket data
+     * @returns {string} Normalised title and description
+     */
+    getSearchText(ticket) {
+        const entry = this.entries.get(ticket.id);
+        if (entry && entry.title === ticket.title && entry.description === ticket.description) {
+            return entry.text;
+        }
+
+        const text = TicketSearchIndex.normalize(`${ticket.title || ''}\n${ticket.description || ''}`);
+        this.entries.set(ticket.id, {
+            title: ticket.title,
+            description: ticket.description,
+            text: text
+        });
+        return text;
+    }
+
+    /**
+     * Drop cache entries for tickets that no longer exist
+     * @param {Array} tickets - Current tickets
+     */
+    prune(tickets) {
+        if (this.entries.size <= tickets.length) {
+            return;
+        }
+
+        const ids = new Set(tickets.map(ticket => ticket.id));
+        for (const id of this.entries.keys()) {
+            if (!ids.has(id)) {
+                this.entries.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Clear the cache
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TicketSearchIndex;
+}
@@ -0,0 +1,122 @@
+/**
+ * Ticket Selection
+ * Multi-select state for bulk actions on ticket cards
+ */
+
+/**
+ * TicketSelection - Tracks which tickets are selected
+ *
+ * Holds IDs only; rendering and the bulk actions themselves live in AppIntegration and
+ * TicketManager. Shift-click ranges are resolved against the order of the visible cards,
+ * starting from the last ticket that was toggled (the anchor).
+ */
+class TicketSelection {
+    constructor() {
+        this.selectedIds = new Set();
+        this.anchorId = null;
+    }
+
+    /**
+     * Number of selected tickets
+     * @returns {number} Count
+     */
+    get size() {
+        return this.selectedIds.size;
+    }
+
+    /**
+     * Check whether a ticket is selected
+     * @param {string} ticketId - Ticket ID
+     * @returns {boolean} True if selected
+     */
+    isSelected(ticketId) {
+        return this.selectedIds.has(ticketId);
+    }
+
+    /**
+     * Select or deselect a ticket, or every ticket between the anchor and it
+     * @param {string} ticketId - Ticket ID
+     * @param {boolean} selected - New state
+     * @param {Object} options - Toggle options
+     * @param {boolean} options.range - Apply to the range from the anchor (shift-click)
+     * @param {Array<string>} options.orderedIds - Visible ticket IDs in display order
+     */
+    toggle(ticketId, selected, options = {}) {
+        const orderedIds = options.orderedIds || [];
+        const anchorIndex = orderedIds.indexOf(this.anchorId);
+        const targetIndex = orderedIds.indexOf(ticketId);
+
+        let ids = [ticketId];
+        if (options.range && anchorIndex !== -1 && targetIndex !== -1) {
+            ids = orderedIds.slice(Math.min(anchorIndex, targetIndex), Math.max(anchorIndex, targetIndex) + 1);
+        }
+
+        ids.forEach(id => {
+            if (selected) {
+                this.selectedIds.add(id);
+            } else {
+                this.selectedIds.delete(id);
+            }
+        });
+
+        this.anchorId = ticketId;
+    }
+
+    /**
+     * Select every given ticket
+     * @param {Array<string>} ticketIds - Ticket IDs (e.g. all visible cards)
+     */
+    selectAll(ticketIds) {
+        ticketIds.forEach(id => this.selectedIds.add(id));
+    }
+
+    /**
+     * Deselect everything
+     */
+    clear() {
+        this.selectedIds.clear();
+        this.anchorId = null;
+    }
+
+    /**
+     * Drop selected tickets that are no longer listed (filtered out or deleted)
+     * @param {Array<string>} ticketIds - Ticket IDs that remain visible
+     */
+    retain(ticketIds) {
+        const visible = new Set(ticketIds);
+        this.selectedIds.forEach(id => {
+            if (!visible.has(id)) {
+                this.selectedIds.delete(id);
+            }
+        });
+
+        if (!visible.has(this.anchorId)) {
+            this.anchorId = null;
+        }
+    }
+
+    /**
+     * Check whether every given ticket is selected
+     * @param {Array<string>} ticketIds - Ticket IDs
+     * @returns {boolean} True if all (and at least one) are selected
+     */
+    includesAll(ticketIds) {
+        return ticketIds.length > 0 && ticketIds.every(id => this.selectedIds.has(id));
+    }
+
+    /**
+     * Get the selected IDs
+     * @param {Array<string>} orderedIds - Display order to return them in (optional)
+     * @returns {Array<string>} Selected ticket IDs
+     */
+    getSelectedIds(orderedIds = null) {
+        return orderedIds
+            ? orderedIds.filter(id => this.selectedIds.has(id))
+            : Array.from(this.selectedIds);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TicketSelection;
+}
@@ -4,8 +4,14 @@
  * Optimized for performance with caching and efficient DOM operations
  */
 class TicketStatisticsCalculator {
-    constructor() {
+    /**
+     * @param {Object} workflow - TicketWorkflow instance (default: page configuration)
+     * @param {Object} storage - Ticket storage adapter to count from (default: the localStorage 'tickets' key)
+     */
+    constructor(workflow = null, storage = null) {
         this.storageKey = 'tickets';
+        this.storage = storage;
+        this.workflow = workflow || TicketWorkflow.getConfigured();
         this.cachedStats = null;
         this.cachedTickets = null;
         this.lastCalculationTime = 0;
@@ -15,7 +21,7 @@ class TicketStatisticsCalculator {
     /**
      * Calculate ticket statistics by status with caching for performance
      * @param {boolean} forceRefresh - Force recalculation even if cached
-     * @returns {Object} Statistics object with counts by status
+     * @returns {Object} Statistics object with a count per workflow state key (e.g. open, inProgress, closed)
      */
     calculateStatistics(forceRefresh = false) {
         const now = Date.now();
@@ -27,25 +33,7 @@ class TicketStatisticsCalculator {
         
         const tickets = this.getTickets();
         
-        // Optimize counting with a single pass through the array
-        const stats = {
-            total: tickets.length,
-            open: 0,
-            inProgress: 0,
-            closed: 0
-        };
-        
-        // Single iteration instead of multiple filter operations
-        for (let i = 0; i < tickets.length; i++) {
-            const status = tickets[i].status;
-            if (status === 'Open') {
-                stats.open++;
-            } else if (status === 'In Progress') {
-                stats.inProgress++;
-            } else if (status === 'Closed') {
-                stats.closed++;
-            }
-        }
+        const stats = this.countTickets(tickets);
         
         // Cache the results
         this.cachedStats = stats;
@@ -54,6 +42,46 @@ class TicketStatisticsCalculator {
         return stats;
     }
     
+    /**
+     * Calculate ticket statistics, counted by the storage when it has indexes
+     * Indexed storage (IndexedDbTicketAdapter) counts each workflow state in the database's index
+     * instead of going through every ticket; other storage is counted by calculateStatistics().
+     * @param {boolean} forceRefresh - Force recalculation even if cached
+     * @returns {Promise<Object>} Statistics object with a count per workflow state key
+     */
+    async calculateStatisticsAsync(forceRefresh = false) {
+        if (!this.storage || typeof this.storage.countByStatus !== 'function') {
+            return this.calculateStatistics(forceRefresh);
+        }
+
+        const now = Date.now();
+        if (!forceRefresh && this.cachedStats && (now - this.lastCalculationTime) < this.cacheTimeout) {
+            return this.cachedStats;
+        }
+
+        const counts = await this.storage.countByStatus(this.workflow.states.map(state => state.name));
+        const stats = this.workflow.createEmptyStatistics();
+        stats.total = counts.total;
+        this.workflow.states.forEach(state => {
+            stats[state.key] = counts.byStatus[state.name] || 0;
+        });
+
+        this.cachedStats = stats;
+        this.lastCalculationTime = now;
+
+        return stats;
+    }
+
+    /**
+     * Count a given list of tickets by status (no caching), e.g. the tickets shown on a board
+     * @param {Array} tickets - Tickets to count
+     * @returns {Object} Statistics object with a count per workflow state key
+     */
+    countTickets(tickets) {
+        // Single pass through the array, one counter per workflow state
+        return this.workflow.countByState(tickets);
+    }
+
     /**
      * Invalidate the cache to force fresh calculation
      */
@@ -64,10 +92,15 @@ class TicketStatisticsCalculator {
     }
 
     /**
-     * Retrieve tickets from localStorage with error handling
+     * Retrieve tickets from the storage adapter, or else from localStorage, with error handling
+     * Tickets in the trash are left out.
      * @returns {Array} Array of ticket objects or empty array on error
      */
     getTickets() {
+        if (this.storage) {
+            return this.storage.readAll().filter(ticket => ticket && !ticket.deletedAt);
+        }
+
         try {
             // Check if localStorage is available
             if (typeof localStorage === 'undefined') {
@@ -104,7 +137,7 @@ class TicketStatisticsCalculator {
                 return [];
             }
 
-            return tickets;
+            return tickets.filter(ticket => ticket && !ticket.deletedAt);
 
         } catch (error) {
             // Handle various localStorage errors
@@ -129,11 +162,10 @@ class TicketStatisticsCalculator {
     updateStatisticsDisplay(stats) {
         // Batch DOM reads and writes to minimize layout thrashing
         // Use DocumentFragment for efficient updates
+        // Each workflow state is shown in the element with ID `${state.key}Count`
         const updates = [
             { id: 'totalCount', value: stats.total },
-            { id: 'openCount', value: stats.open },
-            { id: 'inProgressCount', value: stats.inProgress },
-            { id: 'closedCount', value: stats.closed }
+            ...this.workflow.states.map(state => ({ id: `${state.key}Count`, value: stats[state.key] || 0 }))
         ];
         
         // Use requestAnimationFrame to batch DOM updates
@@ -0,0 +1,1792 @@
+/**
+ * Ticket Storage Adapters
+ * Pluggable persistence backends for TicketManager
+ *
+ * Every adapter exposes the same interface:
+ * - load()            Prime the adapter (fetch remote data, open databases)
+ * - readAll()         Synchronously return every stored ticket (all users)
+ * - insert(ticket)    Persist a new ticket and resolve with the stored copy
+ * - update(ticket)    Persist changes to a ticket and resolve with the stored copy
+ * - remove(ticketId)  Delete a ticket and resolve with true when it existed
+ * - applyChanges({ update, remove })
+ *                     Apply several updates and deletions together; either all of them are
+ *                     stored or none are
+ * - writeAll(tickets) Replace the whole collection (local adapters only)
+ * Adapters that can be offline also expose sync() and getPendingCount() (see HttpTicketAdapter).
+ * Indexed adapters also expose query(field, value) and countByStatus(statuses), which read the database's
+ * indexes and resolve asynchronously, and watch(listener) (see IndexedDbTicketAdapter).
+ *
+ * Ticket history and comments are kept alongside the tickets, as records of a kind (TicketStorage.RECORD_KINDS)
+ * grouped by ticket ID. Each record has an id and a ticketId:
+ * - readRecords(kind)  Synchronously return { [ticketId]: [record, ...] }, oldest first (do not modify)
+ * - saveRecord(kind, record, limit)
+ *                     Store a new or changed record; with a limit, the ticket's oldest records
+ *                     beyond it are dropped
+ * - removeRecords(kind, ticketId, recordId)
+ *                     Delete one record, or all of the ticket's records when recordId is null
+ */
+
+/**
+ * LocalStorageTicketAdapter - Stores tickets as a JSON array in localStorage
+ */
+class LocalStorageTicketAdapter {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'tickets';
+        this.recordCache = {};
+    }
+
+    /**
+     * Prime the adapter (localStorage is always ready)
+     * @returns {Promise<Array>} All stored tickets
+     */
+    async load() {
+        return this.readAll();
+    }
+
+    /**
+     * Read all tickets from localStorage
+     * @returns {Array} All tickets
+     */
+    readAll() {
+        try {
+            const storedTickets = localStorage.getItem(this.storageKey);
+            const tickets = storedTickets ? JSON.parse(storedTickets) : [];
+            return Array.isArray(tickets) ? tickets : [];
+        } catch (error) {
+            console.error('Error reading tickets from storage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist a new ticket
+     * @param {Object} ticket - Ticket to store
+     * @returns {Promise<Object>} Stored ticket
+     */
+    async insert(ticket) {
+        const tickets = this.readAll();
+        tickets.push(ticket);
+        this.writeAll(tickets);
+        return ticket;
+    }
+
+    /**
+     * Persist changes to an existing ticket
+     * @param {Object} ticket - Updated ticket
+     * @returns {Promise<Object>} Stored ticket
+     */
+    async update(ticket) {
+        const tickets = this.readAll();
+        const index = tickets.findIndex(item => item.id === ticket.id);
+
+        if (index === -1) {
+            throw new Error('Ticket not found');
+        }
+
+        tickets[index] = ticket;
+        this.writeAll(tickets);
+        return ticket;
+    }
+
+    /**
+     * Delete a ticket
+     * @param {string} ticketId - ID of ticket to delete
+     * @returns {Promise<boolean>} Whether a ticket was removed
+     */
+    async remove(ticketId) {
+        const tickets = this.readAll();
+        const remaining = tickets.filter(item => item.id !== ticketId);
+
+        if (remaining.length === tickets.length) {
+            return false;
+        }
+
+        this.writeAll(remaining);
+        return true;
+    }
+
+    /**
+     * Apply several updates and deletions in a single write
+     * @param {Object} changes - Changes to apply
+     * @param {Array} changes.update - Updated tickets
+     * @param {Array<string>} changes.remove - IDs of tickets to delete
+     * @returns {Promise<Object>} { updated: stored tickets, removed: IDs that existed }
+     */
+    async applyChanges({ update = [], remove = [] } = {}) {
+        const tickets = this.readAll();
+        const updates = new Map(update.map(ticket => [ticket.id, ticket]));
+
+        if (update.some(ticket => !tickets.some(item => item.id === ticket.id))) {
+            throw new Error('Ticket not found');
+        }
+
+        const remaining = tickets
+            .filter(item => !remove.includes(item.id))
+            .map(item => updates.get(item.id) || item);
+
+        this.writeAll(remaining);
+
+        return {
+            updated: update.map(ticket => ({ ...ticket })),
+            removed: remove.filter(ticketId => tickets.some(item => item.id === ticketId))
+        };
+    }
+
+    /**
+     * Replace all stored tickets
+     * @param {Array} tickets - Tickets to save
+     */
+    writeAll(tickets) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(tickets));
+        } catch (error) {
+            console.error('Error saving all tickets:', error);
+            throw new Error('Failed to save tickets to storage');
+        }
+    }
+
+    /**
+     * Read the records of a kind, kept under their own key (e.g. 'ticket_history')
+     * The parsed records are reused until the key changes, so reading them for every ticket is cheap.
+     * @param {string} kind - Record kind
+     * @returns {Object} Records keyed by ticket ID
+     */
+    readRecords(kind) {
+        try {
+            const stored = localStorage.getItem(this.recordKey(kind));
+            const cached = this.recordCache[kind];
+            if (cached && cached.stored === stored) {
+                return cached.records;
+            }
+
+            const parsed = stored ? JSON.parse(stored) : {};
+            const records = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+            this.recordCache[kind] = { stored, records };
+            return records;
+        } catch (error) {
+            console.error(`Error reading ticket ${kind} from storage:`, error);
+            return {};
+        }
+    }
+
+    /**
+     * Store a new or changed record
+     * @param {string} kind - Record kind
+     * @param {Object} record - Record with id and ticketId
+     * @param {number} limit - Records kept per ticket, or 0 for all
+     * @returns {Promise<Object>} Stored record
+     */
+    async saveRecord(kind, record, limit = 0) {
+        this.writeRecords(kind, TicketStorage.putRecord(this.readRecords(kind), record, limit));
+        return { ...record };
+    }
+
+    /**
+     * Delete one record, or all of a ticket's records
+     * @param {string} kind - Record kind
+     * @param {string} ticketId - Ticket ID
+     * @param {string|null} recordId - Record ID, or null for all of the ticket's records
+     * @returns {Promise<boolean>} Whether anything was removed
+     */
+    async removeRecords(kind, ticketId, recordId = null) {
+        const records = this.readRecords(kind);
+        const remaining = TicketStorage.dropRecords(records, ticketId, recordId);
+        if (remaining === records) {
+            return false;
+        }
+
+        this.writeRecords(kind, remaining);
+        return true;
+    }
+
+    /**
+     * @param {string} kind - Record kind
+     * @param {Object} records - Records keyed by ticket ID
+     */
+    writeRecords(kind, records) {
+        try {
+            localStorage.setItem(this.recordKey(kind), JSON.stringify(records));
+        } catch (error) {
+            console.error(`Error saving ticket ${kind}:`, error);
+            throw new Error(`Failed to save ticket ${kind} to storage`);
+        }
+    }
+
+    /**
+     * @param {string} kind - Record kind
+     * @returns {string} localStorage key of the records
+     */
+    recordKey(kind) {
+        return `ticket_${kind}`;
+    }
+}
+
+/**
+ * MemoryTicketAdapter - Keeps tickets in memory (tests, previews, private browsing)
+ */
+class MemoryTicketAdapter {
+    constructor(options = {}) {
+        this.tickets = Array.isArray(options.tickets) ? options.tickets.map(ticket => ({ ...ticket })) : [];
+        this.records = {};
+    }
+
+    /**
+     * Prime the adapter (memory is always ready)
+     * @returns {Promise<Array>} All stored tickets
+     */
+    async load() {
+        return this.readAll();
+    }
+
+    /**
+     * Read all tickets
+     * @returns {Array} Copies of all tickets
+     */
+    readAll() {
+        return this.tickets.map(ticket => ({ ...ticket }));
+    }
+
+    /**
+     * Persist a new ticket
+     * @param {Object} ticket - Ticket to store
+     * @returns {Promise<Object>} Stored ticket
+     */
+    async insert(ticket) {
+        this.tickets.push({ ...ticket });
+        return { ...ticket };
+    }
+
+    /**
+     * Persist changes to an existing ticket
+     * @param {Object} ticket - Updated ticket
+     * @returns {Promise<Object>} Stored ticket
+     */
+    async update(ticket) {
+        const index = this.tickets.findIndex(item => item.id === ticket.id);
+
+        if (index === -1) {
+            throw new Error('Ticket not found');
+        }
+
+        this.tickets[index] = { ...ticket };
+        return { ...ticket };
+    }
+
+    /**
+     * Delete a ticket
+     * @param {string} ticketId - ID of ticket to delete
+     * @returns {Promise<boolean>} Whether a ticket was removed
+     */
+    async remove(ticketId) {
+        const initialLength = this.tickets.length;
+        this.tickets = this.tickets.filter(item => item.id !== ticketId);
+        return this.tickets.length !== initialLength;
+    }
+
+    /**
+     * Apply several updates and deletions in a single write
+     * @param {Object} changes - Changes to apply
+     * @param {Array} changes.update - Updated tickets
+     * @param {Array<string>} changes.remove - IDs of tickets to delete
+     * @returns {Promise<Object>} { updated: stored tickets, removed: IDs that existed }
+     */
+    async applyChanges({ update = [], remove = [] } = {}) {
+        const tickets = this.readAll();
+        const updates = new Map(update.map(ticket => [ticket.id, ticket]));
+
+        if (update.some(ticket => !tickets.some(item => item.id === ticket.id))) {
+            throw new Error('Ticket not found');
+        }
+
+        const remaining = tickets
+            .filter(item => !remove.includes(item.id))
+            .map(item => updates.get(item.id) || item);
+
+        this.writeAll(remaining);
+
+        return {
+            updated: update.map(ticket => ({ ...ticket })),
+            removed: remove.filter(ticketId => tickets.some(item => item.id === ticketId))
+        };
+    }
+
+    /**
+     * Replace all stored tickets
+     * @param {Array} tickets - Tickets to save
+     */
+    writeAll(tickets) {
+        this.tickets = tickets.map(ticket => ({ ...ticket }));
+    }
+
+    /**
+     * @param {string} kind - Record kind
+     * @returns {Object} Records keyed by ticket ID
+     */
+    readRecords(kind) {
+        return this.records[kind] || {};
+    }
+
+    /**
+     * Store a new or changed record
+     * @param {string} kind - Record kind
+     * @param {Object} record - Record with id and ticketId
+     * @param {number} limit - Records kept per ticket, or 0 for all
+     * @returns {Promise<Object>} Stored record
+     */
+    async saveRecord(kind, record, limit = 0) {
+        this.records[kind] = TicketStorage.putRecord(this.readRecords(kind), record, limit);
+        return { ...record };
+    }
+
+    /**
+     * Delete one record, or all of a ticket's records
+     * @param {string} kind - Record kind
+     * @param {string} ticketId - Ticket ID
+     * @param {string|null} recordId - Record ID, or null for all of the ticket's records
+     * @returns {Promise<boolean>} Whether anything was removed
+     */
+    async removeRecords(kind, ticketId, recordId = null) {
+        const records = this.readRecords(kind);
+        this.records[kind] = TicketStorage.dropRecords(records, ticketId, recordId);
+        return this.records[kind] !== records;
+    }
+}
+
+/**
+ * IndexedDbTicketAdapter - Stores each ticket as a record in an IndexedDB object store
+ * Keeps a local cache so reads stay synchronous; call load() before the first read
+ *
+ * Writes only touch the tickets they change, and IndexedDB is not held to localStorage's few
+ * megabytes. load() reads the tickets in createdAt order; query() and countByStatus() go to the
+ * store's indexes (see INDEXES) instead of the cache. Records such as history entries and comments
+ * are kept per ticket in a second store. The first load() moves the tickets and records kept by
+ * LocalStorageTicketAdapter into the stores, and removes its keys once they read back from the
+ * database. When the database cannot be opened, load() falls back to a LocalStorageTicketAdapter on
+ * the same key and every call is passed on to it. IndexedDB has no 'storage' event, so tabs tell each
+ * other about their writes over a BroadcastChannel (see watch()).
+ */
+class IndexedDbTicketAdapter {
+    /**
+     * Schema version, bumped when stores or indexes change
+     */
+    static get DATABASE_VERSION() {
+        return 3;
+    }
+
+    /**
+     * Indexes of the object store, by name, with the key path each one reads
+     * 'assignee' reads the trimmed, lower-cased assignee (matched ignoring case, as TicketPermissions
+     * does) and 'activeStatus' the status of tickets that are not in the trash; both are stored with
+     * the ticket (see toRecord()).
+     */
+    static get INDEXES() {
+        return {
+            userId: 'userId',
+            status: 'status',
+            createdAt: 'createdAt',
+            assignee: 'assigneeKey',
+            priority: 'priority',
+            activeStatus: 'activeStatus'
+        };
+    }
+
+    /**
+     * Fields query() looks tickets up by
+     */
+    static get QUERY_FIELDS() {
+        return ['userId', 'status', 'assignee', 'priority'];
+    }
+
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.databaseName - IndexedDB database name (default: 'ticketapp')
+     * @param {string} options.storeName - Object store name (default: 'tickets')
+     * @param {string} options.recordStoreName - Object store of the records, one entry per ticket and kind (default: 'records')
+     * @param {string} options.storageKey - localStorage key to move existing tickets from (default: 'tickets')
+     * @param {IDBFactory} options.indexedDB - IndexedDB implementation (default: window.indexedDB)
+     * @param {Function|null} options.BroadcastChannel - BroadcastChannel implementation, or null to not
+     *                                                   share writes with other tabs (default: window.BroadcastChannel)
+     */
+    constructor(options = {}) {
+        this.databaseName = options.databaseName || 'ticketapp';
+        this.storeName = options.storeName || 'tickets';
+        this.recordStoreName = options.recordStoreName || 'records';
+        this.legacyKey = options.storageKey || 'tickets';
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.BroadcastChannel = options.BroadcastChannel !== undefined
+            ? options.BroadcastChannel
+            : (typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null);
+        this.opening = null;
+        this.db = null;
+        this.fallback = null;
+        this.channel = null;
+        this.listeners = [];
+        this.records = {};
+        this.setCache([]);
+    }
+
+    /**
+     * Open the database and read every ticket and record into the cache
+     * If the database cannot be opened (e.g. private browsing, or storage blocked), the tickets are
+     * kept in localStorage instead for the rest of the page.
+     * @returns {Promise<Array>} All stored tickets
+     */
+    async load() {
+        if (this.fallback) {
+            return this.fallback.load();
+        }
+
+        try {
+            await this.open();
+        } catch (error) {
+            console.error('Error opening the ticket database, using localStorage instead:', error);
+            this.fallback = new LocalStorageTicketAdapter({ storageKey: this.legacyKey });
+            return this.fallback.load();
+        }
+
+        const tickets = await IndexedDbTicketAdapter.settle(
+            this.db.transaction(this.storeName, 'readonly').objectStore(this.storeName).index('createdAt').getAll()
+        );
+        const threads = await IndexedDbTicketAdapter.settle(
+            this.db.transaction(this.recordStoreName, 'readonly').objectStore(this.recordStoreName).getAll()
+        );
+
+        this.setCache(tickets.map(record => IndexedDbTicketAdapter.fromRecord(record)));
+        this.records = {};
+        threads.forEach(thread => {
+            this.records[thread.kind] = { ...this.records[thread.kind], [thread.ticketId]: thread.records };
+        });
+        return this.readAll();
+    }
+
+    /**
+     * Open the database once, creating the store and moving localStorage tickets into it
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = this.openDatabase()
+                .then(db => {
+                    this.db = db;
+                    return this.migrateFromLocalStorage();
+                })
+                .then(() => {
+                    this.openChannel();
+                    return this.db;
+                })
+                .catch(error => {
+                    this.opening = null;
+                    throw error;
+                });
+        }
+        return this.opening;
+    }
+
+    /**
+     * @returns {Promise<IDBDatabase>} Database with the tickets store, its indexes and the records store
+     */
+    openDatabase() {
+        if (!this.indexedDB) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.databaseName, IndexedDbTicketAdapter.DATABASE_VERSION);
+            request.onupgradeneeded = () => this.upgrade(request.result, request.transaction);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Create the stores and indexes that are missing from an older version of the database
+     * Databases from before the assignee, priority and activeStatus indexes existed get them, and their
+     * tickets are stored again so the values those indexes read are filled in.
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {IDBTransaction} transaction - Upgrade transaction
+     */
+    upgrade(db, transaction) {
+        const store = db.objectStoreNames.contains(this.storeName)
+            ? transaction.objectStore(this.storeName)
+            : db.createObjectStore(this.storeName, { keyPath: 'id' });
+        const missing = Object.entries(IndexedDbTicketAdapter.INDEXES)
+            .filter(([name]) => !store.indexNames.contains(name));
+        missing.forEach(([name, keyPath]) => store.createIndex(name, keyPath));
+
+        if (missing.length > 0) {
+            const existing = store.getAll();
+            existing.onsuccess = () => existing.result.forEach(ticket => store.put(IndexedDbTicketAdapter.toRecord(ticket)));
+        }
+
+        if (!db.objectStoreNames.contains(this.recordStoreName)) {
+            db.createObjectStore(this.recordStoreName, { keyPath: 'key' });
+        }
+    }
+
+    /**
+     * Move the tickets LocalStorageTicketAdapter kept under the localStorage key into the store
+     * The key is removed once every ticket under it reads back from the store, so this happens once;
+     * if anything is missing, the key stays and the next load() tries again. A stored ticket is only
+     * replaced by a newer version, in case a tab still running older code wrote the key again.
+     * @returns {Promise<number>} Tickets found under the key
+     */
+    async migrateFromLocalStorage() {
+        if (typeof localStorage === 'undefined') {
+            return 0;
+        }
+
+        await this.migrateRecordsFromLocalStorage();
+        if (localStorage.getItem(this.legacyKey) === null) {
+            return 0;
+        }
+
+        const tickets = new LocalStorageTicketAdapter({ storageKey: this.legacyKey }).readAll()
+            .filter(ticket => ticket && ticket.id)
+            .map(ticket => ({ ...ticket, createdAt: Number(ticket.createdAt) || 0 }));
+
+        await this.runTransaction(store => {
+            const existing = store.getAll();
+            existing.onsuccess = () => {
+                const versions = new Map(existing.result.map(ticket => [ticket.id, Number(ticket.version) || 1]));
+                tickets
+                    .filter(ticket => !versions.has(ticket.id) || versions.get(ticket.id) < (Number(ticket.version) || 1))
+                    .forEach(ticket => store.put(IndexedDbTicketAdapter.toRecord(ticket)));
+            };
+        });
+
+        const stored = await this.readStoredKeys(this.storeName);
+        if (tickets.every(ticket => stored.has(ticket.id))) {
+            localStorage.removeItem(this.legacyKey);
+        }
+        return tickets.length;
+    }
+
+    /**
+     * Move the records LocalStorageTicketAdapter kept under their own keys into the records store
+     * A ticket's records already in the store are left alone.
+     */
+    async migrateRecordsFromLocalStorage() {
+        const legacy = new LocalStorageTicketAdapter();
+
+        for (const kind of TicketStorage.RECORD_KINDS) {
+            if (localStorage.getItem(legacy.recordKey(kind)) === null) {
+                continue;
+            }
+
+            const threads = Object.entries(legacy.readRecords(kind)).filter(([, thread]) => Array.isArray(thread));
+            await this.runTransaction(store => {
+                const existing = store.getAll();
+                existing.onsuccess = () => {
+                    const stored = new Set(existing.result.map(thread => thread.key));
+                    threads
+                        .filter(([ticketId]) => !stored.has(this.threadKey(kind, ticketId)))
+                        .forEach(([ticketId, thread]) => store.put({ key: this.threadKey(kind, ticketId), kind, ticketId, records: thread }));
+                };
+            }, this.recordStoreName);
+
+            const stored = await this.readStoredKeys(this.recordStoreName);
+            if (threads.every(([ticketId]) => stored.has(this.threadKey(kind, ticketId)))) {
+                localStorage.removeItem(legacy.recordKey(kind));
+            }
+        }
+    }
+
+    /**
+     * Read back the keys a store holds, to confirm a migration before its localStorage key goes
+     * @param {string} storeName - Object store
+     * @returns {Promise<Set>} Stored keys
+     */
+    async readStoredKeys(storeName) {
+        const keys = await IndexedDbTicketAdapter.settle(
+            this.db.transaction(storeName, 'readonly').objectStore(storeName).getAllKeys()
+        );
+        return new Set(keys);
+    }
+
+    /**
+     * Read all tickets from the cache
+     * @returns {Array} Copies of all tickets, oldest first
+     */
+    readAll() {
+        if (this.fallback) {
+            return this.fallback.readAll();
+        }
+        return Array.from(this.tickets.values(), ticket => ({ ...ticket }));
+    }
+
+    /**
+     * Look tickets up in the store by indexed field
+     * @param {string} field - 'userId', 'status', 'assignee' (matched ignoring case) or 'priority'
+     * @param {*} value - Value to match
+     * @returns {Promise<Array>} Matching tickets, oldest first
+     */
+    async query(field, value) {
+        if (!IndexedDbTicketAdapter.QUERY_FIELDS.includes(field)) {
+            throw new Error(`Tickets are not indexed by ${field}`);
+        }
+
+        const key = IndexedDbTicketAdapter.indexKey(field, value);
+        if (this.fallback) {
+            return this.fallback.readAll()
+                .filter(ticket => IndexedDbTicketAdapter.indexKey(field, ticket[field]) === key)
+                .sort((a, b) => a.createdAt - b.createdAt);
+        }
+
+        await this.open();
+        const records = await IndexedDbTicketAdapter.settle(this.readIndex(field).getAll(key));
+        return records
+            .map(record => IndexedDbTicketAdapter.fromRecord(record))
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Count the tickets outside the trash, in total and per status, from the activeStatus index
+     * @param {Array<string>} statuses - Statuses to count
+     * @returns {Promise<Object>} { total, byStatus: { [status]: count } }
+     */
+    async countByStatus(statuses) {
+        if (this.fallback) {
+            const active = this.fallback.readAll().filter(ticket => ticket && !ticket.deletedAt);
+            const byStatus = {};
+            statuses.forEach(status => {
+                byStatus[status] = active.filter(ticket => ticket.status === status).length;
+            });
+            return { total: active.length, byStatus: byStatus };
+        }
+
+        await this.open();
+        const index = this.readIndex('activeStatus');
+        const counts = await Promise.all([
+            IndexedDbTicketAdapter.settle(index.count()),
+            ...statuses.map(status => IndexedDbTicketAdapter.settle(index.count(status)))
+        ]);
+
+        const byStatus = {};
+        statuses.forEach((status, position) => {
+            byStatus[status] = counts[position + 1];
+        });
+        return { total: counts[0], byStatus: byStatus };
+    }
+
+    /**
+     * @param {string} name - Index name (see INDEXES)
+     * @returns {IDBIndex} Index of the tickets store, in a read-only transaction
+     */
+    readIndex(name) {
+        return this.db.transaction(this.storeName, 'readonly').objectStore(this.storeName).index(name);
+    }
+
+    /**
+     * Persist a new ticket
+     * @param {Object} ticket - Ticket to store
+     * @returns {Promise<Object>} Stored ticket
+     */
+    async insert(ticket) {
+        if (this.fallback) {
+            return this.fallback.insert(ticket);
+        }
+
+        await this.write([ticket], []);
+        return { ...ticket };
+    }
+
+    /**
+     * Persist changes to an existing ticket
+     * @param {Object} ticket - Updated ticket
+     * @returns {Promise<Object>} Stored ticket
+     */
+    async update(ticket) {
+        if (this.fallback) {
+            return this.fallback.update(ticket);
+        }
+
+        await this.open();
+        if (!this.tickets.has(ticket.id)) {
+            throw new Error('Ticket not found');
+        }
+
+        await this.write([ticket], []);
+        return { ...ticket };
+    }
+
+    /**
+     * Delete a ticket
+     * @param {string} ticketId - ID of ticket to delete
+     * @returns {Promise<boolean>} Whether a ticket was removed
+     */
+    async remove(ticketId) {
+        if (this.fallback) {
+            return this.fallback.remove(ticketId);
+        }
+
+        await this.open();
+        if (!this.tickets.has(ticketId)) {
+            return false;
+        }
+
+        await this.write([], [ticketId]);
+        return true;
+    }
+
+    /**
+     * Apply several updates and deletions in one transaction
+     * @param {Object} changes - Changes to apply
+     * @param {Array} changes.update - Updated tickets
+     * @param {Array<string>} changes.remove - IDs of tickets to delete
+     * @returns {Promise<Object>} { updated: stored tickets, removed: IDs that existed }
+     */
+    async applyChanges({ update = [], remove = [] } = {}) {
+        if (this.fallback) {
+            return this.fallback.applyChanges({ update, remove });
+        }
+
+        await this.open();
+        if (update.some(ticket => !this.tickets.has(ticket.id))) {
+            throw new Error('Ticket not found');
+        }
+
+        const removed = remove.filter(ticketId => this.tickets.has(ticketId));
+        await this.write(update, removed);
+
+        return {
+            updated: update.map(ticket => ({ ...ticket })),
+            removed: removed
+        };
+    }
+
+    /**
+     * Replace all stored tickets
+     * The cache changes at once, and other tabs are told once the tickets are stored.
+     * @param {Array} tickets - Tickets to save
+     * @returns {Promise<void>} Resolves when the tickets are stored; rejects when they could not be
+     */
+    async writeAll(tickets) {
+        if (this.fallback) {
+            this.fallback.writeAll(tickets);
+            return;
+        }
+
+        const removed = Array.from(this.tickets.keys()).filter(id => !tickets.some(ticket => ticket.id === id));
+        this.setCache(tickets);
+
+        try {
+            await this.open();
+            await this.runTransaction(store => {
+                store.clear();
+                tickets.forEach(ticket => store.put(IndexedDbTicketAdapter.toRecord(ticket)));
+            });
+        } catch (error) {
+            console.error('Error saving all tickets:', error);
+            throw new Error('Failed to save tickets to storage');
+        }
+
+        this.broadcast(tickets, removed);
+    }
+
+    /**
+     * @param {string} kind - Record kind
+     * @returns {Object} Records keyed by ticket ID
+     */
+    readRecords(kind) {
+        if (this.fallback) {
+            return this.fallback.readRecords(kind);
+        }
+        return this.records[kind] || {};
+    }
+
+    /**
+     * Store a new or changed record
+     * The cache changes at once, so records saved one after the other all end up in the ticket's entry.
+     * @param {string} kind - Record kind
+     * @param {Object} record - Record with id and ticketId
+     * @param {number} limit - Records kept per ticket, or 0 for all
+     * @returns {Promise<Object>} Stored record
+     */
+    async saveRecord(kind, record, limit = 0) {
+        if (this.fallback) {
+            return this.fallback.saveRecord(kind, record, limit);
+        }
+
+        this.records[kind] = TicketStorage.putRecord(this.readRecords(kind), record, limit);
+        await this.writeThread(kind, record.ticketId);
+        return { ...record };
+    }
+
+    /**
+     * Delete one record, or all of a ticket's records
+     * @param {string} kind - Record kind
+     * @param {string} ticketId - Ticket ID
+     * @param {string|null} recordId - Record ID, or null for all of the ticket's records
+     * @returns {Promise<boolean>} Whether anything was removed
+     */
+    async removeRecords(kind, ticketId, recordId = null) {
+        if (this.fallback) {
+            return this.fallback.removeRecords(kind, ticketId, recordId);
+        }
+
+        const records = this.readRecords(kind);
+        this.records[kind] = TicketStorage.dropRecords(records, ticketId, recordId);
+        if (this.records[kind] === records) {
+            return false;
+        }
+
+        await this.writeThread(kind, ticketId);
+        return true;
+    }
+
+    /**
+     * Store a ticket's records of a kind as they are in the cache, and tell other tabs
+     * @param {string} kind - Record kind
+     * @param {string} ticketId - Ticket ID
+     */
+    async writeThread(kind, ticketId) {
+        await this.open();
+        const thread = this.readRecords(kind)[ticketId] || [];
+        try {
+            await this.runTransaction(store => {
+                if (thread.length > 0) {
+                    store.put({ key: this.threadKey(kind, ticketId), kind, ticketId, records: thread });
+                } else {
+                    store.delete(this.threadKey(kind, ticketId));
+                }
+            }, this.recordStoreName);
+        } catch (error) {
+            console.error(`Error saving ticket ${kind}:`, error);
+            throw new Error(`Failed to save ticket ${kind} to storage`);
+        }
+
+        if (this.channel) {
+            this.channel.postMessage({ kind, ticketId, records: thread });
+        }
+    }
+
+    /**
+     * @param {string} kind - Record kind
+     * @param {string} ticketId - Ticket ID
+     * @returns {string} Key of the ticket's entry in the records store
+     */
+    threadKey(kind, ticketId) {
+        return `${kind}:${ticketId}`;
+    }
+
+    /**
+     * Listen for tickets saved by other tabs of this browser
+     * @param {Function} listener - Called with (before, after): the changed tickets as they were and as they are now
+     * @returns {Function} Stops listening
+     */
+    watch(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    /**
+     * Store tickets and delete others in one transaction, then update the cache and tell other tabs
+     * @param {Array} put - Tickets to store
+     * @param {Array<string>} remove - IDs of tickets to delete
+     */
+    async write(put, remove) {
+        await this.open();
+        try {
+            await this.runTransaction(store => {
+                put.forEach(ticket => store.put(IndexedDbTicketAdapter.toRecord(ticket)));
+                remove.forEach(ticketId => store.delete(ticketId));
+            });
+        } catch (error) {
+            console.error('Error saving tickets:', error);
+            throw new Error('Failed to save tickets to storage');
+        }
+
+        this.applyToCache(put, remove);
+        this.broadcast(put, remove);
+    }
+
+    /**
+     * Run requests in a read-write transaction
+     * @param {Function} work - Called with the object store
+     * @param {string} storeName - Object store (default: the tickets store)
+     * @returns {Promise<void>} Resolves when the transaction has committed
+     */
+    runTransaction(work, storeName = this.storeName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Ticket transaction was aborted'));
+            work(transaction.objectStore(storeName));
+        });
+    }
+
+    /**
+     * Replace the cache
+     * @param {Array} tickets - All tickets
+     */
+    setCache(tickets) {
+        this.tickets = new Map();
+        this.applyToCache(tickets, []);
+    }
+
+    /**
+     * Apply stored and deleted tickets to the cache
+     * @param {Array} put - Stored tickets
+     * @param {Array<string>} remove - IDs of deleted tickets
+     */
+    applyToCache(put, remove) {
+        remove.forEach(ticketId => this.tickets.delete(ticketId));
+        put.forEach(ticket => this.tickets.set(ticket.id, { ...ticket }));
+    }
+
+    /**
+     * @param {string} field - Indexed field
+     * @param {*} value - Field value
+     * @returns {*} Index key (assignees are trimmed and lower-cased)
+     */
+    static indexKey(field, value) {
+        return field === 'assignee' ? String(value || '').trim().toLowerCase() : value;
+    }
+
+    /**
+     * Add the values the assignee and activeStatus indexes read to a ticket before it is stored
+     * Tickets in the trash get no activeStatus, so the index leaves them out.
+     * @param {Object} ticket - Ticket
+     * @returns {Object} Stored record
+     */
+    static toRecord(ticket) {
+        const record = { ...ticket, assigneeKey: IndexedDbTicketAdapter.indexKey('assignee', ticket.assignee) };
+        delete record.activeStatus;
+        if (!ticket.deletedAt && ticket.status !== undefined) {
+            record.activeStatus = ticket.status;
+        }
+        return record;
+    }
+
+    /**
+     * @param {Object} record - Stored record
+     * @returns {Object} Ticket without the values kept for the indexes
+     */
+    static fromRecord(record) {
+        const ticket = { ...record };
+        delete ticket.assigneeKey;
+        delete ticket.activeStatus;
+        return ticket;
+    }
+
+    /**
+     * Start sharing writes with the other tabs of this browser
+     */
+    openChannel() {
+        if (this.channel || !this.BroadcastChannel) {
+            return;
+        }
+
+        this.channel = new this.BroadcastChannel(`${this.databaseName}:${this.storeName}`);
+        this.channel.onmessage = (event) => this.receive(event.data || {});
+    }
+
+    /**
+     * Tell the other tabs which tickets were stored and deleted
+     * @param {Array} put - Stored tickets
+     * @param {Array<string>} remove - IDs of deleted tickets
+     */
+    broadcast(put, remove) {
+        if (this.channel && (put.length > 0 || remove.length > 0)) {
+            this.channel.postMessage({ put: put, remove: remove });
+        }
+    }
+
+    /**
+     * Apply another tab's write to the cache and pass ticket changes on to watch() listeners
+     * @param {Object} message - { put, remove } for tickets, or { kind, ticketId, records } for a ticket's records
+     */
+    receive({ put = [], remove = [], kind, ticketId, records }) {
+        if (kind) {
+            const others = TicketStorage.dropRecords(this.readRecords(kind), ticketId);
+            this.records[kind] = records.length > 0 ? { ...others, [ticketId]: records } : others;
+            return;
+        }
+
+        const before = [...remove, ...put.map(ticket => ticket.id)]
+            .filter(ticketId => this.tickets.has(ticketId))
+            .map(ticketId => ({ ...this.tickets.get(ticketId) }));
+
+        this.applyToCache(put, remove);
+
+        const after = put.map(ticket => ({ ...ticket }));
+        this.listeners.forEach(listener => listener(before, after));
+    }
+
+    /**
+     * Wait for an IndexedDB request
+     * @param {IDBRequest} request - Request
+     * @returns {Promise<*>} Request result
+     */
+    static settle(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * HttpTicketAdapter - Stores tickets on a JSON REST endpoint (default: /api/tickets)
+ * Keeps a local cache so reads stay synchronous; call load() before the first read
+ *
+ * With an outbox (a TicketOutbox, used by default when ticket-outbox.js is loaded) the adapter
+ * works offline: writes that cannot reach the server are queued and applied to the cache, the
+ * last tickets loaded are kept in localStorage for reloads, and sync() sends the queue once the
+ * server can be reached again. Records such as history entries are read from /api/tickets/<kind>
+ * and saved one at a time under their ticket (/api/tickets/<id>/<kind>/<recordId>); records saved
+ * while offline wait in their own queue and are sent by sync() after the tickets.
+ */
+class HttpTicketAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.baseUrl - Ticket collection URL (default: '/api/tickets')
+     * @param {Object} options.headers - Extra request headers
+     * @param {Function} options.fetch - fetch implementation (default: window.fetch)
+     * @param {Object|boolean} options.outbox - TicketOutbox for offline writes, or false to fail instead
+     * @param {string} options.snapshotKey - localStorage key of the tickets kept for offline reloads (default: 'ticket_snapshot')
+     * @param {string} options.recordQueueKey - localStorage key of the records saved offline (default: 'ticket_record_queue')
+     */
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || '/api/tickets').replace(/\/$/, '');
+        this.headers = options.headers || {};
+        this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+        this.outbox = options.outbox !== undefined
+            ? options.outbox || null
+            : (typeof TicketOutbox !== 'undefined' ? new TicketOutbox() : null);
+        this.snapshotKey = options.snapshotKey || 'ticket_snapshot';
+        this.recordQueueKey = options.recordQueueKey || 'ticket_record_queue';
+        this.cache = [];
+        this.records = {};
+        this.isLoaded = false;
+    }
+
+    /**
+     * Fetch all tickets from the server into the local cache
+     * Offline, the tickets from the last successful load are used; queued changes are applied on top.
+     * @returns {Promise<Array>} All stored tickets
+     */
+    async load() {
+        let tickets;
+        try {
+            const data = await this.request('GET', this.baseUrl);
+            tickets = Array.isArray(data) ? data : (data && data.tickets) || [];
+            this.saveSnapshot(tickets);
+        } catch (error) {
+            if (!this.outbox || !error.offline) {
+                throw error;
+            }
+            tickets = this.readSnapshot();
+        }
+
+        this.cache = this.outbox ? this.outbox.applyTo(tickets) : tickets;
+        this.isLoaded = true;
+        await this.loadRecords();
+
+        return this.readAll();
+    }
+
+    /**
+     * Fetch the records of every kind into the cache, with the records saved offline on top
+     * Records that cannot be loaded are logged and left as they were, so the tickets still load.
+     */
+    async loadRecords() {
+        for (const kind of TicketStorage.RECORD_KINDS) {
+            try {
+                const data = await this.request('GET', `${this.baseUrl}/${kind}`);
+                this.records[kind] = (data && data.records) || {};
+            } catch (error) {
+                console.error(`Error loading ticket ${kind}:`, error);
+            }
+        }
+
+        this.readRecordQueue().forEach(({ kind, record }) => {
+            this.records[kind] = TicketStorage.putRecord(this.readRecords(kind), record);
+        });
+    }
+
+    /**
+     * @param {string} kind - Record kind
+     * @returns {Object} Cached records keyed by ticket ID
+     */
+    readRecords(kind) {
+        return this.records[kind] || {};
+    }
+
+    /**
+     * Store a new or changed record on the server
+     * @param {string} kind - Record kind
+     * @param {Object} record - Record with id and ticketId
+     * @param {number} limit - Records kept per ticket in the cache (the server applies its own limit)
+     * @returns {Promise<Object>} Record as stored by the server
+     */
+    async saveRecord(kind, record, limit = 0) {
+        let saved;
+        if (this.shouldQueue()) {
+            saved = this.queueRecord(kind, record);
+        } else {
+            try {
+                const data = await this.request('PUT', this.recordUrl(kind, record.ticketId, record.id), record);
+                saved = (data && data.record) || { ...record };
+            } catch (error) {
+                saved = this.queueRecord(kind, record, error);
+            }
+        }
+
+        this.records[kind] = TicketStorage.putRecord(this.readRecords(kind), saved, limit);
+        return { ...saved };
+    }
+
+    /**
+     * Keep a record to send once the server can be reached
+     * @param {string} kind - Record kind
+     * @param {Object} record - Record with id and ticketId
+     * @param {Error} error - Request error that made the save fail (rethrown unless the server was unreachable)
+     * @returns {Object} Queued record
+     */
+    queueRecord(kind, record, error = null) {
+        if (error && (!this.outbox || !error.offline)) {
+            throw error;
+        }
+
+        const queue = this.readRecordQueue().filter(item => !(item.kind === kind && item.record.id === record.id));
+        this.writeRecordQueue([...queue, { kind, record: { ...record } }]);
+        return { ...record };
+    }
+
+    /**
+     * Send the records saved offline, in order; sending stops while the server cannot be reached or fails
+     * Records the server rejects are dropped. Nothing is sent while ticket changes still wait, since
+     * the records may belong to tickets the server does not have yet.
+     */
+    async sendQueuedRecords() {
+        for (const { kind, record } of this.readRecordQueue()) {
+            if (this.outbox.size() > 0) {
+                break;
+            }
+            try {
+                await this.request('PUT', this.recordUrl(kind, record.ticketId, record.id), record);
+            } catch (error) {
+                if (error.offline || error.status >= 500) {
+                    break;
+                }
+                console.error(`Dropping ticket ${kind} the server refused:`, error);
+            }
+            this.writeRecordQueue(this.readRecordQueue().filter(item => !(item.kind === kind && item.record.id === record.id)));
+        }
+    }
+
+    /**
+     * Point queued records at a ticket's server ID once the ticket created offline was sent
+     * @param {string} fromId - Ticket ID given offline
+     * @param {string} toId - Ticket ID from the server
+     */
+    replaceRecordTicketId(fromId, toId) {
+        this.writeRecordQueue(this.readRecordQueue().map(item => (
+            String(item.record.ticketId) === String(fromId) ? { ...item, record: { ...item.record, ticketId: toId } } : item
+        )));
+    }
+
+    /**
+     * @returns {Array} Records saved offline as { kind, record }, oldest first
+     */
+    readRecordQueue() {
+        try {
+            const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(this.recordQueueKey) : null;
+            const queue = stored ? JSON.parse(stored) : [];
+            return Array.isArray(queue) ? queue : [];
+        } catch (error) {
+            console.error('Error reading ticket records saved offline:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @param {Array} queue - Records saved offline as { kind, record }
+     */
+    writeRecordQueue(queue) {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+        try {
+            if (queue.length > 0) {
+                localStorage.setItem(this.recordQueueKey, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(this.recordQueueKey);
+            }
+        } catch (error) {
+            console.error('Error saving ticket records for later:', error);
+        }
+    }
+
+    /**
+     * Delete one record, or all of a ticket's records, on the server
+     * @param {string} kind - Record kind
+     * @param {string} ticketId - Ticket ID
+     * @param {string|null} recordId - Record ID, or null for all of the ticket's records
+     * @returns {Promise<boolean>} Whether anything was removed from the cache
+     */
+    async removeRecords(kind, ticketId, recordId = null) {
+        await this.request('DELETE', this.recordUrl(kind, ticketId, recordId));
+
+        const records = this.readRecords(kind);
+        this.records[kind] = TicketStorage.dropRecords(records, ticketId, recordId);
+        return this.records[kind] !== records;
+    }
+
+    /**
+     * Read all tickets from the local cache
+     * @returns {Array} All cached tickets
+     */
+    readAll() {
+        return this.cache.map(ticket => ({ ...ticket }));
+    }
+
+    /**
+     * Create a ticket on the server
+     * @param {Object} ticket - Ticket to store
+     * @returns {Promise<Object>} Ticket as stored by the server
+     */
+    async insert(ticket) {
+        if (this.shouldQueue()) {
+            return this.queueChange('insert', ticket);
+        }
+
+        let data;
+        try {
+            data = await this.request('POST', this.baseUrl, ticket);
+        } catch (error) {
+            return this.queueChange('insert', ticket, error);
+        }
+        const storedTicket = this.extractTicket(data, ticket);
+
+        this.cache.push(storedTicket);
+        return { ...storedTicket };
+    }
+
+    /**
+     * Update a ticket on the server
+     * @param {Object} ticket - Updated ticket
+     * @returns {Promise<Object>} Ticket as stored by the server
+     */
+    async update(ticket) {
+        if (this.shouldQueue()) {
+            return this.queueChange('update', ticket);
+        }
+
+        let data;
+        try {
+            data = await this.request('PUT', this.ticketUrl(ticket.id), ticket);
+        } catch (error) {
+            if (error.conflict && error.serverTicket) {
+                this.cacheTicket(error.serverTicket);
+            }
+            return this.queueChange('update', ticket, error);
+        }
+        const storedTicket = this.extractTicket(data, ticket);
+
+        this.cacheTicket(storedTicket);
+        return { ...storedTicket };
+    }
+
+    /**
+     * Put a ticket as stored on the server into the cache
+     * @param {Object} ticket - Ticket
+     */
+    cacheTicket(ticket) {
+        const index = this.cache.findIndex(item => item.id === ticket.id);
+        if (index === -1) {
+            this.cache.push({ ...ticket });
+        } else {
+            this.cache[index] = { ...ticket };
+        }
+    }
+
+    /**
+     * Delete a ticket on the server
+     * @param {string} ticketId - ID of ticket to delete
+     * @returns {Promise<boolean>} Whether a ticket was removed
+     */
+    async remove(ticketId) {
+        if (this.shouldQueue()) {
+            return this.queueChange('remove', { id: ticketId });
+        }
+
+        try {
+            await this.request('DELETE', this.ticketUrl(ticketId));
+        } catch (error) {
+            return this.queueChange('remove', { id: ticketId }, error);
+        }
+
+        const initialLength = this.cache.length;
+        this.cache = this.cache.filter(item => item.id !== ticketId);
+        return this.cache.length !== initialLength;
+    }
+
+    /**
+     * Apply several updates and deletions one request at a time
+     * The REST API has no batch endpoint, so if a request fails the changes already made
+     * are reverted (best effort) before the error is rethrown
+     * @param {Object} changes - Changes to apply
+     * @param {Array} changes.update - Updated tickets
+     * @param {Array<string>} changes.remove - IDs of tickets to delete
+     * @returns {Promise<Object>} { updated: stored tickets, removed: IDs that existed }
+     */
+    async applyChanges({ update = [], remove = [] } = {}) {
+        const before = this.readAll();
+        const updated = [];
+        const removed = [];
+
+        try {
+            for (const ticket of update) {
+                updated.push(await this.update(ticket));
+            }
+            for (const ticketId of remove) {
+                if (await this.remove(ticketId)) {
+                    removed.push(ticketId);
+                }
+            }
+        } catch (error) {
+            await this.revertChanges(before, updated, removed);
+            throw error;
+        }
+
+        return { updated, removed };
+    }
+
+    /**
+     * Restore tickets changed by a failed applyChanges() call
+     * @param {Array} before - Cached tickets before the batch started
+     * @param {Array} updated - Tickets that were updated
+     * @param {Array<string>} removed - IDs of tickets that were deleted
+     */
+    async revertChanges(before, updated, removed) {
+        const original = (ticketId) => before.find(item => item.id === ticketId);
+
+        try {
+            // Putting a ticket back is itself a change, one version past the one just stored
+            for (const ticket of updated) {
+                await this.update({ ...original(ticket.id), version: (Number(ticket.version) || 1) + 1 });
+            }
+            for (const ticketId of removed) {
+                await this.insert(original(ticketId));
+            }
+        } catch (error) {
+            console.error('Error reverting ticket changes:', error);
+        }
+    }
+
+    /**
+     * Check whether writes must wait in the outbox: while offline, and while older changes wait
+     * (sending a newer change first would apply them out of order)
+     * @returns {boolean} True to queue
+     */
+    shouldQueue() {
+        if (!this.outbox) {
+            return false;
+        }
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        return offline || this.outbox.size() > 0;
+    }
+
+    /**
+     * Queue a write in the outbox and apply it to the cache
+     * @param {string} type - 'insert', 'update' or 'remove'
+     * @param {Object} ticket - Ticket (only the ID for 'remove')
+     * @param {Error} error - Request error that made the write fail (rethrown unless the server was unreachable)
+     * @returns {Object|boolean} Cached ticket, or for 'remove' whether a ticket was removed
+     */
+    queueChange(type, ticket, error = null) {
+        if (error && (!this.outbox || !error.offline)) {
+            throw error;
+        }
+
+        const current = this.cache.find(item => item.id === ticket.id) || null;
+        if (type !== 'insert' && !current) {
+            if (type === 'remove') return false;
+            throw new Error('Ticket not found');
+        }
+
+        this.outbox.enqueue(type, type === 'remove' ? current : ticket, current);
+        this.cache = this.cache.filter(item => item.id !== ticket.id);
+        if (type === 'remove') {
+            return true;
+        }
+
+        this.cache.push({ ...ticket });
+        return { ...ticket };
+    }
+
+    /**
+     * Apply a change announced by the server, e.g. through TicketEventStream, to the cache
+     * Changes the cache already has (same or newer version) are ignored, and so are tickets with
+     * queued offline changes, which sync() reconciles instead.
+     * @param {string} type - 'put' for a created or changed ticket, 'remove' for a deleted one
+     * @param {Object} ticket - Ticket as stored on the server
+     * @returns {boolean} Whether the cache changed
+     */
+    applyRemoteChange(type, ticket) {
+        if (this.outbox && this.outbox.readAll().some(entry => String(entry.ticketId) === String(ticket.id))) {
+            return false;
+        }
+
+        const index = this.cache.findIndex(item => String(item.id) === String(ticket.id));
+        if (type === 'remove') {
+            if (index === -1) {
+                return false;
+            }
+            this.cache.splice(index, 1);
+            return true;
+        }
+
+        if (index !== -1 && (Number(this.cache[index].version) || 1) >= (Number(ticket.version) || 1)) {
+            return false;
+        }
+        this.cacheTicket(ticket);
+        return true;
+    }
+
+    /**
+     * Count the changes waiting to be sent
+     * @returns {number} Queued changes
+     */
+    getPendingCount() {
+        return this.outbox ? this.outbox.size() : 0;
+    }
+
+    /**
+     * Send the queued changes in order, then the records saved offline, then reload the tickets
+     * A change is not applied when the ticket was changed or deleted on the server after it was
+     * queued, or when the server rejects it; it is dropped and reported in `conflicts`, and the
+     * server's version is kept. Sending stops while the server cannot be reached or fails.
+     * @returns {Promise<Object>} { sent: tickets, conflicts: [{ type, ticket, serverTicket, error }],
+     *                              idChanges: [{ from, to }] for tickets created offline, pending: count left }
+     */
+    async sync() {
+        const result = { sent: [], conflicts: [], idChanges: [], pending: 0 };
+        if (!this.outbox) {
+            return result;
+        }
+
+        for (const entry of this.outbox.readAll()) {
+            // Read again, since sending an insert can change the IDs of later entries
+            const current = this.outbox.readAll().find(item => item.id === entry.id);
+            try {
+                await this.replay(current, result);
+            } catch (error) {
+                // Unreachable or failing servers get the change again on the next sync
+                if (error.offline || error.status >= 500) {
+                    break;
+                }
+                result.conflicts.push({
+                    type: current.type,
+                    ticket: current.ticket,
+                    serverTicket: error.serverTicket || null,
+                    error: error.message
+                });
+            }
+            this.outbox.remove(current.id);
+        }
+
+        result.pending = this.outbox.size();
+        await this.sendQueuedRecords();
+        try {
+            await this.load();
+        } catch (error) {
+            console.error('Error reloading tickets after sync:', error);
+        }
+
+        return result;
+    }
+
+    /**
+     * Send one queued change, checking first that the ticket has not changed on the server
+     * @param {Object} entry - Outbox entry
+     * @param {Object} result - Sync result to add the sent ticket to
+     */
+    async replay(entry, result) {
+        if (entry.type === 'insert') {
+            const stored = this.extractTicket(await this.request('POST', this.baseUrl, entry.ticket), entry.ticket);
+            if (String(stored.id) !== String(entry.ticketId)) {
+                this.outbox.replaceTicketId(entry.ticketId, stored.id);
+                this.replaceRecordTicketId(entry.ticketId, stored.id);
+                result.idChanges.push({ from: entry.ticketId, to: stored.id });
+            }
+            result.sent.push(stored);
+            return;
+        }
+
+        const serverTicket = await this.fetchTicket(entry.ticketId);
+        if (!serverTicket) {
+            if (entry.type === 'update') {
+                throw new Error('The ticket was deleted on the server while you were offline');
+            }
+            // Already gone, which is what the deletion wanted
+            result.sent.push(entry.ticket);
+            return;
+        }
+
+        const serverVersion = Number(serverTicket.version) || 1;
+        if (serverVersion !== entry.baseVersion) {
+            const conflict = new Error('The ticket was changed on the server while you were offline');
+            conflict.serverTicket = serverTicket;
+            throw conflict;
+        }
+
+        if (entry.type === 'update') {
+            // Several offline edits are folded into one entry, so the change is one version past the server's
+            const ticket = { ...entry.ticket, version: serverVersion + 1 };
+            result.sent.push(this.extractTicket(await this.request('PUT', this.ticketUrl(entry.ticketId), ticket), ticket));
+        } else {
+            await this.request('DELETE', this.ticketUrl(entry.ticketId));
+            result.sent.push(entry.ticket);
+        }
+    }
+
+    /**
+     * Fetch the server's current version of a ticket
+     * @param {string} ticketId - Ticket ID
+     * @returns {Promise<Object|null>} Ticket, or null if it does not exist
+     */
+    async fetchTicket(ticketId) {
+        try {
+            const data = await this.request('GET', this.ticketUrl(ticketId));
+            return (data && data.ticket) || data;
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Keep the server's tickets for reloads while offline (only with an outbox)
+     * @param {Array} tickets - Tickets as loaded from the server
+     */
+    saveSnapshot(tickets) {
+        if (!this.outbox || typeof localStorage === 'undefined') {
+            return;
+        }
+        try {
+            localStorage.setItem(this.snapshotKey, JSON.stringify(tickets));
+        } catch (error) {
+            console.error('Error saving tickets for offline use:', error);
+        }
+    }
+
+    /**
+     * Read the tickets kept by saveSnapshot()
+     * @returns {Array} Tickets (empty if none were kept)
+     */
+    readSnapshot() {
+        try {
+            const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(this.snapshotKey) : null;
+            const tickets = stored ? JSON.parse(stored) : [];
+            return Array.isArray(tickets) ? tickets : [];
+        } catch (error) {
+            console.error('Error reading tickets saved for offline use:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Bulk replacement is not part of the REST API
+     */
+    writeAll() {
+        throw new Error('Bulk writes are not supported by the HTTP ticket storage');
+    }
+
+    /**
+     * Build the URL of a single ticket resource
+     * @param {string} ticketId - Ticket ID
+     * @returns {string} Resource URL
+     */
+    ticketUrl(ticketId) {
+        return `${this.baseUrl}/${encodeURIComponent(ticketId)}`;
+    }
+
+    /**
+     * Build the URL of a ticket's records of a kind, or of one record
+     * @param {string} kind - Record kind
+     * @param {string} ticketId - Ticket ID
+     * @param {string|null} recordId - Record ID (optional)
+     * @returns {string} Resource URL
+     */
+    recordUrl(kind, ticketId, recordId = null) {
+        const url = `${this.ticketUrl(ticketId)}/${kind}`;
+        return recordId !== null ? `${url}/${encodeURIComponent(recordId)}` : url;
+    }
+
+    /**
+     * Pull the ticket out of a single-resource response
+     * @param {Object} data - Parsed response body
+     * @param {Object} fallback - Ticket that was sent
+     * @returns {Object} Ticket
+     */
+    extractTicket(data, fallback) {
+        if (data && data.ticket) {
+            return data.ticket;
+        }
+        return data && data.id !== undefined ? data : { ...fallback };
+    }
+
+    /**
+     * Perform a JSON request against the API
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL
+     * @param {Object} body - Request body (optional)
+     * @returns {Promise<Object|Array|null>} Parsed response body
+     */
+    async request(method, url, body = undefined) {
+        const options = {
+            method: method,
+            headers: {
+                'Accept': 'application/json',
+                ...this.headers
+            },
+            credentials: 'same-origin'
+        };
+
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await this.fetchImpl(url, options);
+        } catch (error) {
+            const offlineError = new Error('Unable to reach the ticket server');
+            offlineError.offline = true;
+            throw offlineError;
+        }
+
+        const text = await response.text();
+        let data = null;
+        if (text) {
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error('Invalid response from the ticket server');
+            }
+        }
+
+        if (!response.ok) {
+            const message = (data && (data.error || data.message)) || `Request failed with status ${response.status}`;
+            const error = new Error(message);
+            error.status = response.status;
+            if (response.status === 409) {
+                // The ticket was changed since the copy the request was based on
+                error.conflict = true;
+                error.serverTicket = (data && data.ticket) || null;
+            }
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+/**
+ * TicketStorage - Factory for ticket storage adapters
+ */
+class TicketStorage {
+    /**
+     * Kinds of records the adapters keep alongside the tickets
+     */
+    static get RECORD_KINDS() {
+        return ['history', 'comments'];
+    }
+
+    /**
+     * Create a storage adapter by type
+     * Browsers without IndexedDB get localStorage instead of 'indexeddb'.
+     * @param {string} type - Adapter type (indexeddb, local, memory, http)
+     * @param {Object} options - Adapter options
+     * @returns {Object} Storage adapter
+     */
+    static create(type = 'local', options = {}) {
+        switch (type) {
+            case 'indexeddb':
+                return options.indexedDB || typeof indexedDB !== 'undefined'
+                    ? new IndexedDbTicketAdapter(options)
+                    : new LocalStorageTicketAdapter(options);
+            case 'local':
+                return new LocalStorageTicketAdapter(options);
+            case 'memory':
+                return new MemoryTicketAdapter(options);
+            case 'http':
+                return new HttpTicketAdapter(options);
+            default:
+                throw new Error(`Unknown ticket storage type: ${type}`);
+        }
+    }
+
+    /**
+     * Read the storage type configured by the server-rendered page
+     * @returns {string} Storage type (default: 'local')
+     */
+    static getConfiguredType() {
+        if (typeof document === 'undefined' || !document.querySelector) {
+            return 'local';
+        }
+
+        const meta = document.querySelector('meta[name="ticket-storage"]');
+        return (meta && meta.getAttribute('content')) || 'local';
+    }
+
+    /**
+     * Add or replace a record in records grouped by ticket ID, without changing the original
+     * @param {Object} records - Records keyed by ticket ID
+     * @param {Object} record - Record with id and ticketId
+     * @param {number} limit - Records kept per ticket (the newest), or 0 for all
+     * @returns {Object} New records keyed by ticket ID
+     */
+    static putRecord(records, record, limit = 0) {
+        const thread = records[record.ticketId] || [];
+        const index = thread.findIndex(item => item.id === record.id);
+        const updated = index === -1
+            ? [...thread, { ...record }]
+            : thread.map((item, position) => (position === index ? { ...record } : item));
+
+        return { ...records, [record.ticketId]: limit > 0 ? updated.slice(-limit) : updated };
+    }
+
+    /**
+     * Remove one record, or all of a ticket's records, without changing the original
+     * @param {Object} records - Records keyed by ticket ID
+     * @param {string} ticketId - Ticket ID
+     * @param {string|null} recordId - Record ID, or null for all of the ticket's records
+     * @returns {Object} New records keyed by ticket ID, or the same object when nothing matched
+     */
+    static dropRecords(records, ticketId, recordId = null) {
+        const thread = records[ticketId];
+        const remaining = thread && recordId !== null ? thread.filter(item => item.id !== recordId) : [];
+        if (!thread || remaining.length === thread.length) {
+            return records;
+        }
+
+        const result = { ...records };
+        if (remaining.length === 0) {
+            delete result[ticketId];
+        } else {
+            result[ticketId] = remaining;
+        }
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TicketStorage,
+        LocalStorageTicketAdapter,
+        MemoryTicketAdapter,
+        IndexedDbTicketAdapter,
+        HttpTicketAdapter
+    };
+}
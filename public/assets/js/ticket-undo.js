@@ -0,0 +1,136 @@
+/**
+ * Ticket Undo
+ * Session-long stack of ticket changes that can be reverted, newest first
+ */
+
+/**
+ * TicketUndoStack - Remembers recent edits and deletions so they can be undone
+ *
+ * Entries are kept for the browser tab's session (sessionStorage, default key: 'ticket_undo')
+ * with the shape { id, label, userId, changes: [{ before, after }], timestamp }, where before
+ * and after are whole ticket snapshots. One entry can cover several tickets, e.g. a bulk move.
+ * Reverting the changes is up to TicketManager.undoLastChange, which checks that the tickets
+ * are still at the version the change saved.
+ */
+class TicketUndoStack {
+    /**
+     * @param {Object} options - Stack options
+     * @param {string} options.storageKey - sessionStorage key (default: 'ticket_undo')
+     * @param {boolean} options.persistent - Whether to persist to sessionStorage (default: true)
+     * @param {number} options.maxEntries - Oldest entries beyond this are dropped (default: 20)
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'ticket_undo';
+        this.persistent = options.persistent !== false;
+        this.maxEntries = options.maxEntries || 20;
+        this.memoryEntries = [];
+    }
+
+    /**
+     * Remember a change
+     * @param {string} label - What the change was, e.g. 'edit of "Printer jam"'
+     * @param {Array} changes - Tickets before and after the change, as { before, after }
+     * @param {Object} user - User who made the change
+     * @returns {Object} Stored entry
+     */
+    push(label, changes, user = null) {
+        const entry = {
+            id: `undo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            label: label,
+            userId: user ? user.id : null,
+            changes: changes.map(change => ({ before: { ...change.before }, after: { ...change.after } })),
+            timestamp: Date.now()
+        };
+
+        const entries = this.readAll();
+        entries.push(entry);
+        this.writeAll(entries.slice(-this.maxEntries));
+
+        return entry;
+    }
+
+    /**
+     * Get the newest change made by a user
+     * @param {Object} user - User (entries of other users are skipped)
+     * @returns {Object|null} Entry, or null if there is nothing to undo
+     */
+    peek(user = null) {
+        const userId = user ? user.id : null;
+        const entries = this.readAll().filter(entry => entry.userId === userId);
+        return entries.length > 0 ? entries[entries.length - 1] : null;
+    }
+
+    /**
+     * Point older entries at a ticket's new version after an undo
+     * Undoing a change saves the earlier copy again as a new version; entries that ended in that
+     * earlier copy would otherwise no longer match the ticket and could not be undone.
+     * @param {Object} previous - Ticket version the entries end in
+     * @param {Object} current - Ticket as saved now
+     */
+    replaceSnapshot(previous, current) {
+        const entries = this.readAll();
+        entries.forEach(entry => entry.changes.forEach(change => {
+            if (change.after.id === previous.id && (change.after.version || 1) === (previous.version || 1)) {
+                change.after = { ...current };
+            }
+        }));
+        this.writeAll(entries);
+    }
+
+    /**
+     * Forget a change, once it has been undone or can no longer be
+     * @param {string} entryId - Entry ID
+     */
+    remove(entryId) {
+        this.writeAll(this.readAll().filter(entry => entry.id !== entryId));
+    }
+
+    /**
+     * Forget every change
+     */
+    clear() {
+        this.writeAll([]);
+    }
+
+    /**
+     * Read every entry, oldest first
+     * @returns {Array} Entries
+     */
+    readAll() {
+        if (!this.persistent) {
+            return JSON.parse(JSON.stringify(this.memoryEntries));
+        }
+
+        try {
+            const stored = sessionStorage.getItem(this.storageKey);
+            const entries = stored ? JSON.parse(stored) : [];
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.error('Error reading undo history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Replace every entry
+     * @param {Array} entries - Entries, oldest first
+     */
+    writeAll(entries) {
+        if (!this.persistent) {
+            this.memoryEntries = JSON.parse(JSON.stringify(entries));
+            return;
+        }
+
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify(entries));
+        } catch (error) {
+            // Undo is a convenience, so a full sessionStorage only costs the older entries
+            console.error('Error saving undo history:', error);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TicketUndoStack;
+}
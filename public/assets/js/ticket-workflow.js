@@ -0,0 +1,260 @@
+/**
+ * Ticket Workflow
+ * Configurable ticket states, allowed transitions, terminal states and colors
+ */
+
+/**
+ * TicketWorkflow - Single source of truth for ticket statuses
+ *
+ * A workflow definition has the shape
+ * {
+ *   initialState: 'Open',
+ *   states: [{ name, key, color, terminal }],
+ *   transitions: { [fromState]: [toState, ...] }
+ * }
+ * `key` is the camelCase name used in statistics objects (e.g. 'inProgress') and `color`
+ * is a palette name ('green', 'amber', ...) from which badge, border and indicator classes are built.
+ * Pages can supply their own definition as JSON in <script type="application/json" id="ticket-workflow">;
+ * base.twig renders the server's workflow (App\TicketWorkflow, set with TICKET_WORKFLOW) there, so
+ * the API accepts the same states and moves
+ */
+class TicketWorkflow {
+    /**
+     * Default workflow: any of Open, In Progress and Closed can move to any other
+     */
+    static get DEFAULT_DEFINITION() {
+        return {
+            initialState: 'Open',
+            states: [
+                { name: 'Open', key: 'open', color: 'green', terminal: false },
+                { name: 'In Progress', key: 'inProgress', color: 'amber', terminal: false },
+                { name: 'Closed', key: 'closed', color: 'gray', terminal: true }
+            ],
+            transitions: {
+                'Open': ['In Progress', 'Closed'],
+                'In Progress': ['Open', 'Closed'],
+                'Closed': ['Open', 'In Progress']
+            }
+        };
+    }
+
+    /**
+     * @param {Object} definition - Workflow definition (default: TicketWorkflow.DEFAULT_DEFINITION)
+     */
+    constructor(definition = TicketWorkflow.DEFAULT_DEFINITION) {
+        const states = Array.isArray(definition.states) ? definition.states : [];
+        if (states.length === 0) {
+            throw new Error('Workflow must define at least one state');
+        }
+
+        this.states = states.map(state => ({
+            name: state.name,
+            key: state.key || TicketWorkflow.toKey(state.name),
+            color: state.color || 'gray',
+            terminal: state.terminal === true
+        }));
+
+        const names = this.getStateNames();
+        if (new Set(names).size !== names.length) {
+            throw new Error('Workflow state names must be unique');
+        }
+
+        this.initialState = definition.initialState || names[0];
+        if (!names.includes(this.initialState)) {
+            throw new Error(`Unknown initial workflow state: ${this.initialState}`);
+        }
+
+        this.transitions = {};
+        const transitions = definition.transitions || {};
+        names.forEach(name => {
+            const targets = Array.isArray(transitions[name]) ? transitions[name] : [];
+            targets.forEach(target => {
+                if (!names.includes(target)) {
+                    throw new Error(`Unknown workflow state in transition ${name} -> ${target}`);
+                }
+            });
+            this.transitions[name] = targets.slice();
+        });
+    }
+
+    /**
+     * Create the workflow configured by the page, falling back to the default
+     * @returns {TicketWorkflow} Workflow
+     */
+    static getConfigured() {
+        if (typeof document !== 'undefined' && document.getElementById) {
+            const element = document.getElementById('ticket-workflow');
+            if (element && element.textContent) {
+                try {
+                    return new TicketWorkflow(JSON.parse(element.textContent));
+                } catch (error) {
+                    console.error('Invalid ticket workflow configuration:', error);
+                }
+            }
+        }
+
+        return new TicketWorkflow();
+    }
+
+    /**
+     * Derive a statistics key from a state name ('In Progress' -> 'inProgress')
+     * @param {string} name - State name
+     * @returns {string} camelCase key
+     */
+    static toKey(name) {
+        return String(name)
+            .split(/[^A-Za-z0-9]+/)
+            .filter(part => part.length > 0)
+            .map((part, index) => index === 0
+                ? part.toLowerCase()
+                : part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
+            .join('');
+    }
+
+    /**
+     * Get the state names in workflow order
+     * @returns {Array<string>} State names
+     */
+    getStateNames() {
+        return this.states.map(state => state.name);
+    }
+
+    /**
+     * Get a state definition
+     * @param {string} name - State name
+     * @returns {Object|null} State or null if unknown
+     */
+    getState(name) {
+        return this.states.find(state => state.name === name) || null;
+    }
+
+    /**
+     * Check whether a status belongs to the workflow
+     * @param {string} name - State name
+     * @returns {boolean} True if known
+     */
+    isValidState(name) {
+        return this.getState(name) !== null;
+    }
+
+    /**
+     * Check whether a status is terminal (work on the ticket is finished)
+     * @param {string} name - State name
+     * @returns {boolean} True if terminal
+     */
+    isTerminal(name) {
+        const state = this.getState(name);
+        return state ? state.terminal : false;
+    }
+
+    /**
+     * Check whether a ticket may move between two states (staying put is always allowed)
+     * @param {string} from - Current state
+     * @param {string} to - Requested state
+     * @returns {boolean} True if allowed
+     */
+    canTransition(from, to) {
+        if (from === to) {
+            return this.isValidState(to);
+        }
+        return (this.transitions[from] || []).includes(to);
+    }
+
+    /**
+     * Get the states a ticket may be set to from its current state, in workflow order
+     * @param {string} from - Current state (omit for a new ticket)
+     * @returns {Array<string>} Allowed state names, including the current one
+     */
+    getAvailableStates(from = null) {
+        if (!from || !this.isValidState(from)) {
+            return this.getStateNames();
+        }
+        return this.getStateNames().filter(name => this.canTransition(from, name));
+    }
+
+    /**
+     * Build the validation message listing every state
+     * @returns {string} Error message
+     */
+    getInvalidStateMessage() {
+        return `Status must be one of: ${this.getStateNames().join(', ')}`;
+    }
+
+    /**
+     * Get the palette color of a state
+     * @param {string} name - State name
+     * @returns {string} Color name (gray for unknown states)
+     */
+    getColor(name) {
+        const state = this.getState(name);
+        return state ? state.color : 'gray';
+    }
+
+    /**
+     * Get badge classes for a state
+     * @param {string} name - State name
+     * @returns {string} CSS classes
+     */
+    getBadgeClasses(name) {
+        const color = this.getColor(name);
+        return `bg-${color}-100 text-${color}-800`;
+    }
+
+    /**
+     * Get card border class for a state
+     * @param {string} name - State name
+     * @returns {string} CSS class
+     */
+    getBorderClass(name) {
+        return this.isValidState(name) ? `border-${this.getColor(name)}-500` : 'border-gray-300';
+    }
+
+    /**
+     * Get status dot class for a state
+     * @param {string} name - State name
+     * @returns {string} CSS class
+     */
+    getIndicatorClass(name) {
+        return `bg-${this.getColor(name)}-500`;
+    }
+
+    /**
+     * Build an empty statistics object with a zero counter per state
+     * @returns {Object} Statistics ({ total, [stateKey]: 0, ... })
+     */
+    createEmptyStatistics() {
+        const stats = { total: 0 };
+        this.states.forEach(state => {
+            stats[state.key] = 0;
+        });
+        return stats;
+    }
+
+    /**
+     * Count tickets per state
+     * @param {Array} tickets - Tickets to count
+     * @returns {Object} Statistics ({ total, [stateKey]: count, ... })
+     */
+    countByState(tickets) {
+        const stats = this.createEmptyStatistics();
+        const keys = {};
+        this.states.forEach(state => {
+            keys[state.name] = state.key;
+        });
+
+        stats.total = tickets.length;
+        for (let i = 0; i < tickets.length; i++) {
+            const key = keys[tickets[i].status];
+            if (key) {
+                stats[key]++;
+            }
+        }
+
+        return stats;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TicketWorkflow;
+}
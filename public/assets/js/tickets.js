@@ -1,13 +1,79 @@
 /**
  * TicketManager - Handles CRUD operations for ticket management
- * Provides create, read, update, delete functionality with localStorage persistence
+ * Provides create, read, update, delete functionality through a pluggable storage adapter
  */
 class TicketManager {
-    constructor() {
+    /**
+     * @param {Object} options - Manager options
+     * @param {string|Object} options.storage - Storage type ('local', 'memory', 'http') or adapter instance (default: page configuration)
+     * @param {Object} options.storageOptions - Options passed to the storage adapter
+     * @param {Object} options.history - TicketHistory instance (default: kept by the ticket storage)
+     * @param {Object} options.comments - TicketComments instance (default: kept by the ticket storage)
+     * @param {Object} options.workflow - TicketWorkflow instance (default: page configuration)
+     * @param {Object} options.permissions - TicketPermissions instance (default: built-in roles)
+     * @param {Object} options.userDirectory - UserDirectory used to show creators and assignees (default: known accounts)
+     * @param {Object} options.undoStack - TicketUndoStack for undoing edits and deletions (default: persisted unless storage is 'memory')
+     * @param {number} options.trashRetentionDays - Days deleted tickets stay in the trash before they are purged (default: 30)
+     */
+    constructor(options = {}) {
         this.storageKey = 'tickets';
         this.authManager = new AuthManager();
+        this.storage = typeof options.storage === 'object' && options.storage !== null
+            ? options.storage
+            : TicketStorage.create(options.storage || TicketStorage.getConfiguredType(), { storageKey: this.storageKey, ...options.storageOptions });
+        this.workflow = options.workflow || TicketWorkflow.getConfigured();
+        this.permissions = options.permissions || (typeof TicketPermissions !== 'undefined' ? new TicketPermissions() : null);
         this.currentTickets = [];
         this.editingTicketId = null;
+        this.editingTicketBase = null;
+        this.detailTicketId = null;
+        this.searchIndex = typeof TicketSearchIndex !== 'undefined' ? new TicketSearchIndex() : null;
+        const recordStorage = typeof this.storage.readRecords === 'function' ? this.storage : null;
+        this.history = options.history || (typeof TicketHistory !== 'undefined'
+            ? new TicketHistory({ storage: recordStorage, persistent: options.storage !== 'memory' })
+            : null);
+        this.comments = options.comments || (typeof TicketComments !== 'undefined'
+            ? new TicketComments({ storage: recordStorage, persistent: options.storage !== 'memory' })
+            : null);
+        this.userDirectory = options.userDirectory || (typeof UserDirectory !== 'undefined'
+            ? new UserDirectory(this.authManager)
+            : null);
+        this.validator = new TicketValidator(this.workflow, this.userDirectory);
+        this.importExport = typeof TicketImportExport !== 'undefined'
+            ? new TicketImportExport({ workflow: this.workflow, validator: this.validator })
+            : null;
+        this.undoStack = options.undoStack || (typeof TicketUndoStack !== 'undefined'
+            ? new TicketUndoStack({ persistent: options.storage !== 'memory' })
+            : null);
+        this.trashRetentionDays = options.trashRetentionDays !== undefined ? options.trashRetentionDays : 30;
+    }
+
+    /**
+     * Fields updateTicket() applies; anything else in the updates (id, userId, createdAt, ...) is ignored
+     */
+    static get EDITABLE_FIELDS() {
+        return ['title', 'description', 'status', 'priority', 'assignee', 'dueDate', 'deletedAt'];
+    }
+
+    /**
+     * Load tickets from the storage adapter and dispatch 'ticketsLoaded'
+     * Required before the first read when using remote or IndexedDB storage
+     * @returns {Promise<Array>} Tickets for the current user
+     */
+    async loadTickets() {
+        try {
+            await this.storage.load();
+        } catch (error) {
+            console.error('Error loading tickets:', error);
+        }
+        await this.purgeExpiredTickets();
+        if (this.userDirectory) {
+            await this.userDirectory.load();
+        }
+
+        const tickets = this.getTickets();
+        this.dispatchTicketEvent('ticketsLoaded', null, { tickets });
+        return tickets;
     }
 
     /**
@@ -15,7 +81,10 @@ class TicketManager {
      * @param {Object} ticketData - Ticket data to create
      * @param {string} ticketData.title - Ticket title (required)
      * @param {string} ticketData.description - Ticket description (optional)
-     * @param {string} ticketData.status - Ticket status (default: 'Open')
+     * @param {string} ticketData.status - Ticket status (default: the workflow's initial state)
+     * @param {string} ticketData.priority - Ticket priority: low, medium, high or urgent (default: 'medium')
+     * @param {string} ticketData.assignee - Name or email of the person handling the ticket (optional)
+     * @param {string} ticketData.dueDate - Due date as YYYY-MM-DD (optional)
      * @returns {Object} Creation result
      */
     async createTicket(ticketData) {
@@ -25,6 +94,10 @@ class TicketManager {
                 throw new Error('User must be authenticated to create tickets');
             }
 
+            if (ticketData.assignee && ticketData.assignee.trim() && !this.canAssignTickets()) {
+                throw new Error('Not authorized to assign tickets');
+            }
+
             // Validate ticket data
             const validation = this.validateTicketData(ticketData);
             if (!validation.isValid) {
@@ -40,30 +113,29 @@ class TicketManager {
                 id: this.generateTicketId(),
                 title: ticketData.title.trim(),
                 description: ticketData.description ? ticketData.description.trim() : '',
-                status: ticketData.status || 'Open',
+                status: ticketData.status || this.workflow.initialState,
+                priority: ticketData.priority || 'medium',
+                assignee: ticketData.assignee ? ticketData.assignee.trim() : '',
+                dueDate: ticketData.dueDate || null,
                 createdAt: Date.now(),
                 updatedAt: Date.now(),
-                userId: this.authManager.getCurrentUser().id
+                userId: this.authManager.getCurrentUser().id,
+                version: 1
             };
 
-            // Get existing tickets
-            const tickets = this.getTickets();
-            
-            // Add new ticket
-            tickets.push(newTicket);
-            
-            // Save to localStorage
-            this.saveTickets(tickets);
+            // Persist through the storage adapter
+            const savedTicket = await this.storage.insert(newTicket);
             
             // Update current tickets cache
-            this.currentTickets = tickets;
+            this.currentTickets = this.getTickets();
             
-            // Dispatch custom event for ticket creation
-            this.dispatchTicketEvent('ticketCreated', newTicket);
+            // Record and dispatch custom event for ticket creation
+            const activity = this.recordActivity(savedTicket.id, 'created', {}, savedTicket);
+            this.dispatchTicketEvent('ticketCreated', savedTicket, { activity });
 
             return {
                 success: true,
-                ticket: newTicket,
+                ticket: savedTicket,
                 message: 'Ticket created successfully'
             };
 
@@ -77,7 +149,8 @@ class TicketManager {
     }
 
     /**
-     * Retrieve all stored tickets for the current user
+     * Retrieve the stored tickets the current user may see
+     * (their own, or every ticket when their role grants view-all)
      * @returns {Array} Array of ticket objects
      */
     getTickets() {
@@ -92,16 +165,11 @@ class TicketManager {
                 return [];
             }
 
-            // Get tickets from localStorage
-            const storedTickets = localStorage.getItem(this.storageKey);
-            if (!storedTickets) {
-                return [];
-            }
-
-            const allTickets = JSON.parse(storedTickets);
+            // Get tickets from the storage adapter
+            const allTickets = this.getAllTicketsFromStorage();
             
-            // Filter tickets for current user
-            const userTickets = allTickets.filter(ticket => ticket.userId === currentUser.id);
+            // Filter tickets for current user, leaving out the trash
+            const userTickets = allTickets.filter(ticket => !ticket.deletedAt && this.canViewTicket(ticket, currentUser));
             
             // Sort by creation date (newest first)
             userTickets.sort((a, b) => b.createdAt - a.createdAt);
@@ -119,11 +187,19 @@ class TicketManager {
 
     /**
      * Update an existing ticket
+     * Every save bumps the ticket's version. Editors pass the version they loaded as updates.version;
+     * if the stored ticket has moved on since (e.g. it was saved in another tab), nothing is written
+     * and a conflict result is returned instead (see createConflictResult).
      * @param {string} ticketId - ID of ticket to update
-     * @param {Object} updates - Updates to apply
+     * @param {Object} updates - Updates to apply (only TicketManager.EDITABLE_FIELDS), optionally with the version they are based on
      * @returns {Object} Update result
      */
     async updateTicket(ticketId, updates) {
+        const baseVersion = updates.version;
+        const changes = {};
+        TicketManager.EDITABLE_FIELDS
+            .filter(field => updates[field] !== undefined)
+            .forEach(field => { changes[field] = updates[field]; });
         try {
             // Validate authentication
             if (!this.authManager.isAuthenticated()) {
@@ -134,20 +210,36 @@ class TicketManager {
             const allTickets = this.getAllTicketsFromStorage();
             const ticketIndex = allTickets.findIndex(ticket => ticket.id === ticketId);
             
-            if (ticketIndex === -1) {
+            // Tickets in the trash have to be restored before they can be changed
+            if (ticketIndex === -1 || allTickets[ticketIndex].deletedAt) {
                 throw new Error('Ticket not found');
             }
 
             const currentUser = this.authManager.getCurrentUser();
             const ticket = allTickets[ticketIndex];
             
-            // Verify ownership
-            if (ticket.userId !== currentUser.id) {
+            // Verify ownership or role
+            if (!this.canEditTicket(ticket, currentUser)) {
                 throw new Error('Not authorized to update this ticket');
             }
 
+            // Changes made to an older copy must be merged by the user first
+            if (baseVersion !== undefined && baseVersion !== null && Number(baseVersion) !== this.getTicketVersion(ticket)) {
+                return this.createConflictResult(ticket, changes);
+            }
+
+            if (changes.assignee !== undefined && (changes.assignee || '').trim() !== (ticket.assignee || '')
+                && !this.canAssignTickets(currentUser)) {
+                throw new Error('Not authorized to assign tickets');
+            }
+
+            // Moving the ticket to the trash this way needs the same right as deleteTicket
+            if (changes.deletedAt && !this.canDeleteTicket(ticket, currentUser)) {
+                throw new Error('Not authorized to delete this ticket');
+            }
+
             // Validate update data
-            const validation = this.validateTicketData(updates, true);
+            const validation = this.validateTicketData(changes, true, ticket);
             if (!validation.isValid) {
                 return {
                     success: false,
@@ -156,147 +248,1147 @@ class TicketManager {
                 };
             }
 
+            // Enforce workflow transitions
+            if (changes.status !== undefined && !this.workflow.canTransition(ticket.status, changes.status)) {
+                return {
+                    success: false,
+                    errors: { status: `Cannot move a ticket from ${ticket.status} to ${changes.status}` },
+                    message: 'Validation failed'
+                };
+            }
+
             // Apply updates
             const updatedTicket = {
                 ...ticket,
-                ...updates,
-                updatedAt: Date.now()
+                ...changes,
+                updatedAt: Date.now(),
+                version: this.getTicketVersion(ticket) + 1
+            };
+
+            // Ensure required fields are not empty
+            if (changes.title !== undefined) {
+                updatedTicket.title = changes.title.trim();
+            }
+            if (changes.description !== undefined) {
+                updatedTicket.description = changes.description.trim();
+            }
+            if (changes.assignee !== undefined) {
+                updatedTicket.assignee = changes.assignee ? changes.assignee.trim() : '';
+            }
+            if (changes.dueDate !== undefined) {
+                updatedTicket.dueDate = changes.dueDate || null;
+            }
+            if (changes.deletedAt !== undefined) {
+                updatedTicket.deletedAt = changes.deletedAt || null;
+                updatedTicket.deletedBy = changes.deletedAt ? currentUser.id : null;
+            }
+
+            // Persist through the storage adapter
+            const savedTicket = await this.storage.update(updatedTicket);
+            
+            // Update current tickets cache
+            this.currentTickets = this.getTickets();
+            
+            // Record and dispatch custom event for ticket update
+            // A new assignee gets its own 'assigned' entry and event, so reassignments can be followed on their own
+            const reassigned = (ticket.assignee || '') !== (savedTicket.assignee || '');
+            const activity = this.recordActivity(savedTicket.id, 'updated', reassigned ? { ...ticket, assignee: savedTicket.assignee } : ticket, savedTicket);
+            if (reassigned) {
+                const assignment = this.recordActivity(savedTicket.id, 'assigned', { assignee: ticket.assignee }, { assignee: savedTicket.assignee });
+                this.dispatchTicketEvent('ticketAssigned', savedTicket, {
+                    activity: assignment,
+                    previousAssignee: ticket.assignee || '',
+                    assignee: savedTicket.assignee || ''
+                });
+            }
+            this.dispatchTicketEvent('ticketUpdated', savedTicket, { activity });
+            this.rememberChange(`edit of "${savedTicket.title}"`, [{ before: ticket, after: savedTicket }]);
+
+            return {
+                success: true,
+                ticket: savedTicket,
+                message: 'Ticket updated successfully'
+            };
+
+        } catch (error) {
+            // The server saw a newer version than the one the storage cache had
+            if (error.conflict && error.serverTicket) {
+                this.currentTickets = this.getTickets();
+                return this.createConflictResult(error.serverTicket, changes);
+            }
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to update ticket'
+            };
+        }
+    }
+
+    /**
+     * Get a ticket's version, the number of times it has been saved
+     * @param {Object} ticket - Ticket
+     * @returns {number} Version (1 for tickets stored before versions were kept)
+     */
+    getTicketVersion(ticket) {
+        return Number(ticket && ticket.version) || 1;
+    }
+
+    /**
+     * Build the result of an edit based on an older version of the ticket
+     * @param {Object} current - Ticket as stored now
+     * @param {Object} changes - Changes the user tried to save
+     * @returns {Object} Failed result with conflict: true, the stored ticket, the rejected changes
+     *                   and the edited fields compared with the stored ones
+     */
+    createConflictResult(current, changes) {
+        return {
+            success: false,
+            conflict: true,
+            error: 'This ticket was changed by someone else after you opened it',
+            ticket: current,
+            changes: changes,
+            fields: this.compareWithStoredTicket(changes, current),
+            message: 'Failed to update ticket'
+        };
+    }
+
+    /**
+     * Compare the fields of an edit with the stored ticket, field by field
+     * @param {Object} changes - Edited fields
+     * @param {Object} current - Ticket as stored now
+     * @returns {Array} Edited fields as { field, yours, theirs, differs }
+     */
+    compareWithStoredTicket(changes, current) {
+        const fields = ['title', 'description', 'status', 'priority', 'assignee', 'dueDate'];
+        const normalize = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+        return fields
+            .filter(field => changes[field] !== undefined)
+            .map(field => ({
+                field: field,
+                yours: changes[field],
+                theirs: current[field] === undefined ? null : current[field],
+                differs: normalize(changes[field]) !== normalize(current[field])
+            }));
+    }
+
+    /**
+     * Turn the choices made in the merge dialog into an update of the current version
+     * @param {Object} conflict - Conflict result from updateTicket
+     * @param {Object} choices - 'yours' or 'theirs' per differing field (default: 'yours')
+     * @returns {Object} Updates to pass to updateTicket
+     */
+    mergeConflict(conflict, choices = {}) {
+        const updates = {};
+        conflict.fields.forEach(item => {
+            updates[item.field] = item.differs && choices[item.field] === 'theirs'
+                ? (item.theirs === null ? '' : item.theirs)
+                : item.yours;
+        });
+        if (updates.dueDate === '') {
+            updates.dueDate = null;
+        }
+
+        updates.version = this.getTicketVersion(conflict.ticket);
+        return updates;
+    }
+
+    /**
+     * Move a ticket to the trash, with confirmation handling
+     * The ticket is kept with a deletedAt timestamp until it is restored, purged from the trash
+     * or expires after trashRetentionDays; until then the deletion can also be undone.
+     * @param {string} ticketId - ID of ticket to delete
+     * @param {boolean} confirmed - Whether deletion is confirmed
+     * @returns {Object} Deletion result
+     */
+    async deleteTicket(ticketId, confirmed = false) {
+        try {
+            // Validate authentication
+            if (!this.authManager.isAuthenticated()) {
+                throw new Error('User must be authenticated to delete tickets');
+            }
+
+            // Get all tickets
+            const allTickets = this.getAllTicketsFromStorage();
+            const ticketIndex = allTickets.findIndex(ticket => ticket.id === ticketId);
+            
+            if (ticketIndex === -1 || allTickets[ticketIndex].deletedAt) {
+                throw new Error('Ticket not found');
+            }
+
+            const currentUser = this.authManager.getCurrentUser();
+            const ticket = allTickets[ticketIndex];
+            
+            // Verify ownership or role
+            if (!this.canDeleteTicket(ticket, currentUser)) {
+                throw new Error('Not authorized to delete this ticket');
+            }
+
+            // If not confirmed, return confirmation request
+            if (!confirmed) {
+                return {
+                    success: false,
+                    requiresConfirmation: true,
+                    ticket: ticket,
+                    message: `Are you sure you want to delete "${ticket.title}"?`
+                };
+            }
+
+            // Move the ticket to the trash through the storage adapter
+            const savedTicket = await this.storage.update(this.markDeleted(ticket, currentUser));
+            
+            // Update current tickets cache
+            this.currentTickets = this.getTickets();
+            
+            // Record and dispatch custom event for ticket deletion
+            const activity = this.recordActivity(ticket.id, 'deleted', ticket, {});
+            this.dispatchTicketEvent('ticketDeleted', savedTicket, { activity });
+            this.rememberChange(`deletion of "${ticket.title}"`, [{ before: ticket, after: savedTicket }]);
+
+            return {
+                success: true,
+                deletedTicket: savedTicket,
+                message: 'Ticket moved to the trash'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to delete ticket'
+            };
+        }
+    }
+
+    /**
+     * Move several tickets to a new status
+     * Tickets the user may not change, or that the workflow does not allow to move, are reported
+     * in `failed`; the rest are stored together, so a storage error leaves every ticket unchanged
+     * @param {Array<string>} ticketIds - IDs of tickets to update
+     * @param {string} status - New status
+     * @returns {Object} Bulk result with updated tickets and per-ticket failures
+     */
+    async bulkUpdateStatus(ticketIds, status) {
+        try {
+            if (!this.authManager.isAuthenticated()) {
+                throw new Error('User must be authenticated to update tickets');
+            }
+            if (!this.workflow.isValidState(status)) {
+                throw new Error(this.workflow.getInvalidStateMessage());
+            }
+
+            const { targets, failed } = this.collectBulkTargets(ticketIds, 'update');
+            const changes = [];
+
+            targets.forEach(ticket => {
+                if (!this.workflow.canTransition(ticket.status, status)) {
+                    failed.push({ id: ticket.id, title: ticket.title, error: `Cannot move a ticket from ${ticket.status} to ${status}` });
+                } else if (ticket.status !== status) {
+                    changes.push({ before: ticket, after: { ...ticket, status: status, updatedAt: Date.now(), version: this.getTicketVersion(ticket) + 1 } });
+                }
+            });
+
+            const { updated } = await this.storage.applyChanges({ update: changes.map(change => change.after) });
+
+            this.currentTickets = this.getTickets();
+            const saved = changes.map(change => {
+                const savedTicket = updated.find(ticket => ticket.id === change.after.id) || change.after;
+                const activity = this.recordActivity(savedTicket.id, 'updated', change.before, savedTicket);
+                this.dispatchTicketEvent('ticketUpdated', savedTicket, { activity });
+                return { before: change.before, after: savedTicket };
+            });
+            this.rememberChange(`move of ${this.pluralizeTickets(saved.length)} to ${status}`, saved);
+
+            return this.createBulkResult(updated, failed, `Moved ${this.pluralizeTickets(updated.length)} to ${status}`);
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to update tickets'
+            };
+        }
+    }
+
+    /**
+     * Delete several tickets with a single confirmation
+     * Tickets the user may not delete are reported in `failed`; the rest are moved to the trash together
+     * @param {Array<string>} ticketIds - IDs of tickets to delete
+     * @param {boolean} confirmed - Whether deletion is confirmed
+     * @returns {Object} Bulk result with deleted tickets and per-ticket failures
+     */
+    async bulkDeleteTickets(ticketIds, confirmed = false) {
+        try {
+            if (!this.authManager.isAuthenticated()) {
+                throw new Error('User must be authenticated to delete tickets');
+            }
+
+            const { targets, failed } = this.collectBulkTargets(ticketIds, 'delete');
+
+            if (!confirmed) {
+                return {
+                    success: false,
+                    requiresConfirmation: true,
+                    tickets: targets,
+                    failed: failed,
+                    message: `Are you sure you want to delete ${this.pluralizeTickets(targets.length)}?`
+                };
+            }
+
+            const currentUser = this.authManager.getCurrentUser();
+            const { updated } = await this.storage.applyChanges({ update: targets.map(ticket => this.markDeleted(ticket, currentUser)) });
+
+            this.currentTickets = this.getTickets();
+            const saved = targets.map(ticket => {
+                const savedTicket = updated.find(item => item.id === ticket.id) || this.markDeleted(ticket, currentUser);
+                const activity = this.recordActivity(ticket.id, 'deleted', ticket, {});
+                this.dispatchTicketEvent('ticketDeleted', savedTicket, { activity });
+                return { before: ticket, after: savedTicket };
+            });
+            this.rememberChange(`deletion of ${this.pluralizeTickets(saved.length)}`, saved);
+
+            return this.createBulkResult(targets, failed, `Moved ${this.pluralizeTickets(targets.length)} to the trash`);
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to delete tickets'
+            };
+        }
+    }
+
+    /**
+     * Take a ticket back out of the trash
+     * @param {string} ticketId - ID of a deleted ticket
+     * @returns {Object} Restore result
+     */
+    async restoreTicket(ticketId) {
+        try {
+            const ticket = this.getTrashedTicket(ticketId, 'restore');
+            const savedTicket = await this.storage.update({ ...ticket, deletedAt: null, deletedBy: null, version: this.getTicketVersion(ticket) + 1 });
+            this.currentTickets = this.getTickets();
+
+            const activity = this.recordActivity(savedTicket.id, 'restored', ticket, savedTicket);
+            this.dispatchTicketEvent('ticketRestored', savedTicket, { activity });
+            this.rememberChange(`restore of "${savedTicket.title}"`, [{ before: ticket, after: savedTicket }]);
+
+            return {
+                success: true,
+                ticket: savedTicket,
+                message: 'Ticket restored'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to restore ticket'
+            };
+        }
+    }
+
+    /**
+     * Delete a ticket in the trash permanently, with its comments (its history is kept)
+     * @param {string} ticketId - ID of a deleted ticket
+     * @param {boolean} confirmed - Whether the permanent deletion is confirmed
+     * @returns {Object} Purge result
+     */
+    async purgeTicket(ticketId, confirmed = false) {
+        try {
+            const ticket = this.getTrashedTicket(ticketId, 'delete');
+
+            if (!confirmed) {
+                return {
+                    success: false,
+                    requiresConfirmation: true,
+                    ticket: ticket,
+                    message: `Delete "${ticket.title}" permanently? This cannot be undone.`
+                };
+            }
+
+            await this.storage.remove(ticketId);
+            this.forgetPurgedTickets([ticket]);
+
+            return {
+                success: true,
+                purgedTicket: ticket,
+                message: 'Ticket deleted permanently'
             };
 
-            // Ensure required fields are not empty
-            if (updates.title !== undefined) {
-                updatedTicket.title = updates.title.trim();
-            }
-            if (updates.description !== undefined) {
-                updatedTicket.description = updates.description.trim();
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to delete ticket'
+            };
+        }
+    }
+
+    /**
+     * Permanently delete the tickets that have been in the trash longer than trashRetentionDays
+     * Runs when tickets are loaded; only tickets the current user may delete are purged.
+     * @returns {Promise<Array>} Purged tickets
+     */
+    async purgeExpiredTickets() {
+        const currentUser = this.authManager.getCurrentUser();
+        if (!currentUser) {
+            return [];
+        }
+
+        const expired = this.getAllTicketsFromStorage().filter(ticket =>
+            ticket.deletedAt && this.getPurgeDate(ticket) <= Date.now() && this.canDeleteTicket(ticket, currentUser)
+        );
+        if (expired.length === 0) {
+            return [];
+        }
+
+        try {
+            await this.storage.applyChanges({ remove: expired.map(ticket => ticket.id) });
+            this.forgetPurgedTickets(expired);
+            return expired;
+        } catch (error) {
+            console.error('Error purging expired tickets:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the tickets in the trash that the current user may restore or purge, most recently deleted first
+     * @returns {Array} Deleted tickets
+     */
+    getTrashedTickets() {
+        const currentUser = this.authManager.getCurrentUser();
+        if (!currentUser) {
+            return [];
+        }
+
+        return this.getAllTicketsFromStorage()
+            .filter(ticket => ticket.deletedAt && this.canDeleteTicket(ticket, currentUser))
+            .sort((a, b) => b.deletedAt - a.deletedAt);
+    }
+
+    /**
+     * Get when a ticket in the trash will be purged
+     * @param {Object} ticket - Deleted ticket
+     * @returns {number} Timestamp
+     */
+    getPurgeDate(ticket) {
+        return ticket.deletedAt + this.trashRetentionDays * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Get the change that undoLastChange would revert
+     * @returns {Object|null} Undo entry ({ label, changes, ... }) or null if there is nothing to undo
+     */
+    getLastChange() {
+        return this.undoStack ? this.undoStack.peek(this.authManager.getCurrentUser()) : null;
+    }
+
+    /**
+     * Revert the current user's most recent edit, deletion or restore in this session
+     * A change is only reverted when none of its tickets have changed since; otherwise it is
+     * dropped from the undo stack, so the next undo reaches the change before it.
+     * @returns {Object} Undo result with the restored tickets
+     */
+    async undoLastChange() {
+        try {
+            if (!this.authManager.isAuthenticated()) {
+                throw new Error('User must be authenticated to undo changes');
+            }
+
+            const entry = this.getLastChange();
+            if (!entry) {
+                throw new Error('Nothing to undo');
+            }
+
+            const allTickets = this.getAllTicketsFromStorage();
+            const reverts = entry.changes.map(change => {
+                const current = allTickets.find(ticket => ticket.id === change.after.id);
+                if (!current || this.getTicketVersion(current) !== this.getTicketVersion(change.after)) {
+                    return null;
+                }
+                // Undoing a deletion or a restore moves the ticket as it was; undoing an edit is itself an edit
+                const action = change.after.deletedAt && !change.before.deletedAt ? 'restored'
+                    : change.before.deletedAt && !change.after.deletedAt ? 'deleted'
+                    : 'updated';
+                const after = {
+                    ...change.before,
+                    deletedAt: change.before.deletedAt || null,
+                    deletedBy: change.before.deletedBy || null,
+                    updatedAt: action === 'updated' ? Date.now() : change.before.updatedAt,
+                    version: this.getTicketVersion(current) + 1
+                };
+                return { before: current, after, action, previous: change.before };
+            });
+
+            if (reverts.includes(null)) {
+                this.undoStack.remove(entry.id);
+                throw new Error(`Cannot undo the ${entry.label}: the ticket has changed since`);
+            }
+
+            // Moving a ticket into or out of the trash needs the right to delete it, as deleteTicket and restoreTicket do
+            if (reverts.some(revert => (revert.action === 'updated'
+                ? !this.canEditTicket(revert.before)
+                : !this.canDeleteTicket(revert.before)))) {
+                throw new Error('Not authorized to undo this change');
+            }
+
+            const { updated } = await this.storage.applyChanges({ update: reverts.map(revert => revert.after) });
+            this.undoStack.remove(entry.id);
+            this.currentTickets = this.getTickets();
+
+            const tickets = reverts.map(revert => {
+                const savedTicket = updated.find(ticket => ticket.id === revert.after.id) || revert.after;
+                this.undoStack.replaceSnapshot(revert.previous, savedTicket);
+                const activity = this.recordActivity(savedTicket.id, revert.action, revert.before, revert.action === 'deleted' ? {} : savedTicket);
+                const eventNames = { restored: 'ticketRestored', deleted: 'ticketDeleted', updated: 'ticketUpdated' };
+                this.dispatchTicketEvent(eventNames[revert.action], savedTicket, { activity });
+                return savedTicket;
+            });
+
+            return {
+                success: true,
+                tickets: tickets,
+                message: `Undid the ${entry.label}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to undo'
+            };
+        }
+    }
+
+    /**
+     * Count the ticket changes made offline that have not reached the server yet
+     * @returns {number} Queued changes (always 0 for storage that is never offline)
+     */
+    getPendingChangeCount() {
+        return typeof this.storage.getPendingCount === 'function' ? this.storage.getPendingCount() : 0;
+    }
+
+    /**
+     * Send the ticket changes made offline to the server
+     * Dispatches 'ticketsSynced' with { sent, conflicts } when anything was sent or dropped.
+     * @returns {Object} Sync result with the sent tickets, the conflicts and the number still queued
+     */
+    async syncOfflineChanges() {
+        if (typeof this.storage.sync !== 'function') {
+            return { success: true, sent: [], conflicts: [], pending: 0, message: 'Nothing to sync' };
+        }
+
+        try {
+            const { sent, conflicts, idChanges, pending } = await this.storage.sync();
+
+            // Tickets created offline get their ID from the server; move their history and comments along
+            idChanges.forEach(({ from, to }) => this.moveTicketRecords(from, to));
+            this.currentTickets = this.getTickets();
+
+            if (sent.length > 0 || conflicts.length > 0) {
+                this.dispatchTicketEvent('ticketsSynced', null, { sent, conflicts });
+            }
+
+            const parts = [`Synced ${this.pluralizeChanges(sent.length)}`];
+            if (conflicts.length > 0) parts.push(`${this.pluralizeChanges(conflicts.length)} could not be applied`);
+            if (pending > 0) parts.push(`${this.pluralizeChanges(pending)} still waiting`);
+
+            return {
+                success: true,
+                sent: sent,
+                conflicts: conflicts,
+                pending: pending,
+                message: parts.join('; ')
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to sync offline changes'
+            };
+        }
+    }
+
+    /**
+     * Format a count of offline changes ('1 offline change', '3 offline changes')
+     * @param {number} count - Number of changes
+     * @returns {string} Count with noun
+     */
+    pluralizeChanges(count) {
+        return `${count} offline change${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Move a ticket's history and comments to a new ticket ID
+     * @param {string} fromId - Old ticket ID
+     * @param {string} toId - New ticket ID
+     */
+    moveTicketRecords(fromId, toId) {
+        [this.history, this.comments].filter(Boolean).forEach(store => store.move(fromId, toId));
+    }
+
+    /**
+     * Listen for tickets saved by other tabs of this browser
+     * localStorage fires a 'storage' event in the other tabs whenever the tickets are saved, and
+     * indexed storage reports the other tabs' writes through watch(); the tickets added, changed or
+     * deleted there that the current user can see are dispatched as 'ticketsChangedElsewhere' with
+     * { created, updated, deleted }. Tickets moved to the trash count as deleted and restored ones as created.
+     * @returns {Function} Stops listening
+     */
+    watchExternalChanges() {
+        const announce = (before, after) => {
+            const changes = this.compareTicketLists(before, after);
+            if (changes.created.length === 0 && changes.updated.length === 0 && changes.deleted.length === 0) {
+                return;
+            }
+
+            this.currentTickets = this.getTickets();
+            this.dispatchTicketEvent('ticketsChangedElsewhere', null, changes);
+        };
+
+        if (typeof this.storage.watch === 'function') {
+            return this.storage.watch(announce);
+        }
+
+        const storageKey = this.storage.storageKey || this.storageKey;
+        const listener = (event) => {
+            // A null key means localStorage was cleared
+            if (event.key !== storageKey && event.key !== null) {
+                return;
+            }
+
+            announce(this.parseStoredTickets(event.oldValue), this.parseStoredTickets(event.newValue));
+        };
+
+        window.addEventListener('storage', listener);
+        return () => window.removeEventListener('storage', listener);
+    }
+
+    /**
+     * Find the tickets visible to the current user that differ between two lists
+     * @param {Array} before - Tickets before the change
+     * @param {Array} after - Tickets after the change
+     * @returns {Object} { created, updated, deleted } ticket arrays (deleted holds the tickets as they were)
+     */
+    compareTicketLists(before, after) {
+        const currentUser = this.authManager.getCurrentUser();
+        if (!currentUser) {
+            return { created: [], updated: [], deleted: [] };
+        }
+
+        const isVisible = (ticket) => Boolean(ticket) && !ticket.deletedAt && this.canViewTicket(ticket, currentUser);
+        const previous = new Map(before.map(ticket => [ticket.id, ticket]));
+        const next = new Map(after.map(ticket => [ticket.id, ticket]));
+
+        return {
+            created: after.filter(ticket => isVisible(ticket) && !isVisible(previous.get(ticket.id))),
+            updated: after.filter(ticket => {
+                const old = previous.get(ticket.id);
+                return isVisible(ticket) && isVisible(old)
+                    && (this.getTicketVersion(old) !== this.getTicketVersion(ticket) || old.updatedAt !== ticket.updatedAt);
+            }),
+            deleted: before.filter(ticket => isVisible(ticket) && !isVisible(next.get(ticket.id)))
+        };
+    }
+
+    /**
+     * Parse a stored tickets value, e.g. from a storage event
+     * @param {string|null} value - JSON array of tickets
+     * @returns {Array} Tickets (empty when missing or unreadable)
+     */
+    parseStoredTickets(value) {
+        try {
+            const tickets = value ? JSON.parse(value) : [];
+            return Array.isArray(tickets) ? tickets : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Take in a ticket change made by someone else on the server, e.g. from TicketEventStream
+     * The change goes into the storage cache and is dispatched like a local one (with remote: true),
+     * followed by 'ticketsChangedElsewhere' so open lists and dialogs update as for other tabs.
+     * Changes this browser made itself, or to tickets the current user cannot see, are not dispatched.
+     * @param {string} eventName - 'ticketCreated', 'ticketUpdated', 'ticketDeleted', 'ticketRestored' or 'ticketPurged'
+     * @param {Object} ticket - Ticket as stored on the server (for a removed ticket, as it was)
+     * @param {boolean} purged - Whether the ticket was removed from the server for good
+     * @returns {boolean} Whether the change was new to this browser
+     */
+    applyRemoteChange(eventName, ticket, purged = false) {
+        if (!ticket || typeof this.storage.applyRemoteChange !== 'function') {
+            return false;
+        }
+
+        const previous = this.getAllTicketsFromStorage().find(item => String(item.id) === String(ticket.id)) || null;
+        if (!this.storage.applyRemoteChange(purged ? 'remove' : 'put', ticket)) {
+            return false;
+        }
+        this.currentTickets = this.getTickets();
+
+        const currentUser = this.authManager.getCurrentUser();
+        if (!currentUser || ![previous, ticket].some(item => item && this.canViewTicket(item, currentUser))) {
+            return true;
+        }
+
+        const changes = this.compareTicketLists(previous ? [previous] : [], purged ? [] : [ticket]);
+        this.dispatchTicketEvent(eventName, ticket, { remote: true, purged: purged });
+        this.dispatchTicketEvent('ticketsChangedElsewhere', null, changes);
+        return true;
+    }
+
+    /**
+     * Get ticket by ID
+     * @param {string} ticketId - Ticket ID
+     * @returns {Object|null} Ticket object or null if not found
+     */
+    getTicketById(ticketId) {
+        const tickets = this.getTickets();
+        return tickets.find(ticket => ticket.id === ticketId) || null;
+    }
+
+    /**
+     * Get the activity history of a ticket, oldest first
+     * @param {string} ticketId - Ticket ID
+     * @returns {Array} History entries
+     */
+    getTicketHistory(ticketId) {
+        return this.history ? this.history.getHistory(ticketId) : [];
+    }
+
+    /**
+     * Get the comments on a ticket, oldest first
+     * @param {string} ticketId - Ticket ID
+     * @returns {Array} Comments (empty when the ticket is not visible to the current user)
+     */
+    getComments(ticketId) {
+        if (!this.comments || !this.getTicketById(ticketId)) {
+            return [];
+        }
+        return this.comments.getComments(ticketId);
+    }
+
+    /**
+     * Count the comments on a ticket
+     * @param {string} ticketId - Ticket ID
+     * @returns {number} Comment count
+     */
+    getCommentCount(ticketId) {
+        return this.comments ? this.comments.count(ticketId) : 0;
+    }
+
+    /**
+     * Add a comment to a ticket
+     * @param {string} ticketId - Ticket ID
+     * @param {string} body - Comment text (required, max 1000 characters)
+     * @returns {Object} Creation result
+     */
+    async addComment(ticketId, body) {
+        try {
+            const ticket = this.getAuthorizedTicket(ticketId, 'comment on');
+
+            const validation = this.comments.validate(body);
+            if (!validation.isValid) {
+                return {
+                    success: false,
+                    errors: validation.errors,
+                    message: 'Validation failed'
+                };
+            }
+
+            const comment = await this.comments.add(ticketId, body, this.authManager.getCurrentUser());
+
+            this.dispatchTicketEvent('ticketCommentAdded', ticket, { comment });
+
+            return {
+                success: true,
+                comment: comment,
+                message: 'Comment added successfully'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to add comment'
+            };
+        }
+    }
+
+    /**
+     * Edit a comment (author only)
+     * @param {string} ticketId - Ticket ID
+     * @param {string} commentId - Comment ID
+     * @param {string} body - New comment text
+     * @returns {Object} Update result
+     */
+    async updateComment(ticketId, commentId, body) {
+        try {
+            const ticket = this.getAuthorizedTicket(ticketId, 'edit comments on');
+            this.getAuthoredComment(ticketId, commentId, 'edit');
+
+            const validation = this.comments.validate(body);
+            if (!validation.isValid) {
+                return {
+                    success: false,
+                    errors: validation.errors,
+                    message: 'Validation failed'
+                };
+            }
+
+            const comment = await this.comments.update(ticketId, commentId, body);
+
+            this.dispatchTicketEvent('ticketCommentUpdated', ticket, { comment });
+
+            return {
+                success: true,
+                comment: comment,
+                message: 'Comment updated successfully'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to update comment'
+            };
+        }
+    }
+
+    /**
+     * Delete a comment (author only) with confirmation handling
+     * @param {string} ticketId - Ticket ID
+     * @param {string} commentId - Comment ID
+     * @param {boolean} confirmed - Whether deletion is confirmed
+     * @returns {Object} Deletion result
+     */
+    async deleteComment(ticketId, commentId, confirmed = false) {
+        try {
+            const ticket = this.getAuthorizedTicket(ticketId, 'delete comments on');
+            const comment = this.getAuthoredComment(ticketId, commentId, 'delete');
+
+            if (!confirmed) {
+                return {
+                    success: false,
+                    requiresConfirmation: true,
+                    comment: comment,
+                    message: 'Are you sure you want to delete this comment?'
+                };
+            }
+
+            await this.comments.remove(ticketId, commentId);
+
+            this.dispatchTicketEvent('ticketCommentDeleted', ticket, { comment });
+
+            return {
+                success: true,
+                deletedComment: comment,
+                message: 'Comment deleted successfully'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to delete comment'
+            };
+        }
+    }
+
+    /**
+     * Get tickets by status
+     * Indexed storage (IndexedDbTicketAdapter) looks the status up in the database's status index
+     * instead of going through every ticket.
+     * @param {string} status - Status to filter by
+     * @returns {Promise<Array>} Filtered tickets, newest first
+     */
+    async getTicketsByStatus(status) {
+        const currentUser = this.authManager.getCurrentUser();
+        if (typeof this.storage.query !== 'function' || !currentUser || !this.authManager.isAuthenticated()) {
+            return this.getTickets().filter(ticket => ticket.status === status);
+        }
+
+        const tickets = await this.storage.query('status', status);
+        return tickets
+            .filter(ticket => !ticket.deletedAt && this.canViewTicket(ticket, currentUser))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Search tickets by title and description
+     * Every word in the query must appear; matching ignores case and accents
+     * @param {string} query - Search query
+     * @param {Array} tickets - Tickets to search (optional, uses current user's tickets if not provided)
+     * @returns {Array} Matching tickets
+     */
+    searchTickets(query, tickets = null) {
+        const ticketsToSearch = tickets || this.getTickets();
+
+        if (!this.searchIndex) {
+            const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+            return ticketsToSearch.filter(ticket => {
+                const text = `${ticket.title || ''}\n${ticket.description || ''}`.toLowerCase();
+                return terms.every(term => text.includes(term));
+            });
+        }
+
+        return this.searchIndex.search(ticketsToSearch, query);
+    }
+
+    /**
+     * Sort tickets
+     * @param {Array} tickets - Tickets to sort (sorted in place)
+     * @param {string} sortBy - Sort order: newest, oldest, title or status
+     * @returns {Array} Sorted tickets
+     */
+    sortTickets(tickets, sortBy) {
+        switch (sortBy) {
+            case 'newest':
+                tickets.sort((a, b) => b.createdAt - a.createdAt);
+                break;
+            case 'oldest':
+                tickets.sort((a, b) => a.createdAt - b.createdAt);
+                break;
+            case 'title':
+                tickets.sort((a, b) => a.title.localeCompare(b.title));
+                break;
+            case 'status':
+                const order = this.workflow.getStateNames();
+                tickets.sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+                break;
+        }
+        return tickets;
+    }
+
+    /**
+     * Get the current user's tickets narrowed by search, status and assignment, then sorted
+     * @param {Object} options - Filter options
+     * @param {string} options.status - Status to show, or 'all' (default: 'all')
+     * @param {string} options.assignment - 'created' (by me), 'assigned' (to me), 'unassigned' or 'all' (default: 'all')
+     * @param {string} options.query - Search query (optional)
+     * @param {string} options.sortBy - Sort order (default: 'newest')
+     * @returns {Array} Filtered tickets
+     */
+    filterTickets({ status = 'all', assignment = 'all', query = '', sortBy = 'newest' } = {}) {
+        // Search the full list first so the search cache stays warm when the status filter changes
+        let tickets = this.searchTickets(query, this.getTickets());
+
+        if (status && status !== 'all') {
+            tickets = tickets.filter(ticket => ticket.status === status);
+        }
+
+        tickets = this.filterByAssignment(tickets, assignment);
+
+        return this.sortTickets(tickets, sortBy);
+    }
+
+    /**
+     * Narrow tickets by who created them or who they are assigned to
+     * @param {Array} tickets - Tickets to filter
+     * @param {string} assignment - 'created', 'assigned', 'unassigned' or 'all'
+     * @returns {Array} Matching tickets
+     */
+    filterByAssignment(tickets, assignment) {
+        const currentUser = this.authManager.getCurrentUser();
+
+        switch (assignment) {
+            case 'created':
+                return tickets.filter(ticket => Boolean(currentUser) && ticket.userId === currentUser.id);
+            case 'assigned':
+                return tickets.filter(ticket => this.isAssignedTo(ticket, currentUser));
+            case 'unassigned':
+                return tickets.filter(ticket => !ticket.assignee);
+            default:
+                return tickets;
+        }
+    }
+
+    /**
+     * Export the current user's tickets, narrowed and ordered like the ticket list
+     * @param {string} format - 'csv' or 'json'
+     * @param {Object} filters - Filters passed to filterTickets (status, query, sortBy)
+     * @param {Array<string>} ticketIds - Only export these tickets (optional, e.g. a bulk selection)
+     * @returns {Object} Export result with content, filename and mimeType
+     */
+    exportTickets(format = 'csv', filters = {}, ticketIds = null) {
+        try {
+            if (!this.authManager.isAuthenticated()) {
+                throw new Error('User must be authenticated to export tickets');
+            }
+            if (!this.importExport) {
+                throw new Error('Import and export are not available');
+            }
+            if (format !== 'csv' && format !== 'json') {
+                throw new Error(`Unsupported export format: ${format}`);
+            }
+
+            let tickets = this.filterTickets(filters);
+            if (Array.isArray(ticketIds)) {
+                tickets = tickets.filter(ticket => ticketIds.includes(ticket.id));
+            }
+            const date = new Date().toISOString().slice(0, 10);
+
+            return {
+                success: true,
+                content: format === 'csv' ? this.importExport.toCSV(tickets) : this.importExport.toJSON(tickets),
+                filename: `tickets-${date}.${format}`,
+                mimeType: format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json',
+                count: tickets.length,
+                message: `Exported ${this.pluralizeTickets(tickets.length)}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to export tickets'
+            };
+        }
+    }
+
+    /**
+     * Read an import file and suggest a column mapping
+     * @param {string} text - File content
+     * @param {string} fileName - File name, used to tell CSV from JSON
+     * @returns {Object} Parse result with format, headers, records and suggested mapping
+     */
+    parseImportFile(text, fileName = '') {
+        try {
+            if (!this.importExport) {
+                throw new Error('Import and export are not available');
             }
 
-            // Update ticket in array
-            allTickets[ticketIndex] = updatedTicket;
-            
-            // Save to localStorage
-            this.saveAllTickets(allTickets);
-            
-            // Update current tickets cache
-            this.currentTickets = this.getTickets();
-            
-            // Dispatch custom event for ticket update
-            this.dispatchTicketEvent('ticketUpdated', updatedTicket);
+            const format = TicketImportExport.detectFormat(fileName, text);
+            const { headers, records } = this.importExport.parse(text, format);
 
             return {
                 success: true,
-                ticket: updatedTicket,
-                message: 'Ticket updated successfully'
+                format: format,
+                headers: headers,
+                records: records,
+                mapping: this.importExport.suggestMapping(headers)
             };
 
         } catch (error) {
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to update ticket'
+                message: 'Failed to read import file'
             };
         }
     }
 
     /**
-     * Delete a ticket with confirmation handling
-     * @param {string} ticketId - ID of ticket to delete
-     * @param {boolean} confirmed - Whether deletion is confirmed
-     * @returns {Object} Deletion result
+     * Import tickets for the current user
+     * Rows that fail validation or reuse an existing ID are skipped; with dryRun nothing is stored.
+     * Each row is stored on its own, so rows the storage refuses are reported in `failed` and the rest are kept.
+     * @param {Array} records - Records from parseImportFile
+     * @param {Object} mapping - Ticket field -> source column
+     * @param {Object} options - Import options
+     * @param {boolean} options.dryRun - Only validate and report (default: false)
+     * @returns {Object} Import result with the preview, the imported tickets and per-row failures
      */
-    async deleteTicket(ticketId, confirmed = false) {
+    async importTickets(records, mapping, options = {}) {
         try {
-            // Validate authentication
             if (!this.authManager.isAuthenticated()) {
-                throw new Error('User must be authenticated to delete tickets');
+                throw new Error('User must be authenticated to import tickets');
+            }
+            if (!this.importExport) {
+                throw new Error('Import and export are not available');
+            }
+            if (!mapping || !mapping.title) {
+                throw new Error('Choose the column that contains the ticket title');
             }
 
-            // Get all tickets
-            const allTickets = this.getAllTicketsFromStorage();
-            const ticketIndex = allTickets.findIndex(ticket => ticket.id === ticketId);
-            
-            if (ticketIndex === -1) {
-                throw new Error('Ticket not found');
+            const preview = this.importExport.preview(records, mapping, this.getAllTicketsFromStorage(), {
+                canAssign: this.canAssignTickets()
+            });
+
+            if (options.dryRun) {
+                return {
+                    success: true,
+                    dryRun: true,
+                    preview: preview,
+                    message: `${preview.summary.create} of ${preview.summary.total} tickets ready to import`
+                };
             }
 
             const currentUser = this.authManager.getCurrentUser();
-            const ticket = allTickets[ticketIndex];
-            
-            // Verify ownership
-            if (ticket.userId !== currentUser.id) {
-                throw new Error('Not authorized to delete this ticket');
+            const imported = [];
+            const failed = [];
+
+            for (const row of preview.rows.filter(item => item.action === 'create')) {
+                const now = Date.now();
+                const ticket = {
+                    id: row.data.id || this.generateTicketId(),
+                    title: row.data.title.trim(),
+                    description: row.data.description,
+                    status: row.data.status,
+                    priority: row.data.priority,
+                    assignee: row.data.assignee,
+                    dueDate: row.data.dueDate,
+                    createdAt: row.data.createdAt || now,
+                    updatedAt: row.data.updatedAt || row.data.createdAt || now,
+                    userId: currentUser.id,
+                    version: 1
+                };
+
+                try {
+                    const savedTicket = await this.storage.insert(ticket);
+                    this.recordActivity(savedTicket.id, 'created', {}, savedTicket);
+                    imported.push(savedTicket);
+                } catch (error) {
+                    failed.push({ row: row.row, id: ticket.id, title: ticket.title, error: error.message });
+                }
             }
 
-            // If not confirmed, return confirmation request
-            if (!confirmed) {
+            this.currentTickets = this.getTickets();
+            if (imported.length > 0) {
+                this.dispatchTicketEvent('ticketsImported', null, { tickets: imported });
+            }
+
+            const skipped = preview.summary.total - preview.summary.create;
+            const message = `Imported ${this.pluralizeTickets(imported.length)}` +
+                (skipped > 0 ? `, skipped ${skipped}` : '') +
+                (failed.length > 0 ? `; ${failed.length} could not be stored` : '');
+
+            if (imported.length === 0 && failed.length > 0) {
                 return {
                     success: false,
-                    requiresConfirmation: true,
-                    ticket: ticket,
-                    message: `Are you sure you want to delete "${ticket.title}"?`
+                    error: `No tickets could be stored: ${failed[0].error}`,
+                    imported: imported,
+                    failed: failed,
+                    preview: preview,
+                    message: message
                 };
             }
 
-            // Remove ticket from array
-            allTickets.splice(ticketIndex, 1);
-            
-            // Save to localStorage
-            this.saveAllTickets(allTickets);
-            
-            // Update current tickets cache
-            this.currentTickets = this.getTickets();
-            
-            // Dispatch custom event for ticket deletion
-            this.dispatchTicketEvent('ticketDeleted', ticket);
-
             return {
                 success: true,
-                deletedTicket: ticket,
-                message: 'Ticket deleted successfully'
+                imported: imported,
+                failed: failed,
+                preview: preview,
+                message: message
             };
 
         } catch (error) {
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to delete ticket'
+                message: 'Failed to import tickets'
             };
         }
     }
 
-    /**
-     * Get ticket by ID
-     * @param {string} ticketId - Ticket ID
-     * @returns {Object|null} Ticket object or null if not found
-     */
-    getTicketById(ticketId) {
-        const tickets = this.getTickets();
-        return tickets.find(ticket => ticket.id === ticketId) || null;
-    }
-
-    /**
-     * Get tickets by status
-     * @param {string} status - Status to filter by
-     * @returns {Array} Filtered tickets
-     */
-    getTicketsByStatus(status) {
-        const tickets = this.getTickets();
-        return tickets.filter(ticket => ticket.status === status);
-    }
-
     /**
      * Get ticket statistics
-     * @returns {Object} Statistics object
+     * @returns {Object} Statistics object with a count per workflow state key (e.g. open, inProgress, closed)
      */
     getTicketStats() {
-        const tickets = this.getTickets();
-        
-        return {
-            total: tickets.length,
-            open: tickets.filter(t => t.status === 'Open').length,
-            inProgress: tickets.filter(t => t.status === 'In Progress').length,
-            closed: tickets.filter(t => t.status === 'Closed').length
-        };
+        return this.workflow.countByState(this.getTickets());
     }
 
     // UI Rendering Methods
@@ -305,8 +1397,10 @@ class TicketManager {
      * Render tickets in the ticket container
      * @param {string} containerId - ID of container element
      * @param {Array} tickets - Tickets to render (optional, uses current tickets if not provided)
+     * @param {Object} options - Render options
+     * @param {string} options.highlight - Search query to highlight in titles and descriptions
      */
-    renderTickets(containerId = 'ticketContainer', tickets = null) {
+    renderTickets(containerId = 'ticketContainer', tickets = null, options = {}) {
         const container = document.getElementById(containerId);
         if (!container) {
             console.error(`Container with ID '${containerId}' not found`);
@@ -330,7 +1424,7 @@ class TicketManager {
 
         // Render each ticket
         ticketsToRender.forEach(ticket => {
-            const ticketCard = this.createTicketCard(ticket);
+            const ticketCard = this.createTicketCard(ticket, options);
             ticketsGrid.appendChild(ticketCard);
         });
 
@@ -350,12 +1444,16 @@ class TicketManager {
 
         // Reset editing state
         this.editingTicketId = null;
+        this.editingTicketBase = null;
 
         // Set modal content
         modal.innerHTML = this.createTicketFormHTML('Create New Ticket', {
             title: '',
             description: '',
-            status: 'Open'
+            status: this.workflow.initialState,
+            priority: 'medium',
+            assignee: '',
+            dueDate: null
         });
 
         // Show modal
@@ -392,6 +1490,7 @@ class TicketManager {
 
         // Set editing state
         this.editingTicketId = ticketId;
+        this.editingTicketBase = ticket;
 
         // Set modal content
         modal.innerHTML = this.createTicketFormHTML('Edit Ticket', ticket);
@@ -440,6 +1539,36 @@ class TicketManager {
         this.bindConfirmationEvents(modal, ticketId);
     }
 
+    /**
+     * Show ticket detail view with its comment thread
+     * @param {string} ticketId - ID of ticket to show
+     * @param {string} modalId - ID of modal container
+     */
+    showTicketDetail(ticketId, modalId = 'ticketDetailModal') {
+        const ticket = this.getTicketById(ticketId);
+        if (!ticket) {
+            console.error(`Ticket with ID '${ticketId}' not found`);
+            return;
+        }
+
+        let modal = document.getElementById(modalId);
+        if (!modal) {
+            modal = this.createConfirmationModal(modalId);
+            document.body.appendChild(modal);
+        }
+
+        // Set modal content
+        this.detailTicketId = ticketId;
+        modal.innerHTML = this.createTicketDetailHTML(ticket);
+
+        // Show modal
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+
+        // Bind detail events
+        this.bindDetailEvents(modal, ticketId);
+    }
+
     /**
      * Hide modal
      * @param {string} modalId - ID of modal to hide
@@ -458,9 +1587,10 @@ class TicketManager {
      * Validate ticket data
      * @param {Object} ticketData - Data to validate
      * @param {boolean} isUpdate - Whether this is an update operation
+     * @param {Object} current - Ticket being updated, whose assignee is accepted as it is
      * @returns {Object} Validation result
      */
-    validateTicketData(ticketData, isUpdate = false) {
+    validateTicketData(ticketData, isUpdate = false, current = null) {
         const errors = {};
 
         // Title validation
@@ -474,9 +1604,8 @@ class TicketManager {
 
         // Status validation
         if (!isUpdate || ticketData.status !== undefined) {
-            const validStatuses = ['Open', 'In Progress', 'Closed'];
-            if (ticketData.status && !validStatuses.includes(ticketData.status)) {
-                errors.status = 'Status must be one of: Open, In Progress, Closed';
+            if (ticketData.status && !this.workflow.isValidState(ticketData.status)) {
+                errors.status = this.workflow.getInvalidStateMessage();
             }
         }
 
@@ -487,6 +1616,20 @@ class TicketManager {
             }
         }
 
+        // Priority validation
+        if (ticketData.priority !== undefined && ticketData.priority !== null && ticketData.priority !== '') {
+            const validPriorities = ['low', 'medium', 'high', 'urgent'];
+            if (!validPriorities.includes(ticketData.priority)) {
+                errors.priority = 'Priority must be one of: low, medium, high, urgent';
+            }
+        }
+
+        // Assignee and due date validation, with the rules TicketValidator shares with the server
+        this.validator.clearErrors();
+        this.validator.validateAssignee(ticketData.assignee, current ? current.assignee : '');
+        this.validator.validateDueDate(ticketData.dueDate);
+        Object.assign(errors, this.validator.getErrors());
+
         return {
             isValid: Object.keys(errors).length === 0,
             errors: errors
@@ -504,22 +1647,322 @@ class TicketManager {
     }
 
     /**
-     * Get all tickets from storage (all users)
-     * @returns {Array} All tickets
+     * Load a ticket the current user may act on, applying the same checks as updateTicket
+     * @param {string} ticketId - Ticket ID
+     * @param {string} action - Action for error messages, e.g. 'comment on'
+     * @returns {Object} Ticket
      */
-    getAllTicketsFromStorage() {
+    getAuthorizedTicket(ticketId, action) {
+        if (!this.authManager.isAuthenticated()) {
+            throw new Error(`User must be authenticated to ${action} tickets`);
+        }
+        if (!this.comments) {
+            throw new Error('Comments are not available');
+        }
+
+        const ticket = this.getAllTicketsFromStorage().find(item => item.id === ticketId);
+        if (!ticket || ticket.deletedAt) {
+            throw new Error('Ticket not found');
+        }
+
+        if (!this.canEditTicket(ticket)) {
+            throw new Error(`Not authorized to ${action} this ticket`);
+        }
+
+        return ticket;
+    }
+
+    /**
+     * Check whether a user may see a ticket
+     * @param {Object} ticket - Ticket
+     * @param {Object} user - User (default: the current user)
+     * @returns {boolean} True if allowed
+     */
+    canViewTicket(ticket, user = this.authManager.getCurrentUser()) {
+        return this.checkPermission('canView', user, ticket);
+    }
+
+    /**
+     * Check whether a user may edit (or comment on) a ticket
+     * @param {Object} ticket - Ticket
+     * @param {Object} user - User (default: the current user)
+     * @returns {boolean} True if allowed
+     */
+    canEditTicket(ticket, user = this.authManager.getCurrentUser()) {
+        return this.checkPermission('canEdit', user, ticket);
+    }
+
+    /**
+     * Check whether a user may delete a ticket
+     * @param {Object} ticket - Ticket
+     * @param {Object} user - User (default: the current user)
+     * @returns {boolean} True if allowed
+     */
+    canDeleteTicket(ticket, user = this.authManager.getCurrentUser()) {
+        return this.checkPermission('canDelete', user, ticket);
+    }
+
+    /**
+     * Check whether a user may set or change assignees
+     * @param {Object} user - User (default: the current user)
+     * @returns {boolean} True if allowed
+     */
+    canAssignTickets(user = this.authManager.getCurrentUser()) {
+        return this.checkPermission('canAssign', user, null);
+    }
+
+    /**
+     * Check whether a ticket is assigned to a user
+     * @param {Object} ticket - Ticket
+     * @param {Object} user - User (default: the current user)
+     * @returns {boolean} True if the ticket's assignee is the user's username or email
+     */
+    isAssignedTo(ticket, user = this.authManager.getCurrentUser()) {
+        if (this.permissions) {
+            return this.permissions.isAssignee(user, ticket);
+        }
+
+        const assignee = String(ticket.assignee || '').trim().toLowerCase();
+        return Boolean(user) && assignee !== '' && [user.username, user.email].some(value => value && value.toLowerCase() === assignee);
+    }
+
+    /**
+     * Get the users tickets can be assigned to, sorted by display name
+     * @returns {Array} Public user data
+     */
+    getAssignableUsers() {
+        if (!this.userDirectory) {
+            return [];
+        }
+
+        const nameOf = user => (user.displayName && user.displayName.trim()) || user.username || '';
+        return this.userDirectory.getAll()
+            .filter(user => user.username)
+            .sort((a, b) => nameOf(a).localeCompare(nameOf(b)));
+    }
+
+    /**
+     * Create assignee <option> elements for the known users
+     * An assignee that is not a known user (e.g. typed before the picker existed) is kept as an option.
+     * @param {string} selected - Current assignee
+     * @returns {string} Options HTML, starting with 'Unassigned'
+     */
+    createAssigneeOptionsHTML(selected = '') {
+        const users = this.getAssignableUsers();
+        const current = this.getAssigneeUser({ assignee: selected });
+        const value = current ? current.username : (selected || '');
+
+        const options = users.map(user => {
+            const label = user.displayName && user.displayName.trim() && user.displayName.trim() !== user.username
+                ? `${user.displayName.trim()} (${user.username})`
+                : user.username;
+            return `<option value="${this.escapeHtml(user.username)}" ${user.username === value ? 'selected' : ''}>${this.escapeHtml(label)}</option>`;
+        });
+
+        if (value && !users.some(user => user.username === value)) {
+            options.unshift(`<option value="${this.escapeHtml(value)}" selected>${this.escapeHtml(value)}</option>`);
+        }
+
+        return [`<option value="" ${value ? '' : 'selected'}>Unassigned</option>`, ...options].join('');
+    }
+
+    /**
+     * Run a TicketPermissions check
+     * Without the permissions module only owners may act on a ticket and anyone may assign
+     * @param {string} check - TicketPermissions method name
+     * @param {Object} user - User
+     * @param {Object} ticket - Ticket (null for checks that do not involve one)
+     * @returns {boolean} True if allowed
+     */
+    checkPermission(check, user, ticket) {
+        if (!user) {
+            return false;
+        }
+        if (this.permissions) {
+            return this.permissions[check](user, ticket);
+        }
+        return check === 'canAssign' || ticket.userId === user.id;
+    }
+
+    /**
+     * Split a bulk selection into tickets the current user may change and per-ticket failures
+     * @param {Array<string>} ticketIds - Selected ticket IDs
+     * @param {string} action - Action for error messages ('update' or 'delete')
+     * @returns {Object} { targets: tickets, failed: [{ id, title, error }] }
+     */
+    collectBulkTargets(ticketIds, action) {
+        const allTickets = this.getAllTicketsFromStorage();
+        const currentUser = this.authManager.getCurrentUser();
+        const targets = [];
+        const failed = [];
+
+        [...new Set(ticketIds)].forEach(ticketId => {
+            const ticket = allTickets.find(item => item.id === ticketId);
+            if (!ticket || ticket.deletedAt) {
+                failed.push({ id: ticketId, title: null, error: 'Ticket not found' });
+            } else if (action === 'delete' ? !this.canDeleteTicket(ticket, currentUser) : !this.canEditTicket(ticket, currentUser)) {
+                failed.push({ id: ticketId, title: ticket.title, error: `Not authorized to ${action} this ticket` });
+            } else {
+                targets.push(ticket);
+            }
+        });
+
+        return { targets, failed };
+    }
+
+    /**
+     * Build the result of a bulk action, summarising successes and failures in one message
+     * @param {Array} tickets - Tickets the action was applied to
+     * @param {Array} failed - Per-ticket failures
+     * @param {string} summary - Message describing the successes
+     * @returns {Object} Bulk result
+     */
+    createBulkResult(tickets, failed, summary) {
+        const message = failed.length > 0
+            ? `${summary}; ${failed.length} could not be changed`
+            : summary;
+
+        return {
+            success: tickets.length > 0 || failed.length === 0,
+            tickets: tickets,
+            failed: failed,
+            message: message
+        };
+    }
+
+    /**
+     * Format a ticket count ('1 ticket', '3 tickets')
+     * @param {number} count - Number of tickets
+     * @returns {string} Count with noun
+     */
+    pluralizeTickets(count) {
+        return `${count} ticket${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Load a comment written by the current user
+     * @param {string} ticketId - Ticket ID
+     * @param {string} commentId - Comment ID
+     * @param {string} action - Action for error messages ('edit' or 'delete')
+     * @returns {Object} Comment
+     */
+    getAuthoredComment(ticketId, commentId, action) {
+        const comment = this.comments.getComment(ticketId, commentId);
+        if (!comment) {
+            throw new Error('Comment not found');
+        }
+
+        if (comment.userId !== this.authManager.getCurrentUser().id) {
+            throw new Error(`Not authorized to ${action} this comment`);
+        }
+
+        return comment;
+    }
+
+    /**
+     * Get a ticket in the trash that the current user may restore or purge
+     * @param {string} ticketId - Ticket ID
+     * @param {string} action - Action for error messages ('restore' or 'delete')
+     * @returns {Object} Deleted ticket
+     */
+    getTrashedTicket(ticketId, action) {
+        if (!this.authManager.isAuthenticated()) {
+            throw new Error(`User must be authenticated to ${action} tickets`);
+        }
+
+        const ticket = this.getAllTicketsFromStorage().find(item => item.id === ticketId);
+        if (!ticket || !ticket.deletedAt) {
+            throw new Error('Ticket not found in the trash');
+        }
+
+        if (!this.canDeleteTicket(ticket)) {
+            throw new Error(`Not authorized to ${action} this ticket`);
+        }
+
+        return ticket;
+    }
+
+    /**
+     * Copy a ticket marked as moved to the trash
+     * @param {Object} ticket - Ticket
+     * @param {Object} user - User deleting it
+     * @returns {Object} Deleted ticket
+     */
+    markDeleted(ticket, user) {
+        return { ...ticket, deletedAt: Date.now(), deletedBy: user ? user.id : null, version: this.getTicketVersion(ticket) + 1 };
+    }
+
+    /**
+     * Clean up after tickets were deleted permanently: comments go, the history stays
+     * @param {Array} tickets - Purged tickets
+     */
+    forgetPurgedTickets(tickets) {
+        this.currentTickets = this.getTickets();
+        tickets.forEach(ticket => {
+            if (this.comments) {
+                this.comments.removeThread(ticket.id)
+                    .catch(error => console.error('Error removing ticket comments:', error));
+            }
+            const activity = this.recordActivity(ticket.id, 'purged', ticket, ticket);
+            this.dispatchTicketEvent('ticketPurged', ticket, { activity });
+        });
+    }
+
+    /**
+     * Remember a change on the undo stack
+     * @param {string} label - What the change was, e.g. 'edit of "Printer jam"'
+     * @param {Array} changes - Tickets as { before, after }
+     */
+    rememberChange(label, changes) {
+        if (!this.undoStack || changes.length === 0) {
+            return;
+        }
+
         try {
-            const storedTickets = localStorage.getItem(this.storageKey);
-            return storedTickets ? JSON.parse(storedTickets) : [];
+            this.undoStack.push(label, changes, this.authManager.getCurrentUser());
         } catch (error) {
-            console.error('Error reading tickets from storage:', error);
-            return [];
+            console.error('Error saving undo history:', error);
+        }
+    }
+
+    /**
+     * Record the field changes between two versions of a ticket
+     * History failures are logged but never fail the ticket operation itself
+     * @param {string} ticketId - Ticket ID
+     * @param {string} action - 'created', 'updated', 'assigned', 'deleted', 'restored' or 'purged'
+     * @param {Object} before - Previous version ({} when created)
+     * @param {Object} after - New version ({} when deleted)
+     * @returns {Object|null} Recorded entry, or null when nothing changed
+     */
+    recordActivity(ticketId, action, before, after) {
+        if (!this.history) {
+            return null;
         }
+
+        try {
+            const changes = this.history.diff(before, after);
+            if (action === 'updated' && changes.length === 0) {
+                return null;
+            }
+            return this.history.record(ticketId, action, changes, this.authManager.getCurrentUser());
+        } catch (error) {
+            console.error('Error recording ticket history:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get all tickets from storage (all users)
+     * @returns {Array} All tickets
+     */
+    getAllTicketsFromStorage() {
+        return this.storage.readAll();
     }
 
     /**
-     * Save tickets to localStorage (current user only)
+     * Save tickets to storage (current user only)
      * @param {Array} tickets - Tickets to save
+     * @returns {Promise|undefined} The storage's write, for storage that writes asynchronously
      */
     saveTickets(tickets) {
         try {
@@ -538,7 +1981,7 @@ class TicketManager {
             const updatedAllTickets = [...otherUsersTickets, ...tickets];
             
             // Save all tickets
-            this.saveAllTickets(updatedAllTickets);
+            return this.saveAllTickets(updatedAllTickets);
             
         } catch (error) {
             console.error('Error saving tickets:', error);
@@ -547,50 +1990,60 @@ class TicketManager {
     }
 
     /**
-     * Save all tickets to localStorage
+     * Save all tickets to storage
      * @param {Array} allTickets - All tickets to save
+     * @returns {Promise|undefined} The storage's write, for storage that writes asynchronously
      */
     saveAllTickets(allTickets) {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(allTickets));
-        } catch (error) {
-            console.error('Error saving all tickets:', error);
-            throw new Error('Failed to save tickets to storage');
-        }
+        return this.storage.writeAll(allTickets);
     }
 
     /**
      * Create ticket card element
      * @param {Object} ticket - Ticket data
+     * @param {Object} options - Render options
+     * @param {string} options.highlight - Search query to highlight
      * @returns {HTMLElement} Ticket card element
      */
-    createTicketCard(ticket) {
+    createTicketCard(ticket, options = {}) {
         const card = document.createElement('div');
         card.className = 'ticket-card bg-white rounded-lg shadow-md p-6 border-l-4 hover:shadow-lg transition-shadow';
         card.setAttribute('data-ticket-id', ticket.id);
 
         // Set border color based on status
-        const statusColors = {
-            'Open': 'border-green-500',
-            'In Progress': 'border-yellow-500',
-            'Closed': 'border-gray-500'
-        };
-        card.classList.add(statusColors[ticket.status] || 'border-gray-300');
+        card.classList.add(this.workflow.getBorderClass(ticket.status));
+
+        const priority = ticket.priority || 'medium';
+        const overdue = this.isOverdue(ticket);
 
         card.innerHTML = `
             <div class="flex justify-between items-start mb-3">
-                <h3 class="text-lg font-semibold text-gray-900 truncate pr-2">${this.escapeHtml(ticket.title)}</h3>
+                <h3 class="text-lg font-semibold text-gray-900 truncate pr-2">${this.highlightText(ticket.title, options.highlight)}</h3>
                 <span class="ticket-status px-2 py-1 rounded-full text-xs font-medium ${this.getStatusClasses(ticket.status)}">
                     ${ticket.status}
                 </span>
             </div>
             
             ${ticket.description ? `
-                <p class="text-gray-600 text-sm mb-4 line-clamp-3">${this.escapeHtml(ticket.description)}</p>
+                <p class="text-gray-600 text-sm mb-4 line-clamp-3">${this.highlightText(ticket.description, options.highlight)}</p>
             ` : ''}
             
+            <div class="ticket-meta flex flex-wrap items-center gap-2 text-xs mb-3">
+                <span class="ticket-priority px-2 py-1 rounded-full font-medium ${this.getPriorityClasses(priority)}">
+                    ${this.getPriorityLabel(priority)}
+                </span>
+                ${ticket.assignee ? `
+                    <span class="ticket-assignee ticket-person text-gray-600">Assignee: ${this.createPersonHTML(this.getAssigneeUser(ticket), ticket.assignee)}</span>
+                ` : ''}
+                ${ticket.dueDate ? `
+                    <span class="ticket-due-date ${overdue ? 'text-red-600 font-medium' : 'text-gray-600'}">
+                        Due: ${this.formatDueDate(ticket.dueDate)}${overdue ? ' (overdue)' : ''}
+                    </span>
+                ` : ''}
+            </div>
+            
             <div class="flex justify-between items-center text-xs text-gray-500 mb-4">
-                <span>Created: ${this.formatDate(ticket.createdAt)}</span>
+                <span class="ticket-creator ticket-person">Created by ${this.createPersonHTML(this.getTicketCreator(ticket))} on ${this.formatDate(ticket.createdAt)}</span>
                 ${ticket.updatedAt !== ticket.createdAt ? `
                     <span>Updated: ${this.formatDate(ticket.updatedAt)}</span>
                 ` : ''}
@@ -598,17 +2051,28 @@ class TicketManager {
             
             <div class="flex justify-end space-x-2">
                 <button 
-                    class="edit-btn px-3 py-1 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 transition-colors"
-                    data-ticket-id="${ticket.id}"
-                >
-                    Edit
-                </button>
-                <button 
-                    class="delete-btn px-3 py-1 bg-red-500 text-white rounded text-sm hover:bg-red-600 transition-colors"
-                    data-ticket-id="${ticket.id}"
+                    class="comments-btn px-3 py-1 text-gray-600 border border-gray-300 rounded text-sm hover:bg-gray-50 transition-colors"
+                    data-ticket-id="${this.escapeHtml(ticket.id)}"
+                    aria-label="View ticket and comments"
                 >
-                    Delete
+                    Comments (<span class="comment-count">${this.getCommentCount(ticket.id)}</span>)
                 </button>
+                ${this.canEditTicket(ticket) ? `
+                    <button 
+                        class="edit-btn px-3 py-1 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 transition-colors"
+                        data-ticket-id="${this.escapeHtml(ticket.id)}"
+                    >
+                        Edit
+                    </button>
+                ` : ''}
+                ${this.canDeleteTicket(ticket) ? `
+                    <button 
+                        class="delete-btn px-3 py-1 bg-red-500 text-white rounded text-sm hover:bg-red-600 transition-colors"
+                        data-ticket-id="${this.escapeHtml(ticket.id)}"
+                    >
+                        Delete
+                    </button>
+                ` : ''}
             </div>
         `;
 
@@ -625,6 +2089,8 @@ class TicketManager {
      * @returns {string} Form HTML
      */
     createTicketFormHTML(title, ticket) {
+        const canAssign = this.canAssignTickets();
+
         return `
             <div class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
                 <div class="bg-white rounded-lg p-6 w-full max-w-md mx-4">
@@ -638,6 +2104,10 @@ class TicketManager {
                     </div>
                     
                     <form id="ticketForm" class="space-y-4">
+                        ${ticket.id ? `
+                            <input type="hidden" name="version" value="${this.getTicketVersion(ticket)}">
+                            <div id="ticketConflict" class="hidden"></div>
+                        ` : ''}
                         <div>
                             <label for="ticketTitle" class="block text-sm font-medium text-gray-700 mb-1">
                                 Title <span class="text-red-500">*</span>
@@ -663,13 +2133,62 @@ class TicketManager {
                                 name="status"
                                 class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                             >
-                                <option value="Open" ${ticket.status === 'Open' ? 'selected' : ''}>Open</option>
-                                <option value="In Progress" ${ticket.status === 'In Progress' ? 'selected' : ''}>In Progress</option>
-                                <option value="Closed" ${ticket.status === 'Closed' ? 'selected' : ''}>Closed</option>
+                                ${this.createStatusOptionsHTML(ticket.status, ticket.id ? ticket.status : null)}
                             </select>
                             <div class="text-red-500 text-sm mt-1 hidden" id="statusError"></div>
                         </div>
                         
+                        <div>
+                            <label for="ticketPriority" class="block text-sm font-medium text-gray-700 mb-1">
+                                Priority
+                            </label>
+                            <select 
+                                id="ticketPriority" 
+                                name="priority"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            >
+                                <option value="low" ${ticket.priority === 'low' ? 'selected' : ''}>Low</option>
+                                <option value="medium" ${!ticket.priority || ticket.priority === 'medium' ? 'selected' : ''}>Medium</option>
+                                <option value="high" ${ticket.priority === 'high' ? 'selected' : ''}>High</option>
+                                <option value="urgent" ${ticket.priority === 'urgent' ? 'selected' : ''}>Urgent</option>
+                            </select>
+                            <div class="text-red-500 text-sm mt-1 hidden" id="priorityError"></div>
+                        </div>
+                        
+                        <div class="grid grid-cols-2 gap-4">
+                            <div>
+                                <label for="ticketAssignee" class="block text-sm font-medium text-gray-700 mb-1">
+                                    Assignee
+                                </label>
+                                <select 
+                                    id="ticketAssignee" 
+                                    ${canAssign ? 'name="assignee"' : 'disabled aria-describedby="assigneeHint"'}
+                                    class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                >
+                                    ${this.createAssigneeOptionsHTML(ticket.assignee || '')}
+                                </select>
+                                ${canAssign ? '' : `
+                                    <input type="hidden" name="assignee" value="${this.escapeHtml(ticket.assignee || '')}">
+                                    <p id="assigneeHint" class="text-gray-500 text-xs mt-1">Only admins and agents can assign tickets</p>
+                                `}
+                                <div class="text-red-500 text-sm mt-1 hidden" id="assigneeError"></div>
+                            </div>
+                            
+                            <div>
+                                <label for="ticketDueDate" class="block text-sm font-medium text-gray-700 mb-1">
+                                    Due Date
+                                </label>
+                                <input 
+                                    type="date" 
+                                    id="ticketDueDate" 
+                                    name="dueDate" 
+                                    value="${this.escapeHtml(ticket.dueDate || '')}"
+                                    class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                >
+                                <div class="text-red-500 text-sm mt-1 hidden" id="dueDateError"></div>
+                            </div>
+                        </div>
+                        
                         <div>
                             <label for="ticketDescription" class="block text-sm font-medium text-gray-700 mb-1">
                                 Description
@@ -688,6 +2207,15 @@ class TicketManager {
                             <div class="text-red-500 text-sm mt-1 hidden" id="descriptionError"></div>
                         </div>
                         
+                        ${ticket.id ? `
+                            <div class="ticket-history-section">
+                                <h3 class="block text-sm font-medium text-gray-700 mb-2">History</h3>
+                                <div class="max-h-48 overflow-y-auto">
+                                    ${this.createHistoryTimelineHTML(this.getTicketHistory(ticket.id))}
+                                </div>
+                            </div>
+                        ` : ''}
+                        
                         <div class="flex justify-end space-x-3 pt-4">
                             <button 
                                 type="button" 
@@ -708,6 +2236,279 @@ class TicketManager {
         `;
     }
 
+    /**
+     * Create activity timeline HTML, newest entry first
+     * @param {Array} entries - History entries
+     * @returns {string} Timeline HTML
+     */
+    createHistoryTimelineHTML(entries) {
+        if (!entries || entries.length === 0) {
+            return '<p class="ticket-history-empty text-sm text-gray-500">No activity recorded yet.</p>';
+        }
+
+        const actionLabels = {
+            'created': 'created this ticket',
+            'updated': 'updated this ticket',
+            'assigned': 'changed the assignee',
+            'deleted': 'moved this ticket to the trash',
+            'restored': 'restored this ticket',
+            'purged': 'deleted this ticket permanently'
+        };
+
+        const items = entries.slice().reverse().map(entry => `
+            <li class="ticket-history-entry border-l-2 border-gray-200 pl-3">
+                <div class="text-xs text-gray-500">
+                    <span class="font-medium text-gray-700">${this.escapeHtml(entry.userName || 'Unknown user')}</span>
+                    ${actionLabels[entry.action] || this.escapeHtml(entry.action)}
+                    <time datetime="${new Date(entry.timestamp).toISOString()}">${this.formatDateTime(entry.timestamp)}</time>
+                </div>
+                ${(entry.action === 'updated' || entry.action === 'assigned') && entry.changes.length > 0 ? `
+                    <ul class="mt-1 text-sm text-gray-700 space-y-0.5">
+                        ${entry.changes.map(change => `
+                            <li>
+                                <span class="font-medium">${this.getFieldLabel(change.field)}:</span>
+                                <span class="text-gray-500 line-through">${this.formatHistoryValue(change.field, change.oldValue)}</span>
+                                &rarr;
+                                <span>${this.formatHistoryValue(change.field, change.newValue)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </li>
+        `).join('');
+
+        return `<ol class="ticket-history space-y-3">${items}</ol>`;
+    }
+
+    /**
+     * Get display label for a ticket field
+     * @param {string} field - Field name
+     * @returns {string} Label
+     */
+    getFieldLabel(field) {
+        const labels = {
+            'title': 'Title',
+            'description': 'Description',
+            'status': 'Status',
+            'priority': 'Priority',
+            'assignee': 'Assignee',
+            'dueDate': 'Due date'
+        };
+        return labels[field] || this.escapeHtml(field);
+    }
+
+    /**
+     * Format a field value for the history timeline
+     * @param {string} field - Field name
+     * @param {*} value - Field value
+     * @returns {string} Escaped display value
+     */
+    formatHistoryValue(field, value) {
+        if (value === null || value === undefined || value === '') {
+            return '<em>none</em>';
+        }
+
+        if (field === 'priority') {
+            return this.getPriorityLabel(value);
+        }
+        if (field === 'dueDate') {
+            return this.formatDueDate(value) || this.escapeHtml(String(value));
+        }
+
+        const text = String(value);
+        return this.escapeHtml(text.length > 60 ? `${text.slice(0, 60)}...` : text);
+    }
+
+    /**
+     * Create the merge dialog shown when an edit was based on an older version of the ticket
+     * Each field the user edited that now differs from the stored ticket gets a choice between
+     * the user's value and the current one. Fields the user did not touch default to the current
+     * value, so only their own edits win over the other change.
+     * @param {Object} conflict - Conflict result from updateTicket
+     * @param {Object} base - Ticket as it was when the user started editing (optional)
+     * @returns {string} Merge dialog HTML
+     */
+    createConflictMergeHTML(conflict, base = null) {
+        const differing = conflict.fields.filter(item => item.differs);
+        const untouched = (item) => base && String(item.yours ?? '').trim() === String(base[item.field] ?? '').trim();
+
+        const fields = differing.map(item => `
+            <fieldset class="conflict-field" data-field="${item.field}">
+                <legend>${this.getFieldLabel(item.field)}</legend>
+                <label class="conflict-choice">
+                    <input type="radio" name="conflict_${item.field}" value="yours" ${untouched(item) ? '' : 'checked'}>
+                    <span class="conflict-choice-label">Your change</span>
+                    <span class="conflict-value">${this.formatConflictValue(item.field, item.yours)}</span>
+                </label>
+                <label class="conflict-choice">
+                    <input type="radio" name="conflict_${item.field}" value="theirs" ${untouched(item) ? 'checked' : ''}>
+                    <span class="conflict-choice-label">Current version</span>
+                    <span class="conflict-value">${this.formatConflictValue(item.field, item.theirs)}</span>
+                </label>
+            </fieldset>
+        `).join('');
+
+        return `
+            <div class="ticket-conflict" role="alert">
+                <p class="ticket-conflict-message">
+                    ${this.escapeHtml(conflict.error)}.
+                    ${differing.length > 0
+                        ? 'Choose which value to keep for each field that differs, then save again.'
+                        : 'None of your changes clash with theirs, so saving again keeps both.'}
+                </p>
+                ${fields}
+                <div class="ticket-conflict-actions">
+                    <button type="button" class="conflict-discard-btn px-3 py-1 text-sm text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50">
+                        Discard my changes
+                    </button>
+                    <button type="button" class="conflict-save-btn px-3 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600">
+                        Save merged ticket
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Format a field value for the merge dialog (text is shown in full, unlike in the timeline)
+     * @param {string} field - Field name
+     * @param {*} value - Field value
+     * @returns {string} Escaped display value
+     */
+    formatConflictValue(field, value) {
+        if ((field === 'title' || field === 'description') && value) {
+            return this.escapeHtml(String(value));
+        }
+        return this.formatHistoryValue(field, value);
+    }
+
+    /**
+     * Show the merge dialog in a container and wire its buttons
+     * @param {HTMLElement} container - Element to render the dialog into
+     * @param {Object} conflict - Conflict result from updateTicket
+     * @param {Object} base - Ticket as it was when the user started editing (optional)
+     * @param {Object} handlers - { onSave(updates), onDiscard() }
+     */
+    showConflictMerge(container, conflict, base, { onSave, onDiscard }) {
+        container.innerHTML = this.createConflictMergeHTML(conflict, base);
+        container.classList.remove('hidden');
+
+        container.querySelector('.conflict-save-btn').addEventListener('click', () => {
+            const choices = {};
+            container.querySelectorAll('.conflict-field').forEach(fieldset => {
+                const checked = fieldset.querySelector('input[type="radio"]:checked');
+                choices[fieldset.getAttribute('data-field')] = checked ? checked.value : 'yours';
+            });
+            onSave(this.mergeConflict(conflict, choices));
+        });
+        container.querySelector('.conflict-discard-btn').addEventListener('click', () => onDiscard());
+
+        container.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    /**
+     * Create ticket detail HTML with comment thread
+     * @param {Object} ticket - Ticket to show
+     * @returns {string} Detail HTML
+     */
+    createTicketDetailHTML(ticket) {
+        const comments = this.getComments(ticket.id);
+        const currentUser = this.authManager.getCurrentUser();
+        const priority = ticket.priority || 'medium';
+
+        return `
+            <div class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                <div class="ticket-detail bg-white rounded-lg p-6 w-full max-w-lg mx-4 max-h-screen overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="ticketDetailTitle">
+                    <div class="flex justify-between items-start mb-4">
+                        <h2 id="ticketDetailTitle" class="text-xl font-semibold text-gray-900 pr-2">${this.escapeHtml(ticket.title)}</h2>
+                        <button class="close-modal text-gray-400 hover:text-gray-600" aria-label="Close">
+                            <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                            </svg>
+                        </button>
+                    </div>
+                    
+                    <div class="flex flex-wrap items-center gap-2 text-xs mb-3">
+                        <span class="ticket-status px-2 py-1 rounded-full font-medium ${this.getStatusClasses(ticket.status)}">${ticket.status}</span>
+                        <span class="ticket-priority px-2 py-1 rounded-full font-medium ${this.getPriorityClasses(priority)}">${this.getPriorityLabel(priority)}</span>
+                        ${ticket.assignee ? `<span class="ticket-person text-gray-600">Assignee: ${this.createPersonHTML(this.getAssigneeUser(ticket), ticket.assignee)}</span>` : ''}
+                        ${ticket.dueDate ? `<span class="text-gray-600">Due: ${this.formatDueDate(ticket.dueDate)}</span>` : ''}
+                    </div>
+                    
+                    <p class="text-gray-700 text-sm mb-4 whitespace-pre-wrap">${ticket.description ? this.escapeHtml(ticket.description) : '<em class="text-gray-400">No description</em>'}</p>
+                    
+                    <div class="ticket-person text-xs text-gray-500 mb-6">
+                        Created by ${this.createPersonHTML(this.getTicketCreator(ticket))} on ${this.formatDate(ticket.createdAt)} &middot; Updated ${this.formatDate(ticket.updatedAt)}
+                    </div>
+                    
+                    <section class="ticket-comments" aria-labelledby="ticketCommentsHeading">
+                        <h3 id="ticketCommentsHeading" class="text-sm font-medium text-gray-700 mb-3">
+                            Comments (<span class="comment-count">${comments.length}</span>)
+                        </h3>
+                        
+                        ${comments.length === 0 ? `
+                            <p class="text-sm text-gray-500 mb-4">No comments yet.</p>
+                        ` : `
+                            <ul class="comment-list space-y-3 mb-4">
+                                ${comments.map(comment => this.createCommentHTML(comment, currentUser)).join('')}
+                            </ul>
+                        `}
+                        
+                        <form id="commentForm" class="space-y-2">
+                            <label for="commentBody" class="sr-only">Add a comment</label>
+                            <textarea 
+                                id="commentBody" 
+                                name="body" 
+                                rows="3"
+                                maxlength="1000"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                                placeholder="Write a comment..."
+                            ></textarea>
+                            <div class="text-red-500 text-sm hidden" id="commentError" role="alert"></div>
+                            <div class="flex justify-end">
+                                <button 
+                                    type="submit" 
+                                    class="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
+                                >
+                                    Add Comment
+                                </button>
+                            </div>
+                        </form>
+                    </section>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a single comment
+     * @param {Object} comment - Comment data
+     * @param {Object} currentUser - Signed-in user (edit/delete shown to the author only)
+     * @returns {string} Comment HTML
+     */
+    createCommentHTML(comment, currentUser) {
+        const isAuthor = currentUser && comment.userId === currentUser.id;
+
+        return `
+            <li class="comment border border-gray-200 rounded-md p-3" data-comment-id="${comment.id}">
+                <div class="flex justify-between items-center text-xs text-gray-500 mb-1">
+                    <span>
+                        <span class="font-medium text-gray-700">${this.escapeHtml(comment.userName || 'Unknown user')}</span>
+                        &middot; <time datetime="${new Date(comment.createdAt).toISOString()}">${this.formatDateTime(comment.createdAt)}</time>
+                        ${comment.updatedAt !== comment.createdAt ? '<span class="italic">(edited)</span>' : ''}
+                    </span>
+                    ${isAuthor ? `
+                        <span class="comment-actions space-x-2">
+                            <button type="button" class="edit-comment-btn text-blue-600 hover:underline" data-comment-id="${comment.id}">Edit</button>
+                            <button type="button" class="delete-comment-btn text-red-600 hover:underline" data-comment-id="${comment.id}">Delete</button>
+                        </span>
+                    ` : ''}
+                </div>
+                <p class="comment-body text-sm text-gray-800 whitespace-pre-wrap">${this.escapeHtml(comment.body)}</p>
+            </li>
+        `;
+    }
+
     /**
      * Create delete confirmation HTML
      * @param {Object} ticket - Ticket to delete
@@ -729,7 +2530,7 @@ class TicketManager {
                         <h3 class="text-lg font-medium text-gray-900 mb-2">Delete Ticket</h3>
                         <p class="text-sm text-gray-500 mb-4">
                             Are you sure you want to delete "<strong>${this.escapeHtml(ticket.title)}</strong>"? 
-                            This action cannot be undone.
+                            It will be moved to the trash, where it can be restored.
                         </p>
                     </div>
                     
@@ -846,14 +2647,144 @@ class TicketManager {
         }
     }
 
+    /**
+     * Bind ticket detail events (comment add, edit and delete)
+     * @param {HTMLElement} modal - Modal element
+     * @param {string} ticketId - Ticket ID
+     */
+    bindDetailEvents(modal, ticketId) {
+        const closeBtn = modal.querySelector('.close-modal');
+        const form = modal.querySelector('#commentForm');
+
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hideModal(modal.id));
+        }
+
+        if (form) {
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const bodyField = form.querySelector('#commentBody');
+                const result = await this.addComment(ticketId, bodyField.value);
+                this.handleCommentResult(modal, ticketId, result);
+            });
+        }
+
+        modal.querySelectorAll('.edit-comment-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.showCommentEditor(modal, ticketId, button.getAttribute('data-comment-id'));
+            });
+        });
+
+        modal.querySelectorAll('.delete-comment-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                const commentId = button.getAttribute('data-comment-id');
+
+                // First click asks for confirmation, second click deletes
+                if (button.getAttribute('data-confirm') !== 'true') {
+                    button.setAttribute('data-confirm', 'true');
+                    button.textContent = 'Confirm delete';
+                    return;
+                }
+
+                const result = await this.deleteComment(ticketId, commentId, true);
+                this.handleCommentResult(modal, ticketId, result);
+            });
+        });
+    }
+
+    /**
+     * Replace a comment body with an inline editor
+     * @param {HTMLElement} modal - Modal element
+     * @param {string} ticketId - Ticket ID
+     * @param {string} commentId - Comment ID
+     */
+    showCommentEditor(modal, ticketId, commentId) {
+        const item = modal.querySelector(`[data-comment-id="${commentId}"].comment`);
+        const comment = this.comments ? this.comments.getComment(ticketId, commentId) : null;
+        if (!item || !comment) return;
+
+        const body = item.querySelector('.comment-body');
+        body.outerHTML = `
+            <form class="comment-edit-form space-y-2">
+                <textarea 
+                    name="body" 
+                    rows="3" 
+                    maxlength="1000"
+                    class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                >${this.escapeHtml(comment.body)}</textarea>
+                <div class="flex justify-end space-x-2">
+                    <button type="button" class="cancel-comment-edit px-3 py-1 text-gray-600 border border-gray-300 rounded text-sm hover:bg-gray-50">Cancel</button>
+                    <button type="submit" class="px-3 py-1 bg-blue-500 text-white rounded text-sm hover:bg-blue-600">Save</button>
+                </div>
+            </form>
+        `;
+
+        const editForm = item.querySelector('.comment-edit-form');
+        const textarea = editForm.querySelector('textarea');
+        textarea.focus();
+
+        editForm.querySelector('.cancel-comment-edit').addEventListener('click', () => {
+            this.showTicketDetail(ticketId, modal.id);
+        });
+
+        editForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const result = await this.updateComment(ticketId, commentId, textarea.value);
+            this.handleCommentResult(modal, ticketId, result);
+        });
+    }
+
+    /**
+     * Re-render the detail view after a comment change, or show the error
+     * @param {HTMLElement} modal - Modal element
+     * @param {string} ticketId - Ticket ID
+     * @param {Object} result - Comment operation result
+     */
+    handleCommentResult(modal, ticketId, result) {
+        if (result.success) {
+            this.showTicketDetail(ticketId, modal.id);
+            this.updateCommentCounts(ticketId);
+            return;
+        }
+
+        const errorElement = modal.querySelector('#commentError');
+        const message = result.errors ? result.errors.body : (result.error || result.message);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.classList.remove('hidden');
+        } else {
+            console.error(message);
+        }
+    }
+
+    /**
+     * Refresh comment counts shown on rendered ticket cards
+     * @param {string} ticketId - Ticket ID
+     */
+    updateCommentCounts(ticketId) {
+        const count = this.getCommentCount(ticketId);
+        document.querySelectorAll(`[data-ticket-id="${ticketId}"] .comment-count`).forEach(element => {
+            element.textContent = count;
+        });
+    }
+
     /**
      * Bind card events
      * @param {HTMLElement} card - Card element
      */
     bindCardEvents(card) {
+        const commentsBtn = card.querySelector('.comments-btn');
         const editBtn = card.querySelector('.edit-btn');
         const deleteBtn = card.querySelector('.delete-btn');
 
+        if (commentsBtn) {
+            commentsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const ticketId = commentsBtn.getAttribute('data-ticket-id');
+                this.showTicketDetail(ticketId);
+            });
+        }
+
         if (editBtn) {
             editBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -884,7 +2815,10 @@ class TicketManager {
         const ticketData = {
             title: formData.get('title'),
             description: formData.get('description'),
-            status: formData.get('status')
+            status: formData.get('status'),
+            priority: formData.get('priority'),
+            assignee: formData.get('assignee') || '',
+            dueDate: formData.get('dueDate') || null
         };
 
         // Clear previous errors
@@ -892,11 +2826,35 @@ class TicketManager {
 
         let result;
         if (this.editingTicketId) {
-            result = await this.updateTicket(this.editingTicketId, ticketData);
+            result = await this.updateTicket(this.editingTicketId, { ...ticketData, version: formData.get('version') });
         } else {
             result = await this.createTicket(ticketData);
         }
 
+        this.handleFormResult(result, modal);
+    }
+
+    /**
+     * Close the form after a successful save, or show what went wrong
+     * @param {Object} result - Result of createTicket or updateTicket
+     * @param {HTMLElement} modal - Modal element
+     */
+    handleFormResult(result, modal) {
+        if (result.conflict) {
+            const container = modal.querySelector('#ticketConflict');
+            if (container) {
+                this.showConflictMerge(container, result, this.editingTicketBase, {
+                    onSave: async (updates) => {
+                        // The merge was made against the stored ticket, which is now the one being edited
+                        this.editingTicketBase = result.ticket;
+                        this.handleFormResult(await this.updateTicket(this.editingTicketId, updates), modal);
+                    },
+                    onDiscard: () => this.showEditForm(this.editingTicketId, modal.id)
+                });
+            }
+            return;
+        }
+
         if (result.success) {
             this.hideModal(modal.id);
             this.renderTickets(); // Refresh the display
@@ -987,28 +2945,148 @@ class TicketManager {
      * @returns {string} CSS classes
      */
     getStatusClasses(status) {
-        const statusClasses = {
-            'Open': 'bg-green-100 text-green-800',
-            'In Progress': 'bg-yellow-100 text-yellow-800',
-            'Closed': 'bg-gray-100 text-gray-800'
+        return this.workflow.getBadgeClasses(status);
+    }
+
+    /**
+     * Create status <option> elements for the states reachable from the current one
+     * @param {string} selected - Status to preselect
+     * @param {string} currentStatus - Stored status of the ticket being edited (null for a new ticket)
+     * @returns {string} Options HTML
+     */
+    createStatusOptionsHTML(selected, currentStatus = null) {
+        return this.workflow.getAvailableStates(currentStatus)
+            .map(name => `<option value="${this.escapeHtml(name)}" ${name === selected ? 'selected' : ''}>${this.escapeHtml(name)}</option>`)
+            .join('');
+    }
+
+    /**
+     * Get priority CSS classes
+     * @param {string} priority - Ticket priority
+     * @returns {string} CSS classes
+     */
+    getPriorityClasses(priority) {
+        const priorityClasses = {
+            'low': 'bg-gray-100 text-gray-700',
+            'medium': 'bg-blue-100 text-blue-800',
+            'high': 'bg-orange-100 text-orange-800',
+            'urgent': 'bg-red-100 text-red-800'
         };
-        return statusClasses[status] || 'bg-gray-100 text-gray-800';
+        return priorityClasses[priority] || 'bg-gray-100 text-gray-700';
+    }
+
+    /**
+     * Get display label for a priority
+     * @param {string} priority - Ticket priority
+     * @returns {string} Capitalised label
+     */
+    getPriorityLabel(priority) {
+        if (!priority) return '';
+        return priority.charAt(0).toUpperCase() + priority.slice(1);
+    }
+
+    /**
+     * Check whether an unfinished ticket is past its due date
+     * @param {Object} ticket - Ticket data
+     * @returns {boolean} Whether the ticket is overdue
+     */
+    isOverdue(ticket) {
+        if (!ticket.dueDate || this.workflow.isTerminal(ticket.status)) return false;
+
+        const dueDate = TicketValidator.parseDueDate(ticket.dueDate);
+        if (!dueDate) return false;
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return dueDate < today;
+    }
+
+    /**
+     * Format a due date for display
+     * @param {string} dueDate - Due date as YYYY-MM-DD
+     * @returns {string} Formatted date
+     */
+    formatDueDate(dueDate) {
+        const date = TicketValidator.parseDueDate(dueDate);
+        // Due dates are calendar days, not moments, so they are never shifted to another time zone
+        return date ? this.formatDate(date.getTime(), null) : '';
     }
 
     /**
      * Format date for display
      * @param {number} timestamp - Timestamp to format
+     * @param {string} timeZone - Time zone to show the date in (default: the current user's; null for the browser's)
      * @returns {string} Formatted date
      */
-    formatDate(timestamp) {
+    formatDate(timestamp, timeZone = this.getTimeZone()) {
         const date = new Date(timestamp);
         return date.toLocaleDateString('en-US', {
             month: 'short',
             day: 'numeric',
-            year: 'numeric'
+            year: 'numeric',
+            timeZone: timeZone || undefined
         });
     }
 
+    /**
+     * Format date and time for display in the current user's time zone
+     * @param {number} timestamp - Timestamp to format
+     * @returns {string} Formatted date and time
+     */
+    formatDateTime(timestamp) {
+        const date = new Date(timestamp);
+        return date.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: this.getTimeZone() || undefined
+        });
+    }
+
+    /**
+     * Get the time zone chosen in the current user's profile
+     * @returns {string|undefined} IANA time zone, or undefined to use the browser's
+     */
+    getTimeZone() {
+        return typeof UserProfile !== 'undefined'
+            ? UserProfile.getTimeZone(this.authManager.getCurrentUser())
+            : undefined;
+    }
+
+    /**
+     * Find the user who created a ticket
+     * @param {Object} ticket - Ticket data
+     * @returns {Object|null} User, or null if unknown
+     */
+    getTicketCreator(ticket) {
+        return this.userDirectory ? this.userDirectory.findById(ticket.userId) : null;
+    }
+
+    /**
+     * Find the user a ticket is assigned to
+     * Assignees are free text, so this only finds names that match a known account.
+     * @param {Object} ticket - Ticket data
+     * @returns {Object|null} User, or null if unassigned or not a known account
+     */
+    getAssigneeUser(ticket) {
+        return this.userDirectory && ticket.assignee ? this.userDirectory.findByName(ticket.assignee) : null;
+    }
+
+    /**
+     * Create HTML naming a person, with their avatar when they are a known user
+     * @param {Object} user - User (may be null)
+     * @param {string} fallbackName - Name to show when the user is unknown (default: 'Unknown user')
+     * @returns {string} Escaped HTML
+     */
+    createPersonHTML(user, fallbackName = 'Unknown user') {
+        if (!user || typeof UserProfile === 'undefined') {
+            return `<span class="person-name">${this.escapeHtml(user ? user.username : fallbackName)}</span>`;
+        }
+        return `${UserProfile.createAvatarHTML(user)}<span class="person-name">${this.escapeHtml(UserProfile.getDisplayName(user))}</span>`;
+    }
+
     /**
      * Escape HTML to prevent XSS
      * @param {string} text - Text to escape
@@ -1023,7 +3101,20 @@ class TicketManager {
             '"': '&quot;',
             "'": '&#039;'
         };
-        return text.replace(/[&<>"']/g, (m) => map[m]);
+        return String(text).replace(/[&<>"']/g, (m) => map[m]);
+    }
+    
+    /**
+     * Escape text and highlight search matches when a query is given
+     * @param {string} text - Text to render
+     * @param {string} query - Search query (optional)
+     * @returns {string} Escaped HTML
+     */
+    highlightText(text, query) {
+        if (!query || typeof TicketSearchIndex === 'undefined') {
+            return this.escapeHtml(text);
+        }
+        return TicketSearchIndex.highlight(text, query);
     }
     
     /**
@@ -1031,11 +3122,13 @@ class TicketManager {
      * Allows other components to listen for ticket operations
      * @param {string} eventName - Name of the event (ticketCreated, ticketUpdated, ticketDeleted)
      * @param {Object} ticketData - Ticket data associated with the event
+     * @param {Object} extraDetail - Additional detail fields, e.g. the recorded history entry as `activity`
      */
-    dispatchTicketEvent(eventName, ticketData) {
+    dispatchTicketEvent(eventName, ticketData, extraDetail = {}) {
         try {
             const event = new CustomEvent(eventName, {
                 detail: {
+                    ...extraDetail,
                     ticket: ticketData,
                     timestamp: Date.now()
                 },
@@ -1054,9 +3147,16 @@ class TicketManager {
  * TicketValidator - Handles client-side validation for ticket fields
  */
 class TicketValidator {
-    constructor() {
+    /**
+     * @param {Object} workflow - TicketWorkflow instance (default: page configuration)
+     * @param {Object} userDirectory - UserDirectory assignees must be found in (default: none, any name is accepted)
+     */
+    constructor(workflow = null, userDirectory = null) {
         this.errors = {};
-        this.validStatuses = ['Open', 'In Progress', 'Closed'];
+        this.workflow = workflow || TicketWorkflow.getConfigured();
+        this.userDirectory = userDirectory;
+        this.validStatuses = this.workflow.getStateNames();
+        this.validPriorities = ['low', 'medium', 'high', 'urgent'];
     }
 
     /**
@@ -1076,6 +3176,11 @@ class TicketValidator {
         // Description validation
         this.validateDescription(ticketData.description);
 
+        // Priority, assignee and due date validation
+        this.validatePriority(ticketData.priority);
+        this.validateAssignee(ticketData.assignee);
+        this.validateDueDate(ticketData.dueDate);
+
         return {
             isValid: Object.keys(this.errors).length === 0,
             errors: this.errors
@@ -1103,6 +3208,18 @@ class TicketValidator {
             this.validateDescription(updates.description);
         }
 
+        if (updates.priority !== undefined) {
+            this.validatePriority(updates.priority);
+        }
+
+        if (updates.assignee !== undefined) {
+            this.validateAssignee(updates.assignee);
+        }
+
+        if (updates.dueDate !== undefined) {
+            this.validateDueDate(updates.dueDate);
+        }
+
         return {
             isValid: Object.keys(this.errors).length === 0,
             errors: this.errors
@@ -1162,6 +3279,84 @@ class TicketValidator {
         }
     }
 
+    /**
+     * Validate priority field (optional, defaults to medium)
+     * @param {string} priority - Priority to validate
+     */
+    validatePriority(priority) {
+        if (priority === undefined || priority === null || priority === '') {
+            return;
+        }
+
+        if (!this.validPriorities.includes(priority)) {
+            this.errors.priority = `Priority must be one of: ${this.validPriorities.join(', ')}`;
+        }
+    }
+
+    /**
+     * Parse a YYYY-MM-DD due date as a local calendar date
+     * @param {string} dueDate - Due date string
+     * @returns {Date|null} Parsed date or null if invalid
+     */
+    static parseDueDate(dueDate) {
+        if (typeof dueDate !== 'string') return null;
+
+        const match = dueDate.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) return null;
+
+        const year = Number(match[1]);
+        const month = Number(match[2]) - 1;
+        const day = Number(match[3]);
+        const date = new Date(year, month, day);
+
+        // Reject dates that roll over, e.g. 2024-02-30
+        if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+            return null;
+        }
+
+        return date;
+    }
+
+    /**
+     * Validate assignee field (optional)
+     * Like the server (Ticket::validate), an assignee must be the username or email of an existing
+     * user, ignoring case; a ticket's current assignee is accepted as it is
+     * @param {string} assignee - Assignee name or email
+     * @param {string} current - Assignee before the change
+     */
+    validateAssignee(assignee, current = '') {
+        if (assignee === undefined || assignee === null) {
+            return;
+        }
+
+        if (typeof assignee !== 'string') {
+            this.errors.assignee = 'Assignee must be a string';
+            return;
+        }
+
+        const wanted = assignee.trim().toLowerCase();
+        if (wanted.length > 100) {
+            this.errors.assignee = 'Assignee must be less than 100 characters';
+        } else if (wanted && this.userDirectory && wanted !== String(current || '').trim().toLowerCase()
+            && !this.userDirectory.getAll().some(user => [user.username, user.email].some(value => value && value.toLowerCase() === wanted))) {
+            this.errors.assignee = 'Assignee must be an existing user name or email';
+        }
+    }
+
+    /**
+     * Validate due date field (optional, YYYY-MM-DD)
+     * @param {string} dueDate - Due date to validate
+     */
+    validateDueDate(dueDate) {
+        if (dueDate === undefined || dueDate === null || dueDate === '') {
+            return;
+        }
+
+        if (!TicketValidator.parseDueDate(dueDate)) {
+            this.errors.dueDate = 'Due date must be a valid date (YYYY-MM-DD)';
+        }
+    }
+
     /**
      * Get all validation errors
      * @returns {Object} Current validation errors
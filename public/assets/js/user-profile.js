@@ -0,0 +1,265 @@
+/**
+ * User Profiles
+ * Display names, avatars and time zones, and a directory of known users for ticket cards
+ */
+
+/**
+ * UserProfile - Helpers for showing a user and preparing profile changes
+ *
+ * A user's profile adds three optional fields to the account:
+ *   displayName - name shown instead of the username
+ *   timezone    - IANA time zone used for dates and times, e.g. 'Europe/Berlin' (default: the browser's)
+ *   avatar      - square image stored as a data URL, resized to AVATAR_SIZE pixels before saving
+ */
+class UserProfile {
+    /**
+     * Width and height of stored avatars in pixels
+     */
+    static get AVATAR_SIZE() {
+        return 128;
+    }
+
+    /**
+     * Longest avatar data URL accepted (mirrored by App\Models\User::MAX_AVATAR_LENGTH)
+     */
+    static get MAX_AVATAR_LENGTH() {
+        return 100000;
+    }
+
+    /**
+     * Image types accepted for avatars
+     */
+    static get AVATAR_TYPES() {
+        return ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+    }
+
+    /**
+     * Get the name to show for a user
+     * @param {Object} user - User (may be null)
+     * @returns {string} Display name, username or 'User'
+     */
+    static getDisplayName(user) {
+        if (!user) return 'User';
+        return (user.displayName && user.displayName.trim()) || user.username || 'User';
+    }
+
+    /**
+     * Get up to two initials for an avatar placeholder
+     * @param {Object} user - User (may be null)
+     * @returns {string} Initials, e.g. 'JD'
+     */
+    static getInitials(user) {
+        const words = UserProfile.getDisplayName(user).split(/[\s._-]+/).filter(Boolean);
+        const initials = words.length > 1 ? words[0][0] + words[words.length - 1][0] : words[0].slice(0, 2);
+        return initials.toUpperCase();
+    }
+
+    /**
+     * Create avatar HTML: the user's image, or their initials when they have none
+     * @param {Object} user - User (may be null)
+     * @param {string} size - 'sm' (cards and navigation) or 'lg' (profile page)
+     * @returns {string} Avatar HTML (decorative; show the name next to it)
+     */
+    static createAvatarHTML(user, size = 'sm') {
+        if (user && UserProfile.isAvatarDataUrl(user.avatar)) {
+            return `<img class="user-avatar user-avatar-${size}" src="${user.avatar}" alt="" aria-hidden="true">`;
+        }
+        return `<span class="user-avatar user-avatar-${size} user-avatar-initials" aria-hidden="true">${UserProfile.escapeHtml(UserProfile.getInitials(user))}</span>`;
+    }
+
+    /**
+     * Check whether a value is an image data URL of an accepted type
+     * @param {string} value - Value to check
+     * @returns {boolean} True for e.g. 'data:image/jpeg;base64,...'
+     */
+    static isAvatarDataUrl(value) {
+        const match = /^data:(image\/[a-z]+);base64,[A-Za-z0-9+/]+=*$/.exec(typeof value === 'string' ? value : '');
+        return Boolean(match) && UserProfile.AVATAR_TYPES.includes(match[1]);
+    }
+
+    /**
+     * Check whether a time zone name is known to the browser
+     * @param {string} timeZone - IANA time zone, e.g. 'America/New_York'
+     * @returns {boolean} True if it can be used to format dates
+     */
+    static isValidTimeZone(timeZone) {
+        if (!timeZone || typeof Intl === 'undefined') return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the browser's own time zone
+     * @returns {string} IANA time zone (default: 'UTC')
+     */
+    static getBrowserTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            return 'UTC';
+        }
+    }
+
+    /**
+     * Get the time zone to format a user's dates in
+     * @param {Object} user - User (may be null)
+     * @returns {string} The user's time zone, or the browser's when unset or unknown
+     */
+    static getTimeZone(user) {
+        return user && UserProfile.isValidTimeZone(user.timezone) ? user.timezone : UserProfile.getBrowserTimeZone();
+    }
+
+    /**
+     * Resize an image file to a square avatar, cropping the longer side
+     * @param {File} file - Image chosen by the user
+     * @param {number} size - Width and height in pixels (default: AVATAR_SIZE)
+     * @returns {Promise<string>} JPEG data URL
+     */
+    static async resizeImage(file, size = UserProfile.AVATAR_SIZE) {
+        if (!file || !UserProfile.AVATAR_TYPES.includes(file.type)) {
+            throw new Error('Please choose a PNG, JPEG, GIF or WebP image');
+        }
+
+        const image = await UserProfile.loadImage(file);
+        const side = Math.min(image.naturalWidth || image.width, image.naturalHeight || image.height);
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+
+        const context = canvas.getContext('2d');
+        // JPEG has no transparency, so transparent areas become white instead of black
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, size, size);
+        context.drawImage(
+            image,
+            ((image.naturalWidth || image.width) - side) / 2,
+            ((image.naturalHeight || image.height) - side) / 2,
+            side,
+            side,
+            0,
+            0,
+            size,
+            size
+        );
+
+        return canvas.toDataURL('image/jpeg', 0.85);
+    }
+
+    /**
+     * Decode an image file
+     * @param {File} file - Image file
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    static loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('This image could not be read'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        })[char]);
+    }
+}
+
+/**
+ * UserDirectory - Looks up the users tickets refer to
+ *
+ * Ticket cards show their creator (ticket.userId) and assignee (ticket.assignee, a username,
+ * display name or email) with the person's display name and avatar. In local mode every account
+ * is in the browser's UserRegistry; in server mode load() fetches them from /api/users.
+ */
+class UserDirectory {
+    /**
+     * @param {Object} authManager - AuthManager whose accounts are listed
+     */
+    constructor(authManager) {
+        this.authManager = authManager;
+        this.users = [];
+    }
+
+    /**
+     * Fetch the users from the server (server mode only; local accounts are read when needed)
+     * @returns {Promise<Array>} Users
+     */
+    async load() {
+        if (this.authManager.isServerMode()) {
+            try {
+                const data = await this.authManager.request('GET', '/users');
+                this.users = Array.isArray(data && data.users) ? data.users : [];
+            } catch (error) {
+                console.error('Error loading users:', error);
+            }
+        }
+        return this.getAll();
+    }
+
+    /**
+     * Get every known user, with the signed-in user's latest profile
+     * @returns {Array} Public user data
+     */
+    getAll() {
+        const users = this.authManager.isServerMode()
+            ? this.users
+            : this.authManager.users.readAll().map(record => this.authManager.users.toPublicUser(record));
+
+        const current = this.authManager.getCurrentUser();
+        return current ? users.map(user => (user.id === current.id ? { ...user, ...current } : user)) : users;
+    }
+
+    /**
+     * Find a user by ID
+     * @param {string} userId - User ID
+     * @returns {Object|null} User
+     */
+    findById(userId) {
+        return this.getAll().find(user => String(user.id) === String(userId)) || null;
+    }
+
+    /**
+     * Find a user by username, display name or email (ignoring case)
+     * @param {string} name - Name as typed, e.g. a ticket's assignee
+     * @returns {Object|null} User
+     */
+    findByName(name) {
+        const wanted = String(name || '').trim().toLowerCase();
+        if (!wanted) return null;
+
+        const users = this.getAll();
+        return users.find(user => [user.username, user.email].some(value => value && value.toLowerCase() === wanted))
+            || users.find(user => user.displayName && user.displayName.trim().toLowerCase() === wanted)
+            || null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UserProfile,
+        UserDirectory
+    };
+}
@@ -31,9 +31,10 @@ class ToastSystem {
      * @param {string} message - The message to display
      * @param {string} type - The type of toast (success, error, warning, info)
      * @param {number} duration - Duration in milliseconds (0 for persistent)
+     * @param {Array} actions - Buttons shown in the toast, as { label, onClick }; the toast closes after a click
      * @returns {string} - Toast ID for manual dismissal
      */
-    show(message, type = 'info', duration = 3000) {
+    show(message, type = 'info', duration = 3000, actions = []) {
         // Check for duplicate messages
         const messageKey = `${type}:${message}`;
         const now = Date.now();
@@ -66,6 +67,7 @@ class ToastSystem {
             <div class="toast-content">
                 <span class="toast-icon">${this.getIcon(type)}</span>
                 <span class="toast-message">${this.escapeHtml(message)}</span>
+                ${actions.map((action, index) => `<button type="button" class="toast-action" data-action-index="${index}">${this.escapeHtml(action.label)}</button>`).join('')}
                 <button class="toast-close" aria-label="Close notification">×</button>
             </div>
         `;
@@ -74,6 +76,15 @@ class ToastSystem {
         const closeBtn = toast.querySelector('.toast-close');
         closeBtn.addEventListener('click', () => this.dismiss(toastId));
 
+        if (actions.length > 0) {
+            toast.querySelectorAll('.toast-action').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.dismiss(toastId);
+                    actions[Number(button.getAttribute('data-action-index'))].onClick();
+                });
+            });
+        }
+
         // Add to container with animation
         this.container.appendChild(toast);
         
@@ -105,10 +116,11 @@ class ToastSystem {
      * Show success toast
      * @param {string} message - Success message
      * @param {number} duration - Duration in milliseconds
+     * @param {Array} actions - Toast buttons as { label, onClick } (optional)
      * @returns {string} - Toast ID
      */
-    showSuccess(message, duration = 3000) {
-        return this.show(message, 'success', duration);
+    showSuccess(message, duration = 3000, actions = []) {
+        return this.show(message, 'success', duration, actions);
     }
 
     /**
@@ -125,10 +137,11 @@ class ToastSystem {
      * Show warning toast
      * @param {string} message - Warning message
      * @param {number} duration - Duration in milliseconds
+     * @param {Array} actions - Toast buttons as { label, onClick } (optional)
      * @returns {string} - Toast ID
      */
-    showWarning(message, duration = 4000) {
-        return this.show(message, 'warning', duration);
+    showWarning(message, duration = 4000, actions = []) {
+        return this.show(message, 'warning', duration, actions);
     }
 
     /**
@@ -522,12 +535,13 @@ class ValidationUtils {
             });
         }
 
-        // Validate status
-        const validStatuses = ['Open', 'In Progress', 'Closed'];
+        // Validate status against the configured workflow when it is loaded
+        const workflow = typeof TicketWorkflow !== 'undefined' ? TicketWorkflow.getConfigured() : null;
+        const validStatuses = workflow ? workflow.getStateNames() : ['Open', 'In Progress', 'Closed'];
         if (!this.isValidOption(status, validStatuses)) {
             errors.push({
                 field: 'status',
-                message: 'Status must be Open, In Progress, or Closed'
+                message: `Status must be one of: ${validStatuses.join(', ')}`
             });
         }
 
@@ -575,8 +589,17 @@ class ValidationUtils {
             });
         }
 
-        // Validate password
-        if (!this.isRequired(password)) {
+        // Validate password against the configured policy when it is loaded
+        const policy = typeof PasswordPolicy !== 'undefined' ? PasswordPolicy.getConfigured() : null;
+        if (policy) {
+            const policyErrors = policy.validate(password, { username, email }).errors;
+            if (policyErrors.length > 0) {
+                errors.push({
+                    field: 'password',
+                    message: policyErrors[0]
+                });
+            }
+        } else if (!this.isRequired(password)) {
             errors.push({
                 field: 'password',
                 message: 'Password is required'
@@ -5,7 +5,28 @@ require_once __DIR__ . '/../src/Router.php';
 use App\Router;
 use App\Models\Ticket;
 use App\Models\User;
+use App\Models\PasswordReset;
+use App\Models\LoginAttempt;
+use App\Models\TicketEvent;
+use App\Models\TicketRecord;
 use App\Database;
+use App\Outbox;
+use App\PasswordPolicy;
+use App\TicketPermissions;
+use App\TicketWorkflow;
+
+// Lifetime of an auth API session in seconds (matches AuthManager.maxAge)
+const AUTH_SESSION_LIFETIME = 24 * 60 * 60;
+
+// Reply to every reset request, whether or not the email belongs to an account
+const PASSWORD_RESET_REQUESTED_MESSAGE = 'If an account exists for that email, a reset link is on its way';
+
+// Seconds a ticket event stream stays open before the browser reconnects, and between keep-alive comments
+const TICKET_EVENTS_STREAM_DURATION = 30;
+const TICKET_EVENTS_KEEP_ALIVE = 15;
+
+// Milliseconds the browser waits before reconnecting to a closed ticket event stream
+const TICKET_EVENTS_RETRY = 2000;
 
 // Initialize the router
 $router = new Router();
@@ -23,6 +44,39 @@ $router->get('/auth/signup', function() {
     return renderTemplate('auth/signup.twig');
 });
 
+$router->get('/auth/forgot-password', function() {
+    return renderTemplate('auth/forgot-password.twig');
+});
+
+$router->get('/auth/reset-password', function() {
+    return renderTemplate('auth/reset-password.twig', ['token' => $_GET['token'] ?? '']);
+});
+
+$router->get('/account/password', function() {
+    return renderTemplate('auth/change-password.twig');
+});
+
+$router->get('/profile', function() {
+    return renderTemplate('auth/profile.twig', ['timezones' => DateTimeZone::listIdentifiers()]);
+});
+
+// Emails that would have been sent (development only)
+$router->get('/dev/outbox', function() {
+    if (!Outbox::isViewable()) {
+        http_response_code(404);
+        echo "404 - Page Not Found";
+        return;
+    }
+    
+    try {
+        $messages = (new Outbox())->getAll();
+    } catch (Exception $e) {
+        $messages = [];
+    }
+    
+    return renderTemplate('dev/outbox.twig', ['messages' => $messages]);
+});
+
 $router->get('/dashboard', function() {
     try {
         $ticketModel = new Ticket();
@@ -145,54 +199,561 @@ $router->get('/security', function() {
 
 // API Routes
 $router->get('/api/tickets', function() {
-    header('Content-Type: application/json');
-    $ticketModel = new Ticket();
-    echo json_encode($ticketModel->getAll());
+    $session = getSessionUser();
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
+    try {
+        $ticketModel = new Ticket();
+        $permissions = new TicketPermissions();
+        $tickets = array_filter(array_map([$ticketModel, 'toApi'], $ticketModel->getAll(true)), function ($ticket) use ($permissions, $session) {
+            return $permissions->canRead($session['user'], $ticket);
+        });
+        
+        return jsonResponse(array_values($tickets));
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to load tickets'], 500);
+    }
 });
 
 $router->post('/api/tickets', function() {
-    header('Content-Type: application/json');
-    $data = json_decode(file_get_contents('php://input'), true);
+    $session = getSessionUser();
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
     
-    $ticketModel = new Ticket();
-    $id = $ticketModel->create($data);
+    $data = readJsonBody();
+    if ($data === null) {
+        return jsonResponse(['success' => false, 'error' => 'Request body must be a JSON object'], 400);
+    }
     
-    echo json_encode(['success' => true, 'id' => $id]);
+    try {
+        $ticketModel = new Ticket();
+        
+        $errors = $ticketModel->validate($data);
+        if (!empty($errors)) {
+            return jsonResponse(['success' => false, 'errors' => $errors, 'message' => 'Validation failed'], 422);
+        }
+        
+        // The creator is whoever is signed in, whatever userId the request carries
+        $fields = $ticketModel->fromApi($data);
+        $fields['created_by'] = (int) $session['user']['id'];
+        
+        if (!empty($fields['assigned_to']) && !(new TicketPermissions())->canAssign($session['user'])) {
+            return jsonResponse(['success' => false, 'error' => 'Not authorized to assign tickets'], 403);
+        }
+        
+        $id = $ticketModel->create($fields);
+        $created = $ticketModel->toApi($ticketModel->getById($id));
+        (new TicketEvent())->record('ticketCreated', $created);
+        
+        return jsonResponse(['success' => true, 'ticket' => $created], 201);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to create ticket'], 500);
+    }
 });
 
 $router->get('/api/tickets/stats', function() {
+    $session = getSessionUser();
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
     header('Content-Type: application/json');
     $ticketModel = new Ticket();
     echo json_encode($ticketModel->getStats());
 });
 
+// Server-sent events for ticket changes, read by TicketEventStream
+$router->get('/api/tickets/events', function() {
+    $session = getSessionUser();
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
+    return streamTicketEvents($session['user']);
+});
+
+// History entries of every ticket, kept by HttpTicketAdapter alongside the tickets
+$router->get('/api/tickets/history', function() {
+    return listTicketRecords('history');
+});
+
+// Comments on every ticket, kept the same way
+$router->get('/api/tickets/comments', function() {
+    return listTicketRecords('comments');
+});
+
+$router->get('/api/tickets/{id}', function($id) {
+    $session = getSessionUser();
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
+    try {
+        $ticketModel = new Ticket();
+        $ticket = $ticketModel->getById($id);
+        
+        // Tickets the user may not see are answered like missing ones
+        if (!$ticket || !(new TicketPermissions())->canRead($session['user'], $ticketModel->toApi($ticket))) {
+            return jsonResponse(['success' => false, 'error' => 'Ticket not found'], 404);
+        }
+        
+        return jsonResponse(['success' => true, 'ticket' => $ticketModel->toApi($ticket)]);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to load ticket'], 500);
+    }
+});
+
+$router->put('/api/tickets/{id}', function($id) {
+    $session = getSessionUser();
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
+    $data = readJsonBody();
+    if ($data === null) {
+        return jsonResponse(['success' => false, 'error' => 'Request body must be a JSON object'], 400);
+    }
+    
+    try {
+        $ticketModel = new Ticket();
+        $ticket = $ticketModel->getById($id);
+        
+        if (!$ticket) {
+            return jsonResponse(['success' => false, 'error' => 'Ticket not found'], 404);
+        }
+        
+        // Moving a ticket in or out of the trash needs the right to delete it, any other change the right to edit it
+        $permissions = new TicketPermissions();
+        $current = $ticketModel->toApi($ticket);
+        $trashing = array_key_exists('deletedAt', $data) && empty($data['deletedAt']) !== empty($ticket['deleted_at']);
+        $allowed = $trashing
+            ? $permissions->canDelete($session['user'], $current)
+            : $permissions->canEdit($session['user'], $current);
+        if (!$allowed) {
+            $action = $trashing ? 'delete' : 'update';
+            return jsonResponse(['success' => false, 'error' => "Not authorized to $action this ticket"], 403);
+        }
+        
+        $errors = $ticketModel->validate($data, true, $current);
+        if (!empty($errors)) {
+            return jsonResponse(['success' => false, 'errors' => $errors, 'message' => 'Validation failed'], 422);
+        }
+        
+        $fields = $ticketModel->fromApi($data);
+        if (array_key_exists('assigned_to', $fields)
+            && (string) $fields['assigned_to'] !== (string) $ticket['assigned_to']
+            && !$permissions->canAssign($session['user'])) {
+            return jsonResponse(['success' => false, 'error' => 'Not authorized to assign tickets'], 403);
+        }
+        
+        // TicketManager sends the version its change creates: anything but the stored version + 1
+        // was based on an older copy and would overwrite someone else's change. Without a version
+        // there is no telling, so the change is refused rather than saved over newer edits.
+        $version = (int) ($ticket['version'] ?? 1);
+        if (!array_key_exists('version', $data)) {
+            return jsonResponse([
+                'success' => false,
+                'error' => 'Send the version of the ticket this change is based on',
+                'errors' => ['version' => 'Version is required']
+            ], 428);
+        }
+        if ((int) $data['version'] !== $version + 1) {
+            return ticketConflictResponse($ticketModel, $ticket);
+        }
+        
+        // Whoever moves a ticket to the trash is the signed-in user
+        if (array_key_exists('deleted_at', $fields)) {
+            $fields['deleted_by'] = $fields['deleted_at'] !== null ? (int) $session['user']['id'] : null;
+        }
+        
+        // Merge the changed fields over the stored row so partial updates keep other columns
+        if (!$ticketModel->update($id, array_merge($ticket, $fields), $version)) {
+            return ticketConflictResponse($ticketModel, $ticketModel->getById($id));
+        }
+        
+        // Moving a ticket in or out of the trash is announced as a delete or restore
+        $updated = $ticketModel->toApi($ticketModel->getById($id));
+        $type = 'ticketUpdated';
+        if (empty($ticket['deleted_at']) && $updated['deletedAt'] !== null) {
+            $type = 'ticketDeleted';
+        } elseif (!empty($ticket['deleted_at']) && $updated['deletedAt'] === null) {
+            $type = 'ticketRestored';
+        }
+        (new TicketEvent())->record($type, $updated);
+        
+        return jsonResponse(['success' => true, 'ticket' => $updated]);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to update ticket'], 500);
+    }
+});
+
+$router->delete('/api/tickets/{id}', function($id) {
+    $session = getSessionUser();
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
+    try {
+        $ticketModel = new Ticket();
+        $ticket = $ticketModel->getById($id);
+        
+        if (!$ticket) {
+            return jsonResponse(['success' => false, 'error' => 'Ticket not found'], 404);
+        }
+        
+        if (!(new TicketPermissions())->canDelete($session['user'], $ticketModel->toApi($ticket))) {
+            return jsonResponse(['success' => false, 'error' => 'Not authorized to delete this ticket'], 403);
+        }
+        
+        $ticketModel->delete($id);
+        (new TicketRecord())->remove('comments', $id);
+        (new TicketEvent())->record(empty($ticket['deleted_at']) ? 'ticketDeleted' : 'ticketPurged', $ticketModel->toApi($ticket), true);
+        
+        return jsonResponse(['success' => true]);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to delete ticket'], 500);
+    }
+});
+
+$router->put('/api/tickets/{id}/history/{recordId}', function($id, $recordId) {
+    return saveTicketRecord('history', $id, $recordId);
+});
+
+$router->put('/api/tickets/{id}/comments/{recordId}', function($id, $recordId) {
+    return saveTicketRecord('comments', $id, $recordId);
+});
+
+$router->delete('/api/tickets/{id}/comments/{recordId}', function($id, $recordId) {
+    return deleteTicketComments($id, $recordId);
+});
+
+$router->delete('/api/tickets/{id}/comments', function($id) {
+    return deleteTicketComments($id);
+});
+
+// Auth API routes used by AuthManager in server mode
+$router->post('/api/auth/login', function() {
+    $data = readJsonBody();
+    if ($data === null) {
+        return jsonResponse(['success' => false, 'error' => 'Request body must be a JSON object'], 400);
+    }
+    
+    $login = trim((string) ($data['username'] ?? ''));
+    $password = (string) ($data['password'] ?? '');
+    if ($login === '' || $password === '') {
+        return jsonResponse(['success' => false, 'error' => 'Username and password are required'], 422);
+    }
+    
+    try {
+        $userModel = new User();
+        $attempts = new LoginAttempt();
+        $identifier = $attempts->identify($login, $userModel->getByLogin($login));
+        
+        $wait = $attempts->check($identifier);
+        if ($wait) {
+            return throttledResponse($wait);
+        }
+        
+        $user = $userModel->authenticate($login, $password);
+        
+        if (!$user) {
+            $failure = $attempts->recordFailure($identifier);
+            if ($failure['retryAfter'] > 0) {
+                return throttledResponse($failure);
+            }
+            return jsonResponse(['success' => false, 'error' => $failure['message'], 'attemptsLeft' => $failure['attemptsLeft']], 401);
+        }
+        
+        $attempts->clear($identifier);
+        
+        return jsonResponse(['success' => true] + storeSessionUser($userModel->toApi($user)));
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to log in'], 500);
+    }
+});
+
+$router->post('/api/auth/logout', function() {
+    startAuthSession();
+    
+    $_SESSION = [];
+    if (ini_get('session.use_cookies')) {
+        $params = session_get_cookie_params();
+        setcookie(session_name(), '', [
+            'expires' => time() - 3600,
+            'path' => $params['path'],
+            'domain' => $params['domain'],
+            'secure' => $params['secure'],
+            'httponly' => $params['httponly'],
+            'samesite' => $params['samesite']
+        ]);
+    }
+    session_destroy();
+    
+    return jsonResponse(['success' => true]);
+});
+
+$router->post('/api/auth/signup', function() {
+    $data = readJsonBody();
+    if ($data === null) {
+        return jsonResponse(['success' => false, 'error' => 'Request body must be a JSON object'], 400);
+    }
+    
+    try {
+        $userModel = new User();
+        
+        $errors = $userModel->validate($data);
+        if (!empty($errors)) {
+            return jsonResponse(['success' => false, 'errors' => $errors, 'message' => 'Validation failed'], 422);
+        }
+        
+        $username = trim($data['username']);
+        $email = strtolower(trim($data['email']));
+        
+        if ($userModel->getByEmail($email)) {
+            $errors['email'] = 'An account with this email already exists';
+        } elseif ($userModel->getByName($username)) {
+            $errors['username'] = 'This username is already taken';
+        }
+        if (!empty($errors)) {
+            return jsonResponse(['success' => false, 'errors' => $errors, 'error' => reset($errors)], 409);
+        }
+        
+        $userId = $userModel->create([
+            'name' => $username,
+            'email' => $email,
+            'password' => $data['password']
+        ]);
+        
+        return jsonResponse(['success' => true] + storeSessionUser($userModel->toApi($userModel->getById($userId))), 201);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to create account'], 500);
+    }
+});
+
+$router->get('/api/auth/me', function() {
+    $session = getSessionUser();
+    
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
+    // Reload the account so role changes apply without signing in again
+    try {
+        $userModel = new User();
+        $user = $userModel->getById($session['user']['id']);
+        
+        if (!$user) {
+            unset($_SESSION['auth_user'], $_SESSION['auth_expires_at']);
+            return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+        }
+        
+        $_SESSION['auth_user'] = $session['user'] = $userModel->toApi($user);
+    } catch (Exception $e) {
+        // Fall back to the user stored at sign-in
+    }
+    
+    return jsonResponse(['success' => true] + $session);
+});
+
+$router->post('/api/auth/password', function() {
+    $session = getSessionUser();
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
+    $data = readJsonBody();
+    if ($data === null) {
+        return jsonResponse(['success' => false, 'error' => 'Request body must be a JSON object'], 400);
+    }
+    
+    try {
+        $userModel = new User();
+        $userId = $session['user']['id'];
+        
+        $errors = [];
+        $passwordError = $userModel->validatePassword($data['newPassword'] ?? '', $session['user']['username'], $session['user']['email']);
+        if ($passwordError !== null) {
+            $errors['newPassword'] = $passwordError;
+        }
+        if (!$userModel->verifyPassword($userId, $data['currentPassword'] ?? '')) {
+            $errors['currentPassword'] = 'Current password is incorrect';
+        }
+        if (!empty($errors)) {
+            return jsonResponse(['success' => false, 'errors' => $errors, 'error' => reset($errors)], 422);
+        }
+        
+        $userModel->setPassword($userId, $data['newPassword']);
+        (new PasswordReset())->deleteForUser($userId);
+        
+        // The old session id may have been seen alongside the old password
+        session_regenerate_id(true);
+        
+        return jsonResponse(['success' => true, 'message' => 'Your password has been changed']);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to change password'], 500);
+    }
+});
+
+$router->post('/api/auth/forgot-password', function() {
+    $data = readJsonBody();
+    if ($data === null) {
+        return jsonResponse(['success' => false, 'error' => 'Request body must be a JSON object'], 400);
+    }
+    
+    $email = trim((string) ($data['email'] ?? ''));
+    if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
+        return jsonResponse(['success' => false, 'errors' => ['email' => 'Please enter a valid email address'], 'error' => 'Please enter a valid email address'], 422);
+    }
+    
+    try {
+        $userModel = new User();
+        $user = $userModel->getByEmail($email);
+        
+        if ($user) {
+            $token = (new PasswordReset())->create($user['id']);
+            $link = appUrl() . '/auth/reset-password?token=' . urlencode($token);
+            
+            (new Outbox())->send(
+                $user['email'],
+                'Reset your password',
+                "Hi {$user['name']},\n\nUse this link to choose a new password. It expires in " . (PasswordReset::LIFETIME / 60) . " minutes:\n\n{$link}\n\nIf you did not ask for a password reset you can ignore this email."
+            );
+        }
+        
+        // Same answer whether or not the account exists, so addresses cannot be probed
+        return jsonResponse(['success' => true, 'message' => PASSWORD_RESET_REQUESTED_MESSAGE]);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to send reset link'], 500);
+    }
+});
+
+$router->post('/api/auth/reset-password', function() {
+    $data = readJsonBody();
+    if ($data === null) {
+        return jsonResponse(['success' => false, 'error' => 'Request body must be a JSON object'], 400);
+    }
+    
+    try {
+        $userModel = new User();
+        $resets = new PasswordReset();
+        
+        $userId = $resets->findUserId($data['token'] ?? '');
+        $user = $userId ? $userModel->getById($userId) : null;
+        if (!$user) {
+            return jsonResponse(['success' => false, 'error' => 'This reset link is invalid or has expired'], 400);
+        }
+        
+        $passwordError = $userModel->validatePassword($data['password'] ?? '', $user['name'], $user['email']);
+        if ($passwordError !== null) {
+            return jsonResponse(['success' => false, 'errors' => ['password' => $passwordError], 'error' => $passwordError], 422);
+        }
+        
+        $userModel->setPassword($userId, $data['password']);
+        $resets->deleteForUser($userId);
+        
+        return jsonResponse(['success' => true, 'message' => 'Your password has been reset']);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to reset password'], 500);
+    }
+});
+
+$router->put('/api/auth/profile', function() {
+    $session = getSessionUser();
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
+    $data = readJsonBody();
+    if ($data === null) {
+        return jsonResponse(['success' => false, 'error' => 'Request body must be a JSON object'], 400);
+    }
+    
+    try {
+        $userModel = new User();
+        $userId = $session['user']['id'];
+        
+        $errors = $userModel->validateProfile($data, $userId);
+        if (!empty($errors)) {
+            return jsonResponse(['success' => false, 'errors' => $errors, 'error' => reset($errors)], 422);
+        }
+        
+        $userModel->updateProfile($userId, $data);
+        $_SESSION['auth_user'] = $userModel->toApi($userModel->getById($userId));
+        
+        return jsonResponse(['success' => true, 'user' => $_SESSION['auth_user'], 'message' => 'Your profile has been saved']);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to save profile'], 500);
+    }
+});
+
+// Names and avatars of every account, for ticket cards (email addresses are left out)
+$router->get('/api/users', function() {
+    if (!getSessionUser()) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
+    try {
+        $userModel = new User();
+        $users = array_map(function($user) use ($userModel) {
+            $profile = $userModel->toApi($user);
+            unset($profile['email']);
+            return $profile;
+        }, $userModel->getAll());
+        
+        return jsonResponse(['success' => true, 'users' => $users]);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to load users'], 500);
+    }
+});
+
 // Authentication routes
 $router->post('/auth/login', function() {
-    $email = $_POST['email'] ?? '';
-    $password = $_POST['password'] ?? '';
+    $email = trim((string) ($_POST['email'] ?? ''));
+    $password = (string) ($_POST['password'] ?? '');
     
+    // Same lockout as the auth API, so this form cannot be used to guess passwords without limit
     $userModel = new User();
+    $attempts = new LoginAttempt();
+    $identifier = $attempts->identify($email, $userModel->getByLogin($email));
+    
+    $wait = $attempts->check($identifier);
+    if ($wait) {
+        header('Location: /auth/login?error=throttled');
+        exit;
+    }
+    
     $user = $userModel->authenticate($email, $password);
     
     if ($user) {
+        $attempts->clear($identifier);
         session_start();
         $_SESSION['user'] = $user;
         header('Location: /dashboard');
     } else {
-        header('Location: /auth/login?error=1');
+        $failure = $attempts->recordFailure($identifier);
+        header('Location: /auth/login?error=' . ($failure['retryAfter'] > 0 ? 'throttled' : '1'));
     }
     exit;
 });
 
 $router->post('/auth/signup', function() {
-    $name = $_POST['name'] ?? '';
-    $email = $_POST['email'] ?? '';
+    $name = trim($_POST['name'] ?? '');
+    $email = strtolower(trim($_POST['email'] ?? ''));
     $password = $_POST['password'] ?? '';
     
     $userModel = new User();
     
+    // The same rules as /api/auth/signup, including the password policy
+    if (!empty($userModel->validate(['username' => $name, 'email' => $email, 'password' => $password]))) {
+        header('Location: /auth/signup?error=invalid');
+        exit;
+    }
+    
     // Check if user already exists
-    if ($userModel->getByEmail($email)) {
+    if ($userModel->getByEmail($email) || $userModel->getByName($name)) {
         header('Location: /auth/signup?error=exists');
         exit;
     }
@@ -223,6 +784,332 @@ $router->post('/newsletter', function() {
 // Handle the request
 $router->handleRequest();
 
+/**
+ * Send a JSON response
+ */
+function jsonResponse($data, $status = 200) {
+    http_response_code($status);
+    header('Content-Type: application/json');
+    echo json_encode($data);
+}
+
+/**
+ * Refuse a login that has to wait (see LoginAttempt), with the wait in Retry-After and in retryAfter (milliseconds)
+ */
+function throttledResponse($wait) {
+    header('Retry-After: ' . $wait['retryAfter']);
+    
+    return jsonResponse([
+        'success' => false,
+        'error' => $wait['message'],
+        'locked' => $wait['locked'],
+        'retryAfter' => $wait['retryAfter'] * 1000
+    ], 429);
+}
+
+/**
+ * Refuse a ticket update based on an older copy, sending the stored ticket so the client can merge
+ */
+function ticketConflictResponse($ticketModel, $ticket) {
+    return jsonResponse([
+        'success' => false,
+        'conflict' => true,
+        'error' => 'This ticket was changed by someone else after you opened it',
+        'ticket' => $ticket ? $ticketModel->toApi($ticket) : null
+    ], 409);
+}
+
+/**
+ * Stream ticket events as text/event-stream until TICKET_EVENTS_STREAM_DURATION is up or the browser leaves
+ * Only events about tickets the user may view are sent. Each event carries its id, so EventSource
+ * resumes from Last-Event-ID when it reconnects; a new stream starts from the newest event.
+ */
+function streamTicketEvents($user) {
+    header('Content-Type: text/event-stream');
+    header('Cache-Control: no-cache');
+    header('X-Accel-Buffering: no');
+    
+    // Holding the session would block the user's other requests while the stream is open
+    if (session_status() === PHP_SESSION_ACTIVE) {
+        session_write_close();
+    }
+    while (ob_get_level() > 0) {
+        ob_end_flush();
+    }
+    set_time_limit(TICKET_EVENTS_STREAM_DURATION + 10);
+    
+    $events = new TicketEvent();
+    $permissions = new TicketPermissions();
+    $lastId = isset($_SERVER['HTTP_LAST_EVENT_ID']) ? (int) $_SERVER['HTTP_LAST_EVENT_ID'] : $events->latestId();
+    $deadline = time() + TICKET_EVENTS_STREAM_DURATION;
+    $lastSent = time();
+    
+    echo "retry: " . TICKET_EVENTS_RETRY . "\n\n";
+    flush();
+    
+    while (time() < $deadline && !connection_aborted()) {
+        foreach ($events->since($lastId) as $event) {
+            $lastId = $event['id'];
+            if (!$event['ticket'] || !$permissions->canView($user, $event['ticket'])) {
+                continue;
+            }
+            
+            $data = json_encode(['ticket' => $event['ticket'], 'purged' => $event['purged']]);
+            echo "id: {$event['id']}\nevent: {$event['type']}\ndata: {$data}\n\n";
+            $lastSent = time();
+        }
+        
+        if (time() - $lastSent >= TICKET_EVENTS_KEEP_ALIVE) {
+            echo ": keep-alive\n\n";
+            $lastSent = time();
+        }
+        
+        flush();
+        sleep(1);
+    }
+}
+
+/**
+ * Send the records of a kind (see TicketRecord) as { records: { ticketId: [record, ...] } }
+ * Only the records of tickets the user may see are sent; for a ticket removed for good, that is a
+ * user who was allowed to remove it.
+ */
+function listTicketRecords($kind) {
+    $session = getSessionUser();
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
+    try {
+        $ticketModel = new Ticket();
+        $ticketEvents = new TicketEvent();
+        $permissions = new TicketPermissions();
+        $user = $session['user'];
+        
+        $tickets = [];
+        foreach ($ticketModel->getAll(true) as $ticket) {
+            $tickets[(string) $ticket['id']] = $ticketModel->toApi($ticket);
+        }
+        
+        $records = [];
+        foreach ((new TicketRecord())->allGrouped($kind) as $ticketId => $thread) {
+            if (isset($tickets[(string) $ticketId])) {
+                $visible = $permissions->canRead($user, $tickets[(string) $ticketId]);
+            } else {
+                $removed = $ticketEvents->removedTicket($ticketId);
+                $visible = $removed !== null && $permissions->canDelete($user, $removed);
+            }
+            if ($visible) {
+                $records[(string) $ticketId] = $thread;
+            }
+        }
+        
+        return jsonResponse(['success' => true, 'records' => $records]);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => "Unable to load ticket $kind"], 500);
+    }
+}
+
+/**
+ * Save a record of a kind under a ticket, with the rules TicketManager applies in the browser
+ * History is only ever added to, by a user who may edit or delete the ticket; the entry saying a
+ * ticket was removed for good is allowed for a user who was allowed to remove it. Comments are
+ * added by a user who may edit the ticket, and only changed by their author. The author is always
+ * the signed-in user.
+ */
+function saveTicketRecord($kind, $ticketId, $recordId) {
+    $session = getSessionUser();
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
+    $data = readJsonBody();
+    if ($data === null) {
+        return jsonResponse(['success' => false, 'error' => 'Request body must be a JSON object'], 400);
+    }
+    if (!preg_match('/^[A-Za-z0-9_-]{1,64}$/', $recordId)) {
+        return jsonResponse(['success' => false, 'error' => 'Invalid record id'], 422);
+    }
+    
+    try {
+        $ticketModel = new Ticket();
+        $recordModel = new TicketRecord();
+        $permissions = new TicketPermissions();
+        $user = $session['user'];
+        $ticket = $ticketModel->getById($ticketId);
+        $current = $ticket ? $ticketModel->toApi($ticket) : null;
+        
+        if (!$current && $kind === 'history' && ($data['action'] ?? null) === 'purged') {
+            $current = (new TicketEvent())->removedTicket($ticketId);
+        }
+        if (!$current || ($kind === 'comments' && $current['deletedAt'] !== null)) {
+            return jsonResponse(['success' => false, 'error' => 'Ticket not found'], 404);
+        }
+        
+        $allowed = $kind === 'history'
+            ? $permissions->canEdit($user, $current) || $permissions->canDelete($user, $current)
+            : $permissions->canEdit($user, $current);
+        if (!$allowed) {
+            return jsonResponse(['success' => false, 'error' => 'Not authorized to change this ticket'], 403);
+        }
+        
+        $existing = $recordModel->find($kind, $recordId);
+        if ($existing !== null && $kind === 'history') {
+            return jsonResponse(['success' => false, 'error' => 'History entries cannot be changed'], 409);
+        }
+        if ($existing !== null
+            && ((string) $existing['ticketId'] !== (string) $ticketId || (string) $existing['userId'] !== (string) $user['id'])) {
+            return jsonResponse(['success' => false, 'error' => 'Not authorized to edit this comment'], 403);
+        }
+        
+        $record = array_merge($data, [
+            'id' => $recordId,
+            'ticketId' => (string) $ticketId,
+            'userId' => $user['id'],
+            'userName' => $user['username']
+        ]);
+        
+        if ($kind === 'comments') {
+            $body = trim((string) ($data['body'] ?? ''));
+            if ($body === '') {
+                return jsonResponse(['success' => false, 'errors' => ['body' => 'Comment cannot be empty'], 'message' => 'Validation failed'], 422);
+            }
+            if (mb_strlen($body) > 1000) {
+                return jsonResponse(['success' => false, 'errors' => ['body' => 'Comment must be less than 1000 characters'], 'message' => 'Validation failed'], 422);
+            }
+            $record['body'] = $body;
+            if ($existing !== null) {
+                $record['createdAt'] = $existing['createdAt'] ?? null;
+            }
+        }
+        
+        $recordModel->save($kind, $ticketId, $record);
+        
+        return jsonResponse(['success' => true, 'record' => $record]);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => "Unable to save ticket $kind"], 500);
+    }
+}
+
+/**
+ * Delete one comment (by its author) or every comment on a ticket (by a user who may delete it)
+ * The comments on a ticket that no longer exists went with it, so there is nothing left to delete.
+ */
+function deleteTicketComments($ticketId, $commentId = null) {
+    $session = getSessionUser();
+    if (!$session) {
+        return jsonResponse(['success' => false, 'error' => 'Not authenticated'], 401);
+    }
+    
+    try {
+        $ticketModel = new Ticket();
+        $recordModel = new TicketRecord();
+        $permissions = new TicketPermissions();
+        $user = $session['user'];
+        $ticket = $ticketModel->getById($ticketId);
+        
+        if (!$ticket) {
+            return jsonResponse(['success' => true]);
+        }
+        
+        $current = $ticketModel->toApi($ticket);
+        if ($commentId === null) {
+            if (!$permissions->canDelete($user, $current)) {
+                return jsonResponse(['success' => false, 'error' => 'Not authorized to delete this ticket'], 403);
+            }
+        } else {
+            $comment = $recordModel->find('comments', $commentId);
+            if ($comment === null || (string) $comment['ticketId'] !== (string) $ticketId) {
+                return jsonResponse(['success' => false, 'error' => 'Comment not found'], 404);
+            }
+            if ($current['deletedAt'] !== null || !$permissions->canEdit($user, $current)
+                || (string) $comment['userId'] !== (string) $user['id']) {
+                return jsonResponse(['success' => false, 'error' => 'Not authorized to delete this comment'], 403);
+            }
+        }
+        
+        $recordModel->remove('comments', $ticketId, $commentId);
+        
+        return jsonResponse(['success' => true]);
+    } catch (Exception $e) {
+        return jsonResponse(['success' => false, 'error' => 'Unable to delete comments'], 500);
+    }
+}
+
+/**
+ * Get the public address of the app for links in emails, without a trailing slash
+ * It comes from APP_URL (or the domain Railway assigns) rather than the request's Host header,
+ * which the client controls and could point reset links at another site
+ */
+function appUrl() {
+    if (getenv('APP_URL')) {
+        return rtrim(getenv('APP_URL'), '/');
+    }
+    if (getenv('RAILWAY_PUBLIC_DOMAIN')) {
+        return 'https://' . getenv('RAILWAY_PUBLIC_DOMAIN');
+    }
+    
+    return 'http://localhost:8000';
+}
+
+/**
+ * Decode the JSON request body, returning null when it is not a JSON object
+ */
+function readJsonBody() {
+    $data = json_decode(file_get_contents('php://input'), true);
+    return is_array($data) ? $data : null;
+}
+
+/**
+ * Start the PHP session used by the auth API
+ * The cookie is HttpOnly so scripts cannot read it, and SameSite=Lax keeps it off cross-site POSTs
+ */
+function startAuthSession() {
+    if (session_status() === PHP_SESSION_ACTIVE) {
+        return;
+    }
+    
+    session_set_cookie_params([
+        'lifetime' => 0,
+        'path' => '/',
+        'secure' => !empty($_SERVER['HTTPS']) && $_SERVER['HTTPS'] !== 'off',
+        'httponly' => true,
+        'samesite' => 'Lax'
+    ]);
+    session_start();
+}
+
+/**
+ * Sign a user in, returning the user and session expiry (milliseconds) sent to the client
+ */
+function storeSessionUser($user) {
+    startAuthSession();
+    
+    // A new session id on every sign-in prevents session fixation
+    session_regenerate_id(true);
+    $_SESSION['auth_user'] = $user;
+    $_SESSION['auth_expires_at'] = time() + AUTH_SESSION_LIFETIME;
+    
+    return ['user' => $user, 'expiresAt' => $_SESSION['auth_expires_at'] * 1000];
+}
+
+/**
+ * Get the signed-in user and session expiry, or null when there is no valid session
+ * Sessions slide: every request that finds a valid session extends it by the full lifetime
+ */
+function getSessionUser() {
+    startAuthSession();
+    
+    if (empty($_SESSION['auth_user']) || ($_SESSION['auth_expires_at'] ?? 0) < time()) {
+        unset($_SESSION['auth_user'], $_SESSION['auth_expires_at']);
+        return null;
+    }
+    
+    $_SESSION['auth_expires_at'] = time() + AUTH_SESSION_LIFETIME;
+    
+    return ['user' => $_SESSION['auth_user'], 'expiresAt' => $_SESSION['auth_expires_at'] * 1000];
+}
+
 /**
  * Render a Twig template
  */
@@ -233,6 +1120,28 @@ function renderTemplate($template, $data = []) {
         'debug' => true,
     ]);
     
+    // Ticket storage backend used by the front-end TicketManager (local or http)
+    $twig->addGlobal('ticket_storage', getenv('TICKET_STORAGE') ?: 'indexeddb');
+    
+    // Where AuthManager keeps accounts and sessions: 'local' (browser storage) or 'server' (/api/auth)
+    $twig->addGlobal('auth_mode', getenv('AUTH_MODE') ?: 'local');
+    
+    // Seed the demo accounts listed in AuthManager.DEMO_USERS in the browser's user store
+    $twig->addGlobal('demo_users', filter_var(getenv('DEMO_USERS'), FILTER_VALIDATE_BOOLEAN));
+    
+    // Minutes without activity before the browser signs the user out (0 disables the idle timeout)
+    $idleMinutes = getenv('SESSION_IDLE_MINUTES');
+    $twig->addGlobal('session_idle_minutes', $idleMinutes !== false && is_numeric($idleMinutes) ? (float) $idleMinutes : 30);
+    
+    // Rules for new passwords, shared with the front-end PasswordPolicy (override with PASSWORD_POLICY='{"minLength": 12}')
+    $twig->addGlobal('password_policy', PasswordPolicy::fromEnvironment()->toArray());
+    
+    // Ticket states and transitions, shared with the front-end TicketWorkflow (override with TICKET_WORKFLOW='{"states": [...]}')
+    $twig->addGlobal('ticket_workflow', TicketWorkflow::fromEnvironment()->toArray());
+    
+    // Emails such as password reset links are kept in a local outbox, shown at /dev/outbox when APP_ENV=development
+    $twig->addGlobal('dev_outbox', Outbox::isViewable());
+    
     try {
         echo $twig->render($template, $data);
     } catch (\Twig\Error\LoaderError $e) {
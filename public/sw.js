@@ -0,0 +1,132 @@
+/**
+ * Service Worker
+ * Caches the app shell (pages, CSS and JavaScript) so the app opens without a connection.
+ * API requests are never cached here: ticket changes made offline wait in the TicketOutbox
+ * (see ticket-outbox.js) and HttpTicketAdapter keeps the last tickets it loaded.
+ * Registered from AppIntegration.registerServiceWorker(); bump CACHE_VERSION when assets change.
+ */
+
+const CACHE_VERSION = 'v19';
+const CACHE_NAME = `ticketapp-shell-${CACHE_VERSION}`;
+
+/**
+ * Pages and assets cached on install
+ */
+const APP_SHELL = [
+    '/',
+    '/dashboard',
+    '/tickets/list',
+    '/auth/login',
+    '/assets/css/styles.css',
+    '/assets/css/loading-states.css',
+    '/assets/css/error-boundaries.css',
+    '/assets/css/no-js-fallback.css',
+    '/assets/css/integration-enhancements.css',
+    '/assets/css/footer-unified.css',
+    '/assets/css/dashboard-modern.css',
+    '/assets/css/tickets-modern.css',
+    '/assets/js/feature-detect.js',
+    '/assets/js/password-policy.js',
+    '/assets/js/user-profile.js',
+    '/assets/js/auth.js?v=2',
+    '/assets/js/app-integration.js?v=2',
+    '/assets/js/ticket-storage.js',
+    '/assets/js/ticket-outbox.js',
+    '/assets/js/ticket-workflow.js',
+    '/assets/js/ticket-search.js',
+    '/assets/js/ticket-history.js',
+    '/assets/js/ticket-comments.js',
+    '/assets/js/ticket-import-export.js',
+    '/assets/js/ticket-selection.js',
+    '/assets/js/ticket-permissions.js',
+    '/assets/js/ticket-undo.js',
+    '/assets/js/tickets.js',
+    '/assets/js/ticket-events.js',
+    '/assets/js/ticket-statistics.js',
+    '/assets/js/ticket-board.js',
+    '/assets/js/ticket-page-controller.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop the caches of earlier versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('ticketapp-shell-') && key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.pathname.startsWith('/assets/')) {
+        event.respondWith(staleWhileRevalidate(request, event));
+    }
+});
+
+/**
+ * Serve pages from the network so they stay current, falling back to the cached copy offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true }))
+            || (await cache.match('/'))
+            || new Response('You are offline and this page has not been saved for offline use.', {
+                status: 503,
+                headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+            });
+    }
+}
+
+/**
+ * Serve assets from the cache at once and refresh the cached copy in the background
+ * @param {Request} request - Asset request
+ * @param {FetchEvent} event - Fetch event (kept alive until the refresh is stored)
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+    }
+    return refresh;
+}
@@ -60,6 +60,7 @@ class Database
                 name VARCHAR(255) NOT NULL,
                 email VARCHAR(255) UNIQUE NOT NULL,
                 password VARCHAR(255) NOT NULL,
+                role VARCHAR(20) NOT NULL DEFAULT 'requester',
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )
         ");
@@ -74,6 +75,7 @@ class Database
                 priority VARCHAR(20) DEFAULT 'medium',
                 assigned_to INTEGER,
                 created_by INTEGER,
+                due_date DATE,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (assigned_to) REFERENCES users(id),
@@ -81,10 +83,90 @@ class Database
             )
         ");
 
+        // Password reset tokens (only a hash of each token is stored)
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS password_resets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                expires_at INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        ");
+
+        // Emails the app would send, kept locally instead of being delivered
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS outbox (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                recipient VARCHAR(255) NOT NULL,
+                subject VARCHAR(255) NOT NULL,
+                body TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        ");
+
+        // Failed logins per account (see App\Models\LoginAttempt)
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS login_attempts (
+                identifier VARCHAR(255) PRIMARY KEY,
+                failures INTEGER NOT NULL DEFAULT 0,
+                locked INTEGER NOT NULL DEFAULT 0,
+                retry_at INTEGER,
+                last_failure_at INTEGER NOT NULL
+            )
+        ");
+
+        // Recent ticket changes for the live event stream (see App\Models\TicketEvent)
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS ticket_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type VARCHAR(20) NOT NULL,
+                ticket_id INTEGER NOT NULL,
+                payload TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            )
+        ");
+
+        // History entries and other per-ticket records (see App\Models\TicketRecord)
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS ticket_records (
+                kind VARCHAR(20) NOT NULL,
+                id VARCHAR(64) NOT NULL,
+                ticket_id INTEGER NOT NULL,
+                payload TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (kind, id)
+            )
+        ");
+
+        // Add columns introduced after the initial schema to existing databases
+        $this->addMissingColumn('tickets', 'due_date', 'DATE');
+        $this->addMissingColumn('tickets', 'deleted_at', 'DATETIME');
+        $this->addMissingColumn('tickets', 'deleted_by', 'INTEGER');
+        $this->addMissingColumn('tickets', 'version', 'INTEGER NOT NULL DEFAULT 1');
+        $this->addMissingColumn('users', 'role', "VARCHAR(20) NOT NULL DEFAULT 'requester'");
+        $this->addMissingColumn('users', 'display_name', "VARCHAR(50) NOT NULL DEFAULT ''");
+        $this->addMissingColumn('users', 'timezone', "VARCHAR(64) NOT NULL DEFAULT ''");
+        $this->addMissingColumn('users', 'avatar', "TEXT NOT NULL DEFAULT ''");
+
         // Insert sample data if tables are empty
         $this->insertSampleData();
     }
 
+    private function addMissingColumn($table, $column, $definition)
+    {
+        $columns = $this->pdo->query("PRAGMA table_info($table)")->fetchAll();
+        
+        foreach ($columns as $existing) {
+            if ($existing['name'] === $column) {
+                return;
+            }
+        }
+        
+        $this->pdo->exec("ALTER TABLE $table ADD COLUMN $column $definition");
+    }
+
     private function insertSampleData()
     {
         // Check if users exist
@@ -92,13 +174,13 @@ class Database
         if ($stmt->fetchColumn() == 0) {
             // Insert sample users
             $users = [
-                ['John Doe', 'john@example.com', password_hash('password123', PASSWORD_DEFAULT)],
-                ['Sarah Smith', 'sarah@example.com', password_hash('password123', PASSWORD_DEFAULT)],
-                ['Mike Johnson', 'mike@example.com', password_hash('password123', PASSWORD_DEFAULT)],
-                ['Emily Davis', 'emily@example.com', password_hash('password123', PASSWORD_DEFAULT)]
+                ['John Doe', 'john@example.com', password_hash('password123', PASSWORD_DEFAULT), 'admin'],
+                ['Sarah Smith', 'sarah@example.com', password_hash('password123', PASSWORD_DEFAULT), 'agent'],
+                ['Mike Johnson', 'mike@example.com', password_hash('password123', PASSWORD_DEFAULT), 'agent'],
+                ['Emily Davis', 'emily@example.com', password_hash('password123', PASSWORD_DEFAULT), 'requester']
             ];
 
-            $stmt = $this->pdo->prepare("INSERT INTO users (name, email, password) VALUES (?, ?, ?)");
+            $stmt = $this->pdo->prepare("INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)");
             foreach ($users as $user) {
                 $stmt->execute($user);
             }
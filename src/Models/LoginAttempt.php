@@ -0,0 +1,143 @@
+<?php
+
+namespace App\Models;
+
+use App\Database;
+
+/**
+ * Failed login attempts per account, with the same limits as the front-end LoginThrottle
+ * After FREE_ATTEMPTS failures each attempt has to wait, the wait doubling from BASE_DELAY;
+ * MAX_ATTEMPTS failures lock the login for LOCKOUT_DURATION
+ */
+class LoginAttempt
+{
+    const MAX_ATTEMPTS = 5;
+    const FREE_ATTEMPTS = 1;
+
+    /**
+     * Seconds of the first wait and of a lockout (a quiet LOCKOUT_DURATION also resets the count)
+     */
+    const BASE_DELAY = 1;
+    const LOCKOUT_DURATION = 15 * 60;
+
+    private $db;
+
+    public function __construct()
+    {
+        $this->db = Database::getInstance();
+    }
+
+    /**
+     * Key failed attempts by account when the login matches one, so usernames and emails share a count
+     */
+    public function identify($login, $user = null)
+    {
+        return $user ? 'user:' . $user['id'] : 'login:' . mb_strtolower(trim((string) $login));
+    }
+
+    /**
+     * Get the wait before the next attempt as ['locked' => bool, 'retryAfter' => seconds, 'message' => string],
+     * or null when an attempt may be made now
+     */
+    public function check($identifier)
+    {
+        $entry = $this->find($identifier);
+        $now = time();
+
+        if (!$entry || !$entry['retry_at'] || $entry['retry_at'] <= $now) {
+            return null;
+        }
+
+        $retryAfter = $entry['retry_at'] - $now;
+        $locked = (bool) $entry['locked'];
+
+        return [
+            'locked' => $locked,
+            'retryAfter' => $retryAfter,
+            'message' => $locked
+                ? 'Too many failed login attempts. Try again in ' . self::formatWait($retryAfter)
+                : 'Please wait ' . self::formatWait($retryAfter) . ' before trying again'
+        ];
+    }
+
+    /**
+     * Count a failed attempt, returning ['attemptsLeft', 'locked', 'retryAfter' => seconds, 'message']
+     */
+    public function recordFailure($identifier)
+    {
+        $entry = $this->find($identifier);
+        $now = time();
+
+        $failures = ($entry ? (int) $entry['failures'] : 0) + 1;
+        $locked = $failures >= self::MAX_ATTEMPTS;
+        $retryAfter = $locked ? self::LOCKOUT_DURATION : $this->getDelay($failures);
+
+        $this->db->query(
+            "INSERT OR REPLACE INTO login_attempts (identifier, failures, locked, retry_at, last_failure_at) VALUES (?, ?, ?, ?, ?)",
+            [$identifier, $failures, $locked ? 1 : 0, $retryAfter > 0 ? $now + $retryAfter : null, $now]
+        );
+
+        $attemptsLeft = max(0, self::MAX_ATTEMPTS - $failures);
+        $message = 'Invalid username or password';
+        if ($locked) {
+            $message = 'Too many failed login attempts. Login is locked for ' . self::formatWait($retryAfter);
+        } elseif ($attemptsLeft <= 2) {
+            $message .= ". {$attemptsLeft} " . ($attemptsLeft === 1 ? 'attempt' : 'attempts')
+                . ' left before login is locked for ' . self::formatWait(self::LOCKOUT_DURATION);
+        }
+
+        return ['attemptsLeft' => $attemptsLeft, 'locked' => $locked, 'retryAfter' => $retryAfter, 'message' => $message];
+    }
+
+    /**
+     * Forget the failed attempts of a login after it succeeds
+     * Attempts that no longer count are cleared out at the same time
+     */
+    public function clear($identifier)
+    {
+        $now = time();
+
+        return $this->db->query(
+            "DELETE FROM login_attempts WHERE identifier = ? OR (locked = 1 AND retry_at <= ?) OR (locked = 0 AND last_failure_at < ?)",
+            [$identifier, $now, $now - self::LOCKOUT_DURATION]
+        );
+    }
+
+    private function getDelay($failures)
+    {
+        return $failures > self::FREE_ATTEMPTS ? self::BASE_DELAY * (2 ** ($failures - self::FREE_ATTEMPTS - 1)) : 0;
+    }
+
+    /**
+     * Get the stored attempts, ignoring them once the lockout is over or after a quiet LOCKOUT_DURATION
+     */
+    private function find($identifier)
+    {
+        $entry = $this->db->fetch("SELECT * FROM login_attempts WHERE identifier = ?", [$identifier]);
+        $now = time();
+
+        if (!$entry) {
+            return null;
+        }
+
+        $stale = $entry['locked']
+            ? $entry['retry_at'] <= $now
+            : $entry['last_failure_at'] < $now - self::LOCKOUT_DURATION;
+
+        return $stale ? null : $entry;
+    }
+
+    /**
+     * Format a wait in seconds for messages, e.g. '4 seconds' or '15 minutes'
+     */
+    private static function formatWait($seconds)
+    {
+        $seconds = max(1, (int) ceil($seconds));
+        if ($seconds < 60) {
+            return $seconds . ($seconds === 1 ? ' second' : ' seconds');
+        }
+
+        $minutes = (int) ceil($seconds / 60);
+        return $minutes . ($minutes === 1 ? ' minute' : ' minutes');
+    }
+}
@@ -0,0 +1,64 @@
+<?php
+
+namespace App\Models;
+
+use App\Database;
+
+class PasswordReset
+{
+    /**
+     * Seconds a reset link stays valid (matches AuthManager.resetTokenLifetime)
+     */
+    const LIFETIME = 60 * 60;
+
+    private $db;
+
+    public function __construct()
+    {
+        $this->db = Database::getInstance();
+    }
+
+    /**
+     * Issue a reset token for a user, replacing any earlier ones
+     * Returns the token; only its hash is stored
+     */
+    public function create($userId)
+    {
+        $token = bin2hex(random_bytes(32));
+
+        $this->deleteForUser($userId);
+        $this->db->query(
+            "INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES (?, ?, ?)",
+            [$userId, $this->hash($token), time() + self::LIFETIME]
+        );
+
+        return $token;
+    }
+
+    /**
+     * Get the user a token was issued for, or null when the token is unknown or expired
+     */
+    public function findUserId($token)
+    {
+        $row = $this->db->fetch(
+            "SELECT user_id FROM password_resets WHERE token_hash = ? AND expires_at >= ?",
+            [$this->hash((string) $token), time()]
+        );
+
+        return $row ? $row['user_id'] : null;
+    }
+
+    /**
+     * Invalidate every outstanding token of a user (after a reset or password change)
+     * Expired tokens of other users are cleared out at the same time
+     */
+    public function deleteForUser($userId)
+    {
+        return $this->db->query("DELETE FROM password_resets WHERE user_id = ? OR expires_at < ?", [$userId, time()]);
+    }
+
+    private function hash($token)
+    {
+        return hash('sha256', $token);
+    }
+}
@@ -3,18 +3,44 @@
 namespace App\Models;
 
 use App\Database;
+use App\TicketWorkflow;
 
 class Ticket
 {
+    /**
+     * Database values of the default workflow's states, mapped to the labels used by the front-end
+     * States of a configured workflow beyond these are stored by their label
+     */
+    const STATUS_LABELS = [
+        'open' => 'Open',
+        'in_progress' => 'In Progress',
+        'closed' => 'Closed'
+    ];
+
+    /**
+     * Priority values shared with the front-end
+     */
+    const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
     private $db;
+    private $workflow;
 
-    public function __construct()
+    /**
+     * @param TicketWorkflow|null $workflow Workflow statuses are checked against (default: TICKET_WORKFLOW)
+     */
+    public function __construct($workflow = null)
     {
         $this->db = Database::getInstance();
+        $this->workflow = $workflow ?: TicketWorkflow::fromEnvironment();
     }
 
-    public function getAll()
+    /**
+     * Tickets in the trash (deleted_at set) are only included on request, e.g. for the API
+     */
+    public function getAll($includeDeleted = false)
     {
+        $where = $includeDeleted ? '' : 'WHERE t.deleted_at IS NULL';
+
         return $this->db->fetchAll("
             SELECT t.*, 
                    u1.name as assigned_name,
@@ -22,6 +48,7 @@ class Ticket
             FROM tickets t
             LEFT JOIN users u1 ON t.assigned_to = u1.id
             LEFT JOIN users u2 ON t.created_by = u2.id
+            {$where}
             ORDER BY t.created_at DESC
         ");
     }
@@ -48,29 +75,35 @@ class Ticket
             FROM tickets t
             LEFT JOIN users u1 ON t.assigned_to = u1.id
             LEFT JOIN users u2 ON t.created_by = u2.id
-            WHERE t.status = ?
+            WHERE t.status = ? AND t.deleted_at IS NULL
             ORDER BY t.created_at DESC
         ", [$status]);
     }
 
     public function create($data)
     {
-        $sql = "INSERT INTO tickets (title, description, status, priority, assigned_to, created_by) 
-                VALUES (?, ?, ?, ?, ?, ?)";
+        $sql = "INSERT INTO tickets (title, description, status, priority, assigned_to, created_by, due_date) 
+                VALUES (?, ?, ?, ?, ?, ?, ?)";
         
         $this->db->query($sql, [
             $data['title'],
             $data['description'],
-            $data['status'] ?? 'open',
+            $data['status'] ?? $this->toStatusValue($this->workflow->getInitialState()),
             $data['priority'] ?? 'medium',
             $data['assigned_to'] ?? null,
-            $data['created_by']
+            $data['created_by'] ?? null,
+            $data['due_date'] ?? null
         ]);
 
         return $this->db->lastInsertId();
     }
 
-    public function update($id, $data)
+    /**
+     * Save a ticket, bumping its version
+     * With $expectedVersion the row is only written while it still has that version, so two
+     * requests based on the same copy cannot both succeed; returns false when nothing was written
+     */
+    public function update($id, $data, $expectedVersion = null)
     {
         $sql = "UPDATE tickets SET 
                 title = ?, 
@@ -78,17 +111,30 @@ class Ticket
                 status = ?, 
                 priority = ?, 
                 assigned_to = ?,
+                due_date = ?,
+                deleted_at = ?,
+                deleted_by = ?,
+                version = version + 1,
                 updated_at = CURRENT_TIMESTAMP
                 WHERE id = ?";
-        
-        return $this->db->query($sql, [
+        $params = [
             $data['title'],
             $data['description'],
             $data['status'],
             $data['priority'],
             $data['assigned_to'],
+            $data['due_date'] ?? null,
+            $data['deleted_at'] ?? null,
+            $data['deleted_by'] ?? null,
             $id
-        ]);
+        ];
+
+        if ($expectedVersion !== null) {
+            $sql .= " AND version = ?";
+            $params[] = (int) $expectedVersion;
+        }
+
+        return $this->db->query($sql, $params)->rowCount() > 0;
     }
 
     public function delete($id)
@@ -101,12 +147,13 @@ class Ticket
         $stats = [];
         
         // Total tickets
-        $stats['total'] = $this->db->fetch("SELECT COUNT(*) as count FROM tickets")['count'];
+        $stats['total'] = $this->db->fetch("SELECT COUNT(*) as count FROM tickets WHERE deleted_at IS NULL")['count'];
         
         // By status
         $statusCounts = $this->db->fetchAll("
             SELECT status, COUNT(*) as count 
             FROM tickets 
+            WHERE deleted_at IS NULL
             GROUP BY status
         ");
         
@@ -118,6 +165,7 @@ class Ticket
         $priorityCounts = $this->db->fetchAll("
             SELECT priority, COUNT(*) as count 
             FROM tickets 
+            WHERE deleted_at IS NULL
             GROUP BY priority
         ");
         
@@ -127,4 +175,167 @@ class Ticket
         
         return $stats;
     }
+
+    /**
+     * Convert a database row to the JSON shape used by the front-end TicketManager
+     */
+    public function toApi($ticket)
+    {
+        return [
+            'id' => (string) $ticket['id'],
+            'title' => $ticket['title'],
+            'description' => $ticket['description'] ?? '',
+            'status' => self::STATUS_LABELS[$ticket['status']] ?? $ticket['status'],
+            'priority' => $ticket['priority'],
+            'assignedTo' => $ticket['assigned_to'] !== null ? (string) $ticket['assigned_to'] : null,
+            'assignedName' => $ticket['assigned_name'] ?? null,
+            'assignee' => $ticket['assigned_name'] ?? '',
+            'dueDate' => $ticket['due_date'] ?? null,
+            'userId' => $ticket['created_by'] !== null ? (string) $ticket['created_by'] : null,
+            'createdByName' => $ticket['created_by_name'] ?? null,
+            'createdAt' => $this->toTimestamp($ticket['created_at']),
+            'updatedAt' => $this->toTimestamp($ticket['updated_at']),
+            'deletedAt' => $this->toTimestamp($ticket['deleted_at'] ?? null),
+            'deletedBy' => isset($ticket['deleted_by']) ? (string) $ticket['deleted_by'] : null,
+            'version' => (int) ($ticket['version'] ?? 1)
+        ];
+    }
+
+    /**
+     * Convert front-end ticket fields to database columns
+     * Only fields present in the payload are returned so partial updates can be merged
+     * The creator and deleter are left out: the API routes set them from the signed-in user
+     */
+    public function fromApi($data)
+    {
+        $fields = [];
+
+        if (array_key_exists('title', $data)) {
+            $fields['title'] = trim((string) $data['title']);
+        }
+        if (array_key_exists('description', $data)) {
+            $fields['description'] = trim((string) ($data['description'] ?? ''));
+        }
+        // Statuses outside the workflow are left out (validate() reports them)
+        if (array_key_exists('status', $data) && $this->workflow->isValidState($data['status'])) {
+            $fields['status'] = $this->toStatusValue($data['status']);
+        }
+        if (array_key_exists('priority', $data)) {
+            $fields['priority'] = $data['priority'];
+        }
+        // The editable assignee name wins over the id echoed back from a previous response; a name
+        // that no longer matches a user (accepted by validate() as the current assignee) is left as it is
+        if (array_key_exists('assignee', $data)) {
+            $assignee = trim((string) ($data['assignee'] ?? ''));
+            $assignedTo = $this->resolveAssignee($assignee);
+            if ($assignee === '' || $assignedTo !== null) {
+                $fields['assigned_to'] = $assignedTo;
+            }
+        } elseif (array_key_exists('assignedTo', $data)) {
+            $fields['assigned_to'] = $data['assignedTo'] !== '' ? $data['assignedTo'] : null;
+        }
+        if (array_key_exists('dueDate', $data)) {
+            $fields['due_date'] = !empty($data['dueDate']) ? $data['dueDate'] : null;
+        }
+        // Moving a ticket to the trash and restoring it are updates of deletedAt (a millisecond timestamp or null)
+        if (array_key_exists('deletedAt', $data)) {
+            $fields['deleted_at'] = is_numeric($data['deletedAt'])
+                ? gmdate('Y-m-d H:i:s', (int) floor($data['deletedAt'] / 1000))
+                : null;
+        }
+
+        return $fields;
+    }
+
+    /**
+     * Validate front-end ticket fields, mirroring TicketManager.validateTicketData
+     * With the $current API ticket of an update, a status change must also be a move the workflow allows,
+     * and the current assignee is accepted as it is.
+     * Returns an array of field => message, empty when valid
+     */
+    public function validate($data, $isUpdate = false, $current = null)
+    {
+        $errors = [];
+
+        if (!$isUpdate || array_key_exists('title', $data)) {
+            $title = trim((string) ($data['title'] ?? ''));
+            if ($title === '') {
+                $errors['title'] = 'Title is required';
+            } elseif (mb_strlen($title) > 100) {
+                $errors['title'] = 'Title must be less than 100 characters';
+            }
+        }
+
+        if (!empty($data['status'])) {
+            if (!$this->workflow->isValidState($data['status'])) {
+                $errors['status'] = $this->workflow->getInvalidStateMessage();
+            } elseif ($current !== null && !$this->workflow->canTransition($current['status'], $data['status'])) {
+                $errors['status'] = "Cannot move a ticket from {$current['status']} to {$data['status']}";
+            }
+        }
+
+        if (isset($data['description']) && mb_strlen((string) $data['description']) > 500) {
+            $errors['description'] = 'Description must be less than 500 characters';
+        }
+
+        if (!empty($data['priority']) && !in_array($data['priority'], self::PRIORITIES, true)) {
+            $errors['priority'] = 'Priority must be one of: ' . implode(', ', self::PRIORITIES);
+        }
+
+        if (!empty($data['assignee'])) {
+            if (mb_strlen(trim((string) $data['assignee'])) > 100) {
+                $errors['assignee'] = 'Assignee must be less than 100 characters';
+            } elseif ($this->resolveAssignee($data['assignee']) === null
+                && !($current !== null && mb_strtolower(trim((string) $data['assignee'])) === mb_strtolower(trim((string) $current['assignee'])))) {
+                $errors['assignee'] = 'Assignee must be an existing user name or email';
+            }
+        }
+
+        if (!empty($data['dueDate'])) {
+            $date = \DateTime::createFromFormat('!Y-m-d', (string) $data['dueDate']);
+            if (!$date || $date->format('Y-m-d') !== $data['dueDate']) {
+                $errors['dueDate'] = 'Due date must be a valid date (YYYY-MM-DD)';
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Get the database value of a workflow state
+     */
+    private function toStatusValue($label)
+    {
+        $status = array_search($label, self::STATUS_LABELS, true);
+        return $status !== false ? $status : $label;
+    }
+
+    /**
+     * Look up the user id for an assignee given by username or email, ignoring case as the
+     * front-end TicketValidator does
+     * Returns null for an empty or unknown assignee
+     */
+    private function resolveAssignee($assignee)
+    {
+        $assignee = mb_strtolower(trim((string) $assignee));
+        if ($assignee === '') {
+            return null;
+        }
+
+        $user = $this->db->fetch("SELECT id FROM users WHERE LOWER(email) = ? OR LOWER(name) = ? LIMIT 1", [$assignee, $assignee]);
+        return $user ? $user['id'] : null;
+    }
+
+    /**
+     * Convert a SQLite UTC datetime to a millisecond timestamp
+     */
+    private function toTimestamp($datetime)
+    {
+        if (!$datetime) {
+            return null;
+        }
+
+        $time = strtotime($datetime . ' UTC');
+        return $time !== false ? $time * 1000 : null;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,90 @@
+<?php
+
+namespace App\Models;
+
+use App\Database;
+
+/**
+ * Log of ticket changes read by the /api/tickets/events stream, so every open browser hears about them
+ * Events are numbered in order, which lets a reconnecting stream carry on from the Last-Event-ID it saw
+ */
+class TicketEvent
+{
+    /**
+     * Seconds an event is kept; a stream reconnecting after a longer break misses the older ones
+     */
+    const RETENTION = 24 * 60 * 60;
+
+    private $db;
+
+    public function __construct()
+    {
+        $this->db = Database::getInstance();
+    }
+
+    /**
+     * Record a change to an API ticket (see Ticket::toApi); $purged marks a ticket removed for good
+     * A failure is logged rather than thrown, since the change itself has already been saved
+     */
+    public function record($type, $ticket, $purged = false)
+    {
+        try {
+            $now = time();
+            $payload = json_encode(['ticket' => $ticket, 'purged' => (bool) $purged]);
+
+            $this->db->query(
+                "INSERT INTO ticket_events (type, ticket_id, payload, created_at) VALUES (?, ?, ?, ?)",
+                [$type, (int) $ticket['id'], $payload, $now]
+            );
+            $this->db->query("DELETE FROM ticket_events WHERE created_at < ?", [$now - self::RETENTION]);
+        } catch (\Exception $e) {
+            error_log('Unable to record ticket event: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Get the events after $lastId, oldest first, as ['id', 'type', 'ticket', 'purged']
+     */
+    public function since($lastId, $limit = 100)
+    {
+        $rows = $this->db->fetchAll(
+            "SELECT id, type, payload FROM ticket_events WHERE id > ? ORDER BY id LIMIT " . (int) $limit,
+            [(int) $lastId]
+        );
+
+        return array_map(function ($row) {
+            $payload = json_decode($row['payload'], true);
+            return [
+                'id' => (int) $row['id'],
+                'type' => $row['type'],
+                'ticket' => $payload['ticket'] ?? null,
+                'purged' => (bool) ($payload['purged'] ?? false)
+            ];
+        }, $rows);
+    }
+
+    /**
+     * Get the last API ticket recorded for a ticket removed for good, or null when the latest event
+     * about the ticket was not its removal (or is no longer kept)
+     */
+    public function removedTicket($ticketId)
+    {
+        $row = $this->db->fetch(
+            "SELECT payload FROM ticket_events WHERE ticket_id = ? ORDER BY id DESC LIMIT 1",
+            [(int) $ticketId]
+        );
+        $payload = $row ? json_decode($row['payload'], true) : null;
+
+        return $payload && !empty($payload['purged']) ? $payload['ticket'] : null;
+    }
+
+    /**
+     * Get the id of the newest event, so a new stream only sends changes made after it opened
+     */
+    public function latestId()
+    {
+        $row = $this->db->fetch("SELECT MAX(id) AS id FROM ticket_events");
+
+        return $row && $row['id'] !== null ? (int) $row['id'] : 0;
+    }
+}
@@ -0,0 +1,95 @@
+<?php
+
+namespace App\Models;
+
+use App\Database;
+
+/**
+ * Records kept per ticket by the front-end storage adapters: history entries and comments
+ * Each record is stored as the JSON the client sent, under its kind and id; a ticket keeps the
+ * newest KINDS[$kind] records of a kind (0 keeps them all)
+ */
+class TicketRecord
+{
+    const KINDS = [
+        'history' => 200,
+        'comments' => 0
+    ];
+
+    private $db;
+
+    public function __construct()
+    {
+        $this->db = Database::getInstance();
+    }
+
+    /**
+     * Get every record of a kind as [ticketId => [record, ...]], oldest first
+     */
+    public function allGrouped($kind)
+    {
+        $rows = $this->db->fetchAll(
+            "SELECT ticket_id, payload FROM ticket_records WHERE kind = ? ORDER BY rowid",
+            [$kind]
+        );
+
+        $grouped = [];
+        foreach ($rows as $row) {
+            $grouped[(string) $row['ticket_id']][] = json_decode($row['payload'], true);
+        }
+        return $grouped;
+    }
+
+    public function find($kind, $id)
+    {
+        $row = $this->db->fetch("SELECT payload FROM ticket_records WHERE kind = ? AND id = ?", [$kind, $id]);
+
+        return $row ? json_decode($row['payload'], true) : null;
+    }
+
+    /**
+     * Insert a record or replace the stored one with the same id, keeping its place in the order
+     */
+    public function save($kind, $ticketId, $record)
+    {
+        $payload = json_encode($record);
+
+        if ($this->find($kind, $record['id']) !== null) {
+            $this->db->query(
+                "UPDATE ticket_records SET ticket_id = ?, payload = ? WHERE kind = ? AND id = ?",
+                [(int) $ticketId, $payload, $kind, $record['id']]
+            );
+        } else {
+            $this->db->query(
+                "INSERT INTO ticket_records (kind, id, ticket_id, payload) VALUES (?, ?, ?, ?)",
+                [$kind, $record['id'], (int) $ticketId, $payload]
+            );
+        }
+
+        $limit = self::KINDS[$kind] ?? 0;
+        if ($limit > 0) {
+            $this->db->query("
+                DELETE FROM ticket_records WHERE kind = ? AND ticket_id = ? AND rowid NOT IN (
+                    SELECT rowid FROM ticket_records WHERE kind = ? AND ticket_id = ? ORDER BY rowid DESC LIMIT " . (int) $limit . "
+                )
+            ", [$kind, (int) $ticketId, $kind, (int) $ticketId]);
+        }
+
+        return $record;
+    }
+
+    /**
+     * Remove one record of a ticket, or all of the ticket's records of a kind when $id is null
+     */
+    public function remove($kind, $ticketId, $id = null)
+    {
+        if ($id === null) {
+            return $this->db->query("DELETE FROM ticket_records WHERE kind = ? AND ticket_id = ?", [$kind, (int) $ticketId]);
+        }
+
+        return $this->db->query(
+            "DELETE FROM ticket_records WHERE kind = ? AND ticket_id = ? AND id = ?",
+            [$kind, (int) $ticketId, $id]
+        );
+    }
+}
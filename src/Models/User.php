@@ -3,9 +3,30 @@
 namespace App\Models;
 
 use App\Database;
+use App\PasswordPolicy;
 
 class User
 {
+    /**
+     * Roles understood by the front-end TicketPermissions
+     */
+    const ROLES = ['admin', 'agent', 'requester'];
+
+    /**
+     * Role given to new accounts
+     */
+    const DEFAULT_ROLE = 'requester';
+
+    /**
+     * Longest avatar data URL accepted (matches the front-end UserProfile.MAX_AVATAR_LENGTH)
+     */
+    const MAX_AVATAR_LENGTH = 100000;
+
+    /**
+     * Columns returned for users (everything but the password hash)
+     */
+    const PUBLIC_COLUMNS = 'id, name, email, role, display_name, timezone, avatar, created_at';
+
     private $db;
 
     public function __construct()
@@ -15,17 +36,31 @@ class User
 
     public function getAll()
     {
-        return $this->db->fetchAll("SELECT id, name, email, created_at FROM users ORDER BY name");
+        return $this->db->fetchAll("SELECT " . self::PUBLIC_COLUMNS . " FROM users ORDER BY name");
     }
 
     public function getById($id)
     {
-        return $this->db->fetch("SELECT id, name, email, created_at FROM users WHERE id = ?", [$id]);
+        return $this->db->fetch("SELECT " . self::PUBLIC_COLUMNS . " FROM users WHERE id = ?", [$id]);
     }
 
     public function getByEmail($email)
     {
-        return $this->db->fetch("SELECT * FROM users WHERE email = ?", [$email]);
+        return $this->db->fetch("SELECT * FROM users WHERE email = ? COLLATE NOCASE", [trim((string) $email)]);
+    }
+
+    public function getByName($name)
+    {
+        return $this->db->fetch("SELECT * FROM users WHERE name = ? COLLATE NOCASE", [trim((string) $name)]);
+    }
+
+    /**
+     * Look up a user by email address or, when the login has no @, by name
+     * Returns the full row including the password hash
+     */
+    public function getByLogin($login)
+    {
+        return strpos((string) $login, '@') !== false ? $this->getByEmail($login) : $this->getByName($login);
     }
 
     public function create($data)
@@ -41,9 +76,9 @@ class User
         return $this->db->lastInsertId();
     }
 
-    public function authenticate($email, $password)
+    public function authenticate($login, $password)
     {
-        $user = $this->getByEmail($email);
+        $user = $this->getByLogin($login);
         
         if ($user && password_verify($password, $user['password'])) {
             // Remove password from returned data
@@ -65,8 +100,144 @@ class User
         ]);
     }
 
+    /**
+     * Save a user's display name, email, time zone and avatar (checked with validateProfile first)
+     */
+    public function updateProfile($id, $data)
+    {
+        return $this->db->query(
+            "UPDATE users SET display_name = ?, email = ?, timezone = ?, avatar = ? WHERE id = ?",
+            [
+                trim((string) ($data['displayName'] ?? '')),
+                strtolower(trim((string) $data['email'])),
+                (string) ($data['timezone'] ?? ''),
+                (string) ($data['avatar'] ?? ''),
+                $id
+            ]
+        );
+    }
+
+    public function setPassword($id, $password)
+    {
+        return $this->db->query("UPDATE users SET password = ? WHERE id = ?", [password_hash($password, PASSWORD_DEFAULT), $id]);
+    }
+
+    public function verifyPassword($id, $password)
+    {
+        $user = $this->db->fetch("SELECT password FROM users WHERE id = ?", [$id]);
+        
+        return $user && password_verify((string) $password, $user['password']);
+    }
+
+    public function setRole($id, $role)
+    {
+        if (!in_array($role, self::ROLES, true)) {
+            throw new \InvalidArgumentException('Role must be one of: ' . implode(', ', self::ROLES));
+        }
+
+        return $this->db->query("UPDATE users SET role = ? WHERE id = ?", [$role, $id]);
+    }
+
     public function delete($id)
     {
         return $this->db->query("DELETE FROM users WHERE id = ?", [$id]);
     }
-}
\ No newline at end of file
+
+    /**
+     * Validate signup fields, mirroring AuthFormValidator.validateSignupForm
+     * Returns an array of field => message, empty when valid
+     */
+    public function validate($data)
+    {
+        $errors = [];
+
+        $username = trim((string) ($data['username'] ?? ''));
+        if ($username === '') {
+            $errors['username'] = 'Username is required';
+        } elseif (mb_strlen($username) < 3) {
+            $errors['username'] = 'Username must be at least 3 characters long';
+        } elseif (mb_strlen($username) > 20) {
+            $errors['username'] = 'Username must be less than 20 characters';
+        } elseif (!preg_match('/^[a-zA-Z0-9_]+$/', $username)) {
+            $errors['username'] = 'Username can only contain letters, numbers, and underscores';
+        }
+
+        $email = trim((string) ($data['email'] ?? ''));
+        if ($email === '') {
+            $errors['email'] = 'Email is required';
+        } elseif (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
+            $errors['email'] = 'Please enter a valid email address';
+        }
+
+        $passwordError = $this->validatePassword($data['password'] ?? '', $username, $email);
+        if ($passwordError !== null) {
+            $errors['password'] = $passwordError;
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Validate profile fields, mirroring AuthFormValidator.validateProfileForm
+     * Returns an array of field => message, empty when valid
+     */
+    public function validateProfile($data, $id)
+    {
+        $errors = [];
+
+        if (mb_strlen(trim((string) ($data['displayName'] ?? ''))) > 50) {
+            $errors['displayName'] = 'Display name must be 50 characters or less';
+        }
+
+        $email = trim((string) ($data['email'] ?? ''));
+        $owner = $email !== '' ? $this->getByEmail($email) : null;
+        if ($email === '') {
+            $errors['email'] = 'Email is required';
+        } elseif (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
+            $errors['email'] = 'Please enter a valid email address';
+        } elseif ($owner && (string) $owner['id'] !== (string) $id) {
+            $errors['email'] = 'An account with this email already exists';
+        }
+
+        $timezone = (string) ($data['timezone'] ?? '');
+        if ($timezone !== '' && !in_array($timezone, \DateTimeZone::listIdentifiers(), true)) {
+            $errors['timezone'] = 'Please choose a time zone from the list';
+        }
+
+        $avatar = (string) ($data['avatar'] ?? '');
+        if ($avatar !== '' && !preg_match('#^data:image/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+=*$#', $avatar)) {
+            $errors['avatar'] = 'Avatar must be a PNG, JPEG, GIF or WebP image';
+        } elseif (strlen($avatar) > self::MAX_AVATAR_LENGTH) {
+            $errors['avatar'] = 'Avatar image is too large';
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Check a new password against the configured PasswordPolicy (as AuthFormValidator.validatePassword does)
+     * Returns the first rule it breaks, or null when the password is acceptable
+     */
+    public function validatePassword($password, $username = '', $email = '')
+    {
+        $errors = PasswordPolicy::fromEnvironment()->validate($password, $username, $email);
+        
+        return $errors[0] ?? null;
+    }
+
+    /**
+     * Convert a database row to the user shape used by the front-end AuthManager
+     */
+    public function toApi($user)
+    {
+        return [
+            'id' => (string) $user['id'],
+            'username' => $user['name'],
+            'email' => $user['email'],
+            'role' => $user['role'] ?? self::DEFAULT_ROLE,
+            'displayName' => $user['display_name'] ?? '',
+            'timezone' => $user['timezone'] ?? '',
+            'avatar' => $user['avatar'] ?? ''
+        ];
+    }
+}
@@ -0,0 +1,43 @@
+<?php
+
+namespace App;
+
+/**
+ * Stores outgoing emails in the database instead of sending them
+ * In development the messages can be read at /dev/outbox
+ */
+class Outbox
+{
+    private $db;
+
+    public function __construct()
+    {
+        $this->db = Database::getInstance();
+    }
+
+    /**
+     * Check whether the outbox may be shown (APP_ENV=development)
+     */
+    public static function isViewable()
+    {
+        return getenv('APP_ENV') === 'development';
+    }
+
+    public function send($recipient, $subject, $body)
+    {
+        $this->db->query(
+            "INSERT INTO outbox (recipient, subject, body) VALUES (?, ?, ?)",
+            [$recipient, $subject, $body]
+        );
+
+        return $this->db->lastInsertId();
+    }
+
+    /**
+     * Get the most recent messages, newest first
+     */
+    public function getAll($limit = 50)
+    {
+        return $this->db->fetchAll("SELECT * FROM outbox ORDER BY id DESC LIMIT " . (int) $limit);
+    }
+}
@@ -0,0 +1,134 @@
+<?php
+
+namespace App;
+
+/**
+ * Rules for new passwords, mirroring the front-end PasswordPolicy
+ * The defaults can be overridden with a JSON object in PASSWORD_POLICY, e.g. {"minLength": 12}
+ */
+class PasswordPolicy
+{
+    const DEFAULTS = [
+        'minLength' => 8,
+        'maxLength' => 64,
+        'minCharacterClasses' => 2,
+        'bannedPasswords' => [
+            '123456', '1234567', '12345678', '123456789', '1234567890', '12345678910', '111111', '000000',
+            '123123', '654321', '666666', '121212', '112233', '987654321', 'qwerty', 'qwerty123', 'qwertyuiop',
+            '1q2w3e4r', '1qaz2wsx', 'asdfgh', 'asdfghjkl', 'zxcvbnm', 'abc123', 'abcd1234', 'password',
+            'password1', 'password12', 'password123', 'passw0rd', 'p@ssw0rd', 'letmein', 'letmein1', 'welcome',
+            'welcome1', 'welcome123', 'admin', 'admin123', 'administrator', 'root', 'login', 'iloveyou',
+            'monkey', 'dragon', 'football', 'baseball', 'sunshine', 'princess', 'starwars', 'whatever',
+            'trustno1', 'master', 'shadow', 'superman', 'secret', 'secret123', 'changeme', 'test1234'
+        ],
+        'disallowPersonalInfo' => true
+    ];
+
+    const CHARACTER_CLASSES = [
+        'lowercase letters' => '/[a-z]/',
+        'uppercase letters' => '/[A-Z]/',
+        'numbers' => '/[0-9]/',
+        'symbols' => '/[^A-Za-z0-9]/'
+    ];
+
+    private $settings;
+
+    public function __construct($overrides = [])
+    {
+        $settings = array_merge(self::DEFAULTS, is_array($overrides) ? $overrides : []);
+
+        $settings['minLength'] = max(1, (int) $settings['minLength']);
+        $settings['maxLength'] = max($settings['minLength'], (int) $settings['maxLength']);
+        $settings['minCharacterClasses'] = min(4, max(0, (int) $settings['minCharacterClasses']));
+        $settings['bannedPasswords'] = array_values(array_unique(array_map(
+            fn($password) => mb_strtolower((string) $password),
+            (array) $settings['bannedPasswords']
+        )));
+        $settings['disallowPersonalInfo'] = $settings['disallowPersonalInfo'] !== false;
+
+        $this->settings = $settings;
+    }
+
+    /**
+     * Create the policy configured by the PASSWORD_POLICY environment variable
+     */
+    public static function fromEnvironment()
+    {
+        $overrides = json_decode((string) getenv('PASSWORD_POLICY'), true);
+
+        return new self(is_array($overrides) ? $overrides : []);
+    }
+
+    /**
+     * Check a new password, returning every rule it breaks (empty when acceptable)
+     * The messages match the front-end PasswordPolicy.validate
+     */
+    public function validate($password, $username = '', $email = '')
+    {
+        $password = (string) $password;
+        $settings = $this->settings;
+        $errors = [];
+
+        if ($password === '') {
+            return ['Password is required'];
+        }
+
+        $length = mb_strlen($password);
+        if ($length < $settings['minLength']) {
+            $errors[] = "Password must be at least {$settings['minLength']} characters long";
+        } elseif ($length > $settings['maxLength']) {
+            $errors[] = "Password must be at most {$settings['maxLength']} characters long";
+        }
+
+        if ($this->countCharacterClasses($password) < $settings['minCharacterClasses']) {
+            $errors[] = "Password must include at least {$settings['minCharacterClasses']} of: " . implode(', ', array_keys(self::CHARACTER_CLASSES));
+        }
+
+        if (in_array(mb_strtolower($password), $settings['bannedPasswords'], true)) {
+            $errors[] = 'This password is too common. Please choose a less guessable one';
+        }
+
+        if ($settings['disallowPersonalInfo'] && $this->containsPersonalInfo($password, $username, $email)) {
+            $errors[] = 'Password must not contain your username or email';
+        }
+
+        return $errors;
+    }
+
+    public function countCharacterClasses($password)
+    {
+        $count = 0;
+        foreach (self::CHARACTER_CLASSES as $pattern) {
+            if (preg_match($pattern, $password)) {
+                $count++;
+            }
+        }
+
+        return $count;
+    }
+
+    /**
+     * Check for the username or the name part of the email (parts shorter than 3 characters are ignored)
+     */
+    public function containsPersonalInfo($password, $username = '', $email = '')
+    {
+        $lowered = mb_strtolower($password);
+        $parts = [trim((string) $username), trim(explode('@', (string) $email)[0])];
+
+        foreach ($parts as $part) {
+            if (mb_strlen($part) >= 3 && mb_strpos($lowered, mb_strtolower($part)) !== false) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Settings in the shape read by the front-end PasswordPolicy
+     */
+    public function toArray()
+    {
+        return $this->settings;
+    }
+}
@@ -22,6 +22,20 @@ class Router {
         $this->routes['POST'][$path] = $callback;
     }
     
+    /**
+     * Add a PUT route
+     */
+    public function put($path, $callback) {
+        $this->routes['PUT'][$path] = $callback;
+    }
+    
+    /**
+     * Add a DELETE route
+     */
+    public function delete($path, $callback) {
+        $this->routes['DELETE'][$path] = $callback;
+    }
+    
     /**
      * Handle the incoming request
      */
@@ -34,6 +48,7 @@ class Router {
             $path = rtrim($path, '/');
         }
         
+        // Exact matches take precedence over parameterised routes
         if (isset($this->routes[$method][$path])) {
             $callback = $this->routes[$method][$path];
             
@@ -42,8 +57,45 @@ class Router {
             }
         }
         
-        // 404 Not Found
+        // Parameterised routes such as /api/tickets/{id}
+        foreach ($this->routes[$method] ?? [] as $route => $callback) {
+            $params = $this->matchRoute($route, $path);
+            
+            if ($params !== null && is_callable($callback)) {
+                return call_user_func_array($callback, $params);
+            }
+        }
+        
+        // 404 Not Found, as JSON for API paths so clients can parse it like any other API error
         http_response_code(404);
+        if ($path === '/api' || strpos($path, '/api/') === 0) {
+            header('Content-Type: application/json');
+            echo json_encode(['error' => 'Not found']);
+            return;
+        }
         echo "404 - Page Not Found";
     }
+    
+    /**
+     * Match a route pattern containing {name} placeholders against a path
+     * Returns the decoded placeholder values in order, or null when the route does not match
+     */
+    private function matchRoute($route, $path) {
+        if (strpos($route, '{') === false) {
+            return null;
+        }
+        
+        // Placeholders become capture groups; everything between them is matched literally
+        $parts = preg_split('#(\{[a-zA-Z_][a-zA-Z0-9_]*\})#', $route, -1, PREG_SPLIT_DELIM_CAPTURE);
+        $pattern = '';
+        foreach ($parts as $index => $part) {
+            $pattern .= $index % 2 === 1 ? '([^/]+)' : preg_quote($part, '#');
+        }
+        
+        if (!preg_match('#^' . $pattern . '$#', $path, $matches)) {
+            return null;
+        }
+        
+        return array_map('rawurldecode', array_slice($matches, 1));
+    }
 }
\ No newline at end of file
@@ -0,0 +1,95 @@
+<?php
+
+namespace App;
+
+/**
+ * Role-based access rules for tickets, mirroring the front-end TicketPermissions
+ * Users and tickets are in the API shape (see User::toApi and Ticket::toApi). Every user may edit and
+ * delete the tickets they created and edit the tickets assigned to them; beyond that the user's role
+ * grants view-all, edit-any, delete-any and assign.
+ */
+class TicketPermissions
+{
+    const ROLES = [
+        'admin' => ['view-all', 'edit-any', 'delete-any', 'assign'],
+        'agent' => ['view-all', 'edit-any', 'assign'],
+        'requester' => []
+    ];
+
+    /**
+     * Role used for users without a (known) role
+     */
+    const DEFAULT_ROLE = 'requester';
+
+    /**
+     * Check whether a user's role grants a permission
+     */
+    public function can($user, $permission)
+    {
+        if (!$user) {
+            return false;
+        }
+
+        $role = isset(self::ROLES[$user['role'] ?? '']) ? $user['role'] : self::DEFAULT_ROLE;
+        return in_array($permission, self::ROLES[$role], true);
+    }
+
+    public function isOwner($user, $ticket)
+    {
+        return $user && $ticket && $ticket['userId'] !== null && (string) $ticket['userId'] === (string) $user['id'];
+    }
+
+    /**
+     * Assignees are matched by user name or email, ignoring case
+     */
+    public function isAssignee($user, $ticket)
+    {
+        if (!$user || !$ticket) {
+            return false;
+        }
+
+        $assignee = mb_strtolower(trim((string) ($ticket['assignee'] ?? '')));
+        if ($assignee === '') {
+            return false;
+        }
+
+        foreach ([$user['username'] ?? '', $user['email'] ?? ''] as $value) {
+            if ($value !== '' && mb_strtolower($value) === $assignee) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    public function canView($user, $ticket)
+    {
+        return $this->isOwner($user, $ticket) || $this->isAssignee($user, $ticket) || $this->can($user, 'view-all');
+    }
+
+    /**
+     * Whether the API may send a ticket to a user: one they can view, and when it is in the trash,
+     * one they may delete (and so restore or remove for good)
+     */
+    public function canRead($user, $ticket)
+    {
+        if (!$this->canView($user, $ticket)) {
+            return false;
+        }
+        return empty($ticket['deletedAt']) || $this->canDelete($user, $ticket);
+    }
+
+    public function canEdit($user, $ticket)
+    {
+        return $this->isOwner($user, $ticket) || $this->isAssignee($user, $ticket) || $this->can($user, 'edit-any');
+    }
+
+    public function canDelete($user, $ticket)
+    {
+        return $this->isOwner($user, $ticket) || $this->can($user, 'delete-any');
+    }
+
+    public function canAssign($user)
+    {
+        return $this->can($user, 'assign');
+    }
+}
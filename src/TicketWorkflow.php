@@ -0,0 +1,132 @@
+<?php
+
+namespace App;
+
+/**
+ * Ticket states and the moves allowed between them, mirroring the front-end TicketWorkflow
+ * The default can be replaced with a JSON definition in TICKET_WORKFLOW, in the shape of
+ * DEFAULT_DEFINITION; pages hand the same definition to the browser (see base.twig)
+ */
+class TicketWorkflow
+{
+    const DEFAULT_DEFINITION = [
+        'initialState' => 'Open',
+        'states' => [
+            ['name' => 'Open', 'key' => 'open', 'color' => 'green', 'terminal' => false],
+            ['name' => 'In Progress', 'key' => 'inProgress', 'color' => 'amber', 'terminal' => false],
+            ['name' => 'Closed', 'key' => 'closed', 'color' => 'gray', 'terminal' => true]
+        ],
+        'transitions' => [
+            'Open' => ['In Progress', 'Closed'],
+            'In Progress' => ['Open', 'Closed'],
+            'Closed' => ['Open', 'In Progress']
+        ]
+    ];
+
+    private $definition;
+
+    /**
+     * Throws InvalidArgumentException for a definition the front-end would reject, with its message
+     */
+    public function __construct($definition = self::DEFAULT_DEFINITION)
+    {
+        $states = isset($definition['states']) && is_array($definition['states']) ? array_values($definition['states']) : [];
+        if (empty($states)) {
+            throw new \InvalidArgumentException('Workflow must define at least one state');
+        }
+
+        $names = [];
+        foreach ($states as $state) {
+            if (!is_array($state) || !isset($state['name']) || !is_string($state['name'])) {
+                throw new \InvalidArgumentException('Workflow states must have a name');
+            }
+            $names[] = $state['name'];
+        }
+        if (count(array_unique($names)) !== count($names)) {
+            throw new \InvalidArgumentException('Workflow state names must be unique');
+        }
+
+        $initialState = $definition['initialState'] ?? $names[0];
+        if (!in_array($initialState, $names, true)) {
+            throw new \InvalidArgumentException("Unknown initial workflow state: $initialState");
+        }
+
+        $transitions = [];
+        foreach ($names as $name) {
+            $targets = isset($definition['transitions'][$name]) && is_array($definition['transitions'][$name])
+                ? array_values($definition['transitions'][$name])
+                : [];
+            foreach ($targets as $target) {
+                if (!in_array($target, $names, true)) {
+                    throw new \InvalidArgumentException("Unknown workflow state in transition $name -> $target");
+                }
+            }
+            $transitions[$name] = $targets;
+        }
+
+        $this->definition = [
+            'initialState' => $initialState,
+            'states' => $states,
+            'transitions' => $transitions
+        ];
+    }
+
+    /**
+     * Create the workflow configured by the TICKET_WORKFLOW environment variable
+     * An invalid definition is logged and the default used, as the front-end does
+     */
+    public static function fromEnvironment()
+    {
+        $definition = json_decode((string) getenv('TICKET_WORKFLOW'), true);
+        if (!is_array($definition)) {
+            return new self();
+        }
+
+        try {
+            return new self($definition);
+        } catch (\InvalidArgumentException $e) {
+            error_log('Invalid TICKET_WORKFLOW: ' . $e->getMessage());
+            return new self();
+        }
+    }
+
+    public function getStateNames()
+    {
+        return array_column($this->definition['states'], 'name');
+    }
+
+    public function getInitialState()
+    {
+        return $this->definition['initialState'];
+    }
+
+    public function isValidState($name)
+    {
+        return in_array($name, $this->getStateNames(), true);
+    }
+
+    /**
+     * Check whether a ticket may move between two states (staying put is always allowed)
+     */
+    public function canTransition($from, $to)
+    {
+        if ($from === $to) {
+            return $this->isValidState($to);
+        }
+
+        return in_array($to, $this->definition['transitions'][$from] ?? [], true);
+    }
+
+    /**
+     * The validation message listing every state, as TicketWorkflow.getInvalidStateMessage builds it
+     */
+    public function getInvalidStateMessage()
+    {
+        return 'Status must be one of: ' . implode(', ', $this->getStateNames());
+    }
+
+    public function toArray()
+    {
+        return $this->definition;
+    }
+}
@@ -0,0 +1,545 @@
+/**
+ * Node.js test runner for AuthManager sessions
+ * Covers server mode against a fake /api/auth endpoint: signup, login, logout and session sync,
+ * plus sliding expiry, the idle timeout and cross-tab updates through SessionMonitor
+ * Run with: node tests/auth-manager.test.js
+ */
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' },
+    addEventListener() {},
+    removeEventListener() {}
+};
+
+global.document = {
+    addEventListener() {},
+    removeEventListener() {}
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+
+// Load the module
+const fs = require('fs');
+const path = require('path');
+
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const { UserRegistry, AuthManager, SessionMonitor } = new Function(authModuleCode + '; return { UserRegistry, AuthManager, SessionMonitor };')();
+
+/**
+ * In-memory stand-in for the PHP /api/auth routes
+ * The session cookie is modelled as a flag, since the browser (not AuthManager) would send it
+ */
+function createFakeAuthServer() {
+    const state = {
+        users: [{ id: '1', username: 'john', email: 'john@example.com', password: 'password123' }],
+        sessionUserId: null,
+        online: true,
+        lockout: null,
+        requests: []
+    };
+
+    const toApi = (user) => ({ id: user.id, username: user.username, email: user.email });
+    const respond = (status, data) => Promise.resolve({
+        ok: status >= 200 && status < 300,
+        status: status,
+        text: () => Promise.resolve(JSON.stringify(data))
+    });
+    const signIn = (user) => {
+        state.sessionUserId = user.id;
+        return { success: true, user: toApi(user), expiresAt: Date.now() + 60000 };
+    };
+
+    const fetch = (url, options) => {
+        if (!state.online) {
+            return Promise.reject(new TypeError('fetch failed'));
+        }
+
+        const body = options.body ? JSON.parse(options.body) : null;
+        const route = `${options.method} ${url}`;
+        state.requests.push({ route, body, credentials: options.credentials });
+
+        switch (route) {
+            case 'POST /api/auth/login': {
+                if (state.lockout) {
+                    return respond(429, { success: false, error: 'Too many failed login attempts. Try again in 15 minutes', locked: true, retryAfter: state.lockout });
+                }
+                const login = body.username.toLowerCase();
+                const user = state.users.find(item => (item.email === login || item.username === login) && item.password === body.password);
+                return user ? respond(200, signIn(user)) : respond(401, { success: false, error: 'Invalid username or password' });
+            }
+            case 'POST /api/auth/signup': {
+                if (state.users.some(item => item.email === body.email.toLowerCase())) {
+                    const errors = { email: 'An account with this email already exists' };
+                    return respond(409, { success: false, errors, error: errors.email });
+                }
+                const user = { id: String(state.users.length + 1), ...body, email: body.email.toLowerCase() };
+                state.users.push(user);
+                return respond(201, signIn(user));
+            }
+            case 'POST /api/auth/logout':
+                state.sessionUserId = null;
+                return respond(200, { success: true });
+            case 'POST /api/auth/password': {
+                const user = state.users.find(item => item.id === state.sessionUserId);
+                if (!user) {
+                    return respond(401, { success: false, error: 'Not authenticated' });
+                }
+                if (user.password !== body.currentPassword) {
+                    const errors = { currentPassword: 'Current password is incorrect' };
+                    return respond(422, { success: false, errors, error: errors.currentPassword });
+                }
+                user.password = body.newPassword;
+                return respond(200, { success: true, message: 'Your password has been changed' });
+            }
+            case 'GET /api/auth/me': {
+                const user = state.users.find(item => item.id === state.sessionUserId);
+                return user
+                    ? respond(200, { success: true, user: toApi(user), expiresAt: Date.now() + 60000 })
+                    : respond(401, { success: false, error: 'Not authenticated' });
+            }
+            default:
+                return respond(404, { error: 'Not found' });
+        }
+    };
+
+    return { state, fetch };
+}
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const testRunner = new TestRunner();
+const describe = testRunner.describe.bind(testRunner);
+const it = testRunner.it.bind(testRunner);
+const expect = testRunner.expect.bind(testRunner);
+
+// Log a user in so TicketManager operations are authorized
+async function loginTestUser() {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.dispatchedEvents = [];
+    const authManager = new AuthManager({ demoUsers: true });
+    await authManager.login({ username: 'demo', password: 'password' });
+    return authManager.getCurrentUser();
+}
+
+async function createManager() {
+    const user = await loginTestUser();
+    const manager = new TicketManager({ storage: 'memory' });
+    return { manager, user };
+}
+
+async function runTests() {
+    const testRunner = new TestRunner();
+    const describe = testRunner.describe.bind(testRunner);
+    const it = testRunner.it.bind(testRunner);
+    const expect = testRunner.expect.bind(testRunner);
+
+    function createServerAuth() {
+        localStorage.clear();
+        const server = createFakeAuthServer();
+        const authManager = new AuthManager({ mode: 'server', fetch: server.fetch });
+        return { server, authManager };
+    }
+
+    await describe('AuthManager - Mode', async () => {
+        await it('should default to local mode without a page configuration', async () => {
+            expect(new AuthManager().mode).toBe('local');
+            expect(AuthManager.getConfiguredMode()).toBe('local');
+        });
+    });
+
+    await describe('AuthManager - Server mode', async () => {
+        await it('should log in through the API and mirror the session', async () => {
+            const { server, authManager } = createServerAuth();
+
+            const result = await authManager.login({ username: 'john@example.com', password: 'password123' });
+
+            expect(result.success).toBe(true);
+            expect(result.user.id).toBe('1');
+            expect(authManager.isAuthenticated()).toBe(true);
+            expect(authManager.getCurrentUser().username).toBe('john');
+            expect(server.state.requests[0].credentials).toBe('same-origin');
+
+            // No client-side token: the session lives in the server cookie
+            const stored = JSON.parse(localStorage.getItem('ticketapp_session'));
+            expect(stored.mode).toBe('server');
+            expect(stored.token).toBe(undefined);
+            expect(localStorage.getItem('ticketapp_users')).toBe(null);
+        });
+
+        await it('should return the server error for bad credentials', async () => {
+            const { authManager } = createServerAuth();
+
+            const result = await authManager.login({ username: 'john', password: 'wrongpass' });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Invalid username or password');
+            expect(authManager.isAuthenticated()).toBe(false);
+        });
+
+        await it('should stop sending logins while the server has the account locked', async () => {
+            const { server, authManager } = createServerAuth();
+            server.state.lockout = 15 * 60 * 1000;
+
+            const refused = await authManager.login({ username: 'john', password: 'password123' });
+            const again = await authManager.login({ username: 'John', password: 'password123' });
+
+            expect(refused.success).toBe(false);
+            expect(refused.locked).toBe(true);
+            expect(refused.retryAfter).toBe(15 * 60 * 1000);
+            expect(again.error).toBe('Too many failed login attempts. Try again in 15 minutes');
+            expect(server.state.requests.length).toBe(1);
+        });
+
+        await it('should sign up through the API and pass field errors through', async () => {
+            const { server, authManager } = createServerAuth();
+
+            const created = await authManager.register({ username: 'jane', email: 'jane@example.com', password: 'secret123', confirmPassword: 'secret123' });
+            const duplicate = await authManager.register({ username: 'jane2', email: 'JOHN@example.com', password: 'secret123' });
+
+            expect(created.success).toBe(true);
+            expect(authManager.getCurrentUser().email).toBe('jane@example.com');
+            expect(server.state.requests[0].body.confirmPassword).toBe(undefined);
+            expect(duplicate.success).toBe(false);
+            expect(duplicate.errors.email).toBe('An account with this email already exists');
+        });
+
+        await it('should end the server session on logout', async () => {
+            const { server, authManager } = createServerAuth();
+            await authManager.login({ username: 'john', password: 'password123' });
+
+            const result = await authManager.logout();
+
+            expect(result.success).toBe(true);
+            expect(server.state.sessionUserId).toBe(null);
+            expect(authManager.isAuthenticated()).toBe(false);
+        });
+
+        await it('should keep the session when logout cannot reach the server', async () => {
+            const { server, authManager } = createServerAuth();
+            await authManager.login({ username: 'john', password: 'password123' });
+            server.state.online = false;
+
+            const result = await authManager.logout();
+
+            expect(result.success).toBe(false);
+            expect(authManager.isAuthenticated()).toBe(true);
+        });
+
+        await it('should sync the mirrored session with the server', async () => {
+            const { server, authManager } = createServerAuth();
+            await authManager.login({ username: 'john', password: 'password123' });
+
+            // Signed out elsewhere (e.g. the session expired on the server)
+            server.state.sessionUserId = null;
+            expect(await authManager.syncSession()).toBe(false);
+
+            // Signed in elsewhere
+            server.state.sessionUserId = '1';
+            expect(await authManager.syncSession()).toBe(true);
+            expect(authManager.getCurrentUser().email).toBe('john@example.com');
+        });
+
+        await it('should change the password through the API and pass field errors through', async () => {
+            const { server, authManager } = createServerAuth();
+            await authManager.login({ username: 'john', password: 'password123' });
+
+            const wrong = await authManager.changePassword({ currentPassword: 'nope', newPassword: 'better456' });
+            const changed = await authManager.changePassword({ currentPassword: 'password123', newPassword: 'better456' });
+
+            expect(wrong.success).toBe(false);
+            expect(wrong.errors.currentPassword).toBe('Current password is incorrect');
+            expect(changed.success).toBe(true);
+            expect(server.state.users[0].password).toBe('better456');
+        });
+
+        await it('should keep the mirrored session while the server is unreachable', async () => {
+            const { server, authManager } = createServerAuth();
+            await authManager.login({ username: 'john', password: 'password123' });
+            server.state.online = false;
+
+            expect(await authManager.syncSession()).toBe(true);
+        });
+    });
+
+    // Pin Date.now() so idle deadlines can be crossed without waiting
+    const realNow = Date.now;
+    let clock = realNow();
+    const useFakeClock = () => {
+        clock = realNow();
+        Date.now = () => clock;
+    };
+    const advanceClock = (ms) => {
+        clock += ms;
+    };
+
+    async function createLocalAuth(options = {}) {
+        localStorage.clear();
+        const authManager = new AuthManager({ users: new UserRegistry({ iterations: 1000 }), demoUsers: true, ...options });
+        await authManager.login({ username: 'demo', password: 'password' });
+        return authManager;
+    }
+
+    await describe('AuthManager - Sliding expiry and idle timeout', async () => {
+        await it('should default to a 30 minute idle timeout without a page configuration', async () => {
+            expect(AuthManager.getConfiguredIdleTimeout()).toBe(30 * 60 * 1000);
+        });
+
+        await it('should slide the expiry and record activity on refresh', async () => {
+            const authManager = await createLocalAuth({ maxAge: 60000, idleTimeout: 10000 });
+            useFakeClock();
+            const created = JSON.parse(localStorage.getItem('ticketapp_session'));
+
+            advanceClock(5000);
+            expect(authManager.refreshSession()).toBe(true);
+
+            const stored = JSON.parse(localStorage.getItem('ticketapp_session'));
+            expect(stored.token).toBe(created.token);
+            expect(stored.lastActivityAt).toBe(clock);
+            expect(stored.expiresAt).toBe(clock + 60000);
+            expect(authManager.getIdleDeadline()).toBe(clock + 10000);
+            Date.now = realNow;
+        });
+
+        await it('should sign out a session that has been idle too long', async () => {
+            const authManager = await createLocalAuth({ idleTimeout: 10000 });
+            useFakeClock();
+
+            advanceClock(9000);
+            expect(authManager.isAuthenticated()).toBe(true);
+            authManager.refreshSession();
+            advanceClock(10001);
+
+            expect(authManager.isAuthenticated()).toBe(false);
+            expect(localStorage.getItem('ticketapp_session')).toBe(null);
+            Date.now = realNow;
+        });
+
+        await it('should never idle out when the idle timeout is 0', async () => {
+            const authManager = await createLocalAuth({ idleTimeout: 0 });
+            useFakeClock();
+
+            advanceClock(60 * 60 * 1000);
+
+            expect(authManager.isAuthenticated()).toBe(true);
+            expect(authManager.getIdleDeadline()).toBe(null);
+            Date.now = realNow;
+        });
+
+        await it('should not count a server session check as activity', async () => {
+            const { authManager } = createServerAuth();
+            await authManager.login({ username: 'john', password: 'password123' });
+            const { lastActivityAt } = JSON.parse(localStorage.getItem('ticketapp_session'));
+            await new Promise(resolve => setTimeout(resolve, 5));
+
+            await authManager.syncSession();
+
+            expect(JSON.parse(localStorage.getItem('ticketapp_session')).lastActivityAt).toBe(lastActivityAt);
+        });
+    });
+
+    await describe('SessionMonitor', async () => {
+        function createMonitor(authManager, options = {}) {
+            const calls = { warnings: [], active: 0, logouts: [], logins: [] };
+            const monitor = new SessionMonitor(authManager, {
+                warningTime: 3000,
+                onWarning: (seconds) => calls.warnings.push(seconds),
+                onActive: () => calls.active++,
+                onLogout: (reason) => calls.logouts.push(reason),
+                onLogin: (user) => calls.logins.push(user.username),
+                ...options
+            });
+            return { monitor, calls };
+        }
+
+        await it('should count down before the idle timeout and then sign out', async () => {
+            const authManager = await createLocalAuth({ idleTimeout: 10000 });
+            useFakeClock();
+            const { monitor, calls } = createMonitor(authManager);
+            monitor.start();
+            monitor.stop();
+
+            advanceClock(6000);
+            monitor.tick();
+            expect(calls.warnings.length).toBe(0);
+
+            advanceClock(2000);
+            monitor.tick();
+            advanceClock(1000);
+            monitor.tick();
+            expect(calls.warnings).toEqual([2, 1]);
+
+            // Activity does not dismiss the warning; only stayActive() does
+            monitor.recordActivity(true);
+            advanceClock(1000);
+            await monitor.tick();
+
+            expect(calls.logouts).toEqual(['idle']);
+            expect(authManager.isAuthenticated()).toBe(false);
+            Date.now = realNow;
+        });
+
+        await it('should restart the idle timeout when the user stays signed in', async () => {
+            const authManager = await createLocalAuth({ idleTimeout: 10000 });
+            useFakeClock();
+            const { monitor, calls } = createMonitor(authManager);
+            monitor.start();
+            monitor.stop();
+
+            advanceClock(8000);
+            monitor.tick();
+            monitor.stayActive();
+            advanceClock(6000);
+            monitor.tick();
+
+            expect(calls.warnings.length).toBe(1);
+            expect(calls.active).toBe(1);
+            expect(calls.logouts.length).toBe(0);
+            expect(authManager.isAuthenticated()).toBe(true);
+            Date.now = realNow;
+        });
+
+        await it('should throttle session refreshes from activity', async () => {
+            const authManager = await createLocalAuth({ idleTimeout: 10000 });
+            useFakeClock();
+            const { monitor } = createMonitor(authManager, { activityThrottle: 5000 });
+            monitor.start();
+            monitor.stop();
+            const started = clock;
+
+            advanceClock(1000);
+            monitor.recordActivity();
+            expect(authManager.getIdleDeadline()).toBe(started + 10000);
+
+            advanceClock(5000);
+            monitor.recordActivity();
+            expect(authManager.getIdleDeadline()).toBe(clock + 10000);
+            Date.now = realNow;
+        });
+
+        await it('should follow sign-outs, sign-ins and activity in other tabs', async () => {
+            const authManager = await createLocalAuth({ idleTimeout: 10000 });
+            useFakeClock();
+            const { monitor, calls } = createMonitor(authManager);
+            monitor.start();
+            monitor.stop();
+
+            // Another tab is active while this one shows the warning
+            advanceClock(8000);
+            monitor.tick();
+            const otherTab = new AuthManager({ users: authManager.users, idleTimeout: 10000 });
+            otherTab.refreshSession();
+            monitor.handleStorageChange({ key: 'ticketapp_session' });
+            expect(calls.active).toBe(1);
+
+            // Unrelated keys are ignored
+            monitor.handleStorageChange({ key: 'tickets' });
+
+            otherTab.logout();
+            monitor.handleStorageChange({ key: 'ticketapp_session' });
+            expect(calls.logouts).toEqual(['other-tab']);
+
+            await otherTab.login({ username: 'admin', password: 'admin123' });
+            monitor.handleStorageChange({ key: 'ticketapp_session' });
+            expect(calls.logins).toEqual(['admin']);
+            Date.now = realNow;
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,448 @@
+/**
+ * Node.js test runner for the user registry
+ * Covers signup, salted PBKDF2 password hashes, duplicate detection, login against stored users, the demo seed,
+ * the change-password and forgot-password flows and login throttling
+ * Run with: node tests/auth-registry.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+
+// Load the module
+const fs = require('fs');
+const path = require('path');
+
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const { UserRegistry, AuthManager, AuthFormValidator } = new Function(authModuleCode + '; return { UserRegistry, AuthManager, AuthFormValidator };')();
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const testRunner = new TestRunner();
+const describe = testRunner.describe.bind(testRunner);
+const it = testRunner.it.bind(testRunner);
+const expect = testRunner.expect.bind(testRunner);
+
+// Log a user in so TicketManager operations are authorized
+async function loginTestUser() {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.dispatchedEvents = [];
+    const authManager = new AuthManager({ demoUsers: true });
+    await authManager.login({ username: 'demo', password: 'password' });
+    return authManager.getCurrentUser();
+}
+
+async function createManager() {
+    const user = await loginTestUser();
+    const manager = new TicketManager({ storage: 'memory' });
+    return { manager, user };
+}
+
+async function runTests() {
+    const testRunner = new TestRunner();
+    const describe = testRunner.describe.bind(testRunner);
+    const it = testRunner.it.bind(testRunner);
+    const expect = testRunner.expect.bind(testRunner);
+
+    // A low iteration count keeps the suite fast; the hashing code path is the same
+    function createAuthManager(options = {}) {
+        localStorage.clear();
+        sessionStorage.clear();
+        return new AuthManager({ users: new UserRegistry({ iterations: 1000 }), ...options });
+    }
+
+    function readStoredUsers() {
+        return JSON.parse(localStorage.getItem('ticketapp_users') || '[]');
+    }
+
+    await describe('UserRegistry - Signup', async () => {
+        await it('should store a salted hash instead of the password', async () => {
+            const authManager = createAuthManager();
+
+            const result = await authManager.register({ username: 'alice', email: 'Alice@Example.com', password: 'secret123' });
+
+            expect(result.success).toBe(true);
+            expect(result.user.username).toBe('alice');
+            expect(result.user.email).toBe('alice@example.com');
+            expect(result.user.passwordHash).toBe(undefined);
+
+            const stored = readStoredUsers();
+            expect(stored.length).toBe(1);
+            expect(stored[0].passwordHash.length).toBe(64);
+            expect(stored[0].salt.length).toBe(32);
+            expect(stored[0].iterations).toBe(1000);
+            expect(JSON.stringify(stored).includes('secret123')).toBe(false);
+        });
+
+        await it('should use a different salt for every user', async () => {
+            const authManager = createAuthManager();
+
+            await authManager.register({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+            await authManager.register({ username: 'bob', email: 'bob@example.com', password: 'secret123' });
+
+            const [alice, bob] = readStoredUsers();
+            expect(alice.salt === bob.salt).toBe(false);
+            expect(alice.passwordHash === bob.passwordHash).toBe(false);
+        });
+
+        await it('should reject an email that is already registered', async () => {
+            const authManager = createAuthManager();
+            await authManager.register({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+
+            const result = await authManager.register({ username: 'alice2', email: 'ALICE@example.com', password: 'other123' });
+
+            expect(result.success).toBe(false);
+            expect(result.errors.email).toBe('An account with this email already exists');
+            expect(readStoredUsers().length).toBe(1);
+        });
+
+        await it('should reject a username that is already taken', async () => {
+            const authManager = createAuthManager();
+            await authManager.register({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+
+            const result = await authManager.register({ username: 'Alice', email: 'other@example.com', password: 'other123' });
+
+            expect(result.success).toBe(false);
+            expect(result.errors.username).toBe('This username is already taken');
+        });
+
+        await it('should sign the new user in', async () => {
+            const authManager = createAuthManager();
+
+            const result = await authManager.register({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+
+            expect(authManager.isAuthenticated()).toBe(true);
+            expect(authManager.getCurrentUser().id).toBe(result.user.id);
+        });
+    });
+
+    await describe('AuthManager - Login against stored users', async () => {
+        await it('should log in with the username or the email address', async () => {
+            const authManager = createAuthManager();
+            const registered = await authManager.register({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+            authManager.logout();
+
+            const byUsername = await authManager.login({ username: 'alice', password: 'secret123' });
+            authManager.logout();
+            const byEmail = await authManager.login({ username: 'Alice@Example.com', password: 'secret123' });
+
+            expect(byUsername.success).toBe(true);
+            expect(byEmail.success).toBe(true);
+            expect(byEmail.user.id).toBe(registered.user.id);
+        });
+
+        await it('should reject a wrong password', async () => {
+            const authManager = createAuthManager();
+            await authManager.register({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+            authManager.logout();
+
+            const result = await authManager.login({ username: 'alice', password: 'secret124' });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toContain('Invalid username or password');
+            expect(authManager.isAuthenticated()).toBe(false);
+        });
+
+        await it('should not log in an email address that has no account', async () => {
+            const authManager = createAuthManager();
+
+            const result = await authManager.login({ username: 'nobody@example.com', password: 'password123' });
+
+            expect(result.success).toBe(false);
+        });
+    });
+
+    await describe('AuthManager - Demo users', async () => {
+        await it('should not know the demo users unless they are enabled', async () => {
+            const authManager = createAuthManager();
+
+            const result = await authManager.login({ username: 'demo', password: 'password' });
+
+            expect(result.success).toBe(false);
+            expect(readStoredUsers().length).toBe(0);
+        });
+
+        await it('should seed the demo users once and keep their ids', async () => {
+            const authManager = createAuthManager({ demoUsers: true });
+
+            const result = await authManager.login({ username: 'demo', password: 'password' });
+            await authManager.seedDemoUsers();
+
+            expect(result.success).toBe(true);
+            expect(result.user.id).toBe(authManager.generateUserId('demo'));
+            expect(readStoredUsers().length).toBe(UserRegistry.DEMO_USERS.length);
+        });
+    });
+
+    await describe('AuthManager - Change password', async () => {
+        await it('should replace the password after checking the current one', async () => {
+            const authManager = createAuthManager();
+            await authManager.register({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+            const oldSalt = readStoredUsers()[0].salt;
+
+            const wrong = await authManager.changePassword({ currentPassword: 'secret124', newPassword: 'better456' });
+            const changed = await authManager.changePassword({ currentPassword: 'secret123', newPassword: 'better456' });
+            authManager.logout();
+
+            expect(wrong.success).toBe(false);
+            expect(wrong.errors.currentPassword).toBe('Current password is incorrect');
+            expect(changed.success).toBe(true);
+            expect(readStoredUsers()[0].salt === oldSalt).toBe(false);
+            expect((await authManager.login({ username: 'alice', password: 'secret123' })).success).toBe(false);
+            expect((await authManager.login({ username: 'alice', password: 'better456' })).success).toBe(true);
+        });
+
+        await it('should apply the password rules to the new password', async () => {
+            const authManager = createAuthManager();
+            await authManager.register({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+
+            const result = await authManager.changePassword({ currentPassword: 'secret123', newPassword: 'abc' });
+            const validation = new AuthFormValidator().validateChangePasswordForm({ currentPassword: 'secret123', newPassword: 'secret123', confirmPassword: 'secret12' });
+
+            expect(result.errors.newPassword).toBe('Password must be at least 6 characters long');
+            expect(validation.errors.newPassword).toBe('New password must be different from your current password');
+            expect(validation.errors.confirmPassword).toBe('Passwords do not match');
+        });
+    });
+
+    await describe('AuthManager - Forgot password', async () => {
+        const readResetToken = (authManager) => {
+            const [message] = authManager.outbox.getMessages();
+            return message ? decodeURIComponent(message.body.match(/token=([^\s]+)/)[1]) : null;
+        };
+
+        await it('should deliver a reset link to the outbox for known emails only', async () => {
+            const authManager = createAuthManager();
+            await authManager.register({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+
+            const unknown = await authManager.requestPasswordReset('nobody@example.com');
+            const known = await authManager.requestPasswordReset('Alice@Example.com');
+
+            // Same answer either way, so the form does not reveal who has an account
+            expect(unknown.message).toBe(known.message);
+            const messages = authManager.outbox.getMessages();
+            expect(messages.length).toBe(1);
+            expect(messages[0].to).toBe('alice@example.com');
+            expect(messages[0].body).toContain('/auth/reset-password?token=');
+
+            // Only a hash of the token is stored
+            expect(localStorage.getItem('ticketapp_password_resets').includes(readResetToken(authManager))).toBe(false);
+        });
+
+        await it('should reset the password once with a valid token', async () => {
+            const authManager = createAuthManager();
+            await authManager.register({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+            authManager.logout();
+            await authManager.requestPasswordReset('alice@example.com');
+            const token = readResetToken(authManager);
+
+            const reset = await authManager.resetPassword(token, 'better456');
+            const reused = await authManager.resetPassword(token, 'again789');
+
+            expect(reset.success).toBe(true);
+            expect(reused.success).toBe(false);
+            expect(reused.error).toBe('This reset link is invalid or has expired');
+            expect(authManager.isAuthenticated()).toBe(false);
+            expect((await authManager.login({ username: 'alice', password: 'better456' })).success).toBe(true);
+        });
+
+        await it('should reject expired and superseded tokens', async () => {
+            const authManager = createAuthManager({ resetTokenLifetime: 1000 });
+            await authManager.register({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+
+            await authManager.requestPasswordReset('alice@example.com');
+            const first = readResetToken(authManager);
+            await authManager.requestPasswordReset('alice@example.com');
+            const second = readResetToken(authManager);
+
+            expect((await authManager.resetPassword(first, 'better456')).success).toBe(false);
+
+            const realNow = Date.now;
+            Date.now = () => realNow() + 2000;
+            const expired = await authManager.resetPassword(second, 'better456');
+            Date.now = realNow;
+
+            expect(expired.success).toBe(false);
+            expect((await authManager.resetPassword(second, 'abc')).errors.password).toBe('Password must be at least 6 characters long');
+        });
+    });
+
+    await describe('AuthManager - Login throttling', async () => {
+        // Pin Date.now() so waits and lockouts can pass without waiting
+        const realNow = Date.now;
+        let clock = realNow();
+        const tick = (ms) => { clock += ms; };
+
+        async function createAccount() {
+            const authManager = createAuthManager();
+            await authManager.register({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+            authManager.logout();
+            clock = realNow();
+            Date.now = () => clock;
+            return authManager;
+        }
+
+        await it('should double the wait after each failed attempt', async () => {
+            const authManager = await createAccount();
+            const fail = () => authManager.login({ username: 'alice', password: 'wrong-one' });
+
+            const first = await fail();
+            const second = await fail();
+            const early = await authManager.login({ username: 'alice', password: 'secret123' });
+            tick(1000);
+            const third = await fail();
+            tick(2000);
+            const success = await authManager.login({ username: 'alice', password: 'secret123' });
+            authManager.logout();
+            const afterSuccess = await fail();
+            Date.now = realNow;
+
+            expect(first.retryAfter).toBe(undefined);
+            expect(second.retryAfter).toBe(1000);
+            expect(early.success).toBe(false);
+            expect(early.error).toBe('Please wait 1 second before trying again');
+            expect(third.retryAfter).toBe(2000);
+            expect(third.error).toBe('Invalid username or password. 2 attempts left before login is locked for 15 minutes');
+            expect(success.success).toBe(true);
+            // A successful login starts the count again
+            expect(afterSuccess.retryAfter).toBe(undefined);
+        });
+
+        await it('should lock the account after too many failures, whichever login is used', async () => {
+            const authManager = await createAccount();
+            let last;
+            for (let attempt = 0; attempt < 5; attempt++) {
+                last = await authManager.login({ username: attempt % 2 ? 'alice@example.com' : 'Alice', password: 'wrong-one' });
+                tick(last.retryAfter || 0);
+            }
+            clock -= last.retryAfter;
+
+            const locked = await authManager.login({ username: 'alice@example.com', password: 'secret123' });
+            tick(15 * 60 * 1000);
+            const unlocked = await authManager.login({ username: 'alice', password: 'secret123' });
+            Date.now = realNow;
+
+            expect(last.locked).toBe(true);
+            expect(last.error).toBe('Too many failed login attempts. Login is locked for 15 minutes');
+            expect(locked.success).toBe(false);
+            expect(locked.locked).toBe(true);
+            expect(locked.error).toBe('Too many failed login attempts. Try again in 15 minutes');
+            expect(unlocked.success).toBe(true);
+        });
+
+        await it('should count failures separately for each login', async () => {
+            const authManager = await createAccount();
+            await authManager.register({ username: 'bob', email: 'bob@example.com', password: 'secret456' });
+            authManager.logout();
+
+            await authManager.login({ username: 'alice', password: 'wrong-one' });
+            const blocked = await authManager.login({ username: 'alice', password: 'wrong-two' });
+            const other = await authManager.login({ username: 'bob', password: 'secret456' });
+            Date.now = realNow;
+
+            expect(blocked.retryAfter).toBe(1000);
+            expect(other.success).toBe(true);
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
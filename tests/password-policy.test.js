@@ -0,0 +1,268 @@
+/**
+ * Node.js test runner for the password policy
+ * Covers the policy rules, page configuration, the strength meter rating and enforcement
+ * in AuthFormValidator, ValidationUtils and AuthManager
+ * Run with: node tests/password-policy.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+
+// Elements the page provides, by ID (the policy JSON is added per test)
+const pageElements = {};
+global.document = {
+    getElementById: (id) => pageElements[id] || null,
+    createElement: () => ({ style: {}, appendChild() {} }),
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    body: { appendChild() {} },
+    addEventListener() {},
+    removeEventListener() {}
+};
+
+// Load the modules
+const fs = require('fs');
+const path = require('path');
+
+const readModule = (name) => fs.readFileSync(path.join(__dirname, '../public/assets/js', name), 'utf8');
+const PasswordPolicy = new Function(readModule('password-policy.js') + '; return PasswordPolicy;')();
+const { UserRegistry, AuthManager, AuthFormValidator } = new Function('PasswordPolicy', readModule('auth.js') + '; return { UserRegistry, AuthManager, AuthFormValidator };')(PasswordPolicy);
+const ValidationUtils = new Function('PasswordPolicy', readModule('utils.js') + '; return ValidationUtils;')(PasswordPolicy);
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+async function runTests() {
+    const testRunner = new TestRunner();
+    const describe = testRunner.describe.bind(testRunner);
+    const it = testRunner.it.bind(testRunner);
+    const expect = testRunner.expect.bind(testRunner);
+
+    function configurePolicy(settings) {
+        if (settings) {
+            pageElements['password-policy'] = { textContent: JSON.stringify(settings) };
+        } else {
+            delete pageElements['password-policy'];
+        }
+    }
+
+    await describe('PasswordPolicy - Rules', async () => {
+        const policy = new PasswordPolicy();
+
+        await it('should accept a long password that mixes character classes', async () => {
+            expect(policy.validate('Correct-Horse-9').isValid).toBe(true);
+            expect(policy.validate('blue lagoon 42').isValid).toBe(true);
+        });
+
+        await it('should enforce the length limits', async () => {
+            expect(policy.validate('').errors).toEqual(['Password is required']);
+            expect(policy.validate('Ab1!').errors[0]).toBe('Password must be at least 8 characters long');
+            expect(policy.validate('Ab1!'.repeat(17)).errors[0]).toBe('Password must be at most 64 characters long');
+        });
+
+        await it('should require enough character classes', async () => {
+            const result = policy.validate('onlylowercase');
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors[0]).toContain('Password must include at least 2 of');
+        });
+
+        await it('should reject common passwords regardless of case', async () => {
+            expect(policy.validate('Password123').errors).toContain('This password is too common. Please choose a less guessable one');
+            expect(policy.validate('QWERTY123').isValid).toBe(false);
+        });
+
+        await it('should reject passwords containing the username or email name', async () => {
+            const context = { username: 'alice', email: 'wonder.land@example.com' };
+
+            expect(policy.validate('xxALICE-2024', context).errors).toEqual(['Password must not contain your username or email']);
+            expect(policy.validate('Wonder.Land99', context).isValid).toBe(false);
+            // Parts shorter than 3 characters would match too much
+            expect(policy.validate('Jo-hn-12345', { username: 'jo' }).isValid).toBe(true);
+        });
+    });
+
+    await describe('PasswordPolicy - Configuration', async () => {
+        await it('should read the page policy and keep defaults for missing settings', async () => {
+            configurePolicy({ minLength: 12, minCharacterClasses: 3, bannedPasswords: ['Tr0ub4dor&3'] });
+
+            const policy = PasswordPolicy.getConfigured();
+            configurePolicy(null);
+
+            expect(policy.minLength).toBe(12);
+            expect(policy.maxLength).toBe(64);
+            expect(policy.validate('tr0ub4dor&3').isValid).toBe(false);
+            expect(policy.validate('Correct-Horse-9').isValid).toBe(true);
+            expect(policy.validate('correcthorse9').errors[0]).toContain('at least 3 of');
+            expect(policy.describe()).toContain('At least 12 characters');
+        });
+
+        await it('should fall back to the default policy for invalid configuration', async () => {
+            pageElements['password-policy'] = { textContent: '{ not json' };
+            const originalError = console.error;
+            console.error = () => {};
+
+            const policy = PasswordPolicy.getConfigured();
+            console.error = originalError;
+            configurePolicy(null);
+
+            expect(policy.minLength).toBe(8);
+        });
+    });
+
+    await describe('PasswordPolicy - Strength', async () => {
+        const policy = new PasswordPolicy();
+
+        await it('should rate longer and more varied passwords higher', async () => {
+            const scores = ['abc', 'abcdefg1', 'abcdefgh1234', 'Abcdefgh1234', 'Abcdefgh1234!'].map(password => policy.getStrength(password).score);
+
+            expect(scores).toEqual([0, 1, 2, 3, 4]);
+            expect(policy.getStrength('Abcdefgh1234!').label).toBe('Strong');
+        });
+
+        await it('should rate common and personal passwords as weak at best', async () => {
+            expect(policy.getStrength('Password123').score).toBe(0);
+            expect(policy.getStrength('Alice-Wonderland-2024!', { username: 'alice' }).score).toBe(1);
+        });
+    });
+
+    await describe('Password policy enforcement', async () => {
+        await it('should give the same answer in AuthFormValidator and ValidationUtils', async () => {
+            const credentials = { username: 'alice', email: 'alice@example.com', password: 'alice-rocks-1', confirmPassword: 'alice-rocks-1' };
+
+            const signup = new AuthFormValidator().validateSignupForm(credentials);
+            const utils = ValidationUtils.validateCredentials(credentials);
+
+            expect(signup.errors.password).toBe('Password must not contain your username or email');
+            expect(utils.errors.find(error => error.field === 'password').message).toBe(signup.errors.password);
+        });
+
+        await it('should apply the policy to password changes but not to logins', async () => {
+            localStorage.clear();
+            const authManager = new AuthManager({ users: new UserRegistry({ iterations: 1000 }), demoUsers: true });
+
+            // Demo passwords predate the policy and keep working
+            expect((await authManager.login({ username: 'demo', password: 'password' })).success).toBe(true);
+
+            const weak = await authManager.changePassword({ currentPassword: 'password', newPassword: 'letmein1' });
+            const strong = await authManager.changePassword({ currentPassword: 'password', newPassword: 'Harbor-Lights-7' });
+
+            expect(weak.errors.newPassword).toBe('This password is too common. Please choose a less guessable one');
+            expect(strong.success).toBe(true);
+        });
+
+        await it('should apply the policy when registering', async () => {
+            localStorage.clear();
+            const users = new UserRegistry({ iterations: 1000 });
+            const authManager = new AuthManager({ users });
+
+            const weak = await authManager.register({ username: 'newcomer', email: 'newcomer@example.com', password: 'letmein1' });
+            expect(weak.success).toBe(false);
+            expect(weak.errors.password).toBe('This password is too common. Please choose a less guessable one');
+            expect(users.findByLogin('newcomer')).toBe(null);
+
+            const strong = await authManager.register({ username: 'newcomer', email: 'newcomer@example.com', password: 'Harbor-Lights-7' });
+            expect(strong.success).toBe(true);
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
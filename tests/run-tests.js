@@ -152,7 +152,7 @@ describe('AuthManager - Login Functionality', () => {
 
     function setup() {
         global.localStorage.clear();
-        authManager = new AuthManager();
+        authManager = new AuthManager({ demoUsers: true });
     }
 
     it('should successfully login with valid credentials', async () => {
@@ -203,8 +203,10 @@ describe('AuthManager - Login Functionality', () => {
         expect(result2.error).toContain('Username and password are required');
     });
 
-    it('should accept email addresses as usernames', async () => {
+    it('should accept the email address of a registered user', async () => {
         setup();
+        await authManager.register({ username: 'tester', email: 'test@example.com', password: 'password123' });
+        authManager.logout();
         const credentials = { username: 'test@example.com', password: 'password123' };
         
         const result = await authManager.login(credentials);
@@ -0,0 +1,354 @@
+/**
+ * Node.js test runner for the ticket board
+ * Covers TicketBoard columns, counts, drag-and-drop and keyboard moves
+ * Run with: node tests/ticket-board.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' },
+    dispatchedEvents: [],
+    addEventListener: function() {},
+    dispatchEvent: function(event) {
+        this.dispatchedEvents.push(event);
+        return true;
+    }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+global.CustomEvent = function(type, options) {
+    this.type = type;
+    this.detail = options?.detail;
+};
+
+// Mock document for DOM operations
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+    createElement: () => ({
+        innerHTML: '',
+        classList: { add: () => {}, remove: () => {} },
+        setAttribute: () => {},
+        querySelector: () => null
+    }),
+    body: { appendChild: () => {} }
+};
+
+// Load the modules
+const fs = require('fs');
+const path = require('path');
+
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const storageModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-storage.js'), 'utf8');
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const ticketsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/tickets.js'), 'utf8');
+const statsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-statistics.js'), 'utf8');
+const boardModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-board.js'), 'utf8');
+
+const AuthManager = new Function(authModuleCode + '; return AuthManager;')();
+const TicketStorage = new Function(storageModuleCode + '; return TicketStorage;')();
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+const TicketManager = new Function('AuthManager', 'TicketStorage', 'TicketWorkflow',
+    ticketsModuleCode + '; return TicketManager;'
+)(AuthManager, TicketStorage, TicketWorkflow);
+const TicketStatisticsCalculator = new Function('TicketWorkflow',
+    statsModuleCode + '; return TicketStatisticsCalculator;'
+)(TicketWorkflow);
+const TicketBoard = new Function('TicketStatisticsCalculator',
+    boardModuleCode + '; return TicketBoard;'
+)(TicketStatisticsCalculator);
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const testRunner = new TestRunner();
+const describe = testRunner.describe.bind(testRunner);
+const it = testRunner.it.bind(testRunner);
+const expect = testRunner.expect.bind(testRunner);
+
+// A workflow where Closed can only be reached from Review
+const reviewWorkflow = new TicketWorkflow({
+    states: [
+        { name: 'Open', color: 'green' },
+        { name: 'In Progress', color: 'yellow' },
+        { name: 'Review', color: 'purple' },
+        { name: 'Closed', color: 'gray', terminal: true }
+    ],
+    transitions: {
+        'Open': ['In Progress'],
+        'In Progress': ['Open', 'Review'],
+        'Review': ['In Progress', 'Closed'],
+        'Closed': []
+    }
+});
+
+// Log a user in so TicketManager operations are authorized
+async function loginTestUser() {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.dispatchedEvents = [];
+    const authManager = new AuthManager({ demoUsers: true });
+    await authManager.login({ username: 'demo', password: 'password' });
+    return authManager.getCurrentUser();
+}
+
+// Board container that records its delegated listeners so tests can fire events
+function createBoardContainer() {
+    const container = {
+        innerHTML: '',
+        listeners: {},
+        addEventListener(type, handler) { this.listeners[type] = handler; },
+        querySelector: () => null,
+        querySelectorAll: () => []
+    };
+    document.getElementById = (id) => id === 'ticketBoard' ? container : null;
+    return container;
+}
+
+// Minimal element that answers closest() for the given selector
+function createEventTarget(selector, attributes = {}) {
+    const element = {
+        classList: { add: () => {}, remove: () => {}, contains: () => false },
+        getAttribute: (name) => attributes[name] || null
+    };
+    element.closest = (query) => query === selector ? element : null;
+    return element;
+}
+
+async function createBoard(onMove = null) {
+    await loginTestUser();
+    const manager = new TicketManager({ storage: 'memory', workflow: reviewWorkflow });
+    const board = new TicketBoard(manager, { onMove });
+    return { manager, board };
+}
+
+async function runTests() {
+    await describe('TicketBoard - Rendering', async () => {
+        await it('should render one column per workflow state with counts', async () => {
+            const { manager, board } = await createBoard();
+            await manager.createTicket({ title: 'First', status: 'Open' });
+            await manager.createTicket({ title: 'Second', status: 'Open' });
+            await manager.createTicket({ title: 'Third', status: 'Review' });
+            const container = createBoardContainer();
+
+            board.render('ticketBoard', manager.getTickets());
+
+            expect(container.innerHTML).toContain('data-status="Open"');
+            expect(container.innerHTML).toContain('data-status="Review"');
+            expect(container.innerHTML).toContain('aria-label="2 tickets">2</span>');
+            expect(container.innerHTML).toContain('aria-label="1 ticket">1</span>');
+            expect(container.innerHTML).toContain('draggable="true"');
+        });
+
+        await it('should take column counts from TicketStatisticsCalculator', async () => {
+            const { manager, board } = await createBoard();
+            const counted = [];
+            board.statsCalculator = {
+                countTickets: (tickets) => {
+                    counted.push(tickets.length);
+                    return reviewWorkflow.countByState(tickets);
+                }
+            };
+            await manager.createTicket({ title: 'Counted' });
+            createBoardContainer();
+
+            board.render('ticketBoard', manager.getTickets());
+
+            expect(counted).toEqual([1]);
+        });
+
+        await it('should escape ticket titles', async () => {
+            const { manager, board } = await createBoard();
+            await manager.createTicket({ title: '<b>Printer</b> jam' });
+            const container = createBoardContainer();
+
+            board.render('ticketBoard', manager.getTickets(), { highlight: 'jam' });
+
+            expect(container.innerHTML).toContain('&lt;b&gt;Printer&lt;/b&gt; jam');
+        });
+    });
+
+    await describe('TicketBoard - Moves', async () => {
+        await it('should find the nearest allowed column in each direction', async () => {
+            const { board } = await createBoard();
+
+            expect(board.getAdjacentState('Open', 1)).toBe('In Progress');
+            expect(board.getAdjacentState('Open', -1)).toBe(null);
+            expect(board.getAdjacentState('In Progress', 1)).toBe('Review');
+            expect(board.getAdjacentState('Closed', -1)).toBe(null);
+        });
+
+        await it('should move tickets through TicketManager.updateTicket', async () => {
+            const moves = [];
+            const { manager, board } = await createBoard((result, ticketId, status) => moves.push({ result, ticketId, status }));
+            const { ticket } = await manager.createTicket({ title: 'Move me' });
+
+            const result = await board.moveTicket(ticket.id, 'In Progress');
+
+            expect(result.success).toBe(true);
+            expect(manager.getTicketById(ticket.id).status).toBe('In Progress');
+            expect(moves.length).toBe(1);
+            expect(moves[0].status).toBe('In Progress');
+        });
+
+        await it('should report moves the workflow does not allow', async () => {
+            const moves = [];
+            const { manager, board } = await createBoard((result) => moves.push(result));
+            const { ticket } = await manager.createTicket({ title: 'Stay put' });
+
+            const result = await board.moveTicket(ticket.id, 'Closed');
+
+            expect(result.success).toBe(false);
+            expect(result.errors.status).toBe('Cannot move a ticket from Open to Closed');
+            expect(manager.getTicketById(ticket.id).status).toBe('Open');
+            expect(moves[0].success).toBe(false);
+        });
+
+        await it('should only accept drops on allowed columns', async () => {
+            const { manager, board } = await createBoard();
+            const { ticket } = await manager.createTicket({ title: 'Drag me' });
+            const container = createBoardContainer();
+            board.render('ticketBoard', manager.getTickets());
+
+            board.draggedTicketId = ticket.id;
+            let allowed = false;
+            container.listeners.dragover({
+                target: createEventTarget('.board-column', { 'data-status': 'Closed' }),
+                preventDefault: () => { allowed = true; }
+            });
+            expect(allowed).toBe(false);
+
+            container.listeners.dragover({
+                target: createEventTarget('.board-column', { 'data-status': 'In Progress' }),
+                preventDefault: () => { allowed = true; }
+            });
+            expect(allowed).toBe(true);
+
+            await container.listeners.drop({
+                target: createEventTarget('.board-column', { 'data-status': 'In Progress' }),
+                preventDefault: () => {}
+            });
+            expect(manager.getTicketById(ticket.id).status).toBe('In Progress');
+        });
+
+        await it('should move the focused card with the arrow keys', async () => {
+            const { manager, board } = await createBoard();
+            const { ticket } = await manager.createTicket({ title: 'Keyboard' });
+            const container = createBoardContainer();
+            board.render('ticketBoard', manager.getTickets());
+
+            const keydown = (key) => container.listeners.keydown({
+                key: key,
+                target: createEventTarget('.board-card', { 'data-ticket-id': ticket.id }),
+                preventDefault: () => {}
+            });
+
+            await keydown('ArrowRight');
+            expect(manager.getTicketById(ticket.id).status).toBe('In Progress');
+
+            await keydown('ArrowRight');
+            expect(manager.getTicketById(ticket.id).status).toBe('Review');
+
+            await keydown('ArrowLeft');
+            expect(manager.getTicketById(ticket.id).status).toBe('In Progress');
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,325 @@
+/**
+ * Node.js test runner for bulk ticket actions
+ * Covers TicketSelection (ranges, select all) and TicketManager bulk status change, delete and export
+ * Run with: node tests/ticket-bulk-actions.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' },
+    dispatchedEvents: [],
+    addEventListener: function() {},
+    dispatchEvent: function(event) {
+        this.dispatchedEvents.push(event);
+        return true;
+    }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+global.CustomEvent = function(type, options) {
+    this.type = type;
+    this.detail = options?.detail;
+};
+
+// Mock document for DOM operations
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+    createElement: () => ({
+        innerHTML: '',
+        classList: { add: () => {}, remove: () => {} },
+        setAttribute: () => {},
+        querySelector: () => null
+    }),
+    body: { appendChild: () => {} }
+};
+
+// Load the modules
+const fs = require('fs');
+const path = require('path');
+
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const storageModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-storage.js'), 'utf8');
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const importExportModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-import-export.js'), 'utf8');
+const selectionModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-selection.js'), 'utf8');
+const ticketsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/tickets.js'), 'utf8');
+
+const AuthManager = new Function(authModuleCode + '; return AuthManager;')();
+const TicketStorage = new Function(storageModuleCode + '; return TicketStorage;')();
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+const TicketImportExport = new Function(importExportModuleCode + '; return TicketImportExport;')();
+const TicketSelection = new Function(selectionModuleCode + '; return TicketSelection;')();
+const TicketManager = new Function('AuthManager', 'TicketStorage', 'TicketWorkflow', 'TicketImportExport',
+    ticketsModuleCode + '; return TicketManager;'
+)(AuthManager, TicketStorage, TicketWorkflow, TicketImportExport);
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const testRunner = new TestRunner();
+const describe = testRunner.describe.bind(testRunner);
+const it = testRunner.it.bind(testRunner);
+const expect = testRunner.expect.bind(testRunner);
+
+// Log a user in so TicketManager operations are authorized
+async function loginTestUser() {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.dispatchedEvents = [];
+    const authManager = new AuthManager({ demoUsers: true });
+    await authManager.login({ username: 'demo', password: 'password' });
+    return authManager.getCurrentUser();
+}
+
+async function createManager() {
+    const user = await loginTestUser();
+    const manager = new TicketManager({ storage: 'memory' });
+    return { manager, user };
+}
+
+// Create tickets titled A, B, C... and return their IDs
+async function createTickets(manager, titles) {
+    const ids = [];
+    for (const title of titles) {
+        const { ticket } = await manager.createTicket({ title });
+        ids.push(ticket.id);
+    }
+    return ids;
+}
+
+async function runTests() {
+    await describe('TicketSelection', async () => {
+        await it('should toggle single tickets', async () => {
+            const selection = new TicketSelection();
+
+            selection.toggle('a', true);
+            selection.toggle('b', true);
+            selection.toggle('a', false);
+
+            expect(selection.getSelectedIds()).toEqual(['b']);
+            expect(selection.size).toBe(1);
+        });
+
+        await it('should select a range from the anchor on shift-click in either direction', async () => {
+            const selection = new TicketSelection();
+            const orderedIds = ['a', 'b', 'c', 'd', 'e'];
+
+            selection.toggle('b', true, { orderedIds });
+            selection.toggle('d', true, { orderedIds, range: true });
+            expect(selection.getSelectedIds(orderedIds)).toEqual(['b', 'c', 'd']);
+
+            selection.toggle('a', false, { orderedIds, range: true });
+            expect(selection.getSelectedIds(orderedIds)).toEqual([]);
+        });
+
+        await it('should select all visible tickets and forget hidden ones', async () => {
+            const selection = new TicketSelection();
+
+            selection.selectAll(['a', 'b', 'c']);
+            expect(selection.includesAll(['a', 'b', 'c'])).toBe(true);
+
+            selection.retain(['b', 'c', 'd']);
+            expect(selection.getSelectedIds(['a', 'b', 'c', 'd'])).toEqual(['b', 'c']);
+            expect(selection.includesAll(['b', 'c', 'd'])).toBe(false);
+        });
+    });
+
+    await describe('TicketManager - Bulk status change', async () => {
+        await it('should move every selected ticket and record each change', async () => {
+            const { manager } = await createManager();
+            const ids = await createTickets(manager, ['A', 'B', 'C']);
+
+            const result = await manager.bulkUpdateStatus(ids.slice(0, 2), 'In Progress');
+
+            expect(result.success).toBe(true);
+            expect(result.tickets.length).toBe(2);
+            expect(result.message).toBe('Moved 2 tickets to In Progress');
+            expect(manager.getTickets().filter(ticket => ticket.status === 'In Progress').length).toBe(2);
+            expect(manager.getTicketById(ids[2]).status).toBe('Open');
+            expect(window.dispatchedEvents.filter(event => event.type === 'ticketUpdated').length).toBe(2);
+        });
+
+        await it('should report tickets the workflow or ownership rules reject and apply the rest', async () => {
+            const { manager } = await createManager();
+            manager.workflow = new TicketWorkflow({
+                states: [{ name: 'Open' }, { name: 'In Progress' }, { name: 'Closed', terminal: true }],
+                transitions: { 'Open': ['In Progress'], 'In Progress': ['Closed'], 'Closed': [] }
+            });
+            const ids = await createTickets(manager, ['Ready', 'Not ready']);
+            await manager.updateTicket(ids[0], { status: 'In Progress' });
+            manager.storage.tickets.push({ id: 'other_user', title: 'Theirs', status: 'In Progress', userId: 'someone-else' });
+
+            const result = await manager.bulkUpdateStatus([...ids, 'other_user', 'missing'], 'Closed');
+
+            expect(result.success).toBe(true);
+            expect(result.tickets.map(ticket => ticket.title)).toEqual(['Ready']);
+            expect(result.failed.map(failure => failure.error)).toEqual([
+                'Not authorized to update this ticket',
+                'Ticket not found',
+                'Cannot move a ticket from Open to Closed'
+            ]);
+            expect(result.message).toBe('Moved 1 ticket to Closed; 3 could not be changed');
+        });
+
+        await it('should leave every ticket unchanged when storage fails', async () => {
+            const { manager } = await createManager();
+            const ids = await createTickets(manager, ['A', 'B']);
+            manager.storage.applyChanges = async () => { throw new Error('Failed to save tickets to storage'); };
+
+            const result = await manager.bulkUpdateStatus(ids, 'Closed');
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Failed to save tickets to storage');
+            expect(manager.getTickets().every(ticket => ticket.status === 'Open')).toBe(true);
+        });
+
+        await it('should reject unknown statuses', async () => {
+            const { manager } = await createManager();
+            const ids = await createTickets(manager, ['A']);
+
+            const result = await manager.bulkUpdateStatus(ids, 'Parked');
+
+            expect(result.success).toBe(false);
+            expect(result.error).toContain('Status must be one of');
+        });
+    });
+
+    await describe('TicketManager - Bulk delete and export', async () => {
+        await it('should ask for one confirmation before deleting', async () => {
+            const { manager } = await createManager();
+            const ids = await createTickets(manager, ['A', 'B', 'C']);
+
+            const pending = await manager.bulkDeleteTickets(ids);
+            expect(pending.requiresConfirmation).toBe(true);
+            expect(pending.message).toBe('Are you sure you want to delete 3 tickets?');
+            expect(manager.getTickets().length).toBe(3);
+
+            const result = await manager.bulkDeleteTickets(ids.slice(0, 2), true);
+            expect(result.success).toBe(true);
+            expect(result.message).toBe('Moved 2 tickets to the trash');
+            expect(manager.getTickets().map(ticket => ticket.title)).toEqual(['C']);
+            expect(window.dispatchedEvents.filter(event => event.type === 'ticketDeleted').length).toBe(2);
+        });
+
+        await it('should not delete tickets owned by other users', async () => {
+            const { manager } = await createManager();
+            const ids = await createTickets(manager, ['Mine']);
+            manager.storage.tickets.push({ id: 'other_user', title: 'Theirs', status: 'Open', userId: 'someone-else' });
+
+            const result = await manager.bulkDeleteTickets([...ids, 'other_user'], true);
+
+            expect(result.tickets.length).toBe(1);
+            expect(result.failed[0].error).toBe('Not authorized to delete this ticket');
+            expect(manager.storage.tickets.filter(ticket => !ticket.deletedAt).map(ticket => ticket.id)).toEqual(['other_user']);
+        });
+
+        await it('should export only the selected tickets in list order', async () => {
+            const { manager } = await createManager();
+            const ids = await createTickets(manager, ['Bravo', 'Alpha', 'Charlie']);
+
+            const result = manager.exportTickets('json', { sortBy: 'title' }, [ids[0], ids[2]]);
+
+            expect(JSON.parse(result.content).map(record => record.title)).toEqual(['Bravo', 'Charlie']);
+            expect(result.message).toBe('Exported 2 tickets');
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,317 @@
+/**
+ * Node.js test runner for live ticket changes from the server
+ * Covers TicketEventStream, TicketManager.applyRemoteChange and HttpTicketAdapter.applyRemoteChange
+ * Run with: node tests/ticket-events.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' },
+    dispatchedEvents: [],
+    addEventListener: function() {},
+    dispatchEvent: function(event) {
+        this.dispatchedEvents.push(event);
+        return true;
+    }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+global.CustomEvent = function(type, options) {
+    this.type = type;
+    this.detail = options?.detail;
+};
+
+// Mock document for DOM operations
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+    createElement: () => ({
+        innerHTML: '',
+        classList: { add: () => {}, remove: () => {} },
+        setAttribute: () => {},
+        querySelector: () => null
+    }),
+    body: { appendChild: () => {} }
+};
+
+// Load the modules
+const fs = require('fs');
+const path = require('path');
+
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const storageModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-storage.js'), 'utf8');
+const outboxModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-outbox.js'), 'utf8');
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const ticketsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/tickets.js'), 'utf8');
+const eventsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-events.js'), 'utf8');
+
+const AuthManager = new Function(authModuleCode + '; return AuthManager;')();
+const TicketOutbox = new Function(outboxModuleCode + '; return TicketOutbox;')();
+const { TicketStorage, HttpTicketAdapter } = new Function('TicketOutbox',
+    storageModuleCode + '; return { TicketStorage, HttpTicketAdapter };'
+)(TicketOutbox);
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+const TicketManager = new Function('AuthManager', 'TicketStorage', 'TicketWorkflow',
+    ticketsModuleCode + '; return TicketManager;'
+)(AuthManager, TicketStorage, TicketWorkflow);
+const TicketEventStream = new Function(eventsModuleCode + '; return TicketEventStream;')();
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const testRunner = new TestRunner();
+const describe = testRunner.describe.bind(testRunner);
+const it = testRunner.it.bind(testRunner);
+const expect = testRunner.expect.bind(testRunner);
+
+// Stand-in for the browser's EventSource that tests can push events through
+class FakeEventSource {
+    constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        this.closed = false;
+        FakeEventSource.last = this;
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    close() {
+        this.closed = true;
+    }
+
+    emit(type, data) {
+        (this.listeners[type] || []).forEach(listener => listener({ type, data: JSON.stringify(data) }));
+    }
+}
+
+async function loginAs(username = 'demo', password = 'password') {
+    const authManager = new AuthManager({ demoUsers: true });
+    await authManager.login({ username, password });
+    return authManager.getCurrentUser();
+}
+
+// TicketManager on server storage whose cache already holds the given tickets
+async function createManager(tickets = [], outbox = false) {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.dispatchedEvents = [];
+    const user = await loginAs();
+    const storage = new HttpTicketAdapter({ outbox, fetch: () => Promise.reject(new Error('No server in tests')) });
+    storage.cache = tickets.map(ticket => ({ userId: user.id, ...ticket }));
+    const manager = new TicketManager({ storage });
+    return { manager, user };
+}
+
+function eventNames() {
+    return window.dispatchedEvents.map(event => event.type);
+}
+
+async function runTests() {
+    await describe('TicketEventStream', async () => {
+        await it('should subscribe to every ticket event type with server storage', async () => {
+            const { manager } = await createManager();
+            const stream = new TicketEventStream(manager, { EventSource: FakeEventSource });
+
+            expect(stream.start()).toBe(true);
+            expect(FakeEventSource.last.url).toBe('/api/tickets/events');
+            expect(Object.keys(FakeEventSource.last.listeners)).toEqual(TicketEventStream.EVENT_TYPES);
+
+            stream.stop();
+            expect(FakeEventSource.last.closed).toBe(true);
+        });
+
+        await it('should not open a stream for browser storage', async () => {
+            await loginAs();
+            const stream = new TicketEventStream(new TicketManager({ storage: 'memory' }), { EventSource: FakeEventSource });
+
+            expect(stream.start()).toBe(false);
+        });
+
+        await it('should feed server events into TicketManager', async () => {
+            const { manager, user } = await createManager([{ id: '7', title: 'Printer jam', status: 'Open', version: 1 }]);
+            const stream = new TicketEventStream(manager, { EventSource: FakeEventSource });
+            stream.start();
+
+            FakeEventSource.last.emit('ticketUpdated', {
+                ticket: { id: '7', title: 'Printer fixed', status: 'Closed', userId: user.id, version: 2 },
+                purged: false
+            });
+
+            expect(manager.getTicketById('7').title).toBe('Printer fixed');
+            expect(eventNames()).toEqual(['ticketUpdated', 'ticketsChangedElsewhere']);
+            expect(window.dispatchedEvents[0].detail.remote).toBe(true);
+            expect(window.dispatchedEvents[1].detail.updated.map(ticket => ticket.id)).toEqual(['7']);
+        });
+
+        await it('should skip events whose data cannot be read', async () => {
+            const { manager } = await createManager();
+            const stream = new TicketEventStream(manager, { EventSource: FakeEventSource });
+            stream.start();
+            const originalError = console.error;
+            console.error = () => {};
+            let applied;
+            try {
+                applied = stream.handleEvent('ticketUpdated', { data: 'not-json' });
+            } finally {
+                console.error = originalError;
+            }
+
+            expect(applied).toBe(false);
+            expect(stream.handleEvent('ticketUpdated', { data: JSON.stringify({ purged: false }) })).toBe(false);
+            expect(window.dispatchedEvents.length).toBe(0);
+        });
+    });
+
+    await describe('TicketManager - Changes From The Server', async () => {
+        await it('should add tickets created by teammates', async () => {
+            const { manager, user } = await createManager();
+
+            const applied = manager.applyRemoteChange('ticketCreated', { id: '8', title: 'New laptop', status: 'Open', userId: user.id, version: 1 });
+
+            expect(applied).toBe(true);
+            expect(manager.getTickets().map(ticket => ticket.id)).toEqual(['8']);
+            expect(window.dispatchedEvents[1].detail.created.map(ticket => ticket.id)).toEqual(['8']);
+        });
+
+        await it('should ignore versions the cache already has, e.g. its own saves', async () => {
+            const { manager, user } = await createManager([{ id: '7', title: 'Printer fixed', status: 'Open', version: 2 }]);
+
+            const applied = manager.applyRemoteChange('ticketUpdated', { id: '7', title: 'Printer jam', status: 'Open', userId: user.id, version: 2 });
+
+            expect(applied).toBe(false);
+            expect(manager.getTicketById('7').title).toBe('Printer fixed');
+            expect(window.dispatchedEvents.length).toBe(0);
+        });
+
+        await it('should leave tickets with queued offline changes to the outbox', async () => {
+            const outbox = new TicketOutbox({ persistent: false });
+            const { manager, user } = await createManager([{ id: '7', title: 'Offline edit', status: 'Open', version: 1 }], outbox);
+            outbox.enqueue('update', manager.getTicketById('7'), { id: '7', version: 1 });
+
+            const applied = manager.applyRemoteChange('ticketUpdated', { id: '7', title: 'Saved elsewhere', status: 'Open', userId: user.id, version: 2 });
+
+            expect(applied).toBe(false);
+            expect(manager.getTicketById('7').title).toBe('Offline edit');
+        });
+
+        await it('should drop purged tickets and report them as deleted', async () => {
+            const { manager, user } = await createManager([{ id: '7', title: 'Printer jam', status: 'Open', version: 1 }]);
+
+            manager.applyRemoteChange('ticketDeleted', { id: '7', title: 'Printer jam', status: 'Open', userId: user.id, version: 1 }, true);
+
+            expect(manager.getAllTicketsFromStorage().length).toBe(0);
+            expect(eventNames()).toEqual(['ticketDeleted', 'ticketsChangedElsewhere']);
+            expect(window.dispatchedEvents[1].detail.deleted.map(ticket => ticket.id)).toEqual(['7']);
+        });
+
+        await it('should cache but not announce tickets the user cannot see', async () => {
+            const { manager } = await createManager();
+
+            const applied = manager.applyRemoteChange('ticketCreated', { id: '9', title: 'Someone else\'s', status: 'Open', userId: 'user_other', version: 1 });
+
+            expect(applied).toBe(true);
+            expect(manager.getAllTicketsFromStorage().map(ticket => ticket.id)).toEqual(['9']);
+            expect(window.dispatchedEvents.length).toBe(0);
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,315 @@
+/**
+ * Node.js test runner for ticket history
+ * Covers TicketHistory diffing and persistence and the audit trail recorded by TicketManager
+ * Run with: node tests/ticket-history.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' },
+    dispatchedEvents: [],
+    addEventListener: function() {},
+    dispatchEvent: function(event) {
+        this.dispatchedEvents.push(event);
+        return true;
+    }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+global.CustomEvent = function(type, options) {
+    this.type = type;
+    this.detail = options?.detail;
+};
+
+// Mock document for DOM operations
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+    createElement: () => ({
+        innerHTML: '',
+        classList: { add: () => {}, remove: () => {} },
+        setAttribute: () => {},
+        querySelector: () => null
+    }),
+    body: { appendChild: () => {} }
+};
+
+// Load the modules
+const fs = require('fs');
+const path = require('path');
+
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const storageModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-storage.js'), 'utf8');
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const historyModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-history.js'), 'utf8');
+const ticketsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/tickets.js'), 'utf8');
+
+const AuthManager = new Function(authModuleCode + '; return AuthManager;')();
+const TicketStorage = new Function(storageModuleCode + '; return TicketStorage;')();
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+const TicketHistory = new Function(historyModuleCode + '; return TicketHistory;')();
+const TicketManager = new Function('AuthManager', 'TicketStorage', 'TicketWorkflow', 'TicketHistory',
+    ticketsModuleCode + '; return TicketManager;'
+)(AuthManager, TicketStorage, TicketWorkflow, TicketHistory);
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const testRunner = new TestRunner();
+const describe = testRunner.describe.bind(testRunner);
+const it = testRunner.it.bind(testRunner);
+const expect = testRunner.expect.bind(testRunner);
+
+// Log a user in so TicketManager operations are authorized
+async function loginTestUser() {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.dispatchedEvents = [];
+    const authManager = new AuthManager({ demoUsers: true });
+    await authManager.login({ username: 'demo', password: 'password' });
+    return authManager.getCurrentUser();
+}
+
+async function runTests() {
+    await describe('TicketHistory', async () => {
+        await it('should diff only the tracked fields that changed', async () => {
+            const history = new TicketHistory({ persistent: false });
+            const changes = history.diff(
+                { title: 'Old', description: '', status: 'Open', updatedAt: 1 },
+                { title: 'New', description: undefined, status: 'Closed', updatedAt: 2 }
+            );
+
+            expect(changes).toEqual([
+                { field: 'title', oldValue: 'Old', newValue: 'New' },
+                { field: 'status', oldValue: 'Open', newValue: 'Closed' }
+            ]);
+        });
+
+        await it('should persist entries per ticket in localStorage', async () => {
+            localStorage.clear();
+            const history = new TicketHistory();
+            history.record('t1', 'updated', [{ field: 'status', oldValue: 'Open', newValue: 'Closed' }], { id: 'u1', username: 'demo' });
+
+            const stored = JSON.parse(localStorage.getItem('ticket_history'));
+            expect(stored.t1.length).toBe(1);
+            expect(stored.t1[0].userName).toBe('demo');
+            expect(new TicketHistory().getHistory('t1')[0].changes[0].newValue).toBe('Closed');
+        });
+
+        await it('should cap the number of entries kept per ticket', async () => {
+            const history = new TicketHistory({ persistent: false, maxEntriesPerTicket: 3 });
+            for (let i = 0; i < 5; i++) {
+                history.record('t1', 'updated', [{ field: 'title', oldValue: `v${i}`, newValue: `v${i + 1}` }]);
+            }
+
+            const entries = history.getHistory('t1');
+            expect(entries.length).toBe(3);
+            expect(entries[0].changes[0].oldValue).toBe('v2');
+        });
+
+        await it('should recover from corrupted storage', async () => {
+            localStorage.clear();
+            localStorage.setItem('ticket_history', '{not json');
+            expect(new TicketHistory().getHistory('t1')).toEqual([]);
+        });
+
+        await it('should keep entries with the tickets when given a storage adapter', async () => {
+            localStorage.clear();
+            const storage = TicketStorage.create('memory');
+            const history = new TicketHistory({ storage, maxEntriesPerTicket: 2 });
+            history.record('t1', 'created', []);
+            history.record('t1', 'updated', [{ field: 'title', oldValue: 'a', newValue: 'b' }]);
+            history.record('t1', 'updated', [{ field: 'title', oldValue: 'b', newValue: 'c' }]);
+            await Promise.resolve();
+
+            expect(storage.readRecords('history').t1.length).toBe(2);
+            expect(history.getHistory('t1')[1].changes[0].newValue).toBe('c');
+            expect(localStorage.getItem('ticket_history')).toBe(null);
+
+            history.move('t1', '42');
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(history.getHistory('t1')).toEqual([]);
+            expect(history.getHistory('42').map(entry => entry.ticketId)).toEqual(['42', '42']);
+        });
+    });
+
+    await describe('TicketManager audit trail', async () => {
+        await it('should record creation with initial values and the acting user', async () => {
+            const user = await loginTestUser();
+            const manager = new TicketManager({ storage: 'local' });
+
+            const result = await manager.createTicket({ title: 'Printer jam', status: 'Open', priority: 'high' });
+            const entries = manager.getTicketHistory(result.ticket.id);
+
+            expect(entries.length).toBe(1);
+            expect(entries[0].action).toBe('created');
+            expect(entries[0].userId).toBe(user.id);
+            expect(entries[0].changes.find(change => change.field === 'priority').newValue).toBe('high');
+        });
+
+        await it('should record field-level changes on update', async () => {
+            await loginTestUser();
+            const manager = new TicketManager({ storage: 'local' });
+            const created = await manager.createTicket({ title: 'Printer jam', status: 'Open' });
+
+            await manager.updateTicket(created.ticket.id, { status: 'In Progress', title: 'Printer jam' });
+            const entries = manager.getTicketHistory(created.ticket.id);
+
+            expect(entries.length).toBe(2);
+            expect(entries[1].action).toBe('updated');
+            expect(entries[1].changes).toEqual([{ field: 'status', oldValue: 'Open', newValue: 'In Progress' }]);
+        });
+
+        await it('should not record updates that change nothing', async () => {
+            await loginTestUser();
+            const manager = new TicketManager({ storage: 'local' });
+            const created = await manager.createTicket({ title: 'Printer jam', status: 'Open' });
+
+            await manager.updateTicket(created.ticket.id, { title: 'Printer jam' });
+            expect(manager.getTicketHistory(created.ticket.id).length).toBe(1);
+        });
+
+        await it('should keep the trail after the ticket is deleted', async () => {
+            await loginTestUser();
+            const manager = new TicketManager({ storage: 'local' });
+            const created = await manager.createTicket({ title: 'Printer jam', status: 'Open' });
+
+            await manager.deleteTicket(created.ticket.id, true);
+            const entries = manager.getTicketHistory(created.ticket.id);
+
+            expect(entries.length).toBe(2);
+            expect(entries[1].action).toBe('deleted');
+            expect(entries[1].changes.find(change => change.field === 'title').oldValue).toBe('Printer jam');
+        });
+
+        await it('should include the recorded entry in dispatched ticket events', async () => {
+            await loginTestUser();
+            const manager = new TicketManager({ storage: 'local' });
+            const created = await manager.createTicket({ title: 'Printer jam', status: 'Open' });
+            await manager.updateTicket(created.ticket.id, { status: 'Closed' });
+
+            const updatedEvent = window.dispatchedEvents.find(event => event.type === 'ticketUpdated');
+            expect(updatedEvent.detail.ticket.status).toBe('Closed');
+            expect(updatedEvent.detail.activity.changes[0].field).toBe('status');
+        });
+
+        await it('should keep history in memory when ticket storage is in memory', async () => {
+            await loginTestUser();
+            const manager = new TicketManager({ storage: 'memory' });
+            await manager.createTicket({ title: 'Scratch ticket' });
+
+            expect(localStorage.getItem('ticket_history')).toBe(null);
+        });
+
+        await it('should render a newest-first, escaped timeline', async () => {
+            await loginTestUser();
+            const manager = new TicketManager({ storage: 'memory' });
+            const html = manager.createHistoryTimelineHTML([
+                { action: 'created', changes: [], userName: 'demo', timestamp: 1000 },
+                { action: 'updated', changes: [{ field: 'title', oldValue: 'Old', newValue: '<b>New</b>' }], userName: 'demo', timestamp: 2000 }
+            ]);
+
+            expect(html.indexOf('updated this ticket') < html.indexOf('created this ticket')).toBeTruthy();
+            expect(html).toContain('&lt;b&gt;New&lt;/b&gt;');
+            expect(manager.createHistoryTimelineHTML([])).toContain('No activity recorded yet.');
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,409 @@
+/**
+ * Node.js test runner for ticket import and export
+ * Covers CSV/JSON serialisation, column mapping, dry-run validation and TicketManager import/export
+ * Run with: node tests/ticket-import-export.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' },
+    dispatchedEvents: [],
+    addEventListener: function() {},
+    dispatchEvent: function(event) {
+        this.dispatchedEvents.push(event);
+        return true;
+    }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+global.CustomEvent = function(type, options) {
+    this.type = type;
+    this.detail = options?.detail;
+};
+
+// Mock document for DOM operations
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+    createElement: () => ({
+        innerHTML: '',
+        classList: { add: () => {}, remove: () => {} },
+        setAttribute: () => {},
+        querySelector: () => null
+    }),
+    body: { appendChild: () => {} }
+};
+
+// Load the modules
+const fs = require('fs');
+const path = require('path');
+
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const storageModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-storage.js'), 'utf8');
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const importExportModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-import-export.js'), 'utf8');
+const ticketsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/tickets.js'), 'utf8');
+
+const AuthManager = new Function(authModuleCode + '; return AuthManager;')();
+const TicketStorage = new Function(storageModuleCode + '; return TicketStorage;')();
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+const TicketImportExport = new Function(importExportModuleCode + '; return TicketImportExport;')();
+const TicketManager = new Function('AuthManager', 'TicketStorage', 'TicketWorkflow', 'TicketImportExport',
+    ticketsModuleCode + '; return TicketManager;'
+)(AuthManager, TicketStorage, TicketWorkflow, TicketImportExport);
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const testRunner = new TestRunner();
+const describe = testRunner.describe.bind(testRunner);
+const it = testRunner.it.bind(testRunner);
+const expect = testRunner.expect.bind(testRunner);
+
+// Log a user in so TicketManager operations are authorized
+async function loginTestUser() {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.dispatchedEvents = [];
+    const authManager = new AuthManager({ demoUsers: true });
+    await authManager.login({ username: 'demo', password: 'password' });
+    return authManager.getCurrentUser();
+}
+
+async function createManager() {
+    const user = await loginTestUser();
+    const manager = new TicketManager({ storage: 'memory' });
+    return { manager, user };
+}
+
+async function runTests() {
+    await describe('TicketImportExport - Serialisation', async () => {
+        await it('should round-trip values containing quotes, commas and line breaks through CSV', async () => {
+            const { manager } = await createManager();
+            await manager.createTicket({
+                title: 'Printer "Ops", floor 2',
+                description: 'Line one\nLine two, with comma'
+            });
+
+            const exported = manager.exportTickets('csv');
+            const parsed = manager.parseImportFile(exported.content, exported.filename);
+
+            expect(parsed.success).toBe(true);
+            expect(parsed.format).toBe('csv');
+            expect(parsed.records.length).toBe(1);
+            expect(parsed.records[0].title).toBe('Printer "Ops", floor 2');
+            expect(parsed.records[0].description).toBe('Line one\nLine two, with comma');
+            expect(exported.content).toContain('"Printer ""Ops"", floor 2"');
+        });
+
+        await it('should keep spreadsheets from running values as formulas', async () => {
+            const { manager } = await createManager();
+            await manager.createTicket({
+                title: '=HYPERLINK("http://example.com","Click")',
+                description: '@SUM(A1:A2)'
+            });
+
+            const exported = manager.exportTickets('csv');
+            const parsed = manager.parseImportFile(exported.content, exported.filename);
+
+            expect(exported.content).toContain('"\'=HYPERLINK(""http://example.com"",""Click"")"');
+            expect(exported.content).toContain(',\'@SUM(A1:A2),');
+            expect(parsed.records[0].title).toBe('=HYPERLINK("http://example.com","Click")');
+            expect(parsed.records[0].description).toBe('@SUM(A1:A2)');
+        });
+
+        await it('should export JSON with ISO timestamps', async () => {
+            const { manager } = await createManager();
+            await manager.createTicket({ title: 'JSON ticket', priority: 'high' });
+
+            const exported = manager.exportTickets('json');
+            const records = JSON.parse(exported.content);
+
+            expect(exported.success).toBe(true);
+            expect(exported.mimeType).toBe('application/json');
+            expect(exported.filename).toContain('.json');
+            expect(records[0].title).toBe('JSON ticket');
+            expect(records[0].priority).toBe('high');
+            expect(/^\d{4}-\d{2}-\d{2}T/.test(records[0].createdAt)).toBe(true);
+        });
+
+        await it('should export only the filtered tickets in list order', async () => {
+            const { manager } = await createManager();
+            await manager.createTicket({ title: 'Bravo' });
+            await manager.createTicket({ title: 'Alpha' });
+            const { ticket } = await manager.createTicket({ title: 'Charlie' });
+            await manager.updateTicket(ticket.id, { status: 'Closed' });
+
+            const exported = manager.exportTickets('json', { status: 'Open', sortBy: 'title' });
+            const titles = JSON.parse(exported.content).map(record => record.title);
+
+            expect(titles).toEqual(['Alpha', 'Bravo']);
+            expect(exported.message).toBe('Exported 2 tickets');
+        });
+
+        await it('should report an unterminated quoted value', async () => {
+            const { manager } = await createManager();
+
+            const result = manager.parseImportFile('title\n"broken', 'tickets.csv');
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('CSV file has an unterminated quoted value');
+        });
+    });
+
+    await describe('TicketImportExport - Mapping and preview', async () => {
+        await it('should suggest a mapping from common column names', async () => {
+            const importExport = new TicketImportExport({ workflow: new TicketWorkflow() });
+
+            const mapping = importExport.suggestMapping(['Summary', 'State', 'Assigned To', 'Due Date', 'Notes']);
+
+            expect(mapping).toEqual({
+                title: 'Summary',
+                description: 'Notes',
+                status: 'State',
+                assignee: 'Assigned To',
+                dueDate: 'Due Date'
+            });
+        });
+
+        await it('should validate rows in a dry run without storing anything', async () => {
+            const { manager } = await createManager();
+            const parsed = manager.parseImportFile(
+                'Summary,State,Priority\nValid row,in progress,HIGH\n,Open,low\nBad status,Parked,medium',
+                'tickets.csv'
+            );
+
+            const result = await manager.importTickets(parsed.records, parsed.mapping, { dryRun: true });
+
+            expect(result.success).toBe(true);
+            expect(result.dryRun).toBe(true);
+            expect(result.preview.summary).toEqual({ total: 3, create: 1, invalid: 2, duplicate: 0 });
+            expect(result.preview.rows[0].data.status).toBe('In Progress');
+            expect(result.preview.rows[0].data.priority).toBe('high');
+            expect(result.preview.rows[1].errors.title).toBeTruthy();
+            expect(result.preview.rows[2].errors.status).toContain('Status must be one of');
+            expect(manager.getTickets().length).toBe(0);
+        });
+
+        await it('should flag IDs that already exist or repeat within the file', async () => {
+            const { manager } = await createManager();
+            const { ticket } = await manager.createTicket({ title: 'Existing' });
+            const records = [
+                { id: ticket.id, title: 'Clash with stored ticket' },
+                { id: 'ticket_import_1', title: 'First copy' },
+                { id: 'ticket_import_1', title: 'Second copy' }
+            ];
+
+            const result = await manager.importTickets(records, { id: 'id', title: 'title' }, { dryRun: true });
+
+            expect(result.preview.summary.duplicate).toBe(2);
+            expect(result.preview.rows[0].errors.id).toBe(`A ticket with ID ${ticket.id} already exists`);
+            expect(result.preview.rows[1].action).toBe('create');
+            expect(result.preview.rows[2].errors.id).toBe('ID ticket_import_1 appears more than once in this file');
+        });
+
+        await it('should reject IDs that are not in the app\'s format', async () => {
+            const { manager } = await createManager();
+            const records = [
+                { id: 'x" onmouseover="alert(1)', title: 'Markup in the ID' },
+                { id: '42', title: 'Server ID' }
+            ];
+
+            const result = await manager.importTickets(records, { id: 'id', title: 'title' });
+
+            expect(result.preview.rows[0].action).toBe('invalid');
+            expect(result.preview.rows[0].errors.id).toContain('ID may only contain');
+            expect(result.imported.map(ticket => ticket.id)).toEqual(['42']);
+        });
+
+        await it('should escape ticket IDs in card markup', async () => {
+            const { manager, user } = await createManager();
+            const ticket = { id: 'x" onmouseover="alert(1)', title: 'Stored before IDs were checked', userId: user.id, createdAt: 1, updatedAt: 1 };
+
+            const html = manager.createTicketCard(ticket).innerHTML;
+
+            expect(html.includes('onmouseover="alert(1)"')).toBe(false);
+            expect(html).toContain('data-ticket-id="x&quot; onmouseover=&quot;alert(1)"');
+        });
+
+        await it('should require a title column', async () => {
+            const { manager } = await createManager();
+
+            const result = await manager.importTickets([{ name: 'x' }], {}, { dryRun: true });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Choose the column that contains the ticket title');
+        });
+    });
+
+    await describe('TicketManager - Import', async () => {
+        await it('should store only valid rows for the current user', async () => {
+            const { manager, user } = await createManager();
+            const parsed = manager.parseImportFile(JSON.stringify([
+                { title: 'Imported one', status: 'Closed', createdAt: '2024-01-02T03:04:05.000Z' },
+                { title: '' },
+                { title: 'Imported two', assignee: 'Sam' }
+            ]), 'tickets.json');
+
+            const result = await manager.importTickets(parsed.records, parsed.mapping);
+
+            expect(result.success).toBe(true);
+            expect(result.imported.length).toBe(2);
+            expect(result.message).toBe('Imported 2 tickets, skipped 1');
+
+            const tickets = manager.getTickets();
+            expect(tickets.length).toBe(2);
+            expect(tickets.every(ticket => ticket.userId === user.id)).toBe(true);
+
+            const closed = tickets.find(ticket => ticket.title === 'Imported one');
+            expect(closed.status).toBe('Closed');
+            expect(closed.createdAt).toBe(Date.parse('2024-01-02T03:04:05.000Z'));
+
+            const event = window.dispatchedEvents.find(item => item.type === 'ticketsImported');
+            expect(event.detail.tickets.length).toBe(2);
+        });
+
+        await it('should keep the stored rows and report the ones the storage refuses', async () => {
+            const { manager } = await createManager();
+            const insert = manager.storage.insert.bind(manager.storage);
+            manager.storage.insert = async (ticket) => {
+                if (ticket.title === 'Imported two') {
+                    throw new Error('Storage quota exceeded');
+                }
+                return insert(ticket);
+            };
+
+            const result = await manager.importTickets(
+                [{ title: 'Imported one' }, { title: 'Imported two' }, { title: 'Imported three' }],
+                { title: 'title' }
+            );
+
+            expect(result.success).toBe(true);
+            expect(result.imported.map(ticket => ticket.title)).toEqual(['Imported one', 'Imported three']);
+            expect(result.failed.map(failure => [failure.row, failure.error])).toEqual([[2, 'Storage quota exceeded']]);
+            expect(result.message).toBe('Imported 2 tickets; 1 could not be stored');
+            expect(manager.getTickets().length).toBe(2);
+        });
+
+        await it('should fail when no row could be stored', async () => {
+            const { manager } = await createManager();
+            manager.storage.insert = async () => { throw new Error('Storage quota exceeded'); };
+
+            const result = await manager.importTickets([{ title: 'Imported one' }], { title: 'title' });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('No tickets could be stored: Storage quota exceeded');
+            expect(result.failed.length).toBe(1);
+        });
+
+        await it('should require authentication', async () => {
+            const { manager } = await createManager();
+            manager.authManager.logout();
+
+            const exported = manager.exportTickets('csv');
+            const imported = await manager.importTickets([{ title: 'x' }], { title: 'title' });
+
+            expect(exported.success).toBe(false);
+            expect(imported.success).toBe(false);
+            expect(imported.error).toBe('User must be authenticated to import tickets');
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
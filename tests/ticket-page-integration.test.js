@@ -58,6 +58,9 @@ const path = require('path');
 const authModulePath = path.join(__dirname, '../public/assets/js/auth.js');
 const authModuleCode = fs.readFileSync(authModulePath, 'utf8');
 
+const workflowModulePath = path.join(__dirname, '../public/assets/js/ticket-workflow.js');
+const workflowModuleCode = fs.readFileSync(workflowModulePath, 'utf8');
+
 const statsModulePath = path.join(__dirname, '../public/assets/js/ticket-statistics.js');
 const statsModuleCode = fs.readFileSync(statsModulePath, 'utf8');
 
@@ -67,7 +70,8 @@ const controllerModuleCode = fs.readFileSync(controllerModulePath, 'utf8');
 // Execute modules and capture classes
 // Use Function constructor to execute in a scope where we can capture the class
 const AuthManager = new Function(authModuleCode + '; return AuthManager;')();
-const TicketStatisticsCalculator = new Function(statsModuleCode + '; return TicketStatisticsCalculator;')();
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+const TicketStatisticsCalculator = new Function('TicketWorkflow', statsModuleCode + '; return TicketStatisticsCalculator;')(TicketWorkflow);
 
 // For TicketPageController, we need to provide dependencies
 const TicketPageController = new Function('AuthManager', 'TicketStatisticsCalculator', 
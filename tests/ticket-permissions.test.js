@@ -0,0 +1,365 @@
+/**
+ * Node.js test runner for ticket permissions
+ * Covers the admin, agent and requester roles, ticket assignment and how TicketManager enforces them
+ * Run with: node tests/ticket-permissions.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' },
+    dispatchedEvents: [],
+    addEventListener: function() {},
+    dispatchEvent: function(event) {
+        this.dispatchedEvents.push(event);
+        return true;
+    }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+global.CustomEvent = function(type, options) {
+    this.type = type;
+    this.detail = options?.detail;
+};
+
+// Mock document for DOM operations
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+    createElement: () => ({
+        innerHTML: '',
+        classList: { add: () => {}, remove: () => {} },
+        setAttribute: () => {},
+        querySelector: () => null
+    }),
+    body: { appendChild: () => {} }
+};
+
+// Load the modules
+const fs = require('fs');
+const path = require('path');
+
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const storageModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-storage.js'), 'utf8');
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const permissionsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-permissions.js'), 'utf8');
+const historyModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-history.js'), 'utf8');
+const profileModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/user-profile.js'), 'utf8');
+const ticketsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/tickets.js'), 'utf8');
+
+const AuthManager = new Function(authModuleCode + '; return AuthManager;')();
+const TicketStorage = new Function(storageModuleCode + '; return TicketStorage;')();
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+const TicketPermissions = new Function(permissionsModuleCode + '; return TicketPermissions;')();
+const TicketHistory = new Function(historyModuleCode + '; return TicketHistory;')();
+const { UserProfile, UserDirectory } = new Function(profileModuleCode + '; return { UserProfile, UserDirectory };')();
+const TicketManager = new Function('AuthManager', 'TicketStorage', 'TicketWorkflow', 'TicketPermissions', 'TicketHistory', 'UserProfile', 'UserDirectory',
+    ticketsModuleCode + '; return TicketManager;'
+)(AuthManager, TicketStorage, TicketWorkflow, TicketPermissions, TicketHistory, UserProfile, UserDirectory);
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const testRunner = new TestRunner();
+const describe = testRunner.describe.bind(testRunner);
+const it = testRunner.it.bind(testRunner);
+const expect = testRunner.expect.bind(testRunner);
+
+const DEMO_PASSWORDS = { demo: 'password', admin: 'admin123', agent: 'agent123', user: 'userpass' };
+
+// Switch the signed-in demo user; the manager reads the session on every call
+async function loginAs(username) {
+    const authManager = new AuthManager({ demoUsers: true });
+    authManager.logout();
+    await authManager.login({ username, password: DEMO_PASSWORDS[username] });
+    return authManager.getCurrentUser();
+}
+
+// A manager holding one ticket created by the demo user (a requester)
+async function createManager() {
+    localStorage.clear();
+    window.dispatchedEvents = [];
+    await loginAs('demo');
+    const manager = new TicketManager({ storage: 'memory' });
+    const { ticket } = await manager.createTicket({ title: 'Printer is jammed' });
+    return { manager, ticket };
+}
+
+async function runTests() {
+    await describe('TicketPermissions', async () => {
+        await it('should grant the documented permissions per role', async () => {
+            const permissions = new TicketPermissions();
+            const admin = { id: 'a', role: 'admin' };
+            const agent = { id: 'b', role: 'agent' };
+            const requester = { id: 'c', role: 'requester' };
+            const ticket = { id: 't', userId: 'someone-else' };
+
+            expect([admin, agent, requester].map(user => permissions.canView(user, ticket))).toEqual([true, true, false]);
+            expect([admin, agent, requester].map(user => permissions.canEdit(user, ticket))).toEqual([true, true, false]);
+            expect([admin, agent, requester].map(user => permissions.canDelete(user, ticket))).toEqual([true, false, false]);
+            expect([admin, agent, requester].map(user => permissions.canAssign(user))).toEqual([true, true, false]);
+        });
+
+        await it('should let owners act on their own tickets and treat unknown roles as requesters', async () => {
+            const permissions = new TicketPermissions();
+            const owner = { id: 'c', role: 'superuser' };
+            const ticket = { id: 't', userId: 'c' };
+
+            expect(permissions.getRole(owner)).toBe('requester');
+            expect(permissions.canEdit(owner, ticket)).toBe(true);
+            expect(permissions.canDelete(owner, ticket)).toBe(true);
+            expect(permissions.canView(null, ticket)).toBe(false);
+        });
+    });
+
+    await describe('TicketManager - Roles', async () => {
+        await it('should hide other users\' tickets from requesters only', async () => {
+            const { manager, ticket } = await createManager();
+
+            await loginAs('user');
+            expect(manager.getTickets().length).toBe(0);
+            expect(manager.getTicketById(ticket.id)).toBe(null);
+
+            await loginAs('agent');
+            expect(manager.getTickets().map(item => item.id)).toEqual([ticket.id]);
+        });
+
+        await it('should let agents edit but not delete other users\' tickets', async () => {
+            const { manager, ticket } = await createManager();
+            await loginAs('agent');
+
+            const updated = await manager.updateTicket(ticket.id, { status: 'In Progress' });
+            const deleted = await manager.deleteTicket(ticket.id, true);
+
+            expect(updated.success).toBe(true);
+            expect(deleted.success).toBe(false);
+            expect(deleted.error).toBe('Not authorized to delete this ticket');
+        });
+
+        await it('should let admins delete any ticket', async () => {
+            const { manager, ticket } = await createManager();
+            await loginAs('admin');
+
+            const deleted = await manager.deleteTicket(ticket.id, true);
+
+            expect(deleted.success).toBe(true);
+            expect(manager.getTickets().length).toBe(0);
+            expect(manager.getTrashedTickets().map(item => item.id)).toEqual([ticket.id]);
+        });
+
+        await it('should stop requesters from editing other users\' tickets', async () => {
+            const { manager, ticket } = await createManager();
+            await loginAs('user');
+
+            const result = await manager.updateTicket(ticket.id, { title: 'Mine now' });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Not authorized to update this ticket');
+        });
+
+        await it('should require the assign permission to set or change an assignee', async () => {
+            const { manager, ticket } = await createManager();
+
+            const created = await manager.createTicket({ title: 'Needs an owner', assignee: 'agent' });
+            const reassigned = await manager.updateTicket(ticket.id, { assignee: 'agent' });
+            const unchanged = await manager.updateTicket(ticket.id, { title: 'Printer is still jammed', assignee: '' });
+
+            expect(created.error).toBe('Not authorized to assign tickets');
+            expect(reassigned.error).toBe('Not authorized to assign tickets');
+            expect(unchanged.success).toBe(true);
+
+            await loginAs('agent');
+            const assigned = await manager.updateTicket(ticket.id, { assignee: 'agent' });
+            expect(assigned.ticket.assignee).toBe('agent');
+        });
+
+        await it('should apply roles to bulk actions', async () => {
+            const { manager, ticket } = await createManager();
+            await loginAs('agent');
+
+            const moved = await manager.bulkUpdateStatus([ticket.id], 'Closed');
+            const deleted = await manager.bulkDeleteTickets([ticket.id], true);
+
+            expect(moved.tickets.length).toBe(1);
+            expect(deleted.failed[0].error).toBe('Not authorized to delete this ticket');
+        });
+
+        await it('should only render the buttons the user may use', async () => {
+            const { manager, ticket } = await createManager();
+            await loginAs('agent');
+
+            const card = manager.createTicketCard(manager.getTicketById(ticket.id));
+
+            expect(card.innerHTML.includes('edit-btn')).toBe(true);
+            expect(card.innerHTML.includes('delete-btn')).toBe(false);
+        });
+    });
+
+    await describe('TicketManager - Assignment', async () => {
+        await it('should match assignees by username or email, but not display name', async () => {
+            const permissions = new TicketPermissions();
+            const user = { id: 'u', username: 'sam', email: 'sam@example.com', displayName: 'Boss' };
+
+            expect(permissions.isAssignee(user, { userId: 'x', assignee: 'SAM' })).toBe(true);
+            expect(permissions.isAssignee(user, { userId: 'x', assignee: 'sam@example.com' })).toBe(true);
+            expect(permissions.isAssignee(user, { userId: 'x', assignee: 'Boss' })).toBe(false);
+            expect(permissions.isAssignee(user, { userId: 'x', assignee: '' })).toBe(false);
+        });
+
+        await it('should let requesters view and edit, but not delete, tickets assigned to them', async () => {
+            const { manager, ticket } = await createManager();
+            await loginAs('agent');
+            await manager.updateTicket(ticket.id, { assignee: 'user' });
+
+            await loginAs('user');
+            const updated = await manager.updateTicket(ticket.id, { status: 'In Progress' });
+            const deleted = await manager.deleteTicket(ticket.id, true);
+
+            expect(manager.getTickets().map(item => item.id)).toEqual([ticket.id]);
+            expect(updated.success).toBe(true);
+            expect(deleted.error).toBe('Not authorized to delete this ticket');
+        });
+
+        await it('should filter by created by me, assigned to me and unassigned', async () => {
+            const { manager, ticket } = await createManager();
+            await loginAs('agent');
+            const { ticket: own } = await manager.createTicket({ title: 'Replace toner' });
+            await manager.updateTicket(ticket.id, { assignee: 'agent@example.com' });
+
+            const ids = assignment => manager.filterTickets({ assignment }).map(item => item.id);
+
+            expect(ids('created')).toEqual([own.id]);
+            expect(ids('assigned')).toEqual([ticket.id]);
+            expect(ids('unassigned')).toEqual([own.id]);
+            expect(ids('all').length).toBe(2);
+        });
+
+        await it('should record reassignment as its own event and history entry', async () => {
+            const { manager, ticket } = await createManager();
+            await loginAs('agent');
+            await manager.updateTicket(ticket.id, { assignee: 'agent' });
+            window.dispatchedEvents = [];
+
+            await manager.updateTicket(ticket.id, { title: 'Printer is still jammed', assignee: 'admin' });
+
+            const assigned = window.dispatchedEvents.find(event => event.type === 'ticketAssigned');
+            const entries = manager.getTicketHistory(ticket.id);
+            const updatedEntry = entries.filter(entry => entry.action === 'updated').pop();
+
+            expect(assigned.detail.previousAssignee).toBe('agent');
+            expect(assigned.detail.assignee).toBe('admin');
+            expect(entries[entries.length - 1].action).toBe('assigned');
+            expect(entries[entries.length - 1].changes).toEqual([{ field: 'assignee', oldValue: 'agent', newValue: 'admin' }]);
+            expect(updatedEntry.changes.map(change => change.field)).toEqual(['title']);
+        });
+
+        await it('should offer known users in the assignee picker and keep unknown assignees', async () => {
+            const { manager } = await createManager();
+
+            const options = manager.createAssigneeOptionsHTML('Agent@Example.com');
+            const legacy = manager.createAssigneeOptionsHTML('Sarah <Ops>');
+
+            expect(options).toContain('<option value="agent" selected>agent</option>');
+            expect(options).toContain('<option value="demo" >demo</option>');
+            expect(legacy).toContain('<option value="Sarah &lt;Ops&gt;" selected>Sarah &lt;Ops&gt;</option>');
+            expect(manager.createAssigneeOptionsHTML('')).toContain('<option value="" selected>Unassigned</option>');
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,307 @@
+/**
+ * Node.js test runner for ticket search
+ * Covers TicketSearchIndex normalisation, matching and highlighting and TicketManager.filterTickets
+ * Run with: node tests/ticket-search.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' },
+    dispatchedEvents: [],
+    addEventListener: function() {},
+    dispatchEvent: function(event) {
+        this.dispatchedEvents.push(event);
+        return true;
+    }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+global.CustomEvent = function(type, options) {
+    this.type = type;
+    this.detail = options?.detail;
+};
+
+// Mock document for DOM operations
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+    createElement: () => ({
+        innerHTML: '',
+        classList: { add: () => {}, remove: () => {} },
+        setAttribute: () => {},
+        querySelector: () => null
+    }),
+    body: { appendChild: () => {} }
+};
+
+// Load the modules
+const fs = require('fs');
+const path = require('path');
+
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const storageModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-storage.js'), 'utf8');
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const searchModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-search.js'), 'utf8');
+const ticketsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/tickets.js'), 'utf8');
+
+const AuthManager = new Function(authModuleCode + '; return AuthManager;')();
+const TicketStorage = new Function(storageModuleCode + '; return TicketStorage;')();
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+const TicketSearchIndex = new Function(searchModuleCode + '; return TicketSearchIndex;')();
+const TicketManager = new Function('AuthManager', 'TicketStorage', 'TicketWorkflow', 'TicketSearchIndex',
+    ticketsModuleCode + '; return TicketManager;'
+)(AuthManager, TicketStorage, TicketWorkflow, TicketSearchIndex);
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const testRunner = new TestRunner();
+const describe = testRunner.describe.bind(testRunner);
+const it = testRunner.it.bind(testRunner);
+const expect = testRunner.expect.bind(testRunner);
+
+// Log a user in so TicketManager operations are authorized
+async function loginTestUser() {
+    localStorage.clear();
+    sessionStorage.clear();
+    const authManager = new AuthManager({ demoUsers: true });
+    await authManager.login({ username: 'demo', password: 'password' });
+    return authManager.getCurrentUser();
+}
+
+// Build a ticket owned by the given user
+function makeTicket(userId, id, title, description, status = 'Open', createdAt = Date.now()) {
+    return { id, title, description, status, userId, createdAt, updatedAt: createdAt };
+}
+
+async function runTests() {
+    await describe('TicketSearchIndex normalisation', async () => {
+        await it('should fold case and strip accents', async () => {
+            expect(TicketSearchIndex.normalize('Café RÉSUMÉ Ñandú')).toBe('cafe resume nandu');
+        });
+
+        await it('should split queries into unique tokens on punctuation and whitespace', async () => {
+            expect(TicketSearchIndex.tokenize('  Login-page,  LOGIN  500 ')).toEqual(['login', 'page', '500']);
+            expect(TicketSearchIndex.tokenize('   ')).toEqual([]);
+        });
+    });
+
+    await describe('TicketSearchIndex matching', async () => {
+        const tickets = [
+            { id: 'a', title: 'Login page crashes', description: 'Server returns 500 on submit' },
+            { id: 'b', title: 'Update café menu', description: 'Prices need a refresh' },
+            { id: 'c', title: 'Password reset', description: 'Reset email never arrives after login' }
+        ];
+
+        await it('should require every token to match title or description', async () => {
+            const index = new TicketSearchIndex();
+            expect(index.search(tickets, 'login').map(t => t.id)).toEqual(['a', 'c']);
+            expect(index.search(tickets, 'login 500').map(t => t.id)).toEqual(['a']);
+            expect(index.search(tickets, 'login menu')).toEqual([]);
+        });
+
+        await it('should ignore case and accents on both sides', async () => {
+            const index = new TicketSearchIndex();
+            expect(index.search(tickets, 'CAFE').map(t => t.id)).toEqual(['b']);
+            expect(index.search(tickets, 'rése').map(t => t.id)).toEqual(['c']);
+        });
+
+        await it('should return every ticket for an empty query', async () => {
+            const index = new TicketSearchIndex();
+            expect(index.search(tickets, '').length).toBe(3);
+        });
+
+        await it('should rebuild cached text when a ticket changes', async () => {
+            const index = new TicketSearchIndex();
+            const mutable = [{ id: 'x', title: 'Old title', description: '' }];
+            expect(index.search(mutable, 'old').length).toBe(1);
+
+            mutable[0] = { ...mutable[0], title: 'New title' };
+            expect(index.search(mutable, 'old').length).toBe(0);
+            expect(index.search(mutable, 'new').length).toBe(1);
+        });
+
+        await it('should drop cache entries for deleted tickets', async () => {
+            const index = new TicketSearchIndex();
+            index.search(tickets, 'login');
+            index.search(tickets.slice(0, 1), 'login');
+            expect(index.entries.size).toBe(1);
+        });
+
+        await it('should search several thousand tickets quickly', async () => {
+            const index = new TicketSearchIndex();
+            const many = [];
+            for (let i = 0; i < 5000; i++) {
+                many.push({ id: `t${i}`, title: `Ticket ${i} Überprüfung`, description: 'Lorem ipsum dolor sit amet '.repeat(10) });
+            }
+
+            index.search(many, 'warm up');
+            const start = Date.now();
+            for (let i = 0; i < 10; i++) {
+                index.search(many, 'uberprufung 4999');
+            }
+            const elapsed = (Date.now() - start) / 10;
+
+            expect(index.search(many, 'uberprufung 4999').length).toBe(1);
+            expect(elapsed < 50).toBeTruthy();
+        });
+    });
+
+    await describe('TicketSearchIndex highlighting', async () => {
+        await it('should wrap matches in mark elements preserving original text', async () => {
+            expect(TicketSearchIndex.highlight('Le Café est ouvert', 'cafe'))
+                .toBe('Le <mark class="search-highlight">Café</mark> est ouvert');
+        });
+
+        await it('should escape HTML inside and outside of matches', async () => {
+            expect(TicketSearchIndex.highlight('<b>bold</b> & co', 'bold'))
+                .toBe('&lt;b&gt;<mark class="search-highlight">bold</mark>&lt;/b&gt; &amp; co');
+        });
+
+        await it('should merge overlapping matches into one mark', async () => {
+            expect(TicketSearchIndex.highlight('database', 'data base'))
+                .toBe('<mark class="search-highlight">database</mark>');
+        });
+
+        await it('should keep decomposed accents inside the highlight', async () => {
+            const decomposed = 'Cafe\u0301 open';
+            expect(TicketSearchIndex.highlight(decomposed, 'cafe'))
+                .toBe('<mark class="search-highlight">Cafe\u0301</mark> open');
+        });
+
+        await it('should only escape when there is nothing to highlight', async () => {
+            expect(TicketSearchIndex.highlight('a < b', '')).toBe('a &lt; b');
+            expect(TicketSearchIndex.highlight('a < b', 'zzz')).toBe('a &lt; b');
+        });
+    });
+
+    await describe('TicketManager.filterTickets', async () => {
+        await it('should combine search with status filter and sort order', async () => {
+            const user = await loginTestUser();
+            localStorage.setItem('tickets', JSON.stringify([
+                makeTicket(user.id, 't1', 'Login bug', 'Cannot sign in', 'Open', 1000),
+                makeTicket(user.id, 't2', 'Another login issue', 'Timeout', 'Closed', 2000),
+                makeTicket(user.id, 't3', 'Dashboard colours', 'Login button is grey', 'Open', 3000),
+                makeTicket(user.id, 't4', 'Export CSV', 'Nothing to do with it', 'Open', 4000),
+                makeTicket('someone_else', 't5', 'Login for other user', '', 'Open', 5000)
+            ]));
+            const manager = new TicketManager({ storage: 'local' });
+
+            const openLogin = manager.filterTickets({ status: 'Open', query: 'login', sortBy: 'oldest' });
+            expect(openLogin.map(t => t.id)).toEqual(['t1', 't3']);
+
+            const allLoginByTitle = manager.filterTickets({ query: 'LOGIN', sortBy: 'title' });
+            expect(allLoginByTitle.map(t => t.id)).toEqual(['t2', 't3', 't1']);
+
+            const everything = manager.filterTickets();
+            expect(everything.map(t => t.id)).toEqual(['t4', 't3', 't2', 't1']);
+        });
+
+        await it('should highlight matches in rendered ticket cards', async () => {
+            const user = await loginTestUser();
+            const manager = new TicketManager({ storage: 'memory' });
+            const card = manager.createTicketCard(makeTicket(user.id, 't1', 'Crème brûlée', 'Dessert <menu>'), { highlight: 'creme menu' });
+
+            expect(card.innerHTML).toContain('<mark class="search-highlight">Crème</mark> brûlée');
+            expect(card.innerHTML).toContain('Dessert &lt;<mark class="search-highlight">menu</mark>&gt;');
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
@@ -29,19 +29,22 @@ global.document = {
     querySelectorAll: () => []
 };
 
-// Load the TicketStatisticsCalculator module
+// Load the TicketWorkflow and TicketStatisticsCalculator modules
 const fs = require('fs');
 const path = require('path');
 
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+
 const statsModulePath = path.join(__dirname, '../public/assets/js/ticket-statistics.js');
 const statsModuleCode = fs.readFileSync(statsModulePath, 'utf8');
 
 // Create a module context and evaluate
 const moduleContext = { module: { exports: {} }, exports: {} };
 const wrappedCode = `
-(function(module, exports, window, document, localStorage, requestAnimationFrame, performance) {
+(function(module, exports, window, document, localStorage, requestAnimationFrame, performance, TicketWorkflow) {
     ${statsModuleCode}
-})(moduleContext.module, moduleContext.exports, global.window, global.document, global.localStorage, global.requestAnimationFrame, global.performance);
+})(moduleContext.module, moduleContext.exports, global.window, global.document, global.localStorage, global.requestAnimationFrame, global.performance, TicketWorkflow);
 `;
 
 eval(wrappedCode);
@@ -390,6 +393,19 @@ describe('TicketStatisticsCalculator - getTickets()', () => {
         // Restore
         global.localStorage = originalLocalStorage;
     });
+
+    it('should read from a storage adapter when one is given', () => {
+        setup();
+
+        const tickets = createSampleTickets({ open: 1, closed: 2 });
+        tickets[1].deletedAt = Date.now();
+        calculator = new TicketStatisticsCalculator(null, { readAll: () => tickets });
+
+        const retrievedTickets = calculator.getTickets();
+
+        expect(retrievedTickets).toHaveLength(2);
+        expect(calculator.calculateStatistics(true).closed).toBe(1);
+    });
 });
 
 describe('TicketStatisticsCalculator - updateStatisticsDisplay()', () => {
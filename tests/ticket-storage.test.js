@@ -0,0 +1,1111 @@
+/**
+ * Node.js test runner for ticket storage adapters
+ * Covers the localStorage, in-memory, IndexedDB and HTTP adapters, the offline outbox and TicketManager routing through them
+ * Run with: node tests/ticket-storage.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' },
+    dispatchedEvents: [],
+    addEventListener: function() {},
+    dispatchEvent: function(event) {
+        this.dispatchedEvents.push(event);
+        return true;
+    }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+global.CustomEvent = function(type, options) {
+    this.type = type;
+    this.detail = options?.detail;
+};
+
+// Mock document for DOM operations
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+    createElement: () => ({ classList: { add: () => {}, remove: () => {} } }),
+    body: { appendChild: () => {} }
+};
+
+// Load the modules
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const storageModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-storage.js'), 'utf8');
+const outboxModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-outbox.js'), 'utf8');
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const historyModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-history.js'), 'utf8');
+const commentsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-comments.js'), 'utf8');
+const permissionsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-permissions.js'), 'utf8');
+const statisticsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-statistics.js'), 'utf8');
+const ticketsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/tickets.js'), 'utf8');
+
+const AuthManager = new Function(authModuleCode + '; return AuthManager;')();
+const { TicketStorage, LocalStorageTicketAdapter, MemoryTicketAdapter, IndexedDbTicketAdapter, HttpTicketAdapter } = new Function(
+    storageModuleCode + '; return { TicketStorage, LocalStorageTicketAdapter, MemoryTicketAdapter, IndexedDbTicketAdapter, HttpTicketAdapter };'
+)();
+const TicketOutbox = new Function(outboxModuleCode + '; return TicketOutbox;')();
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+const TicketHistory = new Function(historyModuleCode + '; return TicketHistory;')();
+const TicketComments = new Function(commentsModuleCode + '; return TicketComments;')();
+const TicketPermissions = new Function(permissionsModuleCode + '; return TicketPermissions;')();
+const TicketStatisticsCalculator = new Function('TicketWorkflow',
+    statisticsModuleCode + '; return TicketStatisticsCalculator;'
+)(TicketWorkflow);
+const TicketManager = new Function('AuthManager', 'TicketStorage', 'TicketWorkflow', 'TicketHistory',
+    ticketsModuleCode + '; return TicketManager;'
+)(AuthManager, TicketStorage, TicketWorkflow, TicketHistory);
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const testRunner = new TestRunner();
+const describe = testRunner.describe.bind(testRunner);
+const it = testRunner.it.bind(testRunner);
+const expect = testRunner.expect.bind(testRunner);
+
+/**
+ * Start a mock /api/tickets server backed by an in-memory array
+ * @returns {Promise<Object>} Server handle with baseUrl, tickets and requests log
+ */
+function startMockTicketServer() {
+    // Set nextId to give created tickets server IDs instead of keeping the client's
+    const state = { tickets: [], records: {}, requests: [], nextId: null };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const payload = body ? JSON.parse(body) : null;
+            const match = req.url.match(/^\/api\/tickets(?:\/([^/]+))?$/);
+            const ticketId = match && match[1] ? decodeURIComponent(match[1]) : null;
+            state.requests.push({ method: req.method, url: req.url, body: payload });
+
+            const send = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(data === undefined ? '' : JSON.stringify(data));
+            };
+
+            // Records such as history entries, grouped by kind and ticket ID
+            const records = req.url.match(/^\/api\/tickets(?:\/([^/]+))?\/(history|comments)(?:\/([^/]+))?$/);
+            if (records) {
+                const [, recordTicketId, kind, recordId] = records.map(part => part && decodeURIComponent(part));
+                const grouped = state.records[kind] || (state.records[kind] = {});
+                if (req.method === 'GET' && !recordTicketId) {
+                    return send(200, { success: true, records: grouped });
+                }
+                if (req.method === 'PUT' && recordTicketId && recordId) {
+                    const record = { ...payload, id: recordId, ticketId: recordTicketId };
+                    grouped[recordTicketId] = [...(grouped[recordTicketId] || []).filter(item => item.id !== recordId), record];
+                    return send(200, { success: true, record: record });
+                }
+                if (req.method === 'DELETE' && recordTicketId) {
+                    grouped[recordTicketId] = recordId ? (grouped[recordTicketId] || []).filter(item => item.id !== recordId) : [];
+                    return send(200, { success: true });
+                }
+                return send(405, { error: 'Method not allowed' });
+            }
+
+            if (!match) {
+                return send(404, { error: 'Not found' });
+            }
+
+            const index = ticketId ? state.tickets.findIndex(ticket => ticket.id === ticketId) : -1;
+
+            if (req.method === 'GET' && !ticketId) {
+                return send(200, state.tickets);
+            }
+            if (req.method === 'POST' && !ticketId) {
+                const ticket = { ...payload, id: state.nextId ? String(state.nextId++) : payload.id, serverStamp: 'created' };
+                state.tickets.push(ticket);
+                return send(201, { success: true, ticket: ticket });
+            }
+            if (ticketId && index === -1) {
+                return send(404, { error: 'Ticket not found' });
+            }
+            if (req.method === 'GET') {
+                return send(200, { success: true, ticket: state.tickets[index] });
+            }
+            if (req.method === 'PUT') {
+                // Like the PHP API, require a version and refuse one that is not the next one
+                const version = state.tickets[index].version || 1;
+                if (payload.version === undefined) {
+                    return send(428, { success: false, error: 'Send the version of the ticket this change is based on', errors: { version: 'Version is required' } });
+                }
+                if (payload.version !== version + 1) {
+                    return send(409, { success: false, conflict: true, error: 'This ticket was changed by someone else after you opened it', ticket: state.tickets[index] });
+                }
+                state.tickets[index] = { ...payload, version: version + 1, serverStamp: 'updated' };
+                return send(200, { success: true, ticket: state.tickets[index] });
+            }
+            if (req.method === 'DELETE') {
+                state.tickets.splice(index, 1);
+                return send(200, { success: true });
+            }
+            return send(405, { error: 'Method not allowed' });
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                state: state,
+                baseUrl: `http://127.0.0.1:${port}/api/tickets`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Create an in-memory stand-in for IndexedDB with what IndexedDbTicketAdapter uses: versioned
+ * databases upgraded through onupgradeneeded, object stores with indexes, and transactions that
+ * complete once their requests are done
+ * @returns {Object} IDBFactory-like object; databases live as long as it does
+ */
+function createFakeIndexedDB() {
+    const databases = {};
+    const later = (fn) => setTimeout(fn, 0);
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+    function createTransaction(db) {
+        let pending = 0;
+        let done = false;
+        const transaction = { oncomplete: null, onerror: null, onabort: null, error: null };
+        const complete = () => {
+            if (!done && pending === 0) {
+                done = true;
+                if (transaction.oncomplete) transaction.oncomplete();
+            }
+        };
+        const track = (run) => {
+            pending++;
+            const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+            later(() => {
+                request.result = run();
+                if (request.onsuccess) request.onsuccess();
+                pending--;
+                later(complete);
+            });
+            return request;
+        };
+
+        transaction.objectStore = (name) => {
+            const store = db.stores[name];
+            const all = () => Array.from(store.records.values()).map(copy);
+            const indexed = (indexName, key) => all()
+                .filter(record => record[store.indexes[indexName]] !== undefined)
+                .filter(record => key === undefined || record[store.indexes[indexName]] === key)
+                .sort((a, b) => compare(a[store.indexes[indexName]], b[store.indexes[indexName]]));
+            return {
+                indexNames: { contains: (indexName) => indexName in store.indexes },
+                createIndex: (indexName, keyPath) => { store.indexes[indexName] = keyPath; },
+                put: (value) => track(() => { store.records.set(value[store.keyPath], copy(value)); return value[store.keyPath]; }),
+                delete: (key) => track(() => { store.records.delete(key); }),
+                clear: () => track(() => { store.records.clear(); }),
+                getAll: () => track(all),
+                getAllKeys: () => track(() => Array.from(store.records.keys())),
+                index: (indexName) => ({
+                    getAll: (key) => track(() => indexed(indexName, key)),
+                    count: (key) => track(() => indexed(indexName, key).length)
+                })
+            };
+        };
+        later(complete);
+        return transaction;
+    }
+
+    return {
+        databases: databases,
+        open(name, version = 1) {
+            const request = { result: null, error: null, transaction: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+            later(() => {
+                if (!databases[name]) {
+                    const db = { version: 0, stores: {} };
+                    db.objectStoreNames = { contains: (storeName) => Boolean(db.stores[storeName]) };
+                    db.createObjectStore = (storeName, options) => {
+                        db.stores[storeName] = { keyPath: options.keyPath, indexes: {}, records: new Map() };
+                        return request.transaction.objectStore(storeName);
+                    };
+                    db.transaction = () => createTransaction(db);
+                    databases[name] = db;
+                }
+
+                const db = databases[name];
+                request.result = db;
+                if (version > db.version) {
+                    db.version = version;
+                    request.transaction = createTransaction(db);
+                    request.transaction.oncomplete = () => {
+                        request.transaction = null;
+                        if (request.onsuccess) request.onsuccess();
+                    };
+                    if (request.onupgradeneeded) request.onupgradeneeded();
+                } else if (request.onsuccess) {
+                    request.onsuccess();
+                }
+            });
+            return request;
+        }
+    };
+}
+
+/**
+ * Create a BroadcastChannel stand-in whose channels deliver to each other, like tabs of one browser
+ * @returns {Function} BroadcastChannel-like constructor
+ */
+function createFakeBroadcastChannel() {
+    const channels = [];
+    return function FakeBroadcastChannel(name) {
+        this.name = name;
+        this.onmessage = null;
+        this.postMessage = (data) => channels
+            .filter(channel => channel !== this && channel.name === name && channel.onmessage)
+            .forEach(channel => channel.onmessage({ data: JSON.parse(JSON.stringify(data)) }));
+        channels.push(this);
+    };
+}
+
+// Log a user in so TicketManager operations are authorized
+async function loginTestUser() {
+    localStorage.clear();
+    sessionStorage.clear();
+    const authManager = new AuthManager({ demoUsers: true });
+    await authManager.login({ username: 'demo', password: 'password' });
+    return authManager.getCurrentUser();
+}
+
+async function runTests() {
+    await describe('TicketStorage factory', async () => {
+        await it('should create adapters by type', async () => {
+            expect(TicketStorage.create('local') instanceof LocalStorageTicketAdapter).toBeTruthy();
+            expect(TicketStorage.create('memory') instanceof MemoryTicketAdapter).toBeTruthy();
+            expect(TicketStorage.create('http') instanceof HttpTicketAdapter).toBeTruthy();
+            expect(TicketStorage.create('indexeddb', { indexedDB: createFakeIndexedDB() }) instanceof IndexedDbTicketAdapter).toBeTruthy();
+        });
+
+        await it('should fall back to localStorage without IndexedDB', async () => {
+            expect(TicketStorage.create('indexeddb') instanceof LocalStorageTicketAdapter).toBeTruthy();
+        });
+
+        await it('should read the storage type configured by the page', async () => {
+            const originalQuerySelector = document.querySelector;
+            expect(TicketStorage.getConfiguredType()).toBe('local');
+
+            document.querySelector = (selector) => selector === 'meta[name="ticket-storage"]'
+                ? { getAttribute: () => 'http' }
+                : null;
+            expect(TicketStorage.getConfiguredType()).toBe('http');
+            document.querySelector = originalQuerySelector;
+        });
+
+        await it('should reject unknown storage types', async () => {
+            let message = '';
+            try {
+                TicketStorage.create('floppy');
+            } catch (error) {
+                message = error.message;
+            }
+            expect(message).toContain('Unknown ticket storage type');
+        });
+    });
+
+    await describe('LocalStorageTicketAdapter', async () => {
+        await it('should insert, update and remove tickets in localStorage', async () => {
+            localStorage.clear();
+            const adapter = new LocalStorageTicketAdapter();
+
+            await adapter.insert({ id: 't1', title: 'First' });
+            await adapter.update({ id: 't1', title: 'Renamed' });
+            expect(JSON.parse(localStorage.getItem('tickets'))[0].title).toBe('Renamed');
+
+            expect(await adapter.remove('t1')).toBe(true);
+            expect(await adapter.remove('t1')).toBe(false);
+            expect(adapter.readAll().length).toBe(0);
+        });
+
+        await it('should return an empty list for corrupted data', async () => {
+            localStorage.setItem('tickets', 'not-json');
+            const originalError = console.error;
+            console.error = () => {};
+            const tickets = new LocalStorageTicketAdapter().readAll();
+            console.error = originalError;
+            expect(tickets).toEqual([]);
+        });
+
+        await it('should surface quota errors on write', async () => {
+            const adapter = new LocalStorageTicketAdapter();
+            const originalSetItem = localStorage.setItem;
+            const originalError = console.error;
+            localStorage.setItem = () => { throw new Error('QuotaExceededError'); };
+            console.error = () => {};
+
+            let message = '';
+            try {
+                await adapter.insert({ id: 't2', title: 'Too big' });
+            } catch (error) {
+                message = error.message;
+            } finally {
+                localStorage.setItem = originalSetItem;
+                console.error = originalError;
+            }
+            expect(message).toBe('Failed to save tickets to storage');
+        });
+
+        await it('should apply a batch of changes in one write', async () => {
+            localStorage.clear();
+            const adapter = new LocalStorageTicketAdapter();
+            adapter.writeAll([{ id: 't1', title: 'One' }, { id: 't2', title: 'Two' }, { id: 't3', title: 'Three' }]);
+            let writes = 0;
+            const originalSetItem = localStorage.setItem;
+            localStorage.setItem = function(key, value) {
+                writes++;
+                originalSetItem.call(this, key, value);
+            };
+
+            const result = await adapter.applyChanges({ update: [{ id: 't1', title: 'Uno' }], remove: ['t2', 'missing'] });
+            localStorage.setItem = originalSetItem;
+
+            expect(writes).toBe(1);
+            expect(result.removed).toEqual(['t2']);
+            expect(adapter.readAll().map(ticket => ticket.title)).toEqual(['Uno', 'Three']);
+        });
+
+        await it('should leave every ticket unchanged when a batch update targets a missing ticket', async () => {
+            localStorage.clear();
+            const adapter = new LocalStorageTicketAdapter();
+            adapter.writeAll([{ id: 't1', title: 'One' }]);
+
+            let message = '';
+            try {
+                await adapter.applyChanges({ update: [{ id: 't1', title: 'Uno' }, { id: 'missing', title: 'Nope' }] });
+            } catch (error) {
+                message = error.message;
+            }
+
+            expect(message).toBe('Ticket not found');
+            expect(adapter.readAll()[0].title).toBe('One');
+        });
+
+        await it('should keep records per ticket under a key of their kind', async () => {
+            localStorage.clear();
+            const adapter = new LocalStorageTicketAdapter();
+            await adapter.saveRecord('history', { id: 'h1', ticketId: 't1', action: 'created' }, 2);
+            await adapter.saveRecord('history', { id: 'h2', ticketId: 't1', action: 'updated' }, 2);
+            await adapter.saveRecord('history', { id: 'h3', ticketId: 't1', action: 'updated' }, 2);
+            await adapter.saveRecord('history', { id: 'h4', ticketId: 't2', action: 'created' }, 2);
+
+            expect(JSON.parse(localStorage.getItem('ticket_history')).t1.map(entry => entry.id)).toEqual(['h2', 'h3']);
+            expect(await adapter.removeRecords('history', 't1', 'h2')).toBe(true);
+            expect(await adapter.removeRecords('history', 't1', 'missing')).toBe(false);
+            expect(adapter.readRecords('history').t1.map(entry => entry.id)).toEqual(['h3']);
+
+            await adapter.removeRecords('history', 't2');
+            expect(Object.keys(new LocalStorageTicketAdapter().readRecords('history'))).toEqual(['t1']);
+        });
+    });
+
+    await describe('MemoryTicketAdapter', async () => {
+        await it('should keep tickets isolated from callers', async () => {
+            const adapter = new MemoryTicketAdapter({ tickets: [{ id: 'm1', title: 'Seed' }] });
+            const tickets = adapter.readAll();
+            tickets[0].title = 'Mutated';
+            expect(adapter.readAll()[0].title).toBe('Seed');
+        });
+
+        await it('should reject updates to unknown tickets', async () => {
+            const adapter = new MemoryTicketAdapter();
+            let message = '';
+            try {
+                await adapter.update({ id: 'missing' });
+            } catch (error) {
+                message = error.message;
+            }
+            expect(message).toBe('Ticket not found');
+        });
+
+        await it('should keep records per ticket without touching localStorage', async () => {
+            localStorage.clear();
+            const adapter = new MemoryTicketAdapter();
+            await adapter.saveRecord('history', { id: 'h1', ticketId: 't1', action: 'created' });
+            await adapter.saveRecord('history', { id: 'h1', ticketId: 't1', action: 'updated' });
+
+            expect(adapter.readRecords('history')).toEqual({ t1: [{ id: 'h1', ticketId: 't1', action: 'updated' }] });
+            expect(localStorage.getItem('ticket_history')).toBe(null);
+        });
+    });
+
+    await describe('IndexedDbTicketAdapter', async () => {
+        await it('should keep each ticket as a record with indexes for its lookups', async () => {
+            localStorage.clear();
+            const indexedDB = createFakeIndexedDB();
+            const adapter = new IndexedDbTicketAdapter({ indexedDB, BroadcastChannel: null });
+            await adapter.load();
+
+            await adapter.insert({ id: 'i1', title: 'First', status: 'Open', userId: 'u1', createdAt: 2 });
+            await adapter.insert({ id: 'i2', title: 'Second', status: 'Closed', userId: 'u1', createdAt: 1 });
+            await adapter.update({ id: 'i1', title: 'Renamed', status: 'Open', userId: 'u1', createdAt: 2 });
+
+            const store = indexedDB.databases.ticketapp.stores.tickets;
+            expect(Object.keys(store.indexes)).toEqual(['userId', 'status', 'createdAt', 'assignee', 'priority', 'activeStatus']);
+            expect(store.records.get('i1').title).toBe('Renamed');
+            expect(store.records.get('i1').activeStatus).toBe('Open');
+
+            // Another page load reads the records back, oldest first
+            const reopened = new IndexedDbTicketAdapter({ indexedDB, BroadcastChannel: null });
+            await reopened.load();
+            expect(reopened.readAll().map(ticket => ticket.id)).toEqual(['i2', 'i1']);
+            expect(reopened.readAll()[1].activeStatus).toBe(undefined);
+        });
+
+        await it('should look tickets up by userId, status, assignee and priority in the indexes', async () => {
+            const adapter = new IndexedDbTicketAdapter({ indexedDB: createFakeIndexedDB(), BroadcastChannel: null });
+            await adapter.load();
+            await adapter.insert({ id: 'i1', status: 'Open', priority: 'High', userId: 'u1', assignee: 'Agent', createdAt: 1 });
+            await adapter.insert({ id: 'i2', status: 'Closed', priority: 'Low', userId: 'u2', assignee: '', createdAt: 2 });
+            await adapter.insert({ id: 'i3', status: 'Open', priority: 'High', userId: 'u2', assignee: 'agent ', createdAt: 3 });
+
+            // The cache is not used for lookups
+            adapter.setCache([]);
+            expect((await adapter.query('userId', 'u2')).map(ticket => ticket.id)).toEqual(['i2', 'i3']);
+            expect((await adapter.query('status', 'Open')).map(ticket => ticket.id)).toEqual(['i1', 'i3']);
+            expect((await adapter.query('assignee', 'AGENT')).map(ticket => ticket.id)).toEqual(['i1', 'i3']);
+            expect((await adapter.query('priority', 'High')).map(ticket => ticket.id)).toEqual(['i1', 'i3']);
+            expect((await adapter.query('assignee', 'agent'))[0].assigneeKey).toBe(undefined);
+
+            await adapter.load();
+            await adapter.applyChanges({ update: [{ id: 'i1', status: 'Closed', userId: 'u1', createdAt: 1 }], remove: ['i3', 'missing'] });
+            expect(await adapter.query('status', 'Open')).toEqual([]);
+            expect((await adapter.query('status', 'Closed')).map(ticket => ticket.id)).toEqual(['i1', 'i2']);
+            expect(await adapter.query('assignee', 'agent')).toEqual([]);
+
+            let message = '';
+            try {
+                await adapter.query('title', 'Anything');
+            } catch (error) {
+                message = error.message;
+            }
+            expect(message).toBe('Tickets are not indexed by title');
+        });
+
+        await it('should count tickets outside the trash per status from the index', async () => {
+            const adapter = new IndexedDbTicketAdapter({ indexedDB: createFakeIndexedDB(), BroadcastChannel: null });
+            await adapter.load();
+            await adapter.insert({ id: 'c1', status: 'Open', createdAt: 1 });
+            await adapter.insert({ id: 'c2', status: 'Open', createdAt: 2, deletedAt: 5 });
+            await adapter.insert({ id: 'c3', status: 'Closed', createdAt: 3 });
+
+            expect(await adapter.countByStatus(['Open', 'In Progress', 'Closed']))
+                .toEqual({ total: 2, byStatus: { 'Open': 1, 'In Progress': 0, 'Closed': 1 } });
+
+            // TicketStatisticsCalculator counts from the index instead of reading every ticket
+            const calculator = new TicketStatisticsCalculator(new TicketWorkflow(), adapter);
+            adapter.readAll = () => { throw new Error('readAll should not be used'); };
+            const stats = await calculator.calculateStatisticsAsync(true);
+            expect(stats).toEqual({ total: 2, open: 1, inProgress: 0, closed: 1 });
+        });
+
+        await it('should add the new indexes to a database from an earlier version', async () => {
+            localStorage.clear();
+            const indexedDB = createFakeIndexedDB();
+            await new Promise(resolve => {
+                const request = indexedDB.open('ticketapp', 2);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore('tickets', { keyPath: 'id' });
+                    ['userId', 'status', 'createdAt'].forEach(name => store.createIndex(name, name));
+                    store.put({ id: 'v2', title: 'Saved by version 2', status: 'Open', priority: 'High', assignee: 'Agent', createdAt: 1 });
+                    request.result.createObjectStore('records', { keyPath: 'key' });
+                };
+                request.onsuccess = resolve;
+            });
+
+            const adapter = new IndexedDbTicketAdapter({ indexedDB, BroadcastChannel: null });
+            await adapter.load();
+
+            expect(indexedDB.databases.ticketapp.version).toBe(IndexedDbTicketAdapter.DATABASE_VERSION);
+            expect(adapter.readAll().map(ticket => ticket.title)).toEqual(['Saved by version 2']);
+            expect((await adapter.query('assignee', 'agent')).map(ticket => ticket.id)).toEqual(['v2']);
+            expect((await adapter.query('priority', 'High')).map(ticket => ticket.id)).toEqual(['v2']);
+            expect((await adapter.countByStatus(['Open'])).byStatus.Open).toBe(1);
+        });
+
+        await it('should fall back to localStorage when the database cannot be opened', async () => {
+            localStorage.clear();
+            localStorage.setItem('tickets', JSON.stringify([{ id: 'l1', title: 'Local', status: 'Open', createdAt: 1 }]));
+            const indexedDB = {
+                open() {
+                    const request = { error: new Error('Storage is blocked'), onerror: null };
+                    setTimeout(() => request.onerror && request.onerror(), 0);
+                    return request;
+                }
+            };
+            const adapter = new IndexedDbTicketAdapter({ indexedDB, BroadcastChannel: null });
+            const originalError = console.error;
+            console.error = () => {};
+            let tickets;
+            try {
+                tickets = await adapter.load();
+            } finally {
+                console.error = originalError;
+            }
+
+            expect(tickets.map(ticket => ticket.title)).toEqual(['Local']);
+            await adapter.insert({ id: 'l2', title: 'Also local', status: 'Closed', createdAt: 2 });
+            expect(JSON.parse(localStorage.getItem('tickets')).map(ticket => ticket.id)).toEqual(['l1', 'l2']);
+            expect((await adapter.query('status', 'Closed')).map(ticket => ticket.id)).toEqual(['l2']);
+            expect((await adapter.countByStatus(['Open'])).total).toBe(2);
+        });
+
+        await it('should surface failures from writeAll', async () => {
+            const adapter = new IndexedDbTicketAdapter({ indexedDB: createFakeIndexedDB(), BroadcastChannel: null });
+            await adapter.load();
+            await adapter.writeAll([{ id: 'w1', title: 'Saved', createdAt: 1 }]);
+
+            const reopened = new IndexedDbTicketAdapter({ indexedDB: adapter.indexedDB, BroadcastChannel: null });
+            expect((await reopened.load()).map(ticket => ticket.id)).toEqual(['w1']);
+
+            adapter.db.transaction = () => { throw new Error('Disk full'); };
+            const originalError = console.error;
+            console.error = () => {};
+            let message = '';
+            try {
+                await adapter.writeAll([]);
+            } catch (error) {
+                message = error.message;
+            } finally {
+                console.error = originalError;
+            }
+            expect(message).toBe('Failed to save tickets to storage');
+        });
+
+        await it('should move tickets from the localStorage key on first load', async () => {
+            localStorage.clear();
+            localStorage.setItem('tickets', JSON.stringify([
+                { id: 'old1', title: 'Kept in localStorage', status: 'Open', createdAt: 1, version: 2 },
+                { id: 'old2', title: 'Another one', status: 'Closed', createdAt: 2 }
+            ]));
+            const indexedDB = createFakeIndexedDB();
+
+            const adapter = new IndexedDbTicketAdapter({ indexedDB, BroadcastChannel: null });
+            const tickets = await adapter.load();
+
+            expect(tickets.map(ticket => ticket.title)).toEqual(['Kept in localStorage', 'Another one']);
+            expect(localStorage.getItem('tickets')).toBe(null);
+
+            // A stale copy written again by an old tab does not replace the newer record
+            localStorage.setItem('tickets', JSON.stringify([{ id: 'old1', title: 'Stale', createdAt: 1, version: 1 }]));
+            const reopened = new IndexedDbTicketAdapter({ indexedDB, BroadcastChannel: null });
+            await reopened.load();
+            expect(reopened.readAll()[0].title).toBe('Kept in localStorage');
+            expect(localStorage.getItem('tickets')).toBe(null);
+        });
+
+        await it('should keep the localStorage key until the moved tickets read back from the database', async () => {
+            localStorage.clear();
+            localStorage.setItem('tickets', JSON.stringify([{ id: 'old1', title: 'Not confirmed yet', status: 'Open', createdAt: 1 }]));
+            const indexedDB = createFakeIndexedDB();
+
+            const adapter = new IndexedDbTicketAdapter({ indexedDB, BroadcastChannel: null });
+            adapter.readStoredKeys = async () => new Set();
+            await adapter.load();
+            expect(localStorage.getItem('tickets')).toBeTruthy();
+
+            // The next load finds the tickets in the store and removes the key
+            const reopened = new IndexedDbTicketAdapter({ indexedDB, BroadcastChannel: null });
+            await reopened.load();
+            expect(reopened.readAll().map(ticket => ticket.title)).toEqual(['Not confirmed yet']);
+            expect(localStorage.getItem('tickets')).toBe(null);
+        });
+
+        await it('should keep records per ticket in their own store and move the localStorage key there', async () => {
+            localStorage.clear();
+            localStorage.setItem('ticket_history', JSON.stringify({ old1: [{ id: 'h0', ticketId: 'old1', action: 'created' }] }));
+            const indexedDB = createFakeIndexedDB();
+            const adapter = new IndexedDbTicketAdapter({ indexedDB, BroadcastChannel: null });
+            await adapter.load();
+
+            await adapter.saveRecord('history', { id: 'h1', ticketId: 'i1', action: 'created' });
+            await adapter.saveRecord('history', { id: 'h2', ticketId: 'i1', action: 'updated' });
+            await adapter.removeRecords('history', 'i1', 'h1');
+
+            const store = indexedDB.databases.ticketapp.stores.records;
+            expect(store.records.get('history:i1').records.map(entry => entry.id)).toEqual(['h2']);
+            expect(localStorage.getItem('ticket_history')).toBe(null);
+
+            const reopened = new IndexedDbTicketAdapter({ indexedDB, BroadcastChannel: null });
+            await reopened.load();
+            expect(reopened.readRecords('history').old1[0].action).toBe('created');
+            expect(reopened.readRecords('history').i1.map(entry => entry.id)).toEqual(['h2']);
+        });
+
+        await it('should reject updates to unknown tickets', async () => {
+            const adapter = new IndexedDbTicketAdapter({ indexedDB: createFakeIndexedDB(), BroadcastChannel: null });
+            let message = '';
+            try {
+                await adapter.update({ id: 'missing' });
+            } catch (error) {
+                message = error.message;
+            }
+            expect(message).toBe('Ticket not found');
+            expect(await adapter.remove('missing')).toBe(false);
+        });
+
+        await it('should tell other tabs about its writes', async () => {
+            const indexedDB = createFakeIndexedDB();
+            const BroadcastChannel = createFakeBroadcastChannel();
+            const first = new IndexedDbTicketAdapter({ indexedDB, BroadcastChannel });
+            const second = new IndexedDbTicketAdapter({ indexedDB, BroadcastChannel });
+            await first.load();
+            await second.load();
+            const heard = [];
+            second.watch((before, after) => heard.push({ before, after }));
+
+            await first.insert({ id: 'b1', title: 'Shared', status: 'Open', createdAt: 1 });
+            await first.remove('b1');
+
+            expect(heard.length).toBe(2);
+            expect(heard[0].after.map(ticket => ticket.title)).toEqual(['Shared']);
+            expect(heard[1].before.map(ticket => ticket.id)).toEqual(['b1']);
+            expect(second.readAll()).toEqual([]);
+        });
+
+        await it('should serve TicketManager status lookups from its indexes', async () => {
+            const user = await loginTestUser();
+            const adapter = new IndexedDbTicketAdapter({ indexedDB: createFakeIndexedDB(), BroadcastChannel: null });
+            await adapter.load();
+            await adapter.insert({ id: 'mine', title: 'Mine', status: 'Open', userId: user.id, createdAt: 1 });
+            await adapter.insert({ id: 'theirs', title: 'Theirs', status: 'Open', userId: 'someone', createdAt: 2 });
+            await adapter.insert({ id: 'assigned', title: 'For me', status: 'Closed', userId: 'someone', assignee: user.username, createdAt: 3 });
+            const manager = new TicketManager({ storage: adapter, permissions: new TicketPermissions() });
+            const queries = [];
+            const originalQuery = adapter.query.bind(adapter);
+            adapter.query = (field, value) => {
+                queries.push(field);
+                return originalQuery(field, value);
+            };
+
+            expect(manager.getTickets().map(ticket => ticket.id)).toEqual(['assigned', 'mine']);
+            expect((await manager.getTicketsByStatus('Open')).map(ticket => ticket.id)).toEqual(['mine']);
+            expect(queries).toEqual(['status']);
+        });
+    });
+
+    const server = await startMockTicketServer();
+
+    try {
+        await describe('HttpTicketAdapter', async () => {
+            await it('should load tickets from the server into its cache', async () => {
+                server.state.tickets = [{ id: 'h1', title: 'Remote' }];
+                const adapter = new HttpTicketAdapter({ baseUrl: server.baseUrl });
+
+                expect(adapter.readAll().length).toBe(0);
+                await adapter.load();
+                expect(adapter.readAll()[0].title).toBe('Remote');
+            });
+
+            await it('should send create, update and delete requests', async () => {
+                server.state.tickets = [];
+                server.state.requests = [];
+                const adapter = new HttpTicketAdapter({ baseUrl: server.baseUrl });
+
+                const created = await adapter.insert({ id: 'h2', title: 'New' });
+                expect(created.serverStamp).toBe('created');
+
+                const updated = await adapter.update({ id: 'h2', title: 'Changed', version: 2 });
+                expect(updated.serverStamp).toBe('updated');
+                expect(adapter.readAll()[0].title).toBe('Changed');
+
+                await adapter.remove('h2');
+                expect(adapter.readAll().length).toBe(0);
+
+                const calls = server.state.requests.map(request => `${request.method} ${request.url}`);
+                expect(calls).toEqual(['POST /api/tickets', 'PUT /api/tickets/h2', 'DELETE /api/tickets/h2']);
+            });
+
+            await it('should have updates without a version refused rather than saved over newer edits', async () => {
+                server.state.tickets = [{ id: 'h5', title: 'Newer edit', version: 3 }];
+                const adapter = new HttpTicketAdapter({ baseUrl: server.baseUrl });
+                let error = null;
+                try {
+                    await adapter.update({ id: 'h5', title: 'Old copy' });
+                } catch (caught) {
+                    error = caught;
+                }
+
+                expect(error.status).toBe(428);
+                expect(server.state.tickets[0].title).toBe('Newer edit');
+            });
+
+            await it('should raise server errors with the response message', async () => {
+                const adapter = new HttpTicketAdapter({ baseUrl: server.baseUrl });
+                let error = null;
+                try {
+                    await adapter.update({ id: 'missing', title: 'Nope' });
+                } catch (caught) {
+                    error = caught;
+                }
+                expect(error.message).toBe('Ticket not found');
+                expect(error.status).toBe(404);
+            });
+
+            await it('should report an unreachable server', async () => {
+                const adapter = new HttpTicketAdapter({
+                    baseUrl: server.baseUrl,
+                    fetch: () => Promise.reject(new TypeError('fetch failed'))
+                });
+                let message = '';
+                try {
+                    await adapter.load();
+                } catch (error) {
+                    message = error.message;
+                }
+                expect(message).toBe('Unable to reach the ticket server');
+            });
+
+            await it('should keep comments on the server', async () => {
+                server.state.records = {};
+                const adapter = new HttpTicketAdapter({ baseUrl: server.baseUrl });
+                const comments = new TicketComments({ storage: adapter });
+
+                const comment = await comments.add('s1', ' Shared note ', { id: 'u1', username: 'demo' });
+                await comments.update('s1', comment.id, 'Edited note');
+                expect(server.state.records.comments.s1.map(item => item.body)).toEqual(['Edited note']);
+
+                const reloaded = new HttpTicketAdapter({ baseUrl: server.baseUrl });
+                await reloaded.load();
+                expect(new TicketComments({ storage: reloaded }).count('s1')).toBe(1);
+
+                expect(await comments.remove('s1', comment.id)).toBe(true);
+                expect(server.state.records.comments.s1).toEqual([]);
+            });
+
+            await it('should revert a batch when one of its requests fails', async () => {
+                server.state.tickets = [{ id: 'h3', title: 'Keep me' }, { id: 'h4', title: 'Keep me too' }];
+                const adapter = new HttpTicketAdapter({ baseUrl: server.baseUrl });
+                await adapter.load();
+                const originalError = console.error;
+                console.error = () => {};
+
+                let message = '';
+                try {
+                    await adapter.applyChanges({
+                        update: [{ id: 'h3', title: 'Changed', version: 2 }, { id: 'missing', title: 'Nope' }]
+                    });
+                } catch (error) {
+                    message = error.message;
+                } finally {
+                    console.error = originalError;
+                }
+
+                expect(message).toBe('Ticket not found');
+                expect(server.state.tickets.map(ticket => ticket.title)).toEqual(['Keep me', 'Keep me too']);
+            });
+        });
+
+        await describe('HttpTicketAdapter offline outbox', async () => {
+            // Adapter whose server can be switched off, like a browser losing its connection
+            function createOfflineAdapter() {
+                const network = { online: true };
+                const adapter = new HttpTicketAdapter({
+                    baseUrl: server.baseUrl,
+                    outbox: new TicketOutbox({ persistent: false }),
+                    fetch: (...args) => network.online ? fetch(...args) : Promise.reject(new TypeError('fetch failed'))
+                });
+                return { adapter, network };
+            }
+
+            await it('should queue writes while offline and send them in order once back online', async () => {
+                server.state.tickets = [{ id: 'o1', title: 'Remote', updatedAt: 1 }];
+                server.state.requests = [];
+                const { adapter, network } = createOfflineAdapter();
+                await adapter.load();
+
+                network.online = false;
+                await adapter.update({ id: 'o1', title: 'Edited offline', updatedAt: 2 });
+                await adapter.insert({ id: 'o2', title: 'Created offline', updatedAt: 2 });
+                expect(adapter.getPendingCount()).toBe(2);
+                expect(adapter.readAll().map(ticket => ticket.title)).toEqual(['Edited offline', 'Created offline']);
+
+                network.online = true;
+                const result = await adapter.sync();
+
+                expect(result.sent.length).toBe(2);
+                expect(result.conflicts.length).toBe(0);
+                expect(adapter.getPendingCount()).toBe(0);
+                expect(server.state.tickets.map(ticket => ticket.title)).toEqual(['Edited offline', 'Created offline']);
+                const writes = server.state.requests.filter(request => request.method !== 'GET').map(request => request.method);
+                expect(writes).toEqual(['PUT', 'POST']);
+            });
+
+            await it('should reload from the last tickets loaded plus the queued changes while offline', async () => {
+                server.state.tickets = [{ id: 'o3', title: 'Remote', updatedAt: 1 }];
+                const { adapter, network } = createOfflineAdapter();
+                await adapter.load();
+                network.online = false;
+                await adapter.remove('o3');
+                await adapter.insert({ id: 'o4', title: 'Created offline', updatedAt: 2 });
+
+                const reloaded = await adapter.load();
+
+                expect(reloaded.map(ticket => ticket.id)).toEqual(['o4']);
+            });
+
+            await it('should report a conflict and keep the server version when the ticket changed meanwhile', async () => {
+                server.state.tickets = [{ id: 'o5', title: 'Remote', updatedAt: 1 }];
+                const { adapter, network } = createOfflineAdapter();
+                await adapter.load();
+                network.online = false;
+                await adapter.update({ id: 'o5', title: 'Mine', updatedAt: 2 });
+                server.state.tickets[0] = { id: 'o5', title: 'Theirs', updatedAt: 3, version: 2 };
+
+                network.online = true;
+                const result = await adapter.sync();
+
+                expect(result.conflicts.length).toBe(1);
+                expect(result.conflicts[0].ticket.title).toBe('Mine');
+                expect(result.conflicts[0].serverTicket.title).toBe('Theirs');
+                expect(result.conflicts[0].error).toBe('The ticket was changed on the server while you were offline');
+                expect(server.state.tickets[0].title).toBe('Theirs');
+                expect(adapter.readAll()[0].title).toBe('Theirs');
+            });
+
+            await it('should drop a queued insert that is deleted before it was sent', async () => {
+                server.state.tickets = [];
+                const { adapter, network } = createOfflineAdapter();
+                await adapter.load();
+                network.online = false;
+                await adapter.insert({ id: 'o6', title: 'Short-lived' });
+
+                const removed = await adapter.remove('o6');
+
+                expect(removed).toBe(true);
+                expect(adapter.getPendingCount()).toBe(0);
+            });
+
+            await it('should give tickets created offline their server IDs and move their history along', async () => {
+                const user = await loginTestUser();
+                server.state.tickets = [];
+                server.state.nextId = 100;
+                const { adapter, network } = createOfflineAdapter();
+                const manager = new TicketManager({ storage: adapter });
+                await manager.loadTickets();
+
+                network.online = false;
+                const created = await manager.createTicket({ title: 'Offline ticket', status: 'Open' });
+                await manager.updateTicket(created.ticket.id, { title: 'Offline ticket, edited' });
+
+                network.online = true;
+                const result = await manager.syncOfflineChanges();
+                server.state.nextId = null;
+
+                expect(result.success).toBe(true);
+                expect(result.message).toBe('Synced 1 offline change');
+                expect(server.state.tickets.map(ticket => [ticket.id, ticket.title, ticket.userId])).toEqual([['100', 'Offline ticket, edited', user.id]]);
+                expect(manager.getTickets().map(ticket => ticket.id)).toEqual(['100']);
+                expect(manager.getTicketHistory('100').map(entry => entry.action)).toEqual(['created', 'updated']);
+                expect(manager.getTicketHistory(created.ticket.id).length).toBe(0);
+                expect(server.state.records.history['100'].map(entry => entry.action)).toEqual(['created', 'updated']);
+                expect(window.dispatchedEvents.some(event => event.type === 'ticketsSynced')).toBe(true);
+            });
+        });
+
+        await describe('TicketManager storage routing', async () => {
+            await it('should default to localStorage', async () => {
+                await loginTestUser();
+                const manager = new TicketManager();
+                expect(manager.storage instanceof LocalStorageTicketAdapter).toBeTruthy();
+
+                await manager.createTicket({ title: 'Stored locally', status: 'Open' });
+                expect(JSON.parse(localStorage.getItem('tickets')).length).toBe(1);
+            });
+
+            await it('should accept an adapter instance', async () => {
+                await loginTestUser();
+                const adapter = new MemoryTicketAdapter();
+                const manager = new TicketManager({ storage: adapter });
+
+                const result = await manager.createTicket({ title: 'In memory', status: 'Open' });
+                expect(result.success).toBe(true);
+                expect(adapter.readAll().length).toBe(1);
+                expect(localStorage.getItem('tickets')).toBe(null);
+            });
+
+            await it('should route CRUD operations through the HTTP adapter', async () => {
+                const user = await loginTestUser();
+                server.state.tickets = [];
+                const manager = new TicketManager({ storage: 'http', storageOptions: { baseUrl: server.baseUrl } });
+                await manager.loadTickets();
+
+                const created = await manager.createTicket({ title: 'Shared ticket', status: 'Open' });
+                expect(created.success).toBe(true);
+                expect(server.state.tickets[0].userId).toBe(user.id);
+                expect(manager.getTickets().length).toBe(1);
+
+                const updated = await manager.updateTicket(created.ticket.id, { status: 'Closed' });
+                expect(updated.success).toBe(true);
+                expect(server.state.tickets[0].status).toBe('Closed');
+
+                const deleted = await manager.deleteTicket(created.ticket.id, true);
+                expect(deleted.success).toBe(true);
+                expect(server.state.tickets[0].deletedAt).toBeTruthy();
+                expect(manager.getTickets().length).toBe(0);
+
+                const purged = await manager.purgeTicket(created.ticket.id, true);
+                expect(purged.success).toBe(true);
+                expect(server.state.tickets.length).toBe(0);
+            });
+
+            await it('should see tickets created by other clients after loading', async () => {
+                const user = await loginTestUser();
+                server.state.tickets = [{ id: 'remote_1', title: 'From teammate', status: 'Open', userId: user.id, createdAt: 1, updatedAt: 1 }];
+                const manager = new TicketManager({ storage: 'http', storageOptions: { baseUrl: server.baseUrl } });
+
+                const tickets = await manager.loadTickets();
+                expect(tickets.length).toBe(1);
+                expect(manager.getTicketById('remote_1').title).toBe('From teammate');
+            });
+
+            await it('should return a failure result when the server rejects a write', async () => {
+                await loginTestUser();
+                server.state.tickets = [];
+                const manager = new TicketManager({
+                    storage: new HttpTicketAdapter({
+                        baseUrl: server.baseUrl,
+                        fetch: () => Promise.resolve({ ok: false, status: 500, text: () => Promise.resolve('{"error":"Database unavailable"}') })
+                    })
+                });
+
+                const result = await manager.createTicket({ title: 'Will fail', status: 'Open' });
+                expect(result.success).toBe(false);
+                expect(result.error).toBe('Database unavailable');
+            });
+
+            await it('should return a conflict when the server has a newer version than the cache', async () => {
+                const user = await loginTestUser();
+                server.state.tickets = [{ id: 'remote_2', title: 'Shared', status: 'Open', userId: user.id, createdAt: 1, updatedAt: 1, version: 1 }];
+                const manager = new TicketManager({ storage: 'http', storageOptions: { baseUrl: server.baseUrl, outbox: false } });
+                await manager.loadTickets();
+                server.state.tickets[0] = { ...server.state.tickets[0], title: 'Saved elsewhere', version: 2 };
+
+                const result = await manager.updateTicket('remote_2', { title: 'Mine', version: 1 });
+
+                expect(result.success).toBe(false);
+                expect(result.conflict).toBe(true);
+                expect(result.ticket.title).toBe('Saved elsewhere');
+                expect(server.state.tickets[0].title).toBe('Saved elsewhere');
+                // The cache now holds the server's version, so a merged save goes through
+                expect(manager.getTicketById('remote_2').version).toBe(2);
+                const merged = await manager.updateTicket('remote_2', manager.mergeConflict(result, { title: 'yours' }));
+                expect(merged.success).toBe(true);
+                expect(server.state.tickets[0].title).toBe('Mine');
+                expect(server.state.tickets[0].version).toBe(3);
+            });
+        });
+    } finally {
+        await server.close();
+    }
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
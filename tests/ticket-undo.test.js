@@ -0,0 +1,403 @@
+/**
+ * Node.js test runner for the trash and undo
+ * Covers soft deletion, restore, permanent and expired purges, TicketUndoStack and TicketManager.undoLastChange
+ * Run with: node tests/ticket-undo.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' },
+    dispatchedEvents: [],
+    addEventListener: function() {},
+    dispatchEvent: function(event) {
+        this.dispatchedEvents.push(event);
+        return true;
+    }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+global.CustomEvent = function(type, options) {
+    this.type = type;
+    this.detail = options?.detail;
+};
+
+// Mock document for DOM operations
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+    createElement: () => ({
+        innerHTML: '',
+        classList: { add: () => {}, remove: () => {} },
+        setAttribute: () => {},
+        querySelector: () => null
+    }),
+    body: { appendChild: () => {} }
+};
+
+// Load the modules
+const fs = require('fs');
+const path = require('path');
+
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const storageModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-storage.js'), 'utf8');
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const historyModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-history.js'), 'utf8');
+const commentsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-comments.js'), 'utf8');
+const undoModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-undo.js'), 'utf8');
+const permissionsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-permissions.js'), 'utf8');
+const ticketsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/tickets.js'), 'utf8');
+
+const AuthManager = new Function(authModuleCode + '; return AuthManager;')();
+const TicketStorage = new Function(storageModuleCode + '; return TicketStorage;')();
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+const TicketHistory = new Function(historyModuleCode + '; return TicketHistory;')();
+const TicketComments = new Function(commentsModuleCode + '; return TicketComments;')();
+const TicketUndoStack = new Function(undoModuleCode + '; return TicketUndoStack;')();
+const TicketPermissions = new Function(permissionsModuleCode + '; return TicketPermissions;')();
+const TicketManager = new Function('AuthManager', 'TicketStorage', 'TicketWorkflow', 'TicketHistory', 'TicketComments', 'TicketUndoStack',
+    ticketsModuleCode + '; return TicketManager;'
+)(AuthManager, TicketStorage, TicketWorkflow, TicketHistory, TicketComments, TicketUndoStack);
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const testRunner = new TestRunner();
+const describe = testRunner.describe.bind(testRunner);
+const it = testRunner.it.bind(testRunner);
+const expect = testRunner.expect.bind(testRunner);
+
+// Log a user in so TicketManager operations are authorized
+async function loginAs(username = 'demo', password = 'password') {
+    const authManager = new AuthManager({ demoUsers: true });
+    await authManager.login({ username, password });
+    return authManager.getCurrentUser();
+}
+
+async function createManager(options = {}) {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.dispatchedEvents = [];
+    const user = await loginAs();
+    const manager = new TicketManager({ storage: 'memory', ...options });
+    return { manager, user };
+}
+
+async function runTests() {
+    await describe('TicketManager - Trash', async () => {
+        await it('should move deleted tickets to the trash instead of removing them', async () => {
+            const { manager, user } = await createManager();
+            const { ticket } = await manager.createTicket({ title: 'Printer jam' });
+
+            const result = await manager.deleteTicket(ticket.id, true);
+
+            expect(result.success).toBe(true);
+            expect(result.message).toBe('Ticket moved to the trash');
+            expect(manager.getTickets().length).toBe(0);
+            expect(manager.getTicketById(ticket.id)).toBe(null);
+            expect(manager.getTrashedTickets().map(item => item.id)).toEqual([ticket.id]);
+            expect(manager.getTrashedTickets()[0].deletedBy).toBe(user.id);
+        });
+
+        await it('should treat tickets in the trash as not found for edits', async () => {
+            const { manager } = await createManager();
+            const { ticket } = await manager.createTicket({ title: 'Printer jam' });
+            await manager.deleteTicket(ticket.id, true);
+
+            const result = await manager.updateTicket(ticket.id, { title: 'Still here?' });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Ticket not found');
+        });
+
+        await it('should restore a ticket from the trash and record it in the history', async () => {
+            const { manager } = await createManager();
+            const { ticket } = await manager.createTicket({ title: 'Printer jam' });
+            await manager.deleteTicket(ticket.id, true);
+
+            const result = await manager.restoreTicket(ticket.id);
+
+            expect(result.success).toBe(true);
+            expect(result.ticket.deletedAt).toBe(null);
+            expect(manager.getTickets().map(item => item.title)).toEqual(['Printer jam']);
+            expect(manager.getTrashedTickets().length).toBe(0);
+            expect(manager.getTicketHistory(ticket.id).map(entry => entry.action)).toContain('restored');
+            expect(window.dispatchedEvents.some(event => event.type === 'ticketRestored')).toBe(true);
+        });
+
+        await it('should ask before purging and then delete the ticket permanently', async () => {
+            const { manager } = await createManager();
+            const { ticket } = await manager.createTicket({ title: 'Printer jam' });
+            await manager.deleteTicket(ticket.id, true);
+
+            const pending = await manager.purgeTicket(ticket.id);
+            expect(pending.requiresConfirmation).toBe(true);
+            expect(manager.getTrashedTickets().length).toBe(1);
+
+            const result = await manager.purgeTicket(ticket.id, true);
+            expect(result.success).toBe(true);
+            expect(manager.getAllTicketsFromStorage().length).toBe(0);
+            expect(window.dispatchedEvents.some(event => event.type === 'ticketPurged')).toBe(true);
+        });
+
+        await it('should only purge tickets that are in the trash', async () => {
+            const { manager } = await createManager();
+            const { ticket } = await manager.createTicket({ title: 'Printer jam' });
+
+            const result = await manager.purgeTicket(ticket.id, true);
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Ticket not found in the trash');
+            expect(manager.getTickets().length).toBe(1);
+        });
+
+        await it('should purge tickets past the retention period when tickets are loaded', async () => {
+            const { manager } = await createManager({ trashRetentionDays: 7 });
+            const day = 24 * 60 * 60 * 1000;
+            const { ticket: old } = await manager.createTicket({ title: 'Old' });
+            const { ticket: recent } = await manager.createTicket({ title: 'Recent' });
+            await manager.bulkDeleteTickets([old.id, recent.id], true);
+            manager.storage.tickets.find(item => item.id === old.id).deletedAt = Date.now() - 8 * day;
+
+            await manager.loadTickets();
+
+            expect(manager.getTrashedTickets().map(item => item.title)).toEqual(['Recent']);
+            expect(manager.getPurgeDate(manager.getTrashedTickets()[0]) > Date.now() + 6 * day).toBe(true);
+        });
+
+        await it('should not let requesters restore tickets they may not delete', async () => {
+            const { manager } = await createManager();
+            manager.storage.tickets.push({ id: 'theirs', title: 'Theirs', status: 'Open', userId: 'someone-else', deletedAt: Date.now() });
+
+            const result = await manager.restoreTicket('theirs');
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Not authorized to restore this ticket');
+            expect(manager.getTrashedTickets().length).toBe(0);
+        });
+    });
+
+    await describe('TicketUndoStack', async () => {
+        await it('should return the newest entry of the given user only', async () => {
+            const stack = new TicketUndoStack({ persistent: false });
+            stack.push('edit of "A"', [{ before: { id: 'a' }, after: { id: 'a' } }], { id: 'u1' });
+            stack.push('edit of "B"', [{ before: { id: 'b' }, after: { id: 'b' } }], { id: 'u2' });
+
+            expect(stack.peek({ id: 'u1' }).label).toBe('edit of "A"');
+            expect(stack.peek({ id: 'u3' })).toBe(null);
+        });
+
+        await it('should keep at most maxEntries entries', async () => {
+            const stack = new TicketUndoStack({ persistent: false, maxEntries: 2 });
+            ['A', 'B', 'C'].forEach(title => stack.push(`edit of "${title}"`, [], null));
+
+            expect(stack.readAll().map(entry => entry.label)).toEqual(['edit of "B"', 'edit of "C"']);
+        });
+    });
+
+    await describe('TicketManager - Undo', async () => {
+        await it('should undo edits one step at a time', async () => {
+            const { manager } = await createManager();
+            const { ticket } = await manager.createTicket({ title: 'First' });
+            await manager.updateTicket(ticket.id, { title: 'Second' });
+            await manager.updateTicket(ticket.id, { title: 'Third' });
+
+            expect(manager.getLastChange().label).toBe('edit of "Third"');
+
+            const first = await manager.undoLastChange();
+            expect(first.success).toBe(true);
+            expect(first.message).toBe('Undid the edit of "Third"');
+            expect(manager.getTicketById(ticket.id).title).toBe('Second');
+
+            await manager.undoLastChange();
+            expect(manager.getTicketById(ticket.id).title).toBe('First');
+
+            const none = await manager.undoLastChange();
+            expect(none.success).toBe(false);
+            expect(none.error).toBe('Nothing to undo');
+        });
+
+        await it('should undo a deletion by restoring the ticket', async () => {
+            const { manager } = await createManager();
+            const { ticket } = await manager.createTicket({ title: 'Printer jam' });
+            await manager.deleteTicket(ticket.id, true);
+
+            const result = await manager.undoLastChange();
+
+            expect(result.success).toBe(true);
+            expect(manager.getTicketById(ticket.id).title).toBe('Printer jam');
+            expect(manager.getTicketById(ticket.id).updatedAt).toBe(ticket.updatedAt);
+            expect(manager.getTicketHistory(ticket.id).map(entry => entry.action)).toContain('restored');
+        });
+
+        await it('should undo bulk changes together', async () => {
+            const { manager } = await createManager();
+            const { ticket: a } = await manager.createTicket({ title: 'A' });
+            const { ticket: b } = await manager.createTicket({ title: 'B' });
+            await manager.bulkUpdateStatus([a.id, b.id], 'Closed');
+            await manager.bulkDeleteTickets([a.id, b.id], true);
+
+            await manager.undoLastChange();
+            expect(manager.getTickets().map(ticket => ticket.status)).toEqual(['Closed', 'Closed']);
+
+            await manager.undoLastChange();
+            expect(manager.getTickets().map(ticket => ticket.status)).toEqual(['Open', 'Open']);
+        });
+
+        await it('should undo a restore by moving the ticket back to the trash', async () => {
+            const { manager } = await createManager();
+            const { ticket } = await manager.createTicket({ title: 'Printer jam' });
+            await manager.deleteTicket(ticket.id, true);
+            await manager.restoreTicket(ticket.id);
+
+            const result = await manager.undoLastChange();
+
+            expect(result.message).toBe('Undid the restore of "Printer jam"');
+            expect(manager.getTrashedTickets().map(item => item.id)).toEqual([ticket.id]);
+
+            await manager.undoLastChange();
+            expect(manager.getTicketById(ticket.id).title).toBe('Printer jam');
+        });
+
+        await it('should refuse to undo over a newer change and drop the stale entry', async () => {
+            const { manager } = await createManager();
+            const { ticket } = await manager.createTicket({ title: 'First' });
+            await manager.updateTicket(ticket.id, { title: 'Second' });
+            // Another tab edits the ticket without touching this tab's undo stack
+            const stored = manager.storage.tickets.find(item => item.id === ticket.id);
+            stored.title = 'Elsewhere';
+            stored.updatedAt += 1000;
+            stored.version += 1;
+
+            const result = await manager.undoLastChange();
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Cannot undo the edit of "Second": the ticket has changed since');
+            expect(manager.getTicketById(ticket.id).title).toBe('Elsewhere');
+            expect(manager.getLastChange()).toBe(null);
+        });
+
+        await it('should not undo a deletion for users who may only edit the ticket', async () => {
+            const { manager, user } = await createManager({ permissions: new TicketPermissions() });
+            const { ticket } = await manager.createTicket({ title: 'Printer jam' });
+            await manager.deleteTicket(ticket.id, true);
+            // The ticket is handed to someone else, leaving this user as its assignee
+            const stored = manager.storage.tickets.find(item => item.id === ticket.id);
+            stored.userId = 'someone-else';
+            stored.assignee = user.username;
+
+            const result = await manager.undoLastChange();
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Not authorized to undo this change');
+            expect(manager.storage.tickets.find(item => item.id === ticket.id).deletedAt > 0).toBe(true);
+        });
+
+        await it('should keep each user\'s changes separate', async () => {
+            const { manager } = await createManager();
+            const { ticket } = await manager.createTicket({ title: 'Printer jam' });
+            await manager.updateTicket(ticket.id, { title: 'Printer fixed' });
+
+            await loginAs('admin', 'admin123');
+
+            expect(manager.getLastChange()).toBe(null);
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
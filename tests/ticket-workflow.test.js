@@ -0,0 +1,321 @@
+/**
+ * Node.js test runner for ticket workflow
+ * Covers TicketWorkflow definitions and the transition, validation and statistics rules built on it
+ * Run with: node tests/ticket-workflow.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' },
+    dispatchedEvents: [],
+    addEventListener: function() {},
+    dispatchEvent: function(event) {
+        this.dispatchedEvents.push(event);
+        return true;
+    }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+global.CustomEvent = function(type, options) {
+    this.type = type;
+    this.detail = options?.detail;
+};
+
+// Mock document for DOM operations
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+    createElement: () => ({
+        innerHTML: '',
+        classList: { add: () => {}, remove: () => {} },
+        setAttribute: () => {},
+        querySelector: () => null
+    }),
+    body: { appendChild: () => {} }
+};
+
+// Load the modules
+const fs = require('fs');
+const path = require('path');
+
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const storageModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-storage.js'), 'utf8');
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const ticketsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/tickets.js'), 'utf8');
+const statsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-statistics.js'), 'utf8');
+
+const AuthManager = new Function(authModuleCode + '; return AuthManager;')();
+const TicketStorage = new Function(storageModuleCode + '; return TicketStorage;')();
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+const { TicketManager, TicketValidator } = new Function('AuthManager', 'TicketStorage', 'TicketWorkflow',
+    ticketsModuleCode + '; return { TicketManager, TicketValidator };'
+)(AuthManager, TicketStorage, TicketWorkflow);
+const TicketStatisticsCalculator = new Function('TicketWorkflow',
+    statsModuleCode + '; return TicketStatisticsCalculator;'
+)(TicketWorkflow);
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const testRunner = new TestRunner();
+const describe = testRunner.describe.bind(testRunner);
+const it = testRunner.it.bind(testRunner);
+const expect = testRunner.expect.bind(testRunner);
+
+// Log a user in so TicketManager operations are authorized
+async function loginTestUser() {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.dispatchedEvents = [];
+    const authManager = new AuthManager({ demoUsers: true });
+    await authManager.login({ username: 'demo', password: 'password' });
+    return authManager.getCurrentUser();
+}
+
+// A workflow with review and blocked states, where Closed is final
+const reviewWorkflowDefinition = {
+    initialState: 'Open',
+    states: [
+        { name: 'Open', color: 'green' },
+        { name: 'In Progress', color: 'yellow' },
+        { name: 'Blocked', color: 'red' },
+        { name: 'Review', color: 'purple' },
+        { name: 'Closed', color: 'gray', terminal: true }
+    ],
+    transitions: {
+        'Open': ['In Progress'],
+        'In Progress': ['Blocked', 'Review'],
+        'Blocked': ['In Progress'],
+        'Review': ['In Progress', 'Closed']
+    }
+};
+
+async function runTests() {
+    await describe('TicketWorkflow', async () => {
+        await it('should provide the default Open, In Progress and Closed workflow', async () => {
+            const workflow = new TicketWorkflow();
+
+            expect(workflow.getStateNames()).toEqual(['Open', 'In Progress', 'Closed']);
+            expect(workflow.initialState).toBe('Open');
+            expect(workflow.isTerminal('Closed')).toBe(true);
+            expect(workflow.canTransition('Closed', 'Open')).toBe(true);
+            expect(workflow.getBadgeClasses('In Progress')).toBe('bg-amber-100 text-amber-800');
+        });
+
+        await it('should derive statistics keys from state names', async () => {
+            const workflow = new TicketWorkflow(reviewWorkflowDefinition);
+
+            expect(workflow.getState('In Progress').key).toBe('inProgress');
+            expect(workflow.createEmptyStatistics()).toEqual({
+                total: 0, open: 0, inProgress: 0, blocked: 0, review: 0, closed: 0
+            });
+        });
+
+        await it('should only allow configured transitions', async () => {
+            const workflow = new TicketWorkflow(reviewWorkflowDefinition);
+
+            expect(workflow.canTransition('Open', 'In Progress')).toBe(true);
+            expect(workflow.canTransition('Open', 'Closed')).toBe(false);
+            expect(workflow.canTransition('Closed', 'Open')).toBe(false);
+            expect(workflow.canTransition('Review', 'Review')).toBe(true);
+            expect(workflow.getAvailableStates('In Progress')).toEqual(['In Progress', 'Blocked', 'Review']);
+            expect(workflow.getAvailableStates()).toEqual(['Open', 'In Progress', 'Blocked', 'Review', 'Closed']);
+        });
+
+        await it('should reject inconsistent definitions', async () => {
+            let error = null;
+            try {
+                new TicketWorkflow({ states: [{ name: 'Open' }], transitions: { 'Open': ['Done'] } });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).toBeTruthy();
+            expect(error.message).toContain('Done');
+        });
+
+        await it('should read the page configuration and fall back to the default', async () => {
+            const originalGetElementById = document.getElementById;
+            document.getElementById = (id) => id === 'ticket-workflow'
+                ? { textContent: JSON.stringify(reviewWorkflowDefinition) }
+                : null;
+
+            expect(TicketWorkflow.getConfigured().getStateNames()).toContain('Blocked');
+
+            document.getElementById = () => ({ textContent: '{not json' });
+            const originalError = console.error;
+            console.error = () => {};
+            expect(TicketWorkflow.getConfigured().getStateNames()).toEqual(['Open', 'In Progress', 'Closed']);
+            console.error = originalError;
+
+            document.getElementById = originalGetElementById;
+        });
+    });
+
+    await describe('TicketManager - Workflow Rules', async () => {
+        await it('should accept custom states and reject unknown ones', async () => {
+            await loginTestUser();
+            const manager = new TicketManager({ storage: 'memory', workflow: new TicketWorkflow(reviewWorkflowDefinition) });
+
+            const created = await manager.createTicket({ title: 'Needs review', status: 'Review' });
+            const unknown = await manager.createTicket({ title: 'Unknown', status: 'Done' });
+
+            expect(created.success).toBe(true);
+            expect(unknown.success).toBe(false);
+            expect(unknown.errors.status).toBe('Status must be one of: Open, In Progress, Blocked, Review, Closed');
+        });
+
+        await it('should reject transitions the workflow does not allow', async () => {
+            await loginTestUser();
+            const manager = new TicketManager({ storage: 'memory', workflow: new TicketWorkflow(reviewWorkflowDefinition) });
+            const { ticket } = await manager.createTicket({ title: 'Workflow ticket' });
+
+            const skipped = await manager.updateTicket(ticket.id, { status: 'Closed' });
+            expect(skipped.success).toBe(false);
+            expect(skipped.errors.status).toBe('Cannot move a ticket from Open to Closed');
+            expect(manager.getTicketById(ticket.id).status).toBe('Open');
+
+            const started = await manager.updateTicket(ticket.id, { status: 'In Progress' });
+            const sameState = await manager.updateTicket(ticket.id, { status: 'In Progress', title: 'Renamed' });
+            expect(started.success).toBe(true);
+            expect(sameState.success).toBe(true);
+        });
+
+        await it('should offer only reachable states when editing', async () => {
+            await loginTestUser();
+            const manager = new TicketManager({ storage: 'memory', workflow: new TicketWorkflow(reviewWorkflowDefinition) });
+
+            const html = manager.createStatusOptionsHTML('Open', 'Open');
+
+            expect(html).toContain('value="In Progress"');
+            expect(html.includes('value="Closed"')).toBe(false);
+        });
+
+        await it('should never mark tickets in a terminal state as overdue', async () => {
+            await loginTestUser();
+            const manager = new TicketManager({ storage: 'memory', workflow: new TicketWorkflow(reviewWorkflowDefinition) });
+
+            expect(manager.isOverdue({ status: 'Review', dueDate: '2000-01-01' })).toBe(true);
+            expect(manager.isOverdue({ status: 'Closed', dueDate: '2000-01-01' })).toBe(false);
+        });
+
+        await it('should validate statuses in TicketValidator against the workflow', async () => {
+            const validator = new TicketValidator(new TicketWorkflow(reviewWorkflowDefinition));
+
+            expect(validator.validateUpdateTicket({ status: 'Blocked' }).isValid).toBe(true);
+            expect(validator.validateUpdateTicket({ status: 'Done' }).isValid).toBe(false);
+        });
+
+        await it('should count every workflow state in statistics', async () => {
+            const workflow = new TicketWorkflow(reviewWorkflowDefinition);
+            localStorage.setItem('tickets', JSON.stringify([
+                { id: '1', status: 'Blocked' },
+                { id: '2', status: 'Blocked' },
+                { id: '3', status: 'Review' },
+                { id: '4', status: 'Open' }
+            ]));
+
+            const stats = new TicketStatisticsCalculator(workflow).calculateStatistics(true);
+
+            expect(stats).toEqual({ total: 4, open: 1, inProgress: 0, blocked: 2, review: 1, closed: 0 });
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();
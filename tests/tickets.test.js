@@ -19,7 +19,9 @@ global.window = {
         removeItem(key) { delete this.store[key]; },
         clear() { this.store = {}; }
     },
-    location: { href: '' }
+    location: { href: '' },
+    addEventListener: () => {},
+    dispatchEvent: () => true
 };
 
 global.localStorage = global.window.localStorage;
@@ -47,6 +49,7 @@ global.document = {
     getElementById: () => null,
     querySelector: () => null,
     querySelectorAll: () => [],
+    addEventListener: () => {},
     body: {
         appendChild: function() {},
         insertBefore: function() {}
@@ -57,72 +60,67 @@ global.document = {
 const fs = require('fs');
 const path = require('path');
 
-// Read and evaluate the auth.js file
-const authModulePath = path.join(__dirname, '../public/assets/js/auth.js');
-const authModuleCode = fs.readFileSync(authModulePath, 'utf8');
-
-// Read and evaluate the tickets.js file
-const ticketsModulePath = path.join(__dirname, '../public/assets/js/tickets.js');
-const ticketsModuleCode = fs.readFileSync(ticketsModulePath, 'utf8');
-
-// Remove browser-specific code and evaluate
-const cleanAuthCode = authModuleCode
-    .replace(/if \(typeof document !== 'undefined'\) \{[\s\S]*?\}\);?/g, '')
-    .replace(/document\.addEventListener[\s\S]*?\}\);?/g, '');
-
-const cleanTicketsCode = ticketsModuleCode
-    .replace(/if \(typeof document !== 'undefined'\) \{[\s\S]*?\}\);?/g, '')
-    .replace(/document\.addEventListener[\s\S]*?\}\);?/g, '');
-
-// Create module contexts and evaluate
-const authModuleContext = { module: { exports: {} }, exports: {} };
-const ticketsModuleContext = { module: { exports: {} }, exports: {} };
-
-const authContextCode = `
-(function(module, exports) {
-    ${cleanAuthCode}
-})(authModuleContext.module, authModuleContext.exports);
-`;
-
-const ticketsContextCode = `
-(function(module, exports) {
-    ${cleanTicketsCode}
-})(ticketsModuleContext.module, ticketsModuleContext.exports);
-`;
-
-eval(authContextCode);
-eval(ticketsContextCode);
+// Read the auth.js, ticket-storage.js, ticket-workflow.js, ticket-comments.js and tickets.js files
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const storageModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-storage.js'), 'utf8');
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const commentsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-comments.js'), 'utf8');
+const ticketsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/tickets.js'), 'utf8');
+
+// Evaluate each module with its own module.exports and collect the exported classes
+function loadModule(code, dependencies = {}) {
+    const moduleContext = { exports: {} };
+    const names = Object.keys(dependencies);
+    new Function('module', 'exports', ...names, code)(moduleContext, moduleContext.exports, ...names.map(name => dependencies[name]));
+    return moduleContext.exports;
+}
 
-// Extract classes from the modules
-const { AuthManager } = authModuleContext.module.exports;
-const { TicketManager, TicketValidator, TicketErrorHandler } = ticketsModuleContext.module.exports;
+const { AuthManager } = loadModule(authModuleCode);
+const { TicketStorage } = loadModule(storageModuleCode);
+const TicketWorkflow = loadModule(workflowModuleCode);
+const TicketComments = loadModule(commentsModuleCode);
+const { TicketManager, TicketValidator, TicketErrorHandler } = loadModule(ticketsModuleCode, { AuthManager, TicketStorage, TicketWorkflow, TicketComments });
 
 // Simple test framework
 class TestRunner {
     constructor() {
         this.results = [];
         this.currentSuite = '';
+        this.queue = [];
     }
 
     describe(suiteName, testFn) {
         this.currentSuite = suiteName;
-        console.log(`\n=== ${suiteName} ===`);
         testFn();
     }
 
+    // Tests are queued and run one at a time so async tests finish before the next setup()
     it(testName, testFn) {
-        try {
-            testFn();
-            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
-            console.log(`✓ ${testName}`);
-        } catch (error) {
-            this.results.push({ 
-                suite: this.currentSuite, 
-                name: testName, 
-                status: 'fail', 
-                error: error.message 
-            });
-            console.error(`✗ ${testName}: ${error.message}`);
+        this.queue.push({ suite: this.currentSuite, name: testName, fn: testFn });
+    }
+
+    async run() {
+        let lastSuite = null;
+
+        for (const test of this.queue) {
+            if (test.suite !== lastSuite) {
+                console.log(`\n=== ${test.suite} ===`);
+                lastSuite = test.suite;
+            }
+
+            try {
+                await test.fn();
+                this.results.push({ suite: test.suite, name: test.name, status: 'pass' });
+                console.log(`✓ ${test.name}`);
+            } catch (error) {
+                this.results.push({ 
+                    suite: test.suite, 
+                    name: test.name, 
+                    status: 'fail', 
+                    error: error.message 
+                });
+                console.error(`✗ ${test.name}: ${error.message}`);
+            }
         }
     }
 
@@ -316,6 +314,26 @@ describe('TicketManager - CRUD Operations', () => {
         expect(result.ticket.updatedAt).toBeGreaterThan(result.ticket.createdAt);
     });
 
+    it('should only change the editable fields of a ticket', async () => {
+        setup();
+
+        const sampleTickets = createSampleTickets();
+        global.localStorage.setItem('tickets', JSON.stringify(sampleTickets));
+
+        const result = await ticketManager.updateTicket('ticket_1', {
+            title: 'Updated Ticket Title',
+            id: 'ticket_2',
+            userId: 'someone-else',
+            createdAt: 1
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.ticket.id).toBe('ticket_1');
+        expect(result.ticket.userId).toBe('user123');
+        expect(result.ticket.createdAt).toBe(sampleTickets[0].createdAt);
+        expect(ticketManager.getTicketById('ticket_2').title).toBe('Test Ticket 2');
+    });
+
     it('should fail to update non-existent ticket', async () => {
         setup();
 
@@ -471,14 +489,14 @@ describe('TicketManager - Utility Methods', () => {
         expect(ticket).toBe(null);
     });
 
-    it('should get tickets by status', () => {
+    it('should get tickets by status', async () => {
         setup();
         
         const sampleTickets = createSampleTickets();
         global.localStorage.setItem('tickets', JSON.stringify(sampleTickets));
 
-        const openTickets = ticketManager.getTicketsByStatus('Open');
-        const inProgressTickets = ticketManager.getTicketsByStatus('In Progress');
+        const openTickets = await ticketManager.getTicketsByStatus('Open');
+        const inProgressTickets = await ticketManager.getTicketsByStatus('In Progress');
 
         expect(openTickets).toHaveLength(1);
         expect(openTickets[0].status).toBe('Open');
@@ -636,6 +654,458 @@ describe('TicketValidator - Field Validation', () => {
     });
 });
 
+describe('TicketManager - Priority, Assignee and Due Date', () => {
+    let ticketManager;
+
+    function setup() {
+        global.localStorage.clear();
+        createAuthenticatedSession();
+        ticketManager = new TicketManager();
+    }
+
+    it('should default priority to medium with no assignee or due date', async () => {
+        setup();
+
+        const result = await ticketManager.createTicket({ title: 'Default Fields' });
+
+        expect(result.success).toBe(true);
+        expect(result.ticket.priority).toBe('medium');
+        expect(result.ticket.assignee).toBe('');
+        expect(result.ticket.dueDate).toBe(null);
+    });
+
+    it('should store priority, assignee and due date', async () => {
+        setup();
+
+        const result = await ticketManager.createTicket({
+            title: 'Server down',
+            status: 'Open',
+            priority: 'urgent',
+            assignee: '  Sarah Smith  ',
+            dueDate: '2030-01-15'
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.ticket.priority).toBe('urgent');
+        expect(result.ticket.assignee).toBe('Sarah Smith');
+        expect(result.ticket.dueDate).toBe('2030-01-15');
+    });
+
+    it('should reject unknown priorities', async () => {
+        setup();
+
+        const result = await ticketManager.createTicket({ title: 'Bad Priority', priority: 'critical' });
+
+        expect(result.success).toBe(false);
+        expect(result.errors.priority).toContain('low, medium, high, urgent');
+    });
+
+    it('should reject invalid due dates', async () => {
+        setup();
+
+        const badFormat = await ticketManager.createTicket({ title: 'Bad Date', dueDate: '15/01/2030' });
+        const impossibleDate = await ticketManager.createTicket({ title: 'Bad Date', dueDate: '2030-02-30' });
+
+        expect(badFormat.success).toBe(false);
+        expect(badFormat.errors.dueDate).toBeTruthy();
+        expect(impossibleDate.success).toBe(false);
+        expect(impossibleDate.errors.dueDate).toBeTruthy();
+    });
+
+    it('should update and clear assignee and due date', async () => {
+        setup();
+        global.localStorage.setItem('tickets', JSON.stringify(createSampleTickets()));
+
+        const assigned = await ticketManager.updateTicket('ticket_1', {
+            priority: 'high',
+            assignee: 'john@example.com',
+            dueDate: '2030-03-01'
+        });
+        expect(assigned.success).toBe(true);
+        expect(assigned.ticket.priority).toBe('high');
+        expect(assigned.ticket.assignee).toBe('john@example.com');
+        expect(assigned.ticket.dueDate).toBe('2030-03-01');
+
+        const cleared = await ticketManager.updateTicket('ticket_1', { assignee: '', dueDate: '' });
+        expect(cleared.success).toBe(true);
+        expect(cleared.ticket.assignee).toBe('');
+        expect(cleared.ticket.dueDate).toBe(null);
+        expect(cleared.ticket.priority).toBe('high');
+    });
+
+    it('should flag open tickets past their due date as overdue', () => {
+        setup();
+
+        expect(ticketManager.isOverdue({ status: 'Open', dueDate: '2000-01-01' })).toBe(true);
+        expect(ticketManager.isOverdue({ status: 'Closed', dueDate: '2000-01-01' })).toBe(false);
+        expect(ticketManager.isOverdue({ status: 'Open', dueDate: '2999-01-01' })).toBe(false);
+        expect(ticketManager.isOverdue({ status: 'Open', dueDate: null })).toBe(false);
+    });
+
+    it('should render priority, assignee and due date fields in the form', () => {
+        setup();
+
+        const html = ticketManager.createTicketFormHTML('Edit Ticket', {
+            title: 'Form Ticket',
+            description: '',
+            status: 'Open',
+            priority: 'high',
+            assignee: 'Mike <Ops>',
+            dueDate: '2030-05-20'
+        });
+
+        expect(html).toContain('<option value="high" selected>');
+        expect(html).toContain('value="Mike &lt;Ops&gt;"');
+        expect(html).toContain('value="2030-05-20"');
+    });
+});
+
+describe('TicketValidator - Priority, Assignee and Due Date', () => {
+    let validator;
+
+    function setup() {
+        validator = new TicketValidator();
+    }
+
+    it('should accept every supported priority', () => {
+        setup();
+
+        ['low', 'medium', 'high', 'urgent'].forEach(priority => {
+            const result = validator.validateCreateTicket({ title: 'Valid Title', status: 'Open', priority: priority });
+            expect(result.isValid).toBe(true);
+        });
+    });
+
+    it('should reject invalid priority, long assignee and bad due date', () => {
+        setup();
+
+        const result = validator.validateCreateTicket({
+            title: 'Valid Title',
+            status: 'Open',
+            priority: 'whenever',
+            assignee: 'a'.repeat(101),
+            dueDate: '2030-13-01'
+        });
+
+        expect(result.isValid).toBe(false);
+        expect(result.errors.priority).toBeTruthy();
+        expect(result.errors.assignee).toBeTruthy();
+        expect(result.errors.dueDate).toBeTruthy();
+    });
+
+    it('should only validate the new fields when they are updated', () => {
+        setup();
+
+        expect(validator.validateUpdateTicket({ title: 'Valid Title' }).isValid).toBe(true);
+        expect(validator.validateUpdateTicket({ dueDate: '' }).isValid).toBe(true);
+        expect(validator.validateUpdateTicket({ priority: 'none' }).errors.priority).toBeTruthy();
+    });
+
+    it('should only accept known users as assignees when given a user directory', () => {
+        const directory = { getAll: () => [{ id: 'u1', username: 'sam', email: 'sam@example.com' }] };
+        validator = new TicketValidator(null, directory);
+
+        expect(validator.validateCreateTicket({ title: 'Valid Title', status: 'Open', assignee: 'SAM' }).isValid).toBe(true);
+        expect(validator.validateCreateTicket({ title: 'Valid Title', status: 'Open', assignee: 'sam@example.com' }).isValid).toBe(true);
+        expect(validator.validateCreateTicket({ title: 'Valid Title', status: 'Open', assignee: 'Someone' }).errors.assignee)
+            .toBe('Assignee must be an existing user name or email');
+
+        validator.clearErrors();
+        validator.validateAssignee('Someone', 'someone ');
+        expect(validator.getErrors().assignee).toBe(undefined);
+    });
+
+    it('should parse due dates as calendar days', () => {
+        expect(TicketValidator.parseDueDate('2024-02-29').getDate()).toBe(29);
+        expect(TicketValidator.parseDueDate('2023-02-29')).toBe(null);
+        expect(TicketValidator.parseDueDate('2024-2-1')).toBe(null);
+        expect(TicketValidator.parseDueDate(null)).toBe(null);
+    });
+});
+
+describe('TicketManager - Versions and Edit Conflicts', () => {
+    let ticketManager;
+
+    async function setup() {
+        global.localStorage.clear();
+        createAuthenticatedSession();
+        ticketManager = new TicketManager();
+        const result = await ticketManager.createTicket({ title: 'Printer jam', description: 'Tray 2', priority: 'low' });
+        return result.ticket;
+    }
+
+    it('should start tickets at version 1 and bump the version on every save', async () => {
+        const ticket = await setup();
+        expect(ticket.version).toBe(1);
+
+        const first = await ticketManager.updateTicket(ticket.id, { title: 'Printer still jammed', version: 1 });
+        const second = await ticketManager.updateTicket(ticket.id, { priority: 'high' });
+
+        expect(first.ticket.version).toBe(2);
+        expect(second.ticket.version).toBe(3);
+        expect(first.ticket.title).toBe('Printer still jammed');
+    });
+
+    it('should reject a write based on an older version without overwriting', async () => {
+        const ticket = await setup();
+        // Another tab saves first, from its own manager over the same storage
+        const otherTab = new TicketManager();
+        await otherTab.updateTicket(ticket.id, { title: 'Printer fixed', priority: 'high', version: 1 });
+
+        const result = await ticketManager.updateTicket(ticket.id, { title: 'Printer jam', description: 'Tray 3', version: 1 });
+
+        expect(result.success).toBe(false);
+        expect(result.conflict).toBe(true);
+        expect(result.error).toBe('This ticket was changed by someone else after you opened it');
+        expect(result.ticket.version).toBe(2);
+        expect(result.fields).toEqual([
+            { field: 'title', yours: 'Printer jam', theirs: 'Printer fixed', differs: true },
+            { field: 'description', yours: 'Tray 3', theirs: 'Tray 2', differs: true }
+        ]);
+        expect(ticketManager.getTicketById(ticket.id).title).toBe('Printer fixed');
+    });
+
+    it('should save the values chosen in the merge on top of the current version', async () => {
+        const ticket = await setup();
+        await new TicketManager().updateTicket(ticket.id, { title: 'Printer fixed', priority: 'high', version: 1 });
+        const conflict = await ticketManager.updateTicket(ticket.id, { title: 'Printer jam', description: 'Tray 3', version: 1 });
+
+        const updates = ticketManager.mergeConflict(conflict, { title: 'theirs', description: 'yours' });
+        const result = await ticketManager.updateTicket(ticket.id, updates);
+
+        expect(updates).toEqual({ title: 'Printer fixed', description: 'Tray 3', version: 2 });
+        expect(result.success).toBe(true);
+        expect(result.ticket.title).toBe('Printer fixed');
+        expect(result.ticket.description).toBe('Tray 3');
+        expect(result.ticket.priority).toBe('high');
+        expect(result.ticket.version).toBe(3);
+    });
+
+    it('should offer the current value for fields the user did not edit', async () => {
+        const ticket = await setup();
+        await new TicketManager().updateTicket(ticket.id, { title: 'Printer fixed', version: 1 });
+        const conflict = await ticketManager.updateTicket(ticket.id, { title: 'Printer jam', description: 'Tray 3', version: 1 });
+
+        const html = ticketManager.createConflictMergeHTML(conflict, ticket);
+
+        expect(html).toContain('name="conflict_title" value="theirs" checked');
+        expect(html).toContain('name="conflict_description" value="yours" checked');
+        expect(html).toContain('Printer fixed');
+    });
+});
+
+describe('TicketManager - Changes From Other Tabs', () => {
+    let ticketManager;
+
+    function setup() {
+        global.localStorage.clear();
+        createAuthenticatedSession();
+        ticketManager = new TicketManager();
+    }
+
+    // Capture the window listeners and events of watchExternalChanges
+    function watch() {
+        const listeners = [];
+        const events = [];
+        const originalAdd = global.window.addEventListener;
+        const originalRemove = global.window.removeEventListener;
+        const originalDispatch = global.window.dispatchEvent;
+        const originalCustomEvent = global.CustomEvent;
+        global.window.addEventListener = (type, listener) => listeners.push({ type, listener });
+        global.window.removeEventListener = (type, listener) => listeners.splice(listeners.findIndex(item => item.listener === listener), 1);
+        global.window.dispatchEvent = (event) => events.push(event);
+        global.CustomEvent = function(type, options) {
+            this.type = type;
+            this.detail = options.detail;
+        };
+
+        const stop = ticketManager.watchExternalChanges();
+        return {
+            listeners,
+            events,
+            stop,
+            fire: (key, oldValue, newValue) => listeners.forEach(item => item.listener({ key, oldValue, newValue })),
+            restore: () => {
+                global.window.addEventListener = originalAdd;
+                global.window.removeEventListener = originalRemove;
+                global.window.dispatchEvent = originalDispatch;
+                global.CustomEvent = originalCustomEvent;
+            }
+        };
+    }
+
+    it('should sort tickets into created, updated and deleted', () => {
+        setup();
+        const [first, second] = createSampleTickets();
+        const before = [first, second, { ...first, id: 'ticket_3', title: 'Trashed' }];
+        const after = [
+            { ...first, title: 'Edited', updatedAt: first.updatedAt + 1000, version: 2 },
+            { ...first, id: 'ticket_3', title: 'Trashed', deletedAt: Date.now() },
+            { ...first, id: 'ticket_4', title: 'New' },
+            { ...first, id: 'ticket_5', title: 'Someone else\'s', userId: 'other_user' }
+        ];
+
+        const changes = ticketManager.compareTicketLists(before, after);
+
+        expect(changes.created.map(ticket => ticket.id)).toEqual(['ticket_4']);
+        expect(changes.updated.map(ticket => ticket.title)).toEqual(['Edited']);
+        expect(changes.deleted.map(ticket => ticket.id)).toEqual(['ticket_2', 'ticket_3']);
+    });
+
+    it('should dispatch the changes saved to the tickets key by another tab', () => {
+        setup();
+        const sampleTickets = createSampleTickets();
+        const watcher = watch();
+
+        try {
+            watcher.fire('ticket_comments', '[]', '[{}]');
+            watcher.fire('tickets', JSON.stringify(sampleTickets), JSON.stringify(sampleTickets));
+            expect(watcher.events).toHaveLength(0);
+
+            const edited = [{ ...sampleTickets[0], status: 'Closed', version: 2 }, sampleTickets[1]];
+            global.localStorage.setItem('tickets', JSON.stringify(edited));
+            watcher.fire('tickets', JSON.stringify(sampleTickets), JSON.stringify(edited));
+
+            expect(watcher.events).toHaveLength(1);
+            expect(watcher.events[0].type).toBe('ticketsChangedElsewhere');
+            expect(watcher.events[0].detail.updated.map(ticket => ticket.id)).toEqual(['ticket_1']);
+            expect(ticketManager.getTicketById('ticket_1').status).toBe('Closed');
+
+            watcher.stop();
+            expect(watcher.listeners).toHaveLength(0);
+        } finally {
+            watcher.restore();
+        }
+    });
+});
+
+describe('TicketManager - Comments', () => {
+    let ticketManager;
+
+    async function setup() {
+        global.localStorage.clear();
+        createAuthenticatedSession();
+        ticketManager = new TicketManager();
+        const result = await ticketManager.createTicket({ title: 'Commented Ticket' });
+        return result.ticket;
+    }
+
+    function switchUser(id) {
+        global.localStorage.setItem('ticketapp_session', JSON.stringify({
+            token: 'other-token',
+            user: { id: id, username: id, email: `${id}@example.com` },
+            expiresAt: Date.now() + 86400000
+        }));
+    }
+
+    it('should add comments with author and timestamp', async () => {
+        const ticket = await setup();
+
+        const result = await ticketManager.addComment(ticket.id, '  First comment  ');
+
+        expect(result.success).toBe(true);
+        expect(result.comment.body).toBe('First comment');
+        expect(result.comment.userId).toBe('user123');
+        expect(result.comment.userName).toBe('testuser');
+        expect(typeof result.comment.createdAt).toBe('number');
+        expect(ticketManager.getComments(ticket.id)).toHaveLength(1);
+        expect(ticketManager.getCommentCount(ticket.id)).toBe(1);
+    });
+
+    it('should validate comment bodies', async () => {
+        const ticket = await setup();
+
+        const empty = await ticketManager.addComment(ticket.id, '   ');
+        const tooLong = await ticketManager.addComment(ticket.id, 'a'.repeat(1001));
+
+        expect(empty.success).toBe(false);
+        expect(empty.errors.body).toBe('Comment cannot be empty');
+        expect(tooLong.success).toBe(false);
+        expect(tooLong.errors.body).toContain('1000 characters');
+        expect(ticketManager.getCommentCount(ticket.id)).toBe(0);
+    });
+
+    it('should edit and delete own comments', async () => {
+        const ticket = await setup();
+        const { comment } = await ticketManager.addComment(ticket.id, 'Original');
+
+        const updated = await ticketManager.updateComment(ticket.id, comment.id, 'Edited');
+        expect(updated.success).toBe(true);
+        expect(updated.comment.body).toBe('Edited');
+
+        const unconfirmed = await ticketManager.deleteComment(ticket.id, comment.id);
+        expect(unconfirmed.requiresConfirmation).toBe(true);
+        expect(ticketManager.getCommentCount(ticket.id)).toBe(1);
+
+        const deleted = await ticketManager.deleteComment(ticket.id, comment.id, true);
+        expect(deleted.success).toBe(true);
+        expect(ticketManager.getCommentCount(ticket.id)).toBe(0);
+    });
+
+    it('should apply ticket ownership and authentication checks', async () => {
+        const ticket = await setup();
+
+        switchUser('intruder');
+        const result = await ticketManager.addComment(ticket.id, 'Not mine');
+        expect(result.success).toBe(false);
+        expect(result.error).toContain('Not authorized');
+        expect(ticketManager.getComments(ticket.id)).toHaveLength(0);
+
+        global.localStorage.removeItem('ticketapp_session');
+        const anonymous = await ticketManager.addComment(ticket.id, 'Anonymous');
+        expect(anonymous.success).toBe(false);
+        expect(anonymous.error).toContain('must be authenticated');
+
+        createAuthenticatedSession();
+        const missing = await ticketManager.addComment('missing_ticket', 'Hello');
+        expect(missing.error).toBe('Ticket not found');
+    });
+
+    it('should keep comments in the trash and delete them with the ticket', async () => {
+        const ticket = await setup();
+        await ticketManager.addComment(ticket.id, 'Soon gone');
+
+        await ticketManager.deleteTicket(ticket.id, true);
+        expect(ticketManager.getCommentCount(ticket.id)).toBe(1);
+
+        await ticketManager.purgeTicket(ticket.id, true);
+        expect(ticketManager.getCommentCount(ticket.id)).toBe(0);
+    });
+
+    it('should show comment counts on ticket cards', async () => {
+        const ticket = await setup();
+        await ticketManager.addComment(ticket.id, 'One');
+        await ticketManager.addComment(ticket.id, 'Two');
+
+        const card = ticketManager.createTicketCard(ticket);
+
+        expect(card.innerHTML).toContain('comments-btn');
+        expect(card.innerHTML).toContain('<span class="comment-count">2</span>');
+    });
+
+    it('should keep comments with the tickets and read them once for every card', async () => {
+        const ticket = await setup();
+        await ticketManager.addComment(ticket.id, 'Stored with the tickets');
+        expect(JSON.parse(global.localStorage.getItem('ticket_comments'))[ticket.id]).toHaveLength(1);
+
+        const originalParse = JSON.parse;
+        let parses = 0;
+        JSON.parse = (...args) => {
+            parses++;
+            return originalParse(...args);
+        };
+        try {
+            for (let i = 0; i < 5; i++) {
+                expect(ticketManager.getCommentCount(ticket.id)).toBe(1);
+            }
+        } finally {
+            JSON.parse = originalParse;
+        }
+
+        expect(parses).toBe(1);
+    });
+});
+
 describe('TicketErrorHandler - Error Handling', () => {
     let errorHandler;
 
@@ -707,5 +1177,7 @@ describe('TicketErrorHandler - Error Handling', () => {
 });
 
 // Run tests and print summary
-const success = testRunner.printSummary();
-process.exit(success ? 0 : 1);
\ No newline at end of file
+testRunner.run().then(() => {
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+});
\ No newline at end of file
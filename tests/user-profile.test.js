@@ -0,0 +1,283 @@
+/**
+ * Node.js test runner for user profiles
+ * Covers profile updates, validation, avatar rendering and the user directory behind ticket creators and assignees
+ * Run with: node tests/user-profile.test.js
+ */
+
+// Mock browser APIs for Node.js environment
+global.window = {
+    localStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    sessionStorage: {
+        store: {},
+        getItem(key) { return this.store[key] || null; },
+        setItem(key, value) { this.store[key] = String(value); },
+        removeItem(key) { delete this.store[key]; },
+        clear() { this.store = {}; }
+    },
+    location: { href: '' },
+    addEventListener: function() {},
+    dispatchEvent: function() { return true; }
+};
+
+global.localStorage = global.window.localStorage;
+global.sessionStorage = global.window.sessionStorage;
+global.CustomEvent = function(type, options) {
+    this.type = type;
+    this.detail = options?.detail;
+};
+
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {}
+};
+
+// Load the modules
+const fs = require('fs');
+const path = require('path');
+
+const profileModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/user-profile.js'), 'utf8');
+const authModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/auth.js'), 'utf8');
+const storageModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-storage.js'), 'utf8');
+const workflowModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/ticket-workflow.js'), 'utf8');
+const ticketsModuleCode = fs.readFileSync(path.join(__dirname, '../public/assets/js/tickets.js'), 'utf8');
+
+const { UserProfile, UserDirectory } = new Function(profileModuleCode + '; return { UserProfile, UserDirectory };')();
+const { UserRegistry, AuthManager } = new Function('UserProfile',
+    authModuleCode + '; return { UserRegistry, AuthManager };'
+)(UserProfile);
+const TicketStorage = new Function(storageModuleCode + '; return TicketStorage;')();
+const TicketWorkflow = new Function(workflowModuleCode + '; return TicketWorkflow;')();
+const TicketManager = new Function('AuthManager', 'TicketStorage', 'TicketWorkflow', 'UserProfile', 'UserDirectory',
+    ticketsModuleCode + '; return TicketManager;'
+)(AuthManager, TicketStorage, TicketWorkflow, UserProfile, UserDirectory);
+
+// Simple async test framework
+class TestRunner {
+    constructor() {
+        this.results = [];
+        this.currentSuite = '';
+    }
+
+    async describe(suiteName, testFn) {
+        this.currentSuite = suiteName;
+        console.log(`\n=== ${suiteName} ===`);
+        await testFn();
+    }
+
+    async it(testName, testFn) {
+        try {
+            await testFn();
+            this.results.push({ suite: this.currentSuite, name: testName, status: 'pass' });
+            console.log(`✓ ${testName}`);
+        } catch (error) {
+            this.results.push({
+                suite: this.currentSuite,
+                name: testName,
+                status: 'fail',
+                error: error.message
+            });
+            console.error(`✗ ${testName}: ${error.message}`);
+        }
+    }
+
+    expect(actual) {
+        return {
+            toBe: (expected) => {
+                if (actual !== expected) {
+                    throw new Error(`Expected ${expected}, but got ${actual}`);
+                }
+            },
+            toEqual: (expected) => {
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+                }
+            },
+            toBeTruthy: () => {
+                if (!actual) {
+                    throw new Error(`Expected truthy value, but got ${actual}`);
+                }
+            },
+            toBeFalsy: () => {
+                if (actual) {
+                    throw new Error(`Expected falsy value, but got ${actual}`);
+                }
+            },
+            toContain: (expected) => {
+                if (!actual || !actual.includes(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+                }
+            }
+        };
+    }
+
+    printSummary() {
+        const passed = this.results.filter(r => r.status === 'pass').length;
+        const failed = this.results.filter(r => r.status === 'fail').length;
+
+        console.log(`\n=== Test Summary ===`);
+        console.log(`Total: ${this.results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed > 0) {
+            console.log('\nFailed tests:');
+            this.results.filter(r => r.status === 'fail').forEach(result => {
+                console.log(`  ${result.suite} > ${result.name}: ${result.error}`);
+            });
+        }
+
+        return failed === 0;
+    }
+}
+
+const AVATAR = 'data:image/png;base64,iVBORw0KGgo=';
+
+// A low iteration count keeps the suite fast; the hashing code path is the same
+async function signUp(username, email) {
+    const authManager = new AuthManager({ users: new UserRegistry({ iterations: 1000 }) });
+    await authManager.register({ username, email, password: 'secret123' });
+    return authManager;
+}
+
+async function runTests() {
+    const testRunner = new TestRunner();
+    const describe = testRunner.describe.bind(testRunner);
+    const it = testRunner.it.bind(testRunner);
+    const expect = testRunner.expect.bind(testRunner);
+
+    await describe('AuthManager - Profile updates', async () => {
+        await it('should save the profile and refresh the signed-in user', async () => {
+            localStorage.clear();
+            sessionStorage.clear();
+            const authManager = await signUp('alice', 'alice@example.com');
+
+            const result = await authManager.updateProfile({
+                displayName: '  Alice Liddell ',
+                email: 'Alice@Wonderland.test',
+                timezone: 'Europe/London',
+                avatar: AVATAR
+            });
+
+            expect(result.success).toBe(true);
+            expect(authManager.getCurrentUser().displayName).toBe('Alice Liddell');
+            expect(authManager.getCurrentUser().email).toBe('alice@wonderland.test');
+            expect(authManager.users.findByLogin('alice').timezone).toBe('Europe/London');
+            expect(authManager.users.findByLogin('alice').avatar).toBe(AVATAR);
+        });
+
+        await it('should reject unknown time zones, non-image avatars and taken emails', async () => {
+            localStorage.clear();
+            sessionStorage.clear();
+            await signUp('bob', 'bob@example.com');
+            const authManager = await signUp('alice', 'alice@example.com');
+
+            const invalid = await authManager.updateProfile({
+                email: 'alice@example.com',
+                timezone: 'Mars/Olympus_Mons',
+                avatar: 'data:text/html;base64,PHNjcmlwdD4='
+            });
+            const taken = await authManager.updateProfile({ email: 'BOB@example.com' });
+
+            expect(invalid.success).toBe(false);
+            expect(invalid.errors.timezone).toBe('Please choose a time zone from the list');
+            expect(invalid.errors.avatar).toBe('Avatar must be a PNG, JPEG, GIF or WebP image');
+            expect(taken.errors.email).toBe('An account with this email already exists');
+            expect(authManager.getCurrentUser().email).toBe('alice@example.com');
+        });
+
+        await it('should require a signed-in user', async () => {
+            localStorage.clear();
+            sessionStorage.clear();
+            const authManager = new AuthManager({ users: new UserRegistry({ iterations: 1000 }) });
+
+            const result = await authManager.updateProfile({ email: 'nobody@example.com' });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('You must be logged in to update your profile');
+        });
+    });
+
+    await describe('UserProfile - Display helpers', async () => {
+        await it('should prefer the display name and fall back to the username', () => {
+            expect(UserProfile.getDisplayName({ username: 'alice', displayName: 'Alice Liddell' })).toBe('Alice Liddell');
+            expect(UserProfile.getDisplayName({ username: 'alice', displayName: '   ' })).toBe('alice');
+            expect(UserProfile.getDisplayName(null)).toBe('User');
+        });
+
+        await it('should render initials without an avatar and escape them', () => {
+            const initials = UserProfile.createAvatarHTML({ username: 'mary.jane' });
+            const escaped = UserProfile.createAvatarHTML({ username: 'x', displayName: '<b>' });
+
+            expect(initials).toContain('>MJ</span>');
+            expect(escaped).toContain('&lt;B');
+            expect(escaped.includes('<b>')).toBe(false);
+        });
+
+        await it('should only render image data URLs as avatars', () => {
+            const image = UserProfile.createAvatarHTML({ username: 'alice', avatar: AVATAR }, 'lg');
+            const rejected = UserProfile.createAvatarHTML({ username: 'alice', avatar: 'javascript:alert(1)' });
+
+            expect(image).toContain(`<img class="user-avatar user-avatar-lg" src="${AVATAR}"`);
+            expect(rejected.includes('<img')).toBe(false);
+        });
+
+        await it('should use the profile time zone when it is valid', () => {
+            expect(UserProfile.getTimeZone({ timezone: 'Asia/Tokyo' })).toBe('Asia/Tokyo');
+            expect(UserProfile.getTimeZone({ timezone: 'Nowhere/Special' })).toBe(UserProfile.getBrowserTimeZone());
+        });
+    });
+
+    await describe('UserDirectory - Ticket creators and assignees', async () => {
+        async function createManager() {
+            localStorage.clear();
+            sessionStorage.clear();
+            const bob = await signUp('bob', 'bob@example.com');
+            await bob.updateProfile({ displayName: 'Bob Builder', email: 'bob@example.com', avatar: AVATAR });
+            await signUp('alice', 'alice@example.com');
+            return new TicketManager({ storage: 'memory' });
+        }
+
+        await it('should find users by username, email or display name', async () => {
+            const manager = await createManager();
+            const directory = manager.userDirectory;
+
+            expect(directory.findByName('BOB').username).toBe('bob');
+            expect(directory.findByName('bob@example.com').username).toBe('bob');
+            expect(directory.findByName('bob builder').username).toBe('bob');
+            expect(directory.findByName('Carol')).toBe(null);
+        });
+
+        await it('should show the creator and a known assignee with name and avatar', async () => {
+            const manager = await createManager();
+            const created = await manager.createTicket({ title: 'Fix the fence' });
+            const ticket = { ...created.ticket, assignee: 'bob' };
+
+            expect(manager.getTicketCreator(ticket).username).toBe('alice');
+            expect(manager.createPersonHTML(manager.getTicketCreator(ticket))).toContain('<span class="person-name">alice</span>');
+            expect(manager.createPersonHTML(manager.getAssigneeUser(ticket), ticket.assignee)).toContain(`src="${AVATAR}"`);
+            expect(manager.createPersonHTML(manager.getAssigneeUser(ticket), ticket.assignee)).toContain('Bob Builder');
+        });
+
+        await it('should show unknown assignees as escaped text', async () => {
+            const manager = await createManager();
+            const ticket = { id: 'ticket_1', userId: 'user_gone', assignee: 'Carol <Ops>' };
+
+            expect(manager.getAssigneeUser(ticket)).toBe(null);
+            expect(manager.createPersonHTML(manager.getAssigneeUser(ticket), ticket.assignee)).toBe('<span class="person-name">Carol &lt;Ops&gt;</span>');
+            expect(manager.createPersonHTML(manager.getTicketCreator(ticket))).toContain('Unknown user');
+        });
+    });
+
+    const success = testRunner.printSummary();
+    process.exit(success ? 0 : 1);
+}
+
+runTests();